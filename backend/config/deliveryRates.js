@@ -0,0 +1,73 @@
+// Delivery pricing defaults used by the delivery engine.
+// Admins can override any zone (or add new ones) from /api/admin/delivery-rates;
+// a stored rate card replaces the default with the same zone name.
+
+// Approximate shipping weight of one unit, in kg. Count-based units
+// (piece, bunch, dozen) use a typical produce weight.
+const UNIT_WEIGHTS_KG = {
+  kg: 1,
+  gram: 0.001,
+  quintal: 100,
+  ton: 1000,
+  lb: 0.4536,
+  liter: 1,
+  ml: 0.001,
+  piece: 0.25,
+  bunch: 0.25,
+  dozen: 1.5
+};
+
+// Zone used when no rate card matches the delivery pincode
+const DEFAULT_ZONE = 'default';
+
+// Each farmer's shipment is charged:
+//   baseCharge
+//   + perKmCharge × km beyond includedKm
+//   + perKgCharge × kg beyond includedKg
+// Zones are matched on the longest pincode prefix. fallbackDistanceKm is used
+// when either the farm or the delivery address has no coordinates.
+// Orders whose subtotal reaches freeDeliveryThreshold ship free (null = never).
+const DEFAULT_RATE_CARDS = [
+  {
+    zone: DEFAULT_ZONE,
+    name: 'Standard',
+    pincodePrefixes: [],
+    baseCharge: 40,
+    perKmCharge: 2,
+    includedKm: 10,
+    perKgCharge: 5,
+    includedKg: 5,
+    fallbackDistanceKm: 25,
+    freeDeliveryThreshold: 999
+  },
+  {
+    zone: 'metro',
+    name: 'Metro cities',
+    pincodePrefixes: ['110', '400', '500', '560', '600', '700'],
+    baseCharge: 30,
+    perKmCharge: 1.5,
+    includedKm: 10,
+    perKgCharge: 4,
+    includedKg: 5,
+    fallbackDistanceKm: 20,
+    freeDeliveryThreshold: 499
+  },
+  {
+    zone: 'remote',
+    name: 'North-east, hill and island regions',
+    pincodePrefixes: ['18', '19', '744', '78', '79'],
+    baseCharge: 80,
+    perKmCharge: 3,
+    includedKm: 10,
+    perKgCharge: 8,
+    includedKg: 5,
+    fallbackDistanceKm: 60,
+    freeDeliveryThreshold: null
+  }
+];
+
+export {
+  UNIT_WEIGHTS_KG,
+  DEFAULT_ZONE,
+  DEFAULT_RATE_CARDS
+};
@@ -0,0 +1,12 @@
+// Delivery slot booking settings
+
+// How long a slot reserved at checkout is held for the customer
+const SLOT_HOLD_MINUTES = 10;
+
+// How many days ahead customers can see and book slots
+const SLOT_BOOKING_DAYS = 14;
+
+export {
+  SLOT_HOLD_MINUTES,
+  SLOT_BOOKING_DAYS
+};
@@ -0,0 +1,20 @@
+// Geospatial discovery: which products deliver to a customer's location
+
+// Mean Earth radius used for great-circle distances
+const EARTH_RADIUS_KM = 6371;
+
+// Radius a product delivers within when the farmer has not set deliveryRadius
+const DEFAULT_DELIVERY_RADIUS_KM = 50;
+
+// Largest deliveryRadius a product can have; bounds the nearby search
+const MAX_DELIVERY_RADIUS_KM = 500;
+
+// Radius searched for farmers near a customer when none is given
+const DEFAULT_NEARBY_FARMERS_RADIUS_KM = 50;
+
+export {
+  EARTH_RADIUS_KM,
+  DEFAULT_DELIVERY_RADIUS_KM,
+  MAX_DELIVERY_RADIUS_KM,
+  DEFAULT_NEARBY_FARMERS_RADIUS_KM
+};
@@ -0,0 +1,56 @@
+// Default role → permission map.
+// Permissions are `resource:action` strings. A `*` action grants every
+// action on that resource and a bare `*` grants everything.
+// Admins can grant extra permissions per role at runtime through
+// PUT /api/admin/permissions/:role; those grants are stored in the
+// RolePermission collection and merged with these defaults.
+const DEFAULT_PERMISSIONS = {
+  customer: [
+    'cart:read',
+    'cart:write',
+    'order:create',
+    'order:read',
+    'order:cancel',
+    'order:pay',
+    'return:create',
+    'return:read',
+    'slot:read',
+    'slot:reserve',
+    'subscription:read',
+    'subscription:write',
+    'preorder:read',
+    'preorder:write',
+    'wallet:read'
+  ],
+  farmer: [
+    'product:read',
+    'product:write',
+    'fulfillment:read',
+    'fulfillment:update',
+    'analytics:read',
+    'return:review',
+    'slot:read',
+    'slot:write',
+    'preorder:read',
+    'preorder:fulfill',
+    'promotion:read',
+    'promotion:write'
+  ],
+  admin: ['*']
+};
+
+// Every permission the routes check. Runtime grants are limited to these,
+// `resource:*` for one of their resources and, for admins only, `*`.
+const PERMISSIONS = [...new Set(Object.values(DEFAULT_PERMISSIONS).flat())]
+  .filter(permission => permission !== '*')
+  .sort();
+
+const PERMISSION_RESOURCES = [...new Set(PERMISSIONS.map(permission => permission.split(':')[0]))];
+
+const isDeclaredPermission = (permission) =>
+  PERMISSIONS.includes(permission) ||
+  (permission.endsWith(':*') && PERMISSION_RESOURCES.includes(permission.slice(0, -2)));
+
+export { DEFAULT_PERMISSIONS, PERMISSIONS, PERMISSION_RESOURCES, isDeclaredPermission };
+
+export default DEFAULT_PERMISSIONS;
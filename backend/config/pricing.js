@@ -0,0 +1,20 @@
+// Price history and scheduled price change settings
+
+// Days of price history in a product's price trend
+const PRICE_TREND_DAYS = 30;
+
+// How far ahead a price change can be scheduled
+const MAX_PRICE_SCHEDULE_DAYS = 90;
+
+// How often the in-process scheduler applies and reverts scheduled prices
+const PRICE_SCHEDULER_INTERVAL_MINUTES = 1;
+
+// How long a scheduler run may hold a price schedule before another run can pick it up
+const PRICE_SCHEDULE_LOCK_MINUTES = 5;
+
+export {
+  PRICE_TREND_DAYS,
+  MAX_PRICE_SCHEDULE_DAYS,
+  PRICE_SCHEDULER_INTERVAL_MINUTES,
+  PRICE_SCHEDULE_LOCK_MINUTES
+};
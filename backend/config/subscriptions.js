@@ -0,0 +1,25 @@
+// Subscription scheduling settings
+
+// Weeks between deliveries for each frequency
+const SUBSCRIPTION_FREQUENCIES = {
+  weekly: 1,
+  fortnightly: 2,
+  'four-weekly': 4
+};
+
+// Orders are generated this many days before the delivery date, so
+// farmers have time to accept and pack them
+const SUBSCRIPTION_LEAD_DAYS = 1;
+
+// How often the in-process scheduler looks for due subscriptions
+const SUBSCRIPTION_SCHEDULER_INTERVAL_MINUTES = 15;
+
+// How long a scheduler run may hold a subscription before another run can pick it up
+const SUBSCRIPTION_LOCK_MINUTES = 5;
+
+export {
+  SUBSCRIPTION_FREQUENCIES,
+  SUBSCRIPTION_LEAD_DAYS,
+  SUBSCRIPTION_SCHEDULER_INTERVAL_MINUTES,
+  SUBSCRIPTION_LOCK_MINUTES
+};
@@ -0,0 +1,48 @@
+// GST rates (percent) used by the tax engine.
+// HSN_RATES are matched on the longest HSN code prefix; products without an
+// HSN code (or with one not listed here) fall back to CATEGORY_RATES.
+// Review these against the current GST notifications before going live.
+
+const HSN_RATES = {
+  '02': 0,     // Fresh meat
+  '0401': 0,   // Fresh milk
+  '0403': 5,   // Curd, buttermilk (packaged)
+  '0405': 12,  // Butter, ghee
+  '0406': 12,  // Cheese
+  '0409': 5,   // Natural honey, pre-packaged and labelled (Notification 1/2017-CT(Rate), Schedule I)
+  '0603': 0,   // Fresh flowers
+  '07': 0,     // Fresh vegetables
+  '0713': 0,   // Dried pulses
+  '08': 0,     // Fresh fruits
+  '0801': 5,   // Coconuts, cashew nuts
+  '0802': 12,  // Other nuts
+  '09': 5,     // Spices
+  '10': 0,     // Cereals (unbranded)
+  '1209': 0,   // Seeds for sowing
+  '1211': 0    // Medicinal plants
+};
+
+const CATEGORY_RATES = {
+  vegetables: 0,
+  fruits: 0,
+  grains: 0,
+  pulses: 0,
+  spices: 5,
+  herbs: 0,
+  dairy: 5,
+  honey: 5,  // As HSN 0409
+  nuts: 5,
+  seeds: 0,
+  flowers: 0,
+  'medicinal-plants': 0,
+  meat: 0
+};
+
+// Used when neither the HSN code nor the category has a rate
+const DEFAULT_RATE = 5;
+
+export {
+  HSN_RATES,
+  CATEGORY_RATES,
+  DEFAULT_RATE
+};
@@ -0,0 +1,5 @@
+// Local business timezone. Calendar dates (YYYY-MM-DD) and times of day
+// (HH:mm) for slots and subscriptions are read at this UTC offset.
+const TIMEZONE_OFFSET = '+05:30';
+
+export { TIMEZONE_OFFSET };
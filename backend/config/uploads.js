@@ -0,0 +1,53 @@
+// Upload settings for images and spreadsheets
+
+// Image types accepted for upload, checked against the file contents too
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Largest image accepted, in bytes
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Most images a product can carry, uploaded or linked
+const MAX_PRODUCT_IMAGES = 5;
+
+// Sizes each upload is resized to, in pixels. `fit` follows sharp:
+// 'inside' keeps the aspect ratio, 'cover' crops to a square.
+const IMAGE_PRESETS = {
+  product: {
+    large: { width: 1600, height: 1600, fit: 'inside' },
+    thumbnail: { width: 320, height: 320, fit: 'inside' }
+  },
+  avatar: {
+    large: { width: 512, height: 512, fit: 'cover' },
+    thumbnail: { width: 128, height: 128, fit: 'cover' }
+  }
+};
+
+// Spreadsheet types accepted for bulk product import. Browsers label CSV
+// files inconsistently, so the contents decide between CSV and XLSX.
+const SPREADSHEET_TYPES = [
+  'text/csv',
+  'text/plain',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/octet-stream'
+];
+
+// Largest spreadsheet accepted, in bytes
+const MAX_SPREADSHEET_BYTES = 5 * 1024 * 1024;
+
+// Most rows one bulk product import or update may carry
+const MAX_BULK_ROWS = 2000;
+
+// Path uploaded files are served under when stored on local disk
+const UPLOADS_URL_PATH = '/uploads';
+
+export {
+  IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_PRODUCT_IMAGES,
+  IMAGE_PRESETS,
+  SPREADSHEET_TYPES,
+  MAX_SPREADSHEET_BYTES,
+  MAX_BULK_ROWS,
+  UPLOADS_URL_PATH
+};
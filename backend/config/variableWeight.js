@@ -0,0 +1,22 @@
+// Variable-weight items: lines sold by weight are priced at the ordered
+// weight, then re-priced at the packed weight when the farmer starts
+// processing the order.
+
+// Units whose lines can be re-weighed at packing
+const VARIABLE_WEIGHT_UNITS = ['kg', 'gram', 'quintal', 'ton', 'lb'];
+
+// How far the packed weight may be from the ordered weight, in percent
+// either way
+const DEFAULT_WEIGHT_TOLERANCE_PERCENT = 10;
+
+// Read at call time so WEIGHT_TOLERANCE_PERCENT from .env is picked up
+const getWeightTolerancePercent = () => {
+  const value = Number(process.env.WEIGHT_TOLERANCE_PERCENT);
+  return process.env.WEIGHT_TOLERANCE_PERCENT && value >= 0 ? value : DEFAULT_WEIGHT_TOLERANCE_PERCENT;
+};
+
+export {
+  VARIABLE_WEIGHT_UNITS,
+  DEFAULT_WEIGHT_TOLERANCE_PERCENT,
+  getWeightTolerancePercent
+};
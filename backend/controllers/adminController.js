@@ -1,6 +1,19 @@
 import User from '../models/User.js';
 import Product from '../models/Product.js';
 import Order from '../models/Order.js';
+import RolePermission from '../models/RolePermission.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import DeliveryRateCard from '../models/DeliveryRateCard.js';
+import Pincode from '../models/Pincode.js';
+import DeliverySlot from '../models/DeliverySlot.js';
+import { getPermissionMap, invalidatePermissionCache } from '../services/permissionService.js';
+import { transitionOrder } from '../services/orderStateMachine.js';
+import { transitionReturn } from '../services/returnService.js';
+import { getRateCards, invalidateRateCardCache } from '../services/deliveryService.js';
+import { saveSlot } from '../services/slotService.js';
+import { saveServiceability, importServiceability } from '../services/serviceabilityService.js';
+import { removeImageFiles } from '../services/imageService.js';
+import AppError from '../utils/AppError.js';
 
 // @desc    Get all users
 // @route   GET /api/admin/users
@@ -300,6 +313,7 @@ const deleteProduct = async (req, res) => {
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    await removeImageFiles(product.imageFiles);
 
     res.json({
       success: true,
@@ -367,6 +381,129 @@ const getAllOrders = async (req, res) => {
   }
 };
 
+// @desc    Update any order status
+// @route   PUT /api/admin/orders/:id/status
+// @access  Private (Admin only)
+const updateOrderStatus = async (req, res) => {
+  try {
+    const {
+      status,
+      note,
+      trackingId,
+      deliveryPartner,
+      expectedDeliveryDate
+    } = req.body;
+
+    const order = await transitionOrder(req.params.id, status, {
+      actor: { id: req.user.id, role: 'admin' },
+      note: note || 'Updated by admin',
+      reason: ['cancelled', 'rejected'].includes(status) ? note : undefined,
+      trackingId,
+      deliveryPartner,
+      expectedDeliveryDate
+    });
+
+    res.json({
+      success: true,
+      data: order
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Admin update order status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error updating order status'
+      }
+    });
+  }
+};
+
+// @desc    Get all return requests
+// @route   GET /api/admin/returns
+// @access  Private (Admin only)
+const getAllReturns = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    let filter = {};
+    if (status) {
+      filter.status = status;
+    }
+
+    const returns = await ReturnRequest.find(filter)
+      .populate('order', 'orderNumber total')
+      .populate('customer', 'name email phone')
+      .populate('farmer', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await ReturnRequest.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        returns,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalReturns: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get all returns error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error fetching returns'
+      }
+    });
+  }
+};
+
+// @desc    Review return request or complete its refund
+// @route   PUT /api/admin/returns/:id/status
+// @access  Private (Admin only)
+const updateReturnStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const returnRequest = await transitionReturn(req.params.id, status, {
+      actor: { id: req.user.id, role: 'admin' },
+      note
+    });
+
+    res.json({
+      success: true,
+      data: returnRequest
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Admin update return status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error updating return status'
+      }
+    });
+  }
+};
+
 // @desc    Get platform analytics
 // @route   GET /api/admin/analytics
 // @access  Private (Admin only)
@@ -450,6 +587,397 @@ const getPlatformAnalytics = async (req, res) => {
   }
 };
 
+// @desc    Get role permission map
+// @route   GET /api/admin/permissions
+// @access  Private (Admin only)
+const getPermissions = async (req, res) => {
+  try {
+    const permissions = await getPermissionMap();
+
+    res.json({
+      success: true,
+      data: permissions
+    });
+
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error fetching permissions'
+      }
+    });
+  }
+};
+
+// @desc    Replace extra permissions granted to a role
+// @route   PUT /api/admin/permissions/:role
+// @access  Private (Admin only)
+const updateRolePermissions = async (req, res) => {
+  try {
+    const { permissions } = req.body;
+
+    const rolePermission = await RolePermission.findOneAndUpdate(
+      { role: req.params.role },
+      {
+        permissions: [...new Set(permissions)],
+        updatedBy: req.user.id,
+        updatedAt: new Date()
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    invalidatePermissionCache();
+
+    res.json({
+      success: true,
+      data: rolePermission,
+      message: `Permissions for ${req.params.role} updated successfully`
+    });
+
+  } catch (error) {
+    console.error('Update role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error updating permissions'
+      }
+    });
+  }
+};
+
+// @desc    Get delivery rate cards
+// @route   GET /api/admin/delivery-rates
+// @access  Private (Admin only)
+const getDeliveryRates = async (req, res) => {
+  try {
+    const rateCards = await getRateCards();
+
+    res.json({
+      success: true,
+      data: rateCards
+    });
+
+  } catch (error) {
+    console.error('Get delivery rates error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error fetching delivery rates'
+      }
+    });
+  }
+};
+
+// @desc    Create or replace a delivery zone's rate card
+// @route   PUT /api/admin/delivery-rates/:zone
+// @access  Private (Admin only)
+const updateDeliveryRate = async (req, res) => {
+  try {
+    const rateCard = await DeliveryRateCard.findOneAndUpdate(
+      { zone: req.params.zone },
+      {
+        ...req.body,
+        updatedBy: req.user.id,
+        updatedAt: new Date()
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    invalidateRateCardCache();
+
+    res.json({
+      success: true,
+      data: rateCard,
+      message: `Delivery rates for ${req.params.zone} updated successfully`
+    });
+
+  } catch (error) {
+    console.error('Update delivery rate error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error updating delivery rates'
+      }
+    });
+  }
+};
+
+// @desc    Get the serviceability registry
+// @route   GET /api/admin/serviceability
+// @access  Private (Admin only)
+const getServiceabilityEntries = async (req, res) => {
+  try {
+    const { zone, hub, isServiceable, page, limit } = req.query;
+
+    const filter = {};
+    if (zone) filter.zone = zone;
+    if (hub) filter.hub = hub;
+    if (isServiceable !== undefined) filter.isServiceable = isServiceable;
+
+    const [entries, total] = await Promise.all([
+      Pincode.find(filter)
+        .sort({ pincode: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Pincode.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get serviceability error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error fetching serviceability'
+      }
+    });
+  }
+};
+
+// @desc    Create or update a pincode's serviceability
+// @route   PUT /api/admin/serviceability/:pincode
+// @access  Private (Admin only)
+const updateServiceability = async (req, res) => {
+  try {
+    const entry = await saveServiceability(req.params.pincode, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: entry,
+      message: `Serviceability for ${req.params.pincode} updated successfully`
+    });
+
+  } catch (error) {
+    console.error('Update serviceability error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error updating serviceability'
+      }
+    });
+  }
+};
+
+// @desc    Remove a pincode from the serviceability registry
+// @route   DELETE /api/admin/serviceability/:pincode
+// @access  Private (Admin only)
+const deleteServiceability = async (req, res) => {
+  try {
+    const entry = await Pincode.findOneAndDelete({ pincode: req.params.pincode });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PINCODE_NOT_FOUND',
+          message: 'Pincode not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${req.params.pincode} is no longer served`
+    });
+
+  } catch (error) {
+    console.error('Delete serviceability error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error removing pincode'
+      }
+    });
+  }
+};
+
+// @desc    Import the serviceability registry from CSV
+// @route   POST /api/admin/serviceability/import
+// @access  Private (Admin only)
+const importServiceabilityCsv = async (req, res) => {
+  try {
+    const summary = await importServiceability(req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: summary,
+      message: `Imported ${summary.rows} pincodes`
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Import serviceability error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error importing serviceability'
+      }
+    });
+  }
+};
+
+// @desc    Get all delivery slots (farmer and hub)
+// @route   GET /api/admin/delivery-slots
+// @access  Private (Admin only)
+const getAllSlots = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.farmer) {
+      filter.farmer = req.query.farmer;
+    }
+    if (req.query.hub) {
+      filter.hub = req.query.hub;
+    }
+
+    const slots = await DeliverySlot.find(filter)
+      .populate('farmer', 'name email')
+      .sort({ isActive: -1, dayOfWeek: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      data: slots
+    });
+
+  } catch (error) {
+    console.error('Get slots error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error fetching delivery slots'
+      }
+    });
+  }
+};
+
+// @desc    Create a hub delivery slot
+// @route   POST /api/admin/delivery-slots
+// @access  Private (Admin only)
+const createHubSlot = async (req, res) => {
+  try {
+    const slot = await saveSlot(new DeliverySlot({ createdBy: req.user.id }), req.body);
+
+    res.status(201).json({
+      success: true,
+      data: slot,
+      message: 'Delivery slot created successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Create slot error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error creating delivery slot'
+      }
+    });
+  }
+};
+
+// @desc    Update any delivery slot
+// @route   PUT /api/admin/delivery-slots/:id
+// @access  Private (Admin only)
+const updateSlot = async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findById(req.params.id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SLOT_NOT_FOUND',
+          message: 'Delivery slot not found'
+        }
+      });
+    }
+
+    await saveSlot(slot, req.body);
+
+    res.json({
+      success: true,
+      data: slot,
+      message: 'Delivery slot updated successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Update slot error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error updating delivery slot'
+      }
+    });
+  }
+};
+
+// @desc    Deactivate any delivery slot (existing bookings are kept)
+// @route   DELETE /api/admin/delivery-slots/:id
+// @access  Private (Admin only)
+const deleteSlot = async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findOneAndUpdate(
+      { _id: req.params.id },
+      { isActive: false, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SLOT_NOT_FOUND',
+          message: 'Delivery slot not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery slot deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete slot error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error deleting delivery slot'
+      }
+    });
+  }
+};
+
 export {
   getAllUsers,
   getAllFarmers,
@@ -459,5 +987,20 @@ export {
   approveProduct,
   deleteProduct,
   getAllOrders,
-  getPlatformAnalytics
+  updateOrderStatus,
+  getAllReturns,
+  updateReturnStatus,
+  getPlatformAnalytics,
+  getPermissions,
+  updateRolePermissions,
+  getDeliveryRates,
+  updateDeliveryRate,
+  getServiceabilityEntries,
+  updateServiceability,
+  deleteServiceability,
+  importServiceabilityCsv,
+  getAllSlots,
+  createHubSlot,
+  updateSlot,
+  deleteSlot
 }; 
\ No newline at end of file
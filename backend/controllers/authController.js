@@ -1,6 +1,9 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { syncFarmLocation } from '../services/geoService.js';
+import { replaceAvatar, removeImageFiles } from '../services/imageService.js';
+import AppError from '../utils/AppError.js';
 
 
 // @desc    Register new user
@@ -9,7 +12,7 @@ import User from '../models/User.js';
 const register = async (req, res) => {
   try {
     // Data is already validated by Zod middleware
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, farmerDetails } = req.body;
 
     // Check if JWT_SECRET is configured
     if (!process.env.JWT_SECRET) {
@@ -40,7 +43,9 @@ const register = async (req, res) => {
       name,
       email,
       password,
-      role: role || 'customer'
+      role: role || 'customer',
+      // Farm details, with the state that decides CGST + SGST vs IGST on sales
+      ...(role === 'farmer' && farmerDetails && { farmerDetails })
     });
 
     // Hash password
@@ -249,7 +254,7 @@ const getProfile = async (req, res) => {
 // @access  Private
 const updateProfile = async (req, res) => {
   try {
-    const { name, phone, address } = req.body;
+    const { name, phone, address, farmerDetails } = req.body;
 
     const user = await User.findById(req.user.id);
     if (!user) {
@@ -266,10 +271,22 @@ const updateProfile = async (req, res) => {
     if (name) user.name = name;
     if (phone) user.phone = phone;
     if (address) user.address = address;
+    if (farmerDetails && user.role === 'farmer') {
+      // Merge so that fields not sent (and verification) are kept
+      Object.entries(farmerDetails).forEach(([key, value]) => {
+        user.set(`farmerDetails.${key}`, value);
+      });
+    }
     user.updatedAt = new Date();
 
+    const farmMoved = user.isModified('farmerDetails.farmCoordinates');
     await user.save();
 
+    // Products are found by their farm's location
+    if (farmMoved) {
+      await syncFarmLocation(user);
+    }
+
     res.json({
       success: true,
       data: {
@@ -278,7 +295,8 @@ const updateProfile = async (req, res) => {
         email: user.email,
         phone: user.phone,
         address: user.address,
-        role: user.role
+        role: user.role,
+        farmerDetails: user.farmerDetails
       }
     });
 
@@ -294,9 +312,57 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Upload profile avatar
+// @route   PUT /api/auth/profile/avatar
+// @access  Private
+const uploadAvatar = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    const previous = await replaceAvatar(user, req.files[0]);
+    user.updatedAt = new Date();
+    await user.save();
+
+    if (previous) {
+      await removeImageFiles([previous]);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        avatar: user.avatar,
+        avatarImage: user.avatarImage
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Upload avatar error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Server error while uploading avatar'
+      }
+    });
+  }
+};
+
 export {
   register,
   login,
   getProfile,
-  updateProfile
+  updateProfile,
+  uploadAvatar
 }; 
\ No newline at end of file
@@ -0,0 +1,75 @@
+import { importProducts, updateProducts, exportProducts } from '../services/bulkProductService.js';
+import { toLocalDate } from '../utils/localDate.js';
+import AppError from '../utils/AppError.js';
+
+const sendError = (res, error, log, message) => {
+  if (error instanceof AppError) {
+    return error.send(res);
+  }
+  console.error(`${log}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message
+    }
+  });
+};
+
+// @desc    Create products from a CSV or XLSX file
+// @route   POST /api/farmers/products/bulk
+// @access  Private (Farmer only)
+const importProductsBulk = async (req, res) => {
+  try {
+    const report = await importProducts(req.user.id, req.files[0], { dryRun: req.query.dryRun });
+
+    res.status(report.dryRun ? 200 : 201).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Bulk product import error', 'Error importing products');
+  }
+};
+
+// @desc    Update prices, stock and availability by SKU from a CSV or XLSX file
+// @route   PATCH /api/farmers/products/bulk
+// @access  Private (Farmer only)
+const updateProductsBulk = async (req, res) => {
+  try {
+    const report = await updateProducts(req.user.id, req.files[0], { dryRun: req.query.dryRun });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Bulk product update error', 'Error updating products');
+  }
+};
+
+// @desc    Download my catalog as CSV or XLSX, in the import format
+// @route   GET /api/farmers/products/export
+// @access  Private (Farmer only)
+const exportProductsFile = async (req, res) => {
+  try {
+    const file = await exportProducts(req.user.id, req.query.format);
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="products-${toLocalDate(new Date())}.${file.extension}"`
+    });
+    res.send(file.body);
+
+  } catch (error) {
+    sendError(res, error, 'Export products error', 'Error exporting products');
+  }
+};
+
+export {
+  importProductsBulk,
+  updateProductsBulk,
+  exportProductsFile
+};
@@ -1,15 +1,63 @@
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import Cart from '../models/Cart.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import Promotion from '../models/Promotion.js';
 import { validationResult } from 'express-validator';
+import { placeOrderFromCart } from '../services/orderService.js';
+import { transitionOrder } from '../services/orderStateMachine.js';
+import { requestReturn } from '../services/returnService.js';
+import { quoteCart } from '../services/deliveryService.js';
+import { listAvailableSlots, reserveSlot } from '../services/slotService.js';
+import { createPaymentForOrder, confirmPayment } from '../services/payments/paymentService.js';
+import { resolveVariant } from '../services/variantService.js';
+import { assertQuantity, priceLine, priceCart } from '../services/pricingService.js';
+import { evaluatePromotions, describeDiscounts } from '../services/promotionService.js';
+import AppError from '../utils/AppError.js';
+
+// Product fields shown with cart items
+const CART_PRODUCT_FIELDS = 'name price unit images farmer category stock variants discountPercentage minimumOrderQuantity quantityStep';
+
+// Price a cart at today's prices and work out the promotions it gets
+const priceCartWithPromotions = async (cart) => {
+  await cart.populate('items.product', CART_PRODUCT_FIELDS);
+  const pricing = priceCart(cart);
+  const promotions = await evaluatePromotions({
+    customerId: cart.customer,
+    items: pricing.items
+      .filter(item => item.subtotal !== undefined)
+      .map(item => ({
+        key: item._id.toString(),
+        category: item.product.category,
+        farmer: item.product.farmer,
+        subtotal: item.subtotal
+      })),
+    couponCode: cart.couponCode
+  });
+  return { pricing, promotions };
+};
+
+// Cart as returned to the customer: items at today's prices after product
+// discounts, each with its line totals, the promotions taken off and the
+// cart's totals. Nothing is saved; adding or updating an item stores its price.
+const toCartData = async (cart, priced) => {
+  const { pricing, promotions } = priced || await priceCartWithPromotions(cart);
+  return {
+    ...cart.toJSON(),
+    ...pricing,
+    discounts: describeDiscounts(promotions),
+    promotionDiscount: promotions.total,
+    total: Math.round((pricing.subtotal - promotions.total) * 100) / 100,
+    coupon: promotions.coupon
+  };
+};
 
 // @desc    Get customer's cart
 // @route   GET /api/customer/cart
 // @access  Private (Customer only)
 const getCart = async (req, res) => {
   try {
-    let cart = await Cart.findOne({ customer: req.user.id })
-      .populate('items.product', 'name price images farmer stock');
+    let cart = await Cart.findOne({ customer: req.user.id });
 
     if (!cart) {
       cart = new Cart({ customer: req.user.id, items: [] });
@@ -18,7 +66,7 @@ const getCart = async (req, res) => {
 
     res.json({
       success: true,
-      data: cart
+      data: await toCartData(cart)
     });
 
   } catch (error) {
@@ -50,7 +98,7 @@ const addToCart = async (req, res) => {
       });
     }
 
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
 
     // Check if product exists and is available
     const product = await Product.findById(productId);
@@ -64,13 +112,26 @@ const addToCart = async (req, res) => {
       });
     }
 
+    // Products with pack sizes are bought per variant
+    const variant = resolveVariant(product, variantId);
+    if (variant && !variant.isAvailable) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PRODUCT_NOT_AVAILABLE',
+          message: `${variant.label} is not available`
+        }
+      });
+    }
+
     // Check stock
-    if (product.stock < quantity) {
+    const stock = (variant || product).stock;
+    if (stock < quantity) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'INSUFFICIENT_STOCK',
-          message: `Only ${product.stock} items available`
+          message: `Only ${stock} items available`
         }
       });
     }
@@ -81,31 +142,41 @@ const addToCart = async (req, res) => {
     }
 
     // Check if item already in cart
-    const existingItemIndex = cart.items.findIndex(
-      item => item.product.toString() === productId
-    );
+    const existingItem = cart.findItem(productId, variantId);
+
+    // Minimum order quantity and step size apply to the line's new quantity
+    assertQuantity(product, (existingItem ? existingItem.quantity : 0) + quantity);
 
-    if (existingItemIndex > -1) {
+    if (existingItem) {
       // Update quantity
-      cart.items[existingItemIndex].quantity += quantity;
+      existingItem.quantity += quantity;
     } else {
       // Add new item
+      const { price, listPrice, discountPercentage } = priceLine(product, variant, quantity);
       cart.items.push({
         product: productId,
+        variant: variant ? variant._id : undefined,
+        sku: variant ? variant.sku : undefined,
         quantity,
-        price: product.price
+        price,
+        listPrice,
+        discountPercentage
       });
     }
 
+    // Store the lines at today's prices
+    const priced = await priceCartWithPromotions(cart);
     await cart.save();
-    await cart.populate('items.product', 'name price images farmer stock');
 
     res.json({
       success: true,
-      data: cart
+      data: await toCartData(cart, priced)
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
     console.error('Add to cart error:', error);
     res.status(500).json({
       success: false,
@@ -158,26 +229,34 @@ const updateCartItem = async (req, res) => {
 
     // Check stock
     const product = await Product.findById(item.product);
-    if (product.stock < quantity) {
+    const variant = product && product.getVariant(item.variant);
+    const stock = product ? (variant || product).stock : 0;
+    if (stock < quantity) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'INSUFFICIENT_STOCK',
-          message: `Only ${product.stock} items available`
+          message: `Only ${stock} items available`
         }
       });
     }
 
+    assertQuantity(product, quantity);
+
     item.quantity = quantity;
+    // Store the lines at today's prices
+    const priced = await priceCartWithPromotions(cart);
     await cart.save();
-    await cart.populate('items.product', 'name price images farmer stock');
 
     res.json({
       success: true,
-      data: cart
+      data: await toCartData(cart, priced)
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
     console.error('Update cart item error:', error);
     res.status(500).json({
       success: false,
@@ -207,11 +286,10 @@ const removeFromCart = async (req, res) => {
 
     cart.items.id(req.params.itemId).remove();
     await cart.save();
-    await cart.populate('items.product', 'name price images farmer stock');
 
     res.json({
       success: true,
-      data: cart
+      data: await toCartData(cart)
     });
 
   } catch (error) {
@@ -226,6 +304,169 @@ const removeFromCart = async (req, res) => {
   }
 };
 
+// @desc    Apply a coupon to the cart
+// @route   POST /api/customer/cart/coupon
+// @access  Private (Customer only)
+const applyCoupon = async (req, res) => {
+  try {
+    const code = req.body.code.toUpperCase();
+    if (!(await Promotion.exists({ kind: 'coupon', code }))) {
+      throw new AppError('COUPON_NOT_FOUND', `Coupon ${code} does not exist`, 404);
+    }
+
+    const cart = await Cart.findOne({ customer: req.user.id });
+    if (!cart || cart.items.length === 0) {
+      throw new AppError('EMPTY_CART', 'Add items to your cart before applying a coupon');
+    }
+
+    cart.couponCode = code;
+    const priced = await priceCartWithPromotions(cart);
+    if (priced.promotions.coupon.problem) {
+      throw new AppError('COUPON_NOT_APPLICABLE', priced.promotions.coupon.problem);
+    }
+    await Cart.updateOne({ _id: cart._id }, { $set: { couponCode: code } });
+
+    res.json({
+      success: true,
+      data: await toCartData(cart, priced)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Apply coupon error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error applying coupon'
+      }
+    });
+  }
+};
+
+// @desc    Remove the coupon from the cart
+// @route   DELETE /api/customer/cart/coupon
+// @access  Private (Customer only)
+const removeCoupon = async (req, res) => {
+  try {
+    let cart = await Cart.findOne({ customer: req.user.id });
+    if (cart) {
+      await Cart.updateOne({ _id: cart._id }, { $unset: { couponCode: 1 } });
+    } else {
+      cart = new Cart({ customer: req.user.id, items: [] });
+    }
+    cart.couponCode = undefined;
+
+    res.json({
+      success: true,
+      data: await toCartData(cart)
+    });
+
+  } catch (error) {
+    console.error('Remove coupon error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error removing coupon'
+      }
+    });
+  }
+};
+
+// @desc    Quote delivery charges for the cart
+// @route   POST /api/customer/cart/delivery-quote
+// @access  Private (Customer only)
+const getDeliveryQuote = async (req, res) => {
+  try {
+    const quote = await quoteCart(req.user.id, req.body.deliveryAddress);
+
+    res.json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Delivery quote error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error quoting delivery'
+      }
+    });
+  }
+};
+
+// @desc    Get delivery slots available for my cart
+// @route   GET /api/customer/delivery-slots
+// @access  Private (Customer only)
+const getDeliverySlots = async (req, res) => {
+  try {
+    const slots = await listAvailableSlots({
+      customerId: req.user.id,
+      pincode: req.query.pincode,
+      days: req.query.days
+    });
+
+    res.json({
+      success: true,
+      data: slots
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Get delivery slots error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error fetching delivery slots'
+      }
+    });
+  }
+};
+
+// @desc    Hold a delivery slot while checking out
+// @route   POST /api/customer/delivery-slots/:id/reserve
+// @access  Private (Customer only)
+const reserveDeliverySlot = async (req, res) => {
+  try {
+    const reservation = await reserveSlot({
+      slotId: req.params.id,
+      date: req.body.date,
+      customerId: req.user.id,
+      pincode: req.body.pincode
+    });
+
+    res.status(201).json({
+      success: true,
+      data: reservation,
+      message: 'Delivery slot held; place your order before it expires'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Reserve delivery slot error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error reserving delivery slot'
+      }
+    });
+  }
+};
+
 // @desc    Get customer's orders
 // @route   GET /api/customer/orders
 // @access  Private (Customer only)
@@ -286,106 +527,64 @@ const placeOrder = async (req, res) => {
       });
     }
 
-    const { deliveryAddress } = req.body;
-
-    // Get customer's cart
-    const cart = await Cart.findOne({ customer: req.user.id })
-      .populate('items.product');
-
-    if (!cart || cart.items.length === 0) {
+    const {
+      deliveryAddress,
+      paymentMethod,
+      walletAmount,
+      instructions,
+      expectedDeliveryDate,
+      slotReservationId,
+      paymentDetails
+    } = req.body;
+
+    const idempotencyKey = req.header('Idempotency-Key');
+    if (idempotencyKey !== undefined && (idempotencyKey.length === 0 || idempotencyKey.length > 255)) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'EMPTY_CART',
-          message: 'Cart is empty'
+          code: 'INVALID_IDEMPOTENCY_KEY',
+          message: 'Idempotency-Key must be between 1 and 255 characters'
         }
       });
     }
 
-    // Prepare order items
-    let subtotal = 0;
-    const orderItems = [];
-
-    for (const cartItem of cart.items) {
-      const product = cartItem.product;
-      
-      // Check availability and stock
-      if (!product.isAvailable || !product.isApproved) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: 'PRODUCT_UNAVAILABLE',
-            message: `Product ${product.name} is no longer available`
-          }
-        });
-      }
-
-      if (product.stock < cartItem.quantity) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: 'INSUFFICIENT_STOCK',
-            message: `Insufficient stock for ${product.name}`
-          }
-        });
-      }
-
-      const itemTotal = product.price * cartItem.quantity;
-      subtotal += itemTotal;
-
-      orderItems.push({
-        product: product._id,
-        farmer: product.farmer,
-        productName: product.name,
-        price: product.price,
-        quantity: cartItem.quantity,
-        unit: product.unit,
-        subtotal: itemTotal
-      });
-    }
-
-    // Calculate totals (simplified)
-    const deliveryCharges = 50;
-    const taxes = subtotal * 0.05; // 5% tax
-    const total = subtotal + deliveryCharges + taxes;
-
-    // Create order
-    const order = new Order({
-      customer: req.user.id,
-      items: orderItems,
-      subtotal,
-      deliveryCharges,
-      taxes,
-      total,
+    const { order, replayed } = await placeOrderFromCart({
+      customerId: req.user.id,
       deliveryAddress,
-      status: 'pending',
-      statusHistory: [{
-        status: 'pending',
-        timestamp: new Date(),
-        note: 'Order placed'
-      }]
+      paymentMethod,
+      walletAmount,
+      instructions,
+      expectedDeliveryDate,
+      slotReservationId,
+      idempotencyKey
     });
 
-    await order.save();
-
-    // Update product stock
-    for (const cartItem of cart.items) {
-      await Product.findByIdAndUpdate(
-        cartItem.product._id,
-        { $inc: { stock: -cartItem.quantity } }
-      );
+    if (replayed) {
+      res.set('Idempotent-Replayed', 'true');
     }
 
-    // Clear cart
-    cart.items = [];
-    await cart.save();
+    // Online payments get an intent the client completes with the provider.
+    // The order stands even if this fails; the client can retry via
+    // POST /api/customers/orders/:id/payment.
+    let payment = null;
+    if (order.paymentMethod !== 'cod' && order.paymentStatus === 'pending') {
+      try {
+        const { payment: intent, clientSecret } = await createPaymentForOrder(order, paymentDetails);
+        payment = { intentId: intent.intentId, provider: intent.provider, status: intent.status, clientSecret };
+      } catch (paymentError) {
+        console.error('Create payment intent error:', paymentError);
+      }
+    }
 
-    res.status(201).json({
+    res.status(replayed ? 200 : 201).json({
       success: true,
-      data: order
+      data: { ...order.toJSON(), payment }
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
     console.error('Place order error:', error);
     res.status(500).json({
       success: false,
@@ -425,48 +624,224 @@ const cancelOrder = async (req, res) => {
       });
     }
 
-    // Check if order can be cancelled
-    if (!['pending', 'accepted'].includes(order.status)) {
-      return res.status(400).json({
+    const cancelledOrder = await transitionOrder(order._id, 'cancelled', {
+      actor: { id: req.user.id, role: 'customer' },
+      note: 'Cancelled by customer',
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      data: cancelledOrder
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error cancelling order'
+      }
+    });
+  }
+};
+
+// @desc    Create (or reuse) a payment intent for an order
+// @route   POST /api/customer/orders/:id/payment
+// @access  Private (Customer only)
+const createOrderPayment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
         success: false,
         error: {
-          code: 'CANNOT_CANCEL',
-          message: 'Order cannot be cancelled at this stage'
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
         }
       });
     }
 
-    // Update order status
-    order.status = 'cancelled';
-    order.statusHistory.push({
-      status: 'cancelled',
-      timestamp: new Date(),
-      note: 'Cancelled by customer',
-      updatedBy: req.user.id
+    // Check if customer owns this order
+    if (order.customer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'You can only pay for your own orders'
+        }
+      });
+    }
+
+    const { payment, clientSecret } = await createPaymentForOrder(order, req.body.paymentDetails);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        intentId: payment.intentId,
+        provider: payment.provider,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        clientSecret
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Create order payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error creating payment'
+      }
+    });
+  }
+};
+
+// @desc    Confirm a payment completed with the provider
+// @route   POST /api/customer/orders/:id/payment/confirm
+// @access  Private (Customer only)
+const confirmOrderPayment = async (req, res) => {
+  try {
+    const { intentId, signature } = req.body;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
+
+    // Check if customer owns this order
+    if (order.customer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'You can only pay for your own orders'
+        }
+      });
+    }
+
+    const payment = await confirmPayment(order, intentId, signature);
+
+    res.json({
+      success: true,
+      data: {
+        intentId: payment.intentId,
+        status: payment.status,
+        capturedAt: payment.capturedAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Confirm order payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error confirming payment'
+      }
+    });
+  }
+};
+
+// @desc    Request a return for a delivered order
+// @route   POST /api/customer/orders/:id/return
+// @access  Private (Customer only)
+const requestOrderReturn = async (req, res) => {
+  try {
+    const { reason, items, refundMethod, bankDetails } = req.body;
+
+    const returns = await requestReturn({
+      orderId: req.params.id,
+      customerId: req.user.id,
+      reason,
+      items,
+      refundMethod,
+      bankDetails
+    });
+
+    res.status(201).json({
+      success: true,
+      data: returns
     });
 
-    await order.save();
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Request return error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error requesting return'
+      }
+    });
+  }
+};
+
+// @desc    Get customer's return requests
+// @route   GET /api/customer/returns
+// @access  Private (Customer only)
+const getMyReturns = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
 
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { stock: item.quantity } }
-      );
+    const filter = { customer: req.user.id };
+    if (status) {
+      filter.status = status;
     }
 
+    const returns = await ReturnRequest.find(filter)
+      .populate('order', 'orderNumber')
+      .populate('farmer', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await ReturnRequest.countDocuments(filter);
+
     res.json({
       success: true,
-      data: order
+      data: {
+        returns,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalReturns: total
+        }
+      }
     });
 
   } catch (error) {
-    console.error('Cancel order error:', error);
+    console.error('Get my returns error:', error);
     res.status(500).json({
       success: false,
       error: {
         code: 'SERVER_ERROR',
-        message: 'Error cancelling order'
+        message: 'Error fetching your returns'
       }
     });
   }
@@ -477,7 +852,16 @@ export {
   addToCart,
   updateCartItem,
   removeFromCart,
+  applyCoupon,
+  removeCoupon,
+  getDeliveryQuote,
+  getDeliverySlots,
+  reserveDeliverySlot,
   getMyOrders,
   placeOrder,
-  cancelOrder
+  cancelOrder,
+  createOrderPayment,
+  confirmOrderPayment,
+  requestOrderReturn,
+  getMyReturns
 }; 
\ No newline at end of file
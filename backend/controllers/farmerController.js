@@ -1,6 +1,21 @@
 import Product from '../models/Product.js';
 import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import DeliverySlot from '../models/DeliverySlot.js';
 import { validationResult } from 'express-validator';
+import { transitionOrder } from '../services/orderStateMachine.js';
+import { transitionReturn } from '../services/returnService.js';
+import { saveSlot } from '../services/slotService.js';
+import { applyPreOrderSettings } from '../services/preorderService.js';
+import { applyVariants } from '../services/variantService.js';
+import { getFarmLocation } from '../services/geoService.js';
+import {
+  addProductImages,
+  detachProductImage,
+  detachUnlistedImages,
+  removeImageFiles
+} from '../services/imageService.js';
+import AppError from '../utils/AppError.js';
 
 // @desc    Get farmer's products
 // @route   GET /api/farmer/products
@@ -69,7 +84,20 @@ const createProduct = async (req, res) => {
       stock,
       images,
       isOrganic,
-      tags
+      hsnCode,
+      tags,
+      harvestDate,
+      expiryDate,
+      qualityGrade,
+      availableLocations,
+      deliveryRadius,
+      minimumOrderQuantity,
+      quantityStep,
+      discountPercentage,
+      specialInstructions,
+      seasonalAvailability,
+      preorder,
+      variants
     } = req.body;
 
     const product = new Product({
@@ -82,10 +110,24 @@ const createProduct = async (req, res) => {
       farmer: req.user.id,
       images: images || [],
       isOrganic: isOrganic || false,
+      hsnCode,
       tags: tags || [],
+      harvestDate,
+      expiryDate,
+      qualityGrade,
+      availableLocations: availableLocations || [],
+      deliveryRadius,
+      minimumOrderQuantity: minimumOrderQuantity || 1,
+      quantityStep: quantityStep || 1,
+      discountPercentage: discountPercentage || 0,
+      specialInstructions,
+      seasonalAvailability: seasonalAvailability || [],
       isAvailable: true,
-      isApproved: false // Admin needs to approve
+      isApproved: false, // Admin needs to approve
+      location: await getFarmLocation(req.user.id)
     });
+    applyVariants(product, variants);
+    applyPreOrderSettings(product, preorder);
 
     await product.save();
 
@@ -95,6 +137,18 @@ const createProduct = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_SKU',
+          message: 'One of these SKUs is already used by another product'
+        }
+      });
+    }
     console.error('Create product error:', error);
     res.status(500).json({
       success: false,
@@ -144,7 +198,20 @@ const updateProduct = async (req, res) => {
       images,
       isOrganic,
       tags,
-      isAvailable
+      isAvailable,
+      hsnCode,
+      harvestDate,
+      expiryDate,
+      qualityGrade,
+      availableLocations,
+      deliveryRadius,
+      minimumOrderQuantity,
+      quantityStep,
+      discountPercentage,
+      specialInstructions,
+      seasonalAvailability,
+      preorder,
+      variants
     } = req.body;
 
     // Update fields
@@ -158,9 +225,26 @@ const updateProduct = async (req, res) => {
     if (isOrganic !== undefined) product.isOrganic = isOrganic;
     if (tags) product.tags = tags;
     if (isAvailable !== undefined) product.isAvailable = isAvailable;
+    if (hsnCode) product.hsnCode = hsnCode;
+    if (harvestDate) product.harvestDate = harvestDate;
+    if (expiryDate) product.expiryDate = expiryDate;
+    if (qualityGrade) product.qualityGrade = qualityGrade;
+    if (availableLocations) product.availableLocations = availableLocations;
+    if (deliveryRadius !== undefined) product.deliveryRadius = deliveryRadius;
+    if (minimumOrderQuantity !== undefined) product.minimumOrderQuantity = minimumOrderQuantity;
+    if (quantityStep !== undefined) product.quantityStep = quantityStep;
+    if (discountPercentage !== undefined) product.discountPercentage = discountPercentage;
+    if (specialInstructions !== undefined) product.specialInstructions = specialInstructions;
+    if (seasonalAvailability) product.seasonalAvailability = seasonalAvailability;
+    applyVariants(product, variants);
+    applyPreOrderSettings(product, preorder);
     product.updatedAt = new Date();
 
+    // Uploaded images left out of a replaced images list are deleted
+    const dropped = images ? detachUnlistedImages(product) : [];
+
     await product.save();
+    await removeImageFiles(dropped);
 
     res.json({
       success: true,
@@ -168,6 +252,18 @@ const updateProduct = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_SKU',
+          message: 'One of these SKUs is already used by another product'
+        }
+      });
+    }
     console.error('Update product error:', error);
     res.status(500).json({
       success: false,
@@ -208,6 +304,7 @@ const deleteProduct = async (req, res) => {
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    await removeImageFiles(product.imageFiles);
 
     res.json({
       success: true,
@@ -226,6 +323,124 @@ const deleteProduct = async (req, res) => {
   }
 };
 
+// @desc    Upload images for my product
+// @route   POST /api/farmer/products/:id/images
+// @access  Private (Farmer only)
+const uploadProductImages = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PRODUCT_NOT_FOUND',
+          message: 'Product not found'
+        }
+      });
+    }
+
+    // Check if farmer owns this product
+    if (product.farmer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'You can only update your own products'
+        }
+      });
+    }
+
+    const uploaded = await addProductImages(product, req.files);
+    product.updatedAt = new Date();
+
+    try {
+      await product.save();
+    } catch (error) {
+      await removeImageFiles(uploaded);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        uploaded,
+        images: product.images,
+        imageFiles: product.imageFiles
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Upload product images error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error uploading product images'
+      }
+    });
+  }
+};
+
+// @desc    Delete an uploaded image of my product
+// @route   DELETE /api/farmer/products/:id/images/:imageId
+// @access  Private (Farmer only)
+const deleteProductImage = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PRODUCT_NOT_FOUND',
+          message: 'Product not found'
+        }
+      });
+    }
+
+    // Check if farmer owns this product
+    if (product.farmer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'You can only update your own products'
+        }
+      });
+    }
+
+    const image = detachProductImage(product, req.params.imageId);
+    product.updatedAt = new Date();
+    await product.save();
+    await removeImageFiles([image]);
+
+    res.json({
+      success: true,
+      data: {
+        images: product.images,
+        imageFiles: product.imageFiles
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Delete product image error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error deleting product image'
+      }
+    });
+  }
+};
+
 // @desc    Get orders for farmer's products
 // @route   GET /api/farmer/orders
 // @access  Private (Farmer only)
@@ -236,11 +451,12 @@ const getMyOrders = async (req, res) => {
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Build filter
-    let filter = { 'items.farmer': req.user.id };
+    // Build filter on this farmer's fulfillment
+    const fulfillmentFilter = { farmer: req.user.id };
     if (status) {
-      filter.status = status;
+      fulfillmentFilter.status = status;
     }
+    const filter = { fulfillments: { $elemMatch: fulfillmentFilter } };
 
     const orders = await Order.find(filter)
       .populate('customer', 'name email phone')
@@ -251,10 +467,24 @@ const getMyOrders = async (req, res) => {
 
     const total = await Order.countDocuments(filter);
 
+    // Show each farmer only their own items and fulfillment
+    const myOrders = orders.map(order => ({
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      customer: order.customer,
+      deliveryAddress: order.deliveryAddress,
+      paymentMethod: order.paymentMethod,
+      paymentStatus: order.paymentStatus,
+      instructions: order.instructions,
+      items: order.items.filter(item => item.farmer.toString() === req.user.id),
+      fulfillment: order.getFulfillment(req.user.id),
+      createdAt: order.createdAt
+    }));
+
     res.json({
       success: true,
       data: {
-        orders,
+        orders: myOrders,
         pagination: {
           currentPage: pageNum,
           totalPages: Math.ceil(total / limitNum),
@@ -280,18 +510,14 @@ const getMyOrders = async (req, res) => {
 // @access  Private (Farmer only)
 const updateOrderStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['accepted', 'processing', 'shipped', 'delivered'];
-
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_STATUS',
-          message: 'Invalid order status'
-        }
-      });
-    }
+    const {
+      status,
+      note,
+      trackingId,
+      deliveryPartner,
+      expectedDeliveryDate,
+      packedWeights
+    } = req.body;
 
     const order = await Order.findById(req.params.id);
 
@@ -305,12 +531,8 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Check if this order contains farmer's products
-    const hasMyProducts = order.items.some(item => 
-      item.farmer.toString() === req.user.id
-    );
-
-    if (!hasMyProducts) {
+    // Check if this order has a fulfillment for this farmer
+    if (!order.getFulfillment(req.user.id)) {
       return res.status(403).json({
         success: false,
         error: {
@@ -320,23 +542,33 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Update status
-    order.status = status;
-    order.statusHistory.push({
-      status,
-      timestamp: new Date(),
-      note: `Updated by farmer`,
-      updatedBy: req.user.id
+    const updatedOrder = await transitionOrder(order._id, status, {
+      actor: { id: req.user.id, role: req.user.role },
+      farmer: req.user.id,
+      note: note || 'Updated by farmer',
+      reason: status === 'rejected' ? note : undefined,
+      trackingId,
+      deliveryPartner,
+      expectedDeliveryDate,
+      packedWeights
     });
 
-    await order.save();
-
     res.json({
       success: true,
-      data: order
+      data: {
+        _id: updatedOrder._id,
+        orderNumber: updatedOrder.orderNumber,
+        status: updatedOrder.status,
+        items: updatedOrder.items.filter(item => item.farmer.toString() === req.user.id),
+        fulfillment: updatedOrder.getFulfillment(req.user.id),
+        weightAdjustment: updatedOrder.weightAdjustment
+      }
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
     console.error('Update order status error:', error);
     res.status(500).json({
       success: false,
@@ -363,23 +595,20 @@ const getAnalytics = async (req, res) => {
     });
 
     // Get total orders
-    const totalOrders = await Order.countDocuments({ 'items.farmer': req.user.id });
+    const totalOrders = await Order.countDocuments({ 'fulfillments.farmer': req.user.id });
 
     // Get pending orders
-    const pendingOrders = await Order.countDocuments({ 
-      'items.farmer': req.user.id, 
-      status: 'pending' 
+    const pendingOrders = await Order.countDocuments({
+      fulfillments: { $elemMatch: { farmer: req.user.id, status: 'pending' } }
     });
 
-    // Calculate total earnings (simplified)
-    const orders = await Order.find({ 'items.farmer': req.user.id, status: 'delivered' });
+    // Calculate total earnings from delivered fulfillments (simplified)
+    const orders = await Order.find({
+      fulfillments: { $elemMatch: { farmer: req.user.id, status: 'delivered' } }
+    });
     let totalEarnings = 0;
     orders.forEach(order => {
-      order.items.forEach(item => {
-        if (item.farmer.toString() === req.user.id) {
-          totalEarnings += item.subtotal;
-        }
-      });
+      totalEarnings += order.getFulfillment(req.user.id).subtotal;
     });
 
     res.json({
@@ -405,12 +634,237 @@ const getAnalytics = async (req, res) => {
   }
 };
 
+// @desc    Get return requests for farmer's products
+// @route   GET /api/farmer/returns
+// @access  Private (Farmer only)
+const getReturns = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = { farmer: req.user.id };
+    if (status) {
+      filter.status = status;
+    }
+
+    const returns = await ReturnRequest.find(filter)
+      .populate('order', 'orderNumber')
+      .populate('customer', 'name email phone')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await ReturnRequest.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        returns,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalReturns: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error fetching returns'
+      }
+    });
+  }
+};
+
+// @desc    Review return request
+// @route   PUT /api/farmer/returns/:id/status
+// @access  Private (Farmer only)
+const updateReturnStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const returnRequest = await transitionReturn(req.params.id, status, {
+      actor: { id: req.user.id, role: req.user.role },
+      farmer: req.user.id,
+      note
+    });
+
+    res.json({
+      success: true,
+      data: returnRequest
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Update return status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error updating return status'
+      }
+    });
+  }
+};
+
+// @desc    Get my delivery slots
+// @route   GET /api/farmers/delivery-slots
+// @access  Private (Farmer only)
+const getMySlots = async (req, res) => {
+  try {
+    const slots = await DeliverySlot.find({ farmer: req.user.id })
+      .sort({ isActive: -1, dayOfWeek: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      data: slots
+    });
+
+  } catch (error) {
+    console.error('Get slots error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error fetching delivery slots'
+      }
+    });
+  }
+};
+
+// @desc    Create a delivery slot
+// @route   POST /api/farmers/delivery-slots
+// @access  Private (Farmer only)
+const createSlot = async (req, res) => {
+  try {
+    const slot = await saveSlot(
+      new DeliverySlot({ farmer: req.user.id, createdBy: req.user.id }),
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      data: slot,
+      message: 'Delivery slot created successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Create slot error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error creating delivery slot'
+      }
+    });
+  }
+};
+
+// @desc    Update my delivery slot
+// @route   PUT /api/farmers/delivery-slots/:id
+// @access  Private (Farmer only)
+const updateSlot = async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findOne({ _id: req.params.id, farmer: req.user.id });
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SLOT_NOT_FOUND',
+          message: 'Delivery slot not found or you do not have permission to update it'
+        }
+      });
+    }
+
+    // Farmer slots never become hub slots
+    const { hub, ...updates } = req.body;
+    await saveSlot(slot, updates);
+
+    res.json({
+      success: true,
+      data: slot,
+      message: 'Delivery slot updated successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Update slot error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error updating delivery slot'
+      }
+    });
+  }
+};
+
+// @desc    Deactivate my delivery slot (existing bookings are kept)
+// @route   DELETE /api/farmers/delivery-slots/:id
+// @access  Private (Farmer only)
+const deleteSlot = async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findOneAndUpdate(
+      { _id: req.params.id, farmer: req.user.id },
+      { isActive: false, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SLOT_NOT_FOUND',
+          message: 'Delivery slot not found or you do not have permission to delete it'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery slot deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete slot error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error deleting delivery slot'
+      }
+    });
+  }
+};
+
 export {
   getMyProducts,
   createProduct,
   updateProduct,
   deleteProduct,
+  uploadProductImages,
+  deleteProductImage,
   getMyOrders,
   updateOrderStatus,
-  getAnalytics
+  getAnalytics,
+  getReturns,
+  updateReturnStatus,
+  getMySlots,
+  createSlot,
+  updateSlot,
+  deleteSlot
 }; 
\ No newline at end of file
@@ -0,0 +1,121 @@
+import Notification from '../models/Notification.js';
+
+// @desc    Get my notifications
+// @route   GET /api/notifications
+// @access  Private
+const getMyNotifications = async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = { user: req.user.id };
+    if (unread === 'true') {
+      filter.readAt = { $exists: false };
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, readAt: { $exists: false } });
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalNotifications: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error fetching notifications'
+      }
+    });
+  }
+};
+
+// @desc    Mark a notification read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOTIFICATION_NOT_FOUND',
+          message: 'Notification not found'
+        }
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error updating notification'
+      }
+    });
+  }
+};
+
+// @desc    Mark all my notifications read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, readAt: { $exists: false } },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      data: { updated: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error updating notifications'
+      }
+    });
+  }
+};
+
+export {
+  getMyNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -0,0 +1,33 @@
+import { handleWebhook } from '../services/payments/paymentService.js';
+import AppError from '../utils/AppError.js';
+
+// @desc    Receive payment provider webhook
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signature verified)
+const handlePaymentWebhook = async (req, res) => {
+  try {
+    const result = await handleWebhook(req.params.provider, req.rawBody || Buffer.from(''), req.headers);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error processing payment webhook'
+      }
+    });
+  }
+};
+
+export {
+  handlePaymentWebhook
+};
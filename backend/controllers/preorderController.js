@@ -0,0 +1,232 @@
+import PreOrder from '../models/PreOrder.js';
+import { createPreOrder, cancelPreOrder, markHarvested } from '../services/preorderService.js';
+import { createDepositPayment, confirmPayment } from '../services/payments/paymentService.js';
+import AppError from '../utils/AppError.js';
+
+// Load a pre-order owned by the signed-in customer
+const findOwnPreOrder = async (req) => {
+  const preorder = await PreOrder.findOne({ _id: req.params.id, customer: req.user.id });
+  if (!preorder) {
+    throw new AppError('PREORDER_NOT_FOUND', 'Pre-order not found', 404);
+  }
+  return preorder;
+};
+
+const sendError = (res, error, log, message) => {
+  if (error instanceof AppError) {
+    return error.send(res);
+  }
+  console.error(`${log}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message
+    }
+  });
+};
+
+const paginate = (query) => {
+  const pageNum = parseInt(query.page || 1);
+  const limitNum = parseInt(query.limit || 20);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+// @desc    Pre-order a product against its upcoming harvest
+// @route   POST /api/customers/preorders
+// @access  Private (Customer only)
+const createMyPreOrder = async (req, res) => {
+  try {
+    const preorder = await createPreOrder(req.user.id, req.body);
+
+    // Deposits get an intent the client completes with the provider.
+    // The pre-order stands even if this fails; the client can retry via
+    // POST /api/customers/preorders/:id/payment.
+    let payment = null;
+    if (preorder.depositStatus === 'pending') {
+      try {
+        const { payment: intent, clientSecret } = await createDepositPayment(preorder, req.body.paymentDetails);
+        payment = { intentId: intent.intentId, provider: intent.provider, status: intent.status, clientSecret };
+      } catch (paymentError) {
+        console.error('Create deposit intent error:', paymentError);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { ...preorder.toJSON(), payment }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Create pre-order error', 'Error creating pre-order');
+  }
+};
+
+// @desc    Get my pre-orders
+// @route   GET /api/customers/preorders
+// @access  Private (Customer only)
+const getMyPreOrders = async (req, res) => {
+  try {
+    const { pageNum, limitNum, skip } = paginate(req.query);
+
+    const filter = { customer: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const preorders = await PreOrder.find(filter)
+      .populate('product', 'name unit images harvestDate')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await PreOrder.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: preorders,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Get pre-orders error', 'Error fetching pre-orders');
+  }
+};
+
+// @desc    Create (or reuse) a payment intent for a pre-order's deposit
+// @route   POST /api/customers/preorders/:id/payment
+// @access  Private (Customer only)
+const createPreOrderPayment = async (req, res) => {
+  try {
+    const preorder = await findOwnPreOrder(req);
+    const { payment, clientSecret } = await createDepositPayment(preorder, req.body.paymentDetails);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        intentId: payment.intentId,
+        provider: payment.provider,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        clientSecret
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Create deposit payment error', 'Error creating payment');
+  }
+};
+
+// @desc    Confirm a deposit payment completed with the provider
+// @route   POST /api/customers/preorders/:id/payment/confirm
+// @access  Private (Customer only)
+const confirmPreOrderPayment = async (req, res) => {
+  try {
+    const { intentId, signature } = req.body;
+
+    const payment = await confirmPayment(await findOwnPreOrder(req), intentId, signature);
+
+    res.json({
+      success: true,
+      data: {
+        intentId: payment.intentId,
+        status: payment.status,
+        capturedAt: payment.capturedAt
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Confirm deposit payment error', 'Error confirming payment');
+  }
+};
+
+// @desc    Cancel a pre-order before harvest
+// @route   PUT /api/customers/preorders/:id/cancel
+// @access  Private (Customer only)
+const cancelMyPreOrder = async (req, res) => {
+  try {
+    const preorder = await cancelPreOrder(await findOwnPreOrder(req), req.body.reason || 'Cancelled by customer');
+
+    res.json({
+      success: true,
+      data: preorder
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Cancel pre-order error', 'Error cancelling pre-order');
+  }
+};
+
+// @desc    Get pre-orders for the farmer's products
+// @route   GET /api/farmers/preorders
+// @access  Private (Farmer only)
+const getFarmerPreOrders = async (req, res) => {
+  try {
+    const { pageNum, limitNum, skip } = paginate(req.query);
+
+    const filter = { farmer: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.product) {
+      filter.product = req.query.product;
+    }
+
+    const preorders = await PreOrder.find(filter)
+      .select('-paymentId')
+      .populate('customer', 'name phone')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await PreOrder.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: preorders,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Get farmer pre-orders error', 'Error fetching pre-orders');
+  }
+};
+
+// @desc    Mark a product's harvest done and convert its pre-orders into orders
+// @route   POST /api/farmers/products/:id/harvest
+// @access  Private (Farmer only)
+const harvestProduct = async (req, res) => {
+  try {
+    const result = await markHarvested(req.params.id, req.user.id, req.body.quantity);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.converted.length} pre-orders converted, ${result.cancelled.length} cancelled, ${result.failed.length} failed`
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Harvest product error', 'Error marking harvest');
+  }
+};
+
+export {
+  createMyPreOrder,
+  getMyPreOrders,
+  createPreOrderPayment,
+  confirmPreOrderPayment,
+  cancelMyPreOrder,
+  getFarmerPreOrders,
+  harvestProduct
+};
@@ -0,0 +1,159 @@
+import Product from '../models/Product.js';
+import PriceHistory from '../models/PriceHistory.js';
+import PriceSchedule from '../models/PriceSchedule.js';
+import { createPriceSchedule, cancelPriceSchedule } from '../services/priceScheduleService.js';
+import AppError from '../utils/AppError.js';
+
+// Load a product owned by the signed-in farmer
+const findOwnProduct = async (req) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    throw new AppError('PRODUCT_NOT_FOUND', 'Product not found', 404);
+  }
+  if (product.farmer.toString() !== req.user.id) {
+    throw new AppError('UNAUTHORIZED', 'You can only manage prices of your own products', 403);
+  }
+  return product;
+};
+
+const sendError = (res, error, log, message) => {
+  if (error instanceof AppError) {
+    return error.send(res);
+  }
+  console.error(`${log}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message
+    }
+  });
+};
+
+const paginate = (query) => {
+  const pageNum = parseInt(query.page || 1);
+  const limitNum = parseInt(query.limit || 20);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+// @desc    Get my product's price history, newest first
+// @route   GET /api/farmers/products/:id/price-history
+// @access  Private (Farmer only)
+const getPriceHistory = async (req, res) => {
+  try {
+    const product = await findOwnProduct(req);
+    const { pageNum, limitNum, skip } = paginate(req.query);
+
+    const filter = { product: product._id };
+    if (req.query.variantId) {
+      filter.variant = req.query.variantId;
+    }
+
+    const [entries, total] = await Promise.all([
+      PriceHistory.find(filter)
+        .populate('schedule', 'label startsAt endsAt')
+        .sort({ changedAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      PriceHistory.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Get price history error', 'Error fetching price history');
+  }
+};
+
+// @desc    Get my product's scheduled price changes, latest start first
+// @route   GET /api/farmers/products/:id/price-schedules
+// @access  Private (Farmer only)
+const getPriceSchedules = async (req, res) => {
+  try {
+    const product = await findOwnProduct(req);
+    const { pageNum, limitNum, skip } = paginate(req.query);
+
+    const filter = { product: product._id };
+    const [schedules, total] = await Promise.all([
+      PriceSchedule.find(filter)
+        .select('-lockedUntil')
+        .sort({ startsAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      PriceSchedule.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: schedules,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Get price schedules error', 'Error fetching price schedules');
+  }
+};
+
+// @desc    Schedule a price change for my product
+// @route   POST /api/farmers/products/:id/price-schedules
+// @access  Private (Farmer only)
+const schedulePriceChange = async (req, res) => {
+  try {
+    const product = await findOwnProduct(req);
+    const schedule = await createPriceSchedule(product, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Price change scheduled',
+      data: schedule
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Schedule price change error', 'Error scheduling price change');
+  }
+};
+
+// @desc    Cancel a scheduled price change; a sale in progress ends now
+// @route   DELETE /api/farmers/products/:id/price-schedules/:scheduleId
+// @access  Private (Farmer only)
+const cancelPriceChange = async (req, res) => {
+  try {
+    const product = await findOwnProduct(req);
+    const schedule = await PriceSchedule.findOne({ _id: req.params.scheduleId, product: product._id });
+    if (!schedule) {
+      throw new AppError('PRICE_SCHEDULE_NOT_FOUND', 'Price change not found', 404);
+    }
+
+    await cancelPriceSchedule(schedule);
+
+    res.json({
+      success: true,
+      message: 'Price change cancelled',
+      data: schedule
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Cancel price change error', 'Error cancelling price change');
+  }
+};
+
+export {
+  getPriceHistory,
+  getPriceSchedules,
+  schedulePriceChange,
+  cancelPriceChange
+};
@@ -1,69 +1,116 @@
 import Product from '../models/Product.js';
+import { searchCatalog } from '../services/searchService.js';
+import { buildFacetConditions, getProductFacets } from '../services/facetService.js';
+import {
+  resolveCoordinates,
+  deliversTo,
+  findProductsNear,
+  addDistances,
+  findFarmersNear
+} from '../services/geoService.js';
+import { getPriceTrend } from '../services/priceHistoryService.js';
+import { withPricing } from '../services/pricingService.js';
+import AppError from '../utils/AppError.js';
+import { escapeRegex } from '../utils/text.js';
 
 // @desc    Get all products (public)
 // @route   GET /api/products
 // @access  Public
 const getProducts = async (req, res) => {
   try {
+    const { search, location, lat, lng, pincode } = req.query;
+
+    // Customer's location, from coordinates or pincode
+    const coordinates = await resolveCoordinates({ lat, lng, pincode });
+
     const {
-      category,
-      location,
-      price_min,
-      price_max,
-      search,
-      sort_by = 'createdAt',
-      order = 'desc',
+      sort_by = search ? 'relevance' : (coordinates ? 'distance' : 'createdAt'),
+      order = sort_by === 'distance' ? 'asc' : 'desc',
       page = 1,
       limit = 20
     } = req.query;
 
-    // Build filter object
-    const filter = { isApproved: true, isAvailable: true };
+    // Build filter object: listed products, only those that deliver to the
+    // customer's location when one is given
+    const listed = {
+      isApproved: true,
+      isAvailable: true,
+      ...(coordinates && deliversTo(coordinates))
+    };
 
-    // Category filter
-    if (category) {
-      filter.category = category;
+    // Area names the farmer listed the product for
+    if (location) {
+      listed.availableLocations = new RegExp(`^${escapeRegex(location)}$`, 'i');
     }
 
-    // Price range filter
-    if (price_min || price_max) {
-      filter.price = {};
-      if (price_min) filter.price.$gte = parseFloat(price_min);
-      if (price_max) filter.price.$lte = parseFloat(price_max);
-    }
+    // Narrowed by category, price, organic, stock, quality grade and farmer
+    const conditions = buildFacetConditions(req.query);
+    const filter = Object.keys(conditions).length > 0
+      ? { ...listed, $and: Object.values(conditions) }
+      : listed;
 
-    // Search filter
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    // Build sort object
+    // Build sort object; unitPrice compares packs of different sizes.
+    // Searches are ranked by relevance unless another sort is asked for.
     const sortOrder = order === 'asc' ? 1 : -1;
-    const sort = { [sort_by]: sortOrder };
+    const sortField = sort_by === 'relevance' && !search ? 'createdAt' : sort_by;
+    const sort = sortField === 'relevance' ? null : { [sortField]: sortOrder, _id: 1 };
 
     // Calculate pagination
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Execute query
-    const products = await Product.find(filter)
-      .populate('farmer', 'name email address')
-      .sort(sort)
-      .skip(skip)
-      .limit(limitNum);
+    let products;
+    let total;
+    let suggestion = null;
+    let match = listed;
+
+    if (search) {
+      const result = await searchCatalog(search, {
+        filter,
+        sort,
+        skip,
+        limit: limitNum,
+        farmerFields: 'name email address'
+      });
+      ({ products, total, suggestion } = result);
+      match = { ...listed, ...result.match };
+
+      if (coordinates) {
+        products = addDistances(products, coordinates);
+      }
+    } else if (coordinates) {
+      // Nearest first unless another sort is asked for, with each farm's distance
+      ({ products, total } = await findProductsNear(coordinates, {
+        filter,
+        sort,
+        skip,
+        limit: limitNum,
+        farmerFields: 'name email address'
+      }));
+    } else {
+      // Execute query
+      products = await Product.find(filter)
+        .populate('farmer', 'name email address')
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum);
+
+      // Get total count for pagination
+      total = await Product.countDocuments(filter);
+    }
 
-    // Get total count for pagination
-    const total = await Product.countDocuments(filter);
     const totalPages = Math.ceil(total / limitNum);
 
+    // Counts for the storefront's filters, e.g. "Fruits (42)"
+    const facets = await getProductFacets(match, conditions);
+
     res.json({
       success: true,
       data: {
-        products,
+        products: products.map(withPricing),
+        ...(suggestion && { suggestion }),
+        facets,
         pagination: {
           currentPage: pageNum,
           totalPages,
@@ -75,6 +122,9 @@ const getProducts = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
     console.error('Get products error:', error);
     res.status(500).json({
       success: false,
@@ -110,7 +160,7 @@ const getProduct = async (req, res) => {
 
     res.json({
       success: true,
-      data: product
+      data: { ...withPricing(product), priceTrend: await getPriceTrend(product) }
     });
 
   } catch (error) {
@@ -151,27 +201,17 @@ const searchProducts = async (req, res) => {
       });
     }
 
-    const products = await Product.find({
-      $and: [
-        { isApproved: true, isAvailable: true },
-        {
-          $or: [
-            { name: { $regex: q, $options: 'i' } },
-            { description: { $regex: q, $options: 'i' } },
-            { tags: { $in: [new RegExp(q, 'i')] } }
-          ]
-        }
-      ]
-    })
-    .populate('farmer', 'name address')
-    .limit(parseInt(limit))
-    .sort({ viewCount: -1, createdAt: -1 });
+    const { products, suggestion } = await searchCatalog(q, {
+      filter: { isApproved: true, isAvailable: true },
+      limit: parseInt(limit)
+    });
 
     res.json({
       success: true,
       data: {
-        products,
-        count: products.length
+        products: products.map(withPricing),
+        count: products.length,
+        ...(suggestion && { suggestion })
       }
     });
 
@@ -216,7 +256,7 @@ const getProductsByFarmer = async (req, res) => {
     res.json({
       success: true,
       data: {
-        products,
+        products: products.map(withPricing),
         pagination: {
           currentPage: pageNum,
           totalPages: Math.ceil(total / limitNum),
@@ -237,6 +277,39 @@ const getProductsByFarmer = async (req, res) => {
   }
 };
 
+// @desc    Get farmers near a location
+// @route   GET /api/products/farmers/nearby
+// @access  Public
+const getNearbyFarmers = async (req, res) => {
+  try {
+    const { lat, lng, pincode, radius, limit = 20 } = req.query;
+
+    const coordinates = await resolveCoordinates({ lat, lng, pincode });
+    const farmers = await findFarmersNear(coordinates, { radiusKm: radius, limit });
+
+    res.json({
+      success: true,
+      data: {
+        farmers,
+        count: farmers.length
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return error.send(res);
+    }
+    console.error('Get nearby farmers error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error finding nearby farmers'
+      }
+    });
+  }
+};
+
 // @desc    Get product categories
 // @route   GET /api/products/categories
 // @access  Public
@@ -269,5 +342,6 @@ export default {
   getProduct,
   searchProducts,
   getProductsByFarmer,
+  getNearbyFarmers,
   getCategories
 }; 
\ No newline at end of file
@@ -0,0 +1,175 @@
+import Promotion from '../models/Promotion.js';
+import { savePromotion, getPromotionUsage } from '../services/promotionService.js';
+import AppError from '../utils/AppError.js';
+
+// Farmers see and manage only their own promotions; admins every one
+const scopeFilter = (req) => (req.user.role === 'admin' ? {} : { farmer: req.user.id });
+
+const findPromotion = async (req) => {
+  const promotion = await Promotion.findOne({ _id: req.params.id, ...scopeFilter(req) });
+  if (!promotion) {
+    throw new AppError('PROMOTION_NOT_FOUND', 'Promotion not found', 404);
+  }
+  return promotion;
+};
+
+// A farmer's promotions always cover their own products only
+const scopeFields = (req, fields) => {
+  if (req.user.role === 'admin') {
+    return fields;
+  }
+  const { farmer, ...rest } = fields;
+  return rest;
+};
+
+const sendError = (res, error, log, message) => {
+  if (error instanceof AppError) {
+    return error.send(res);
+  }
+  console.error(`${log}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message
+    }
+  });
+};
+
+const paginate = (query) => {
+  const pageNum = parseInt(query.page || 1);
+  const limitNum = parseInt(query.limit || 20);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+// @desc    Get promotions, newest first
+// @route   GET /api/farmers/promotions
+// @route   GET /api/admin/promotions
+// @access  Private (Farmer, Admin)
+const getPromotions = async (req, res) => {
+  try {
+    const { pageNum, limitNum, skip } = paginate(req.query);
+
+    const filter = scopeFilter(req);
+    if (req.query.kind) {
+      filter.kind = req.query.kind;
+    }
+    if (req.query.active) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const [promotions, total] = await Promise.all([
+      Promotion.find(filter)
+        .populate('farmer', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Promotion.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: promotions,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Get promotions error', 'Error fetching promotions');
+  }
+};
+
+// @desc    Get a promotion with the orders and discounts it has given
+// @route   GET /api/farmers/promotions/:id
+// @route   GET /api/admin/promotions/:id
+// @access  Private (Farmer, Admin)
+const getPromotion = async (req, res) => {
+  try {
+    const promotion = await findPromotion(req);
+    const usage = await getPromotionUsage(promotion._id);
+
+    res.json({
+      success: true,
+      data: { ...promotion.toJSON(), usage }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Get promotion error', 'Error fetching promotion');
+  }
+};
+
+// @desc    Create a coupon or automatic promotion
+// @route   POST /api/farmers/promotions
+// @route   POST /api/admin/promotions
+// @access  Private (Farmer, Admin)
+const createPromotion = async (req, res) => {
+  try {
+    const promotion = new Promotion({
+      createdBy: req.user.id,
+      ...(req.user.role !== 'admin' && { farmer: req.user.id })
+    });
+    await savePromotion(promotion, scopeFields(req, req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created',
+      data: promotion
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Create promotion error', 'Error creating promotion');
+  }
+};
+
+// @desc    Update a promotion
+// @route   PUT /api/farmers/promotions/:id
+// @route   PUT /api/admin/promotions/:id
+// @access  Private (Farmer, Admin)
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await findPromotion(req);
+    await savePromotion(promotion, scopeFields(req, req.body));
+
+    res.json({
+      success: true,
+      message: 'Promotion updated',
+      data: promotion
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Update promotion error', 'Error updating promotion');
+  }
+};
+
+// @desc    Deactivate a promotion; orders that used it keep their discount
+// @route   DELETE /api/farmers/promotions/:id
+// @route   DELETE /api/admin/promotions/:id
+// @access  Private (Farmer, Admin)
+const deactivatePromotion = async (req, res) => {
+  try {
+    const promotion = await findPromotion(req);
+    promotion.isActive = false;
+    await promotion.save();
+
+    res.json({
+      success: true,
+      message: 'Promotion deactivated',
+      data: promotion
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Deactivate promotion error', 'Error deactivating promotion');
+  }
+};
+
+export {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion
+};
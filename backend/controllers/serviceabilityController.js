@@ -0,0 +1,29 @@
+import { getServiceability } from '../services/serviceabilityService.js';
+
+// @desc    Check whether we deliver to a pincode
+// @route   GET /api/serviceability/:pincode
+// @access  Public
+const checkServiceability = async (req, res) => {
+  try {
+    const serviceability = await getServiceability(req.params.pincode);
+
+    res.json({
+      success: true,
+      data: serviceability
+    });
+
+  } catch (error) {
+    console.error('Check serviceability error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error checking serviceability'
+      }
+    });
+  }
+};
+
+export {
+  checkServiceability
+};
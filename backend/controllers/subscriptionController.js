@@ -0,0 +1,185 @@
+import Subscription from '../models/Subscription.js';
+import {
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipDelivery,
+  cancelSubscription
+} from '../services/subscriptionService.js';
+import AppError from '../utils/AppError.js';
+
+// Load a subscription owned by the signed-in customer
+const findOwnSubscription = async (req) => {
+  const subscription = await Subscription.findOne({ _id: req.params.id, customer: req.user.id });
+  if (!subscription) {
+    throw new AppError('SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 404);
+  }
+  return subscription;
+};
+
+const sendError = (res, error, log, message) => {
+  if (error instanceof AppError) {
+    return error.send(res);
+  }
+  console.error(`${log}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message
+    }
+  });
+};
+
+// @desc    Get my subscriptions
+// @route   GET /api/customers/subscriptions
+// @access  Private (Customer only)
+const getMySubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await Subscription.find({ customer: req.user.id })
+      .select('-runs')
+      .populate('items.product', 'name price unit images')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: subscriptions
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Get subscriptions error', 'Error fetching subscriptions');
+  }
+};
+
+// @desc    Subscribe to a recurring basket
+// @route   POST /api/customers/subscriptions
+// @access  Private (Customer only)
+const createMySubscription = async (req, res) => {
+  try {
+    const subscription = await createSubscription(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+      message: `Subscription created; first delivery on ${subscription.nextDeliveryDate}`
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Create subscription error', 'Error creating subscription');
+  }
+};
+
+// @desc    Get one of my subscriptions with its recent runs
+// @route   GET /api/customers/subscriptions/:id
+// @access  Private (Customer only)
+const getMySubscription = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+    await subscription.populate('items.product items.substitutes', 'name price unit images');
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Get subscription error', 'Error fetching subscription');
+  }
+};
+
+// @desc    Change a subscription's items, schedule, address or payment
+// @route   PUT /api/customers/subscriptions/:id
+// @access  Private (Customer only)
+const updateMySubscription = async (req, res) => {
+  try {
+    const subscription = await updateSubscription(await findOwnSubscription(req), req.body);
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Update subscription error', 'Error updating subscription');
+  }
+};
+
+// @desc    Pause a subscription
+// @route   POST /api/customers/subscriptions/:id/pause
+// @access  Private (Customer only)
+const pauseMySubscription = async (req, res) => {
+  try {
+    const subscription = await pauseSubscription(await findOwnSubscription(req), req.body.until);
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Pause subscription error', 'Error pausing subscription');
+  }
+};
+
+// @desc    Resume a paused subscription
+// @route   POST /api/customers/subscriptions/:id/resume
+// @access  Private (Customer only)
+const resumeMySubscription = async (req, res) => {
+  try {
+    const subscription = await resumeSubscription(await findOwnSubscription(req));
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Resume subscription error', 'Error resuming subscription');
+  }
+};
+
+// @desc    Skip one delivery
+// @route   POST /api/customers/subscriptions/:id/skip
+// @access  Private (Customer only)
+const skipMySubscriptionDelivery = async (req, res) => {
+  try {
+    const subscription = await skipDelivery(await findOwnSubscription(req), req.body.date);
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Skip delivery error', 'Error skipping delivery');
+  }
+};
+
+// @desc    Cancel a subscription
+// @route   DELETE /api/customers/subscriptions/:id
+// @access  Private (Customer only)
+const cancelMySubscription = async (req, res) => {
+  try {
+    const subscription = await cancelSubscription(await findOwnSubscription(req));
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Cancel subscription error', 'Error cancelling subscription');
+  }
+};
+
+export {
+  getMySubscriptions,
+  createMySubscription,
+  getMySubscription,
+  updateMySubscription,
+  pauseMySubscription,
+  resumeMySubscription,
+  skipMySubscriptionDelivery,
+  cancelMySubscription
+};
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { adjustWallet, getWalletBalance, getWalletStatement } from '../services/walletService.js';
+import AppError from '../utils/AppError.js';
+
+const sendError = (res, error, log, message) => {
+  if (error instanceof AppError) {
+    return error.send(res);
+  }
+  console.error(`${log}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message
+    }
+  });
+};
+
+const paginate = (query) => {
+  const pageNum = parseInt(query.page || 1);
+  const limitNum = parseInt(query.limit || 20);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+// Balance and statement of a customer's wallet, as the statement endpoints return it
+const sendStatement = async (res, customerId, query) => {
+  const { pageNum, limitNum, skip } = paginate(query);
+  const [wallet, statement] = await Promise.all([
+    getWalletBalance(customerId),
+    getWalletStatement(new mongoose.Types.ObjectId(customerId), {
+      from: query.from ? new Date(query.from) : undefined,
+      to: query.to ? new Date(query.to) : undefined,
+      skip,
+      limit: limitNum
+    })
+  ]);
+  const { total, ...rest } = statement;
+
+  res.json({
+    success: true,
+    data: { ...wallet, ...rest },
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+};
+
+const findCustomer = async (customerId) => {
+  const customer = await User.findOne({ _id: customerId, role: 'customer' });
+  if (!customer) {
+    throw new AppError('USER_NOT_FOUND', 'Customer not found', 404);
+  }
+  return customer;
+};
+
+// @desc    Get my wallet balance
+// @route   GET /api/customers/wallet
+// @access  Private (Customer only)
+const getMyWallet = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getWalletBalance(req.user.id)
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Get wallet error', 'Error fetching wallet');
+  }
+};
+
+// @desc    Get my wallet statement, newest first
+// @route   GET /api/customers/wallet/statement
+// @access  Private (Customer only)
+const getMyWalletStatement = async (req, res) => {
+  try {
+    await sendStatement(res, req.user.id, req.query);
+
+  } catch (error) {
+    sendError(res, error, 'Get wallet statement error', 'Error fetching wallet statement');
+  }
+};
+
+// @desc    Get a customer's wallet balance and statement
+// @route   GET /api/admin/wallets/:customerId
+// @access  Private (Admin only)
+const getCustomerWallet = async (req, res) => {
+  try {
+    await findCustomer(req.params.customerId);
+    await sendStatement(res, req.params.customerId, req.query);
+
+  } catch (error) {
+    sendError(res, error, 'Get customer wallet error', 'Error fetching wallet');
+  }
+};
+
+// @desc    Credit cashback to a customer's wallet or adjust it
+// @route   POST /api/admin/wallets/:customerId/transactions
+// @access  Private (Admin only)
+const createWalletTransaction = async (req, res) => {
+  try {
+    const customer = await findCustomer(req.params.customerId);
+    const transaction = await adjustWallet(customer._id, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: transaction.amount > 0 ? 'Wallet credited' : 'Wallet debited',
+      data: transaction
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Wallet transaction error', 'Error updating wallet');
+  }
+};
+
+export {
+  getMyWallet,
+  getMyWalletStatement,
+  getCustomerWallet,
+  createWalletTransaction
+};
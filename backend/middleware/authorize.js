@@ -0,0 +1,100 @@
+import User from '../models/User.js';
+import { getPermissionsForRole, hasPermission } from '../services/permissionService.js';
+
+const forbidden = (res, message = 'You do not have permission to perform this action') => {
+  return res.status(403).json({
+    success: false,
+    error: {
+      code: 'FORBIDDEN',
+      message
+    }
+  });
+};
+
+/**
+ * Build an authorization middleware around a check.
+ * Must run after the auth middleware so that req.user is populated.
+ * The user is re-loaded from the database so that role changes and bans
+ * take effect immediately instead of waiting for the token to expire.
+ * @param {Function} isAllowed - async (user) => Boolean
+ * @returns {Function} Express middleware function
+ */
+const guard = (isAllowed) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user || !req.user.id) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'NO_TOKEN',
+            message: 'No token, authorization denied'
+          }
+        });
+      }
+
+      const user = await User.findById(req.user.id).select('role isActive');
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'USER_NOT_FOUND',
+            message: 'User no longer exists'
+          }
+        });
+      }
+
+      // Check if user is active
+      if (!user.isActive) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCOUNT_DISABLED',
+            message: 'Your account has been disabled'
+          }
+        });
+      }
+
+      if (!(await isAllowed(user))) {
+        return forbidden(res);
+      }
+
+      // Trust the stored role over the one in the token
+      req.user.role = user.role;
+      next();
+    } catch (error) {
+      console.error('Authorize middleware error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'SERVER_ERROR',
+          message: 'Server Error in authorization'
+        }
+      });
+    }
+  };
+};
+
+/**
+ * Middleware to restrict a route to one or more user roles
+ * @param {...String} roles - Roles allowed to access the route
+ * @returns {Function} Express middleware function
+ */
+const authorize = (...roles) => {
+  return guard((user) => roles.length === 0 || roles.includes(user.role));
+};
+
+/**
+ * Middleware to require permissions from the role → permission map
+ * @param {...String} permissions - Permissions required, e.g. 'product:write'
+ * @returns {Function} Express middleware function
+ */
+const requirePermission = (...permissions) => {
+  return guard(async (user) => {
+    const granted = await getPermissionsForRole(user.role);
+    return permissions.every(permission => hasPermission(granted, permission));
+  });
+};
+
+export { authorize, requirePermission };
+
+export default authorize;
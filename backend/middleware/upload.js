@@ -0,0 +1,64 @@
+import multer from 'multer';
+import { MAX_IMAGE_BYTES } from '../config/uploads.js';
+
+/**
+ * Middleware to read multipart uploads into memory as req.files.
+ * Files are checked afterwards with validateFile; the limits here only
+ * stop oversized requests before they are buffered.
+ * @param {String} field - Form field carrying the files
+ * @param {Object} limits
+ * @param {Number} limits.maxFiles - Most files accepted
+ * @param {Number} limits.maxSize - Largest file accepted, in bytes
+ * @returns {Function} Express middleware function
+ */
+const uploadFiles = (field, { maxFiles = 1, maxSize }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: maxFiles }
+  }).array(field, maxFiles);
+
+  // Multer's own limits, reported in the same shape as validateFile errors
+  const LIMIT_MESSAGES = {
+    LIMIT_FILE_SIZE: `File exceeds maximum ${(maxSize / 1024 / 1024).toFixed(2)}MB`,
+    LIMIT_FILE_COUNT: 'Too many files',
+    LIMIT_UNEXPECTED_FILE: 'Unexpected file field'
+  };
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: LIMIT_MESSAGES[error.code] || error.message,
+            details: [{ field: error.field || field, message: LIMIT_MESSAGES[error.code] || error.message }]
+          }
+        });
+      }
+
+      console.error('Upload error:', error);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_UPLOAD',
+          message: 'Send the files as multipart/form-data'
+        }
+      });
+    });
+  };
+};
+
+/**
+ * Middleware to read multipart image uploads into memory as req.files
+ * @param {String} field - Form field carrying the images
+ * @param {Number} maxFiles - Most images accepted
+ * @returns {Function} Express middleware function
+ */
+const uploadImages = (field, maxFiles) => uploadFiles(field, { maxFiles, maxSize: MAX_IMAGE_BYTES });
+
+export { uploadFiles, uploadImages };
@@ -1,4 +1,4 @@
-import { ZodError } from 'zod';
+import { ZodError, ZodEffects } from 'zod';
 
 /**
  * Middleware to validate request using Zod schema
@@ -8,26 +8,33 @@ import { ZodError } from 'zod';
 const validateZod = (schema) => {
   return async (req, res, next) => {
     try {
+      // Refined schemas (z.object(...).refine(...)) wrap the object schema
+      let baseSchema = schema;
+      while (baseSchema instanceof ZodEffects) {
+        baseSchema = baseSchema.innerType();
+      }
+      const shape = baseSchema.shape;
+
       // Create object to validate based on what the schema expects
       const toValidate = {};
       
       // Add body if schema has body validation
-      if (schema.shape && schema.shape.body) {
+      if (shape && shape.body) {
         toValidate.body = req.body;
       }
       
       // Add params if schema has params validation
-      if (schema.shape && schema.shape.params) {
+      if (shape && shape.params) {
         toValidate.params = req.params;
       }
       
       // Add query if schema has query validation
-      if (schema.shape && schema.shape.query) {
+      if (shape && shape.query) {
         toValidate.query = req.query;
       }
       
       // If schema doesn't have shape (it's a direct schema), validate the body
-      if (!schema.shape) {
+      if (!shape) {
         toValidate.body = req.body;
       }
       
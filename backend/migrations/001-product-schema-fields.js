@@ -0,0 +1,44 @@
+import Product from '../models/Product.js';
+
+// Backfill the fields added to the Product schema so that existing documents
+// match what the product validations and controllers expect.
+
+// Fields that get a default value when missing
+const DEFAULTS = {
+  images: [],
+  tags: [],
+  availableLocations: [],
+  seasonalAvailability: [],
+  minimumOrderQuantity: 1,
+  discountPercentage: 0,
+  isAvailable: true,
+  viewCount: 0,
+  // Products created before moderation existed were already live,
+  // so keep them visible instead of sending them all back for review
+  isApproved: true
+};
+
+const up = async () => {
+  const collection = Product.collection;
+
+  // Move the legacy single `image` URL into the `images` array
+  const legacyImages = await collection.updateMany(
+    { image: { $type: 'string', $ne: '' }, $or: [{ images: { $exists: false } }, { images: { $size: 0 } }] },
+    [{ $set: { images: ['$image'] } }]
+  );
+  await collection.updateMany({ image: { $exists: true } }, { $unset: { image: '' } });
+  console.log(`  images: moved legacy image on ${legacyImages.modifiedCount} products`);
+
+  for (const [field, value] of Object.entries(DEFAULTS)) {
+    const result = await collection.updateMany(
+      { [field]: { $exists: false } },
+      { $set: { [field]: value } }
+    );
+    console.log(`  ${field}: backfilled ${result.modifiedCount} products`);
+  }
+
+  await Product.syncIndexes();
+  console.log('  indexes synced');
+};
+
+export { up };
@@ -0,0 +1,39 @@
+import Order from '../models/Order.js';
+import { buildFulfillments } from '../services/orderService.js';
+
+// Split existing orders into one fulfillment per farmer. Each fulfillment
+// starts from the order's current status, history and tracking details.
+
+const up = async () => {
+  const cursor = Order.find({
+    $or: [{ fulfillments: { $exists: false } }, { fulfillments: { $size: 0 } }]
+  }).cursor();
+
+  let migrated = 0;
+  for (let order = await cursor.next(); order; order = await cursor.next()) {
+    const fulfillments = buildFulfillments(order.items, order.deliveryCharges, order.createdAt);
+
+    order.fulfillments = fulfillments.map(fulfillment => ({
+      ...fulfillment,
+      status: order.status,
+      statusHistory: order.statusHistory.map(({ status, timestamp, note, updatedBy }) => ({
+        status,
+        timestamp,
+        note,
+        updatedBy
+      })),
+      trackingId: order.trackingId,
+      deliveryPartner: order.deliveryPartner,
+      expectedDeliveryDate: order.expectedDeliveryDate,
+      actualDeliveryDate: order.actualDeliveryDate,
+      cancellationReason: order.cancellationReason
+    }));
+
+    await order.save();
+    migrated++;
+  }
+
+  console.log(`  fulfillments: split ${migrated} orders`);
+};
+
+export { up };
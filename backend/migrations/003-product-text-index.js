@@ -0,0 +1,12 @@
+import Product from '../models/Product.js';
+
+// Build the weighted text index that product search ranks results with.
+// Text indexes are built in the background on large collections, so run
+// this before deploying the search changes.
+
+const up = async () => {
+  await Product.syncIndexes();
+  console.log('  indexes synced');
+};
+
+export { up };
@@ -0,0 +1,27 @@
+import Pincode from '../models/Pincode.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import { toPoint } from '../models/PointSchema.js';
+
+// Store farm locations as GeoJSON on farmers and their products, and
+// build the 2dsphere indexes used to find products that deliver nearby.
+
+const up = async () => {
+  const farmers = await User.find({ role: 'farmer', 'farmerDetails.farmCoordinates.1': { $exists: true } })
+    .select('farmerDetails.farmCoordinates');
+
+  let products = 0;
+  for (const farmer of farmers) {
+    const location = toPoint(farmer.farmerDetails.farmCoordinates);
+
+    await User.updateOne({ _id: farmer._id }, { $set: { 'farmerDetails.farmPoint': location } });
+    const result = await Product.updateMany({ farmer: farmer._id }, { $set: { location } });
+    products += result.modifiedCount;
+  }
+  console.log(`  locations: set on ${farmers.length} farmers and ${products} products`);
+
+  await Promise.all([User.syncIndexes(), Product.syncIndexes(), Pincode.syncIndexes()]);
+  console.log('  indexes synced');
+};
+
+export { up };
@@ -0,0 +1,36 @@
+import Order from '../models/Order.js';
+import Pincode from '../models/Pincode.js';
+
+// Checkout now refuses pincodes missing from the serviceability registry.
+// Register every pincode we have already delivered to, so existing
+// customers can keep ordering until admins import the full registry.
+// Entries that already exist are left alone.
+
+const up = async () => {
+  const delivered = await Order.aggregate([
+    { $match: { 'deliveryAddress.pincode': { $regex: /^\d{6}$/ } } },
+    {
+      $group: {
+        _id: '$deliveryAddress.pincode',
+        city: { $first: '$deliveryAddress.city' },
+        state: { $first: '$deliveryAddress.state' }
+      }
+    }
+  ]);
+
+  if (delivered.length > 0) {
+    const result = await Pincode.bulkWrite(delivered.map(({ _id: pincode, city, state }) => ({
+      updateOne: {
+        filter: { pincode },
+        update: { $setOnInsert: { pincode, city, state, isServiceable: true, isCodAvailable: true } },
+        upsert: true
+      }
+    })), { ordered: false });
+    console.log(`  pincodes: registered ${result.upsertedCount} of ${delivered.length} delivered to`);
+  }
+
+  await Pincode.syncIndexes();
+  console.log('  indexes synced');
+};
+
+export { up };
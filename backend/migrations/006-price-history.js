@@ -0,0 +1,24 @@
+import Product from '../models/Product.js';
+import PriceHistory from '../models/PriceHistory.js';
+import PriceSchedule from '../models/PriceSchedule.js';
+
+// Products now keep a price history. Record each product's current prices
+// as its first entries, so price trends and "price dropped" badges start
+// from what farmers charge today. Products that already have entries only
+// get the prices that differ from them.
+
+const up = async () => {
+  let recorded = 0;
+  const cursor = Product.find().select('price variants').cursor();
+  for await (const product of cursor) {
+    const entries = await PriceHistory.recordPrices(product);
+    recorded += entries.length;
+  }
+  console.log(`  price history: recorded ${recorded} current prices`);
+
+  await PriceHistory.syncIndexes();
+  await PriceSchedule.syncIndexes();
+  console.log('  indexes synced');
+};
+
+export { up };
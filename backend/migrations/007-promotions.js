@@ -0,0 +1,17 @@
+import Order from '../models/Order.js';
+import Promotion from '../models/Promotion.js';
+import PromotionRedemption from '../models/PromotionRedemption.js';
+
+// Coupons and automatic promotions. Create the unique coupon code and
+// per-customer redemption indexes that enforce their limits, and the index
+// reports use to find the orders a promotion discounted. Existing orders
+// read as having no promotion discount.
+
+const up = async () => {
+  await Promotion.syncIndexes();
+  await PromotionRedemption.syncIndexes();
+  await Order.syncIndexes();
+  console.log('  indexes synced');
+};
+
+export { up };
@@ -0,0 +1,14 @@
+import Wallet from '../models/Wallet.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+
+// Customer wallets and their ledger. Create the one-wallet-per-customer
+// index that balance updates rely on, and the statement indexes. Existing
+// orders read as paid without the wallet.
+
+const up = async () => {
+  await Wallet.syncIndexes();
+  await WalletTransaction.syncIndexes();
+  console.log('  indexes synced');
+};
+
+export { up };
@@ -0,0 +1,22 @@
+import Product from '../models/Product.js';
+import { getPackQuantity } from '../utils/units.js';
+
+// The stock of a product with pack sizes used to add up its packs, whatever
+// their size. It is now what the packs hold in the product's unit, so
+// recount it for every product with variants.
+
+const up = async () => {
+  let updated = 0;
+  const cursor = Product.find({ 'variants.0': { $exists: true } }).select('unit stock variants').cursor();
+  for await (const product of cursor) {
+    const stock = Math.round(product.variants
+      .reduce((sum, variant) => sum + variant.stock * getPackQuantity(variant, product.unit), 0) * 1000) / 1000;
+    if (stock !== product.stock) {
+      await Product.updateOne({ _id: product._id }, { $set: { stock } });
+      updated++;
+    }
+  }
+  console.log(`  product stock: recounted ${updated} products with pack sizes`);
+};
+
+export { up };
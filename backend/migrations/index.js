@@ -0,0 +1,55 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import * as productSchemaFields from './001-product-schema-fields.js';
+import * as orderFulfillments from './002-order-fulfillments.js';
+import * as productTextIndex from './003-product-text-index.js';
+import * as geoLocations from './004-geo-locations.js';
+import * as serviceability from './005-serviceability.js';
+import * as priceHistory from './006-price-history.js';
+import * as promotions from './007-promotions.js';
+import * as wallets from './008-wallets.js';
+import * as productStockUnits from './009-product-stock-units.js';
+
+// Load environment variables
+dotenv.config();
+
+// Migrations in the order they must run
+const migrations = [
+  { name: '001-product-schema-fields', ...productSchemaFields },
+  { name: '002-order-fulfillments', ...orderFulfillments },
+  { name: '003-product-text-index', ...productTextIndex },
+  { name: '004-geo-locations', ...geoLocations },
+  { name: '005-serviceability', ...serviceability },
+  { name: '006-price-history', ...priceHistory },
+  { name: '007-promotions', ...promotions },
+  { name: '008-wallets', ...wallets },
+  { name: '009-product-stock-units', ...productStockUnits }
+];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/farmtohome');
+
+  // Applied migrations are recorded so each one runs only once
+  const applied = mongoose.connection.db.collection('migrations');
+
+  for (const migration of migrations) {
+    const done = await applied.findOne({ name: migration.name });
+    if (done) {
+      console.log(`Skipping ${migration.name} (applied ${done.appliedAt.toISOString()})`);
+      continue;
+    }
+
+    console.log(`Running ${migration.name}`);
+    await migration.up();
+    await applied.insertOne({ name: migration.name, appliedAt: new Date() });
+  }
+
+  console.log('Migrations complete');
+};
+
+run()
+  .catch((err) => {
+    console.error('Migration error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
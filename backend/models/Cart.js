@@ -17,23 +17,37 @@ const CartSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    variant: mongoose.Schema.Types.ObjectId, // Pack-size variant, if the product has variants
+    sku: String,
     quantity: {
       type: Number,
       required: true,
       min: 1,
       default: 1
     },
+    // Final price per unit or pack after the product's discount, stored
+    // when an item is added or its quantity changed; reading the cart
+    // prices it afresh without saving
     price: {
       type: Number,
       required: true,
       min: 0
     },
+    listPrice: Number,
+    discountPercentage: Number,
     addedAt: {
       type: Date,
       default: Date.now
     }
   }],
   
+  // Coupon the customer entered; checked again at checkout
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+
   // Metadata
   createdAt: {
     type: Date,
@@ -64,19 +78,23 @@ CartSchema.virtual('total').get(function() {
 });
 
 // Method to find item in cart
-CartSchema.methods.findItem = function(productId) {
-  return this.items.find(item => item.product.toString() === productId.toString());
+CartSchema.methods.findItem = function(productId, variantId) {
+  return this.items.find(item =>
+    item.product.toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || ''));
 };
 
 // Method to add item to cart
-CartSchema.methods.addItem = function(productId, quantity, price) {
-  const existingItem = this.findItem(productId);
+CartSchema.methods.addItem = function(productId, quantity, price, variant) {
+  const existingItem = this.findItem(productId, variant && variant._id);
   
   if (existingItem) {
     existingItem.quantity += quantity;
   } else {
     this.items.push({
       product: productId,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
       quantity,
       price
     });
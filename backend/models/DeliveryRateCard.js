@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+const DeliveryRateCardSchema = new mongoose.Schema({
+  // Zone name; overrides the default card with the same zone in config/deliveryRates.js
+  zone: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+
+  // Delivery pincodes starting with any of these belong to the zone
+  pincodePrefixes: [{
+    type: String,
+    trim: true
+  }],
+
+  // Charges per farmer shipment
+  baseCharge: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  perKmCharge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  includedKm: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  perKgCharge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  includedKg: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  fallbackDistanceKm: {
+    type: Number,
+    min: 0,
+    default: 0 // Used when farm or delivery coordinates are missing
+  },
+
+  // Order subtotal at which delivery is free; null disables free delivery
+  freeDeliveryThreshold: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Admin who last changed the card
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+DeliveryRateCardSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('DeliveryRateCard', DeliveryRateCardSchema);
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+const DeliverySlotSchema = new mongoose.Schema({
+  // Owner: a farmer delivering their own orders, or a hub (no farmer)
+  // that can deliver orders from any farmer
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  hub: {
+    type: String,
+    trim: true
+  },
+
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+
+  // Weekly window, e.g. Tuesday 07:00-10:00 (local time)
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0, // Sunday
+    max: 6
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+
+  // Orders the slot takes per date
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Booking closes this many hours before the slot starts
+  cutoffHours: {
+    type: Number,
+    min: 0,
+    default: 12
+  },
+
+  // Delivery pincodes served; empty serves every pincode
+  pincodePrefixes: [{
+    type: String,
+    trim: true
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DeliverySlotSchema.index({ isActive: 1, dayOfWeek: 1 });
+
+// Update the updatedAt field before saving
+DeliverySlotSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('DeliverySlot', DeliverySlotSchema);
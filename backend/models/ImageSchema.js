@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// An uploaded image: the resized original and a thumbnail, each also as
+// WebP. `key` is the storage prefix holding all of its files.
+const ImageSchema = new mongoose.Schema({
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnail: {
+    type: String,
+    required: true
+  },
+  webp: {
+    type: String,
+    required: true
+  },
+  thumbnailWebp: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default ImageSchema;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const NotificationSchema = new mongoose.Schema({
+  // User the notification is for
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Machine-readable kind, e.g. subscription.order-placed
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+
+  // Related records and any extra details
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  readAt: Date,
+
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('Notification', NotificationSchema);
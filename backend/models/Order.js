@@ -1,5 +1,127 @@
 import mongoose from 'mongoose';
 
+const ORDER_STATUSES = ['pending', 'accepted', 'processing', 'shipped', 'delivered', 'cancelled', 'rejected'];
+
+// Progress order of the active (non-terminal-failure) statuses
+const STATUS_PROGRESS = ['pending', 'accepted', 'processing', 'shipped', 'delivered'];
+
+const StatusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  note: String,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// GST charged on an order line
+const TaxBreakdownSchema = new mongoose.Schema({
+  rate: { type: Number, min: 0, default: 0 }, // percent
+  taxableValue: { type: Number, min: 0, default: 0 },
+  cgst: { type: Number, min: 0, default: 0 },
+  sgst: { type: Number, min: 0, default: 0 },
+  igst: { type: Number, min: 0, default: 0 },
+  total: { type: Number, min: 0, default: 0 }
+}, { _id: false });
+
+// A promotion applied to an order, with its share of each item, so
+// reports can total it and returns can refund the discounted price
+const DiscountLineSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  name: String,
+  kind: String, // coupon or automatic
+  code: String,
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Farmer running it; platform promotions have none
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    amount: Number
+  }]
+}, { _id: false });
+
+// Money moved when a farmer's packed weights change the order total
+const WeightSettlementSchema = new mongoose.Schema({
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: {
+    type: Number,
+    required: true // Positive: charged to the customer; negative: refunded
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  intentId: String, // Payment intent for an extra charge
+  note: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The part of an order fulfilled by a single farmer
+const FulfillmentSchema = new mongoose.Schema({
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+  statusHistory: [StatusHistorySchema],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  deliveryCharges: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  trackingId: String,
+  deliveryPartner: String,
+  expectedDeliveryDate: Date,
+  actualDeliveryDate: Date,
+  cancellationReason: String,
+  // What the customer no longer pays once this part was cancelled or
+  // rejected while the rest of the order went ahead: its items after
+  // promotions, their GST and its delivery charge
+  cancelledAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
 const OrderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -33,11 +155,20 @@ const OrderSchema = new mongoose.Schema({
       type: String,
       required: true // Snapshot for historical data
     },
+    // Pack-size variant bought, if the product has variants
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    variantLabel: String,
+    packSize: Number, // Quantity of `unit` per pack; quantity counts packs
+    // Price paid per unit or pack, after the product's discount
     price: {
       type: Number,
       required: true,
       min: 0
     },
+    listPrice: Number, // Before the discount
+    discountPercentage: Number,
+    discount: Number, // Off the line's list price
     quantity: {
       type: Number,
       required: true,
@@ -51,7 +182,22 @@ const OrderSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 0
-    }
+    },
+    // Promotions taken off the subtotal; GST is charged on what is left
+    promotionDiscount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    hsnCode: String,
+    // GST on this line
+    tax: TaxBreakdownSchema,
+
+    // Variable-weight lines: weight actually packed (in `unit`), with the
+    // subtotal and GST as ordered. `subtotal` and `tax` hold the packed figures.
+    packedQuantity: Number,
+    orderedSubtotal: Number,
+    orderedTax: TaxBreakdownSchema
   }],
   
   // Pricing
@@ -60,18 +206,38 @@ const OrderSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Product discounts taken off the items, already out of the subtotal
+  productDiscount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Coupons and automatic promotions, taken off the subtotal
+  discounts: [DiscountLineSchema],
+  promotionDiscount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   deliveryCharges: {
     type: Number,
     required: true,
     min: 0,
     default: 0
   },
+  deliveryZone: String, // Rate card zone used to price delivery
   taxes: {
     type: Number,
     required: true,
     min: 0,
     default: 0
   },
+  // Order-level GST split (sum of the line item taxes)
+  taxBreakdown: {
+    cgst: { type: Number, min: 0, default: 0 },
+    sgst: { type: Number, min: 0, default: 0 },
+    igst: { type: Number, min: 0, default: 0 }
+  },
   total: {
     type: Number,
     required: true,
@@ -107,34 +273,23 @@ const OrderSchema = new mongoose.Schema({
     coordinates: [Number] // [longitude, latitude]
   },
   
-  // Order status tracking
+  // One fulfillment per farmer in the order, each moving through its own lifecycle
+  fulfillments: [FulfillmentSchema],
+  
+  // Order status tracking (derived from fulfillments, see deriveStatus)
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'processing', 'shipped', 'delivered', 'cancelled', 'rejected'],
+    enum: ORDER_STATUSES,
     default: 'pending',
     index: true
   },
   
-  statusHistory: [{
-    status: {
-      type: String,
-      required: true
-    },
-    timestamp: {
-      type: Date,
-      default: Date.now
-    },
-    note: String,
-    updatedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    }
-  }],
+  statusHistory: [StatusHistorySchema],
   
   // Payment information
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'partially-refunded', 'refunded'],
     default: 'pending'
   },
   paymentMethod: {
@@ -143,12 +298,46 @@ const OrderSchema = new mongoose.Schema({
     default: 'cod'
   },
   paymentId: String, // From payment gateway
+  depositPaid: {
+    type: Number,
+    min: 0,
+    default: 0 // Pre-order deposit already collected towards the total
+  },
+  // Paid from the customer's wallet (with a wallet pre-order's deposit),
+  // and refunded back to it
+  walletAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  walletRefunded: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   
   // Delivery tracking
   expectedDeliveryDate: Date,
   actualDeliveryDate: Date,
   trackingId: String,
   deliveryPartner: String,
+
+  // Delivery slot booked at checkout
+  deliverySlot: {
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliverySlot'
+    },
+    reservation: mongoose.Schema.Types.ObjectId, // SlotBooking reservation
+    date: String, // YYYY-MM-DD
+    startTime: String,
+    endTime: String,
+    farmer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    hub: String
+  },
   
   // Business logic
   cancellationReason: String,
@@ -160,6 +349,34 @@ const OrderSchema = new mongoose.Schema({
   
   // Special instructions
   instructions: String,
+
+  // Subscription that generated this order, if any
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+
+  // Pre-order this order was converted from, if any
+  preorder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PreOrder'
+  },
+
+  // Totals as ordered, kept once packed weights re-price the order
+  weightAdjustment: {
+    originalSubtotal: Number,
+    originalTaxes: Number,
+    originalTotal: Number,
+    amount: {
+      type: Number,
+      default: 0 // Net change to the total across all adjustments
+    },
+    // Refunds and extra charges for orders already paid online
+    settlements: [WeightSettlementSchema]
+  },
+
+  // Client-supplied Idempotency-Key used to deduplicate retried placements
+  idempotencyKey: String,
   
   // Metadata
   createdAt: {
@@ -176,8 +393,14 @@ const OrderSchema = new mongoose.Schema({
 // Indexes for performance
 OrderSchema.index({ customer: 1, createdAt: -1 });
 OrderSchema.index({ 'items.farmer': 1, createdAt: -1 });
+OrderSchema.index({ 'fulfillments.farmer': 1, 'fulfillments.status': 1, createdAt: -1 });
 OrderSchema.index({ status: 1, createdAt: -1 });
+OrderSchema.index({ 'discounts.promotion': 1 });
 OrderSchema.index({ orderNumber: 1 });
+OrderSchema.index(
+  { customer: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
 
 // Update the updatedAt field before saving
 OrderSchema.pre('save', function(next) {
@@ -190,6 +413,29 @@ OrderSchema.virtual('orderAge').get(function() {
   return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60 * 24)); // days
 });
 
+// Method to get the fulfillment for a farmer
+OrderSchema.methods.getFulfillment = function(farmerId) {
+  return this.fulfillments.find(f => f.farmer.toString() === farmerId.toString());
+};
+
+// Method to derive the customer-facing status from the fulfillments:
+// the least advanced active fulfillment wins; if every fulfillment was
+// dropped the order is rejected (all rejected) or cancelled.
+OrderSchema.methods.deriveStatus = function() {
+  if (this.fulfillments.length === 0) {
+    return this.status;
+  }
+
+  const active = this.fulfillments.filter(f => STATUS_PROGRESS.includes(f.status));
+  if (active.length === 0) {
+    return this.fulfillments.every(f => f.status === 'rejected') ? 'rejected' : 'cancelled';
+  }
+
+  return active.reduce((least, f) =>
+    STATUS_PROGRESS.indexOf(f.status) < STATUS_PROGRESS.indexOf(least) ? f.status : least
+  , 'delivered');
+};
+
 // Method to check if order can be cancelled
 OrderSchema.methods.canBeCancelled = function() {
   return ['pending', 'accepted'].includes(this.status);
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+const PaymentSchema = new mongoose.Schema({
+  // Order being paid for. Pre-order deposits start with only `preorder`
+  // and are linked to the order once the pre-order converts.
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: function() {
+      return !this.preorder;
+    },
+    index: true
+  },
+  preorder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PreOrder',
+    index: true
+  },
+
+  // What the payment is for: the order total (or what is left after a
+  // pre-order deposit), a pre-order deposit, or an extra charge after packed
+  // weights raised the total
+  purpose: {
+    type: String,
+    enum: ['order', 'deposit', 'weight-adjustment'],
+    default: 'order'
+  },
+
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Gateway details
+  provider: {
+    type: String,
+    required: true
+  },
+  intentId: {
+    type: String,
+    required: true,
+    unique: true // From payment gateway
+  },
+  method: {
+    type: String,
+    enum: ['card', 'upi', 'wallet'],
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  status: {
+    type: String,
+    enum: ['created', 'authorized', 'captured', 'failed', 'partially-refunded', 'refunded'],
+    default: 'created',
+    index: true
+  },
+  capturedAt: Date,
+  failureReason: String,
+
+  // Refunds issued against this payment
+  refunds: [{
+    refundId: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    reason: String,
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  refundedAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Webhook event IDs already applied, so redelivered events are ignored
+  processedEvents: [String],
+
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+PaymentSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import PointSchema from './PointSchema.js';
+
+// Serviceability registry: the pincodes we deliver to, with the delivery
+// zone and hub serving each, the daily order cutoff and whether cash on
+// delivery is accepted. Pincodes missing from it are not served.
+const PincodeSchema = new mongoose.Schema({
+  pincode: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^\d{6}$/
+  },
+  area: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  isServiceable: {
+    type: Boolean,
+    default: true // Turn off to pause deliveries without losing the entry
+  },
+  // Delivery rate card zone; the longest prefix match is used when unset
+  zone: {
+    type: String,
+    trim: true
+  },
+  // Hub that delivers here, matching DeliverySlot.hub
+  hub: {
+    type: String,
+    trim: true
+  },
+  // Orders placed after this local time (HH:mm) are dispatched the next day
+  cutoffTime: {
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  isCodAvailable: {
+    type: Boolean,
+    default: true
+  },
+  // Centre of the pincode area, so customers can browse by pincode
+  location: {
+    type: PointSchema,
+    default: undefined
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PincodeSchema.index({ location: '2dsphere' });
+PincodeSchema.index({ zone: 1, pincode: 1 });
+
+export default mongoose.model('Pincode', PincodeSchema);
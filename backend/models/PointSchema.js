@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// GeoJSON point, as stored for 2dsphere indexes: coordinates are
+// [longitude, latitude]
+const PointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: ([lng, lat] = []) => lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+/**
+ * GeoJSON point for [longitude, latitude] coordinates
+ * @param {Number[]} coordinates - [longitude, latitude]
+ * @returns {Object|undefined} Point, or undefined without coordinates
+ */
+const toPoint = (coordinates) =>
+  Array.isArray(coordinates) && coordinates.length === 2
+    ? { type: 'Point', coordinates: [coordinates[0], coordinates[1]] }
+    : undefined;
+
+export { toPoint };
+
+export default PointSchema;
@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+
+const PreOrderSchema = new mongoose.Schema({
+  preorderNumber: {
+    type: String,
+    unique: true,
+    default: function() {
+      return 'PRE' + Date.now() + Math.floor(Math.random() * 1000);
+    }
+  },
+
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Snapshot at booking; the order is placed at this price
+  productName: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0 // After the product's discount
+  },
+  listPrice: Number,
+  discountPercentage: Number,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  harvestDate: Date,
+
+  // Optional deposit collected up front through the payment layer
+  depositAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  depositStatus: {
+    type: String,
+    enum: ['not-required', 'pending', 'paid', 'failed', 'refunded'],
+    default: 'not-required'
+  },
+
+  // Used for the order once the harvest is in
+  deliveryAddress: {
+    name: {
+      type: String,
+      required: true
+    },
+    phone: {
+      type: String,
+      required: true
+    },
+    street: {
+      type: String,
+      required: true
+    },
+    city: {
+      type: String,
+      required: true
+    },
+    state: {
+      type: String,
+      required: true
+    },
+    pincode: {
+      type: String,
+      required: true
+    },
+    coordinates: [Number] // [longitude, latitude]
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['card', 'upi', 'wallet', 'cod'],
+    default: 'cod'
+  },
+  paymentId: String, // Deposit intent from payment gateway
+  instructions: String,
+
+  status: {
+    type: String,
+    enum: ['reserved', 'converted', 'cancelled', 'failed'],
+    default: 'reserved',
+    index: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order' // Set once converted
+  },
+  convertedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String,
+
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-orders are converted per product, oldest first
+PreOrderSchema.index({ product: 1, status: 1, createdAt: 1 });
+PreOrderSchema.index({ farmer: 1, status: 1, createdAt: -1 });
+
+// Update the updatedAt field before saving
+PreOrderSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('PreOrder', PreOrderSchema);
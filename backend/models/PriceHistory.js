@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// Every price a product, or each of its pack-size variants, has been sold
+// at: one entry per change, written when the product is saved. The
+// current price is the latest entry.
+const PriceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // null for products without variants
+  },
+  sku: String,
+  price: {
+    type: Number,
+    required: true
+  },
+  // What changed the price: a farmer's edit or a scheduled price change
+  reason: {
+    type: String,
+    enum: ['update', 'schedule'],
+    default: 'update'
+  },
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceSchedule'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PriceHistorySchema.index({ product: 1, changedAt: -1 });
+
+/**
+ * Latest recorded price of each of a product's series
+ * @param {String} productId - Product ID
+ * @param {Object} options
+ * @param {Date} options.before - Only entries before this instant
+ * @param {Object} options.session - Mongo session
+ * @returns {Promise<Map>} String(variant) → price, 'null' for the product itself
+ */
+PriceHistorySchema.statics.latestPrices = async function(productId, { before, session } = {}) {
+  const match = { product: productId };
+  if (before) {
+    match.changedAt = { $lt: before };
+  }
+
+  const latest = await this.aggregate([
+    { $match: match },
+    { $sort: { changedAt: -1, _id: -1 } },
+    { $group: { _id: '$variant', price: { $first: '$price' } } }
+  ]).session(session || null);
+
+  return new Map(latest.map(entry => [String(entry._id), entry.price]));
+};
+
+/**
+ * Record the product's prices that differ from their latest entries
+ * @param {Object} product - Saved product document
+ * @param {Object} options
+ * @param {String} options.reason - 'update' or 'schedule'
+ * @param {String} options.schedule - Price schedule applying the change
+ * @param {Object} options.session - Mongo session
+ * @returns {Promise<Object[]>} Entries written
+ */
+PriceHistorySchema.statics.recordPrices = async function(product, { reason = 'update', schedule, session } = {}) {
+  const current = product.variants.length === 0
+    ? [{ variant: null, price: product.price }]
+    : product.variants.map(variant => ({ variant: variant._id, sku: variant.sku, price: variant.price }));
+
+  const latest = await this.latestPrices(product._id, { session });
+  const changes = current.filter(entry => entry.price !== undefined && latest.get(String(entry.variant)) !== entry.price);
+  if (changes.length === 0) {
+    return [];
+  }
+
+  const changedAt = new Date();
+  return this.insertMany(
+    changes.map(entry => ({ ...entry, product: product._id, reason, schedule, changedAt })),
+    { session }
+  );
+};
+
+export default mongoose.model('PriceHistory', PriceHistorySchema);
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const PRICE_SCHEDULE_STATUSES = ['scheduled', 'active', 'completed', 'cancelled', 'skipped'];
+
+// A future price change a farmer set up for a product or one of its pack
+// sizes, e.g. a weekend sale. The scheduler applies it at startsAt; with an
+// endsAt the original price is put back then.
+//   scheduled → active (applied, waiting to revert) → completed
+//   scheduled → completed (applied, no end)
+//   scheduled → skipped (the window passed before it could be applied)
+//   scheduled | active → cancelled (by the farmer, or the product or pack size is gone)
+const PriceScheduleSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // Pack-size variant, for products with variants
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: Date,
+  label: {
+    type: String,
+    trim: true // e.g. "Weekend sale"
+  },
+  status: {
+    type: String,
+    enum: PRICE_SCHEDULE_STATUSES,
+    default: 'scheduled'
+  },
+  // Price before the change, restored at endsAt
+  originalPrice: Number,
+  appliedAt: Date,
+  revertedAt: Date,
+  note: String, // Why it was cancelled, skipped or not reverted
+  lockedUntil: Date, // Held by a scheduler run
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PriceScheduleSchema.index({ status: 1, startsAt: 1 });
+PriceScheduleSchema.index({ status: 1, endsAt: 1 });
+PriceScheduleSchema.index({ product: 1, startsAt: -1 });
+
+export default mongoose.model('PriceSchedule', PriceScheduleSchema);
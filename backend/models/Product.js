@@ -1,4 +1,47 @@
 import mongoose from 'mongoose';
+import PointSchema from './PointSchema.js';
+import ImageSchema from './ImageSchema.js';
+import PriceHistory from './PriceHistory.js';
+import { UNIT_NAMES, getBaseUnit, getPackQuantity, getUnitPrice, formatQuantity } from '../utils/units.js';
+
+// A pack size of a product with its own SKU, price and stock
+const ProductVariantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  label: {
+    type: String,
+    trim: true // e.g. "250 gram bunch"; defaults to the pack size
+  },
+  packSize: {
+    type: Number,
+    required: true,
+    min: 0 // Quantity of packUnit in one pack
+  },
+  packUnit: {
+    type: String,
+    required: true,
+    enum: UNIT_NAMES
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0 // Per pack
+  },
+  stock: {
+    type: Number,
+    min: 0,
+    default: 0 // Packs on hand
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  unitPrice: Number // Price per base unit (kg, liter, piece or bunch), for comparing packs
+});
 
 const ProductSchema = new mongoose.Schema({
   name: {
@@ -18,16 +61,28 @@ const ProductSchema = new mongoose.Schema({
   category: {
     type: String,
     required: true,
-    enum: ['vegetables', 'fruits', 'grains', 'dairy', 'meat', 'herbs']
+    enum: [
+      'vegetables', 'fruits', 'grains', 'pulses', 'spices', 'herbs',
+      'dairy', 'honey', 'nuts', 'seeds', 'flowers', 'medicinal-plants', 'meat'
+    ]
   },
   farmer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  image: {
-    type: String
-  },
+  images: [{
+    type: String,
+    trim: true
+  }],
+  // Images uploaded through the API, with their thumbnails and WebP
+  // versions; each one's url is also listed in images
+  imageFiles: [ImageSchema],
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
   stock: {
     type: Number,
     required: true,
@@ -37,12 +92,122 @@ const ProductSchema = new mongoose.Schema({
   unit: {
     type: String,
     required: true,
-    enum: ['kg', 'lb', 'piece', 'bunch', 'dozen']
+    enum: UNIT_NAMES
   },
+
+  // Pack-size variants. When present, customers buy a variant and the
+  // product's price, stock and unitPrice summarise its variants; stock is
+  // what all their packs hold, in the product's unit.
+  variants: [ProductVariantSchema],
+
+  // Price per base unit (kg, liter, piece or bunch), so products sold in lb, grams
+  // or packs can be compared and sorted; the lowest variant's when there are variants
+  baseUnit: String,
+  unitPrice: Number,
   isOrganic: {
     type: Boolean,
     default: false
   },
+  hsnCode: {
+    type: String,
+    trim: true // Used to pick the GST rate
+  },
+
+  // Harvest and quality details
+  harvestDate: Date,
+  expiryDate: Date,
+  qualityGrade: {
+    type: String,
+    enum: ['A', 'B', 'C']
+  },
+  seasonalAvailability: [{
+    type: String,
+    enum: ['spring', 'summer', 'monsoon', 'autumn', 'winter']
+  }],
+  harvestedAt: Date, // Set when the farmer marks the harvest done
+
+  // Pre-orders against an upcoming harvest. Tracked separately from the
+  // live stock counter; converted into normal orders at harvest.
+  preorder: {
+    isEnabled: {
+      type: Boolean,
+      default: false
+    },
+    quota: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    reserved: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    depositPercentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    }
+  },
+
+  // Location and delivery
+  availableLocations: [{
+    type: String,
+    trim: true
+  }],
+  deliveryRadius: {
+    type: Number,
+    min: 1,
+    max: 500 // km
+  },
+  // Farm location, copied from the farmer's farmCoordinates so listings
+  // can be limited to products that deliver to the customer
+  location: {
+    type: PointSchema,
+    default: undefined
+  },
+
+  // Pricing details; quantities count packs for products with variants
+  minimumOrderQuantity: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  quantityStep: {
+    type: Number,
+    min: 1,
+    default: 1 // Quantities must be multiples of this
+  },
+  discountPercentage: {
+    type: Number,
+    min: 0,
+    max: 90,
+    default: 0
+  },
+
+  // Special instructions
+  specialInstructions: String,
+
+  // Moderation and visibility
+  isApproved: {
+    type: Boolean,
+    default: false, // Admin needs to approve
+    index: true
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+
+  // Stats
+  viewCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Metadata
   createdAt: {
     type: Date,
     default: Date.now
@@ -53,4 +218,83 @@ const ProductSchema = new mongoose.Schema({
   }
 });
 
-export default mongoose.model('Product', ProductSchema); 
\ No newline at end of file
+// Indexes for performance
+ProductSchema.index({ isApproved: 1, isAvailable: 1, category: 1, createdAt: -1 });
+ProductSchema.index({ isApproved: 1, isAvailable: 1, price: 1 });
+ProductSchema.index({ farmer: 1, createdAt: -1 });
+ProductSchema.index({ tags: 1 });
+ProductSchema.index({ location: '2dsphere' });
+
+// Full-text search: name matches count most, then tags, then description
+ProductSchema.index(
+  { name: 'text', tags: 'text', description: 'text' },
+  {
+    name: 'product_text_search',
+    weights: { name: 10, tags: 5, description: 1 },
+    default_language: 'english'
+  }
+);
+ProductSchema.index({ 'variants.sku': 1 }, {
+  unique: true,
+  partialFilterExpression: { 'variants.sku': { $exists: true } }
+});
+
+// Stock is kept to the gram, milliliter or thousandth of a piece
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+// Keep per-unit prices and the variant summary in step before validation,
+// so products with variants get a price and stock from them
+ProductSchema.pre('validate', function(next) {
+  this.variants.forEach(variant => {
+    variant.unitPrice = getUnitPrice(variant.price, variant.packSize, variant.packUnit);
+    if (!variant.label) {
+      variant.label = formatQuantity(variant.packSize, variant.packUnit);
+    }
+  });
+
+  if (this.variants.length > 0) {
+    const available = this.variants.filter(variant => variant.isAvailable);
+    const priced = available.length > 0 ? available : this.variants;
+    this.price = Math.min(...priced.map(variant => variant.price));
+    this.unitPrice = Math.min(...priced.map(variant => variant.unitPrice));
+    // Packs of different sizes are added up in the product's unit
+    this.stock = roundQuantity(this.variants
+      .reduce((sum, variant) => sum + variant.stock * getPackQuantity(variant, this.unit), 0));
+  } else if (this.unit && this.price !== undefined) {
+    this.unitPrice = getUnitPrice(this.price, 1, this.unit);
+  }
+
+  if (this.unit) {
+    this.baseUnit = getBaseUnit(this.unit);
+  }
+  next();
+});
+
+// Variant by ID
+ProductSchema.methods.getVariant = function(variantId) {
+  return variantId ? this.variants.id(variantId) : null;
+};
+
+// Update the updatedAt field before saving
+ProductSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Price history: remember whether this save may change a price, then record
+// the prices that differ from their latest entries once it is saved.
+// Callers applying a scheduled change set $locals.priceChange to
+// { reason: 'schedule', schedule }.
+ProductSchema.pre('save', function(next) {
+  this.$locals.pricesTouched = this.isNew || this.isModified('price') || this.isModified('variants');
+  next();
+});
+
+ProductSchema.post('save', async function(product) {
+  if (product.$locals.pricesTouched) {
+    await PriceHistory.recordPrices(product, { ...product.$locals.priceChange, session: product.$session() });
+  }
+  delete product.$locals.priceChange;
+});
+
+export default mongoose.model('Product', ProductSchema);
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+// A discount run by an admin, or by a farmer on their own products.
+// Coupons apply when the customer enters their code; automatic promotions
+// apply to every order that qualifies. The rules narrow which orders
+// qualify and which items the discount is taken off.
+const PromotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true // Shown to customers, e.g. "₹100 off your first order"
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ['coupon', 'automatic'],
+    required: true
+  },
+  // Coupons only; stored upper case
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent off for percentage discounts, rupees off for fixed ones
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0 // Cap on a percentage discount
+  },
+
+  // Rules
+  minCartValue: {
+    type: Number,
+    min: 0,
+    default: 0 // Of the eligible items, after product discounts
+  },
+  categories: [{
+    type: String,
+    trim: true // Empty applies to every category
+  }],
+  // Only this farmer's products; always set on farmers' own promotions
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1 // Orders per customer; unlimited when unset
+  },
+  usageLimit: {
+    type: Number,
+    min: 1 // Orders in total; unlimited when unset
+  },
+  usedCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: Date,
+  // Stackable promotions combine with each other; others apply alone
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PromotionSchema.index({ code: 1 }, {
+  unique: true,
+  partialFilterExpression: { code: { $type: 'string' } }
+});
+PromotionSchema.index({ kind: 1, isActive: 1, startsAt: 1 });
+
+// Update the updatedAt field before saving
+PromotionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('Promotion', PromotionSchema);
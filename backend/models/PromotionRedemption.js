@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// How many orders a customer has used a promotion on, for per-customer
+// limits. One document per promotion and customer, so the limit can be
+// claimed atomically; cancelled orders give their use back.
+const PromotionRedemptionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PromotionRedemptionSchema.index({ promotion: 1, customer: 1 }, { unique: true });
+
+export default mongoose.model('PromotionRedemption', PromotionRedemptionSchema);
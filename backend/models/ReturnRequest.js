@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+
+const ReturnRequestSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    unique: true,
+    default: function() {
+      return 'RET' + Date.now() + Math.floor(Math.random() * 1000);
+    }
+  },
+
+  // Order being returned
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+
+  // Customer who requested the return
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Farmer whose items are returned (one return request per farmer)
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Returned items
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: mongoose.Schema.Types.ObjectId, // Pack-size variant, if any
+    productName: {
+      type: String,
+      required: true // Snapshot for historical data
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    refundAmount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    reason: String
+  }],
+
+  reason: {
+    type: String,
+    required: true
+  },
+
+  // Refund details
+  refundAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refundMethod: {
+    type: String,
+    enum: ['original', 'wallet', 'bank'],
+    default: 'original'
+  },
+  bankDetails: {
+    accountNumber: String,
+    ifscCode: String,
+    accountHolderName: String
+  },
+  refundedAt: Date,
+
+  // Return status tracking
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'picked-up', 'refunded'],
+    default: 'requested',
+    index: true
+  },
+
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    note: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for performance
+ReturnRequestSchema.index({ farmer: 1, status: 1, createdAt: -1 });
+
+// Update the updatedAt field before saving
+ReturnRequestSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('ReturnRequest', ReturnRequestSchema);
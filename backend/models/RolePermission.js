@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const RolePermissionSchema = new mongoose.Schema({
+  // Role these grants apply to
+  role: {
+    type: String,
+    enum: ['customer', 'farmer', 'admin'],
+    required: true,
+    unique: true
+  },
+
+  // Permissions granted on top of the defaults in config/permissions.js
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+
+  // Admin who last changed the grants
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+RolePermissionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('RolePermission', RolePermissionSchema);
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// Bookings of one delivery slot on one date. Held reservations count
+// against capacity until they expire; confirmed ones until released.
+const SlotBookingSchema = new mongoose.Schema({
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliverySlot',
+    required: true
+  },
+  date: {
+    type: String,
+    required: true // YYYY-MM-DD
+  },
+
+  reservations: [{
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    status: {
+      type: String,
+      enum: ['held', 'confirmed', 'released'],
+      default: 'held'
+    },
+    expiresAt: Date, // Only for held reservations
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  // Concurrent reservations for the same slot and date conflict on save
+  // instead of both fitting into the last free place
+  optimisticConcurrency: true
+});
+
+SlotBookingSchema.index({ slot: 1, date: 1 }, { unique: true });
+SlotBookingSchema.index({ 'reservations._id': 1 });
+
+// Update the updatedAt field before saving
+SlotBookingSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Count reservations currently taking up capacity
+ * @param {Date} now - Reference time for hold expiry
+ * @returns {Number} Active reservations
+ */
+SlotBookingSchema.methods.countActive = function(now = new Date()) {
+  return this.reservations.filter(reservation =>
+    reservation.status === 'confirmed' ||
+    (reservation.status === 'held' && reservation.expiresAt > now)
+  ).length;
+};
+
+export default mongoose.model('SlotBooking', SlotBookingSchema);
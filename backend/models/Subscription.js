@@ -0,0 +1,181 @@
+import mongoose from 'mongoose';
+import { SUBSCRIPTION_FREQUENCIES } from '../config/subscriptions.js';
+
+const SubscriptionItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: mongoose.Schema.Types.ObjectId, // Pack-size variant, if the product has variants
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Substitution preferences, used when the product is unavailable or short:
+  // substitutes are tried in order, then ifUnavailable decides what happens
+  substitutes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  ifUnavailable: {
+    type: String,
+    enum: ['skip-item', 'skip-delivery'],
+    default: 'skip-item'
+  }
+}, { _id: true });
+
+const SubscriptionRunSchema = new mongoose.Schema({
+  deliveryDate: {
+    type: String,
+    required: true // YYYY-MM-DD
+  },
+  status: {
+    type: String,
+    enum: ['placed', 'skipped', 'failed'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  note: String,
+  substitutions: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    productName: String,
+    substitute: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    substituteName: String
+  }],
+  unavailableItems: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    productName: String
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const SubscriptionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    default: 'My basket'
+  },
+
+  items: {
+    type: [SubscriptionItemSchema],
+    validate: [items => items.length > 0, 'A subscription needs at least one item']
+  },
+
+  // Schedule
+  frequency: {
+    type: String,
+    enum: Object.keys(SUBSCRIPTION_FREQUENCIES),
+    default: 'weekly'
+  },
+  deliveryDay: {
+    type: Number,
+    required: true,
+    min: 0, // Sunday
+    max: 6
+  },
+  anchorDate: {
+    type: String,
+    required: true // First delivery date; keeps fortnightly/four-weekly runs in phase
+  },
+  nextDeliveryDate: String, // YYYY-MM-DD
+  nextRunAt: Date, // When the next order is generated
+  skipDates: [String], // Delivery dates the customer skipped
+
+  // Delivery and payment
+  deliveryAddress: {
+    name: {
+      type: String,
+      required: true
+    },
+    phone: {
+      type: String,
+      required: true
+    },
+    street: {
+      type: String,
+      required: true
+    },
+    city: {
+      type: String,
+      required: true
+    },
+    state: {
+      type: String,
+      required: true
+    },
+    pincode: {
+      type: String,
+      required: true
+    },
+    coordinates: [Number] // [longitude, latitude]
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['card', 'upi', 'wallet', 'cod'],
+    default: 'cod'
+  },
+  instructions: String,
+
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled'],
+    default: 'active'
+  },
+  pausedUntil: Date, // Resumes automatically after this; open-ended when unset
+  cancelledAt: Date,
+
+  // Set while the scheduler is generating an order
+  lockedUntil: Date,
+
+  lastOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  runs: [SubscriptionRunSchema],
+
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Due subscriptions are looked up by status and next run time
+SubscriptionSchema.index({ status: 1, nextRunAt: 1 });
+
+// Update the updatedAt field before saving
+SubscriptionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('Subscription', SubscriptionSchema);
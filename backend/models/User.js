@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import PointSchema, { toPoint } from './PointSchema.js';
+import ImageSchema from './ImageSchema.js';
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -33,6 +35,41 @@ const UserSchema = new mongoose.Schema({
   avatar: {
     type: String
   },
+  // Uploaded avatar, with its thumbnail and WebP versions; avatar holds its url
+  avatarImage: {
+    type: ImageSchema,
+    default: undefined
+  },
+  // Farmer-specific details
+  farmerDetails: {
+    farmSize: Number,
+    farmLocation: String,
+    farmCoordinates: [Number], // [longitude, latitude], used for delivery distance
+    // farmCoordinates as GeoJSON, for finding farmers near a customer
+    farmPoint: {
+      type: PointSchema,
+      default: undefined
+    },
+    farmPincode: {
+      type: String,
+      trim: true
+    },
+    state: {
+      type: String,
+      trim: true // Decides CGST + SGST vs IGST on sales
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    cropTypes: [String],
+    experienceYears: Number,
+    isVerified: {
+      type: Boolean,
+      default: false
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -52,4 +89,14 @@ const UserSchema = new mongoose.Schema({
   timestamps: true // This automatically manages createdAt and updatedAt
 });
 
+UserSchema.index({ 'farmerDetails.farmPoint': '2dsphere' });
+
+// Keep the GeoJSON farm location in step with farmCoordinates
+UserSchema.pre('save', function(next) {
+  if (this.isModified('farmerDetails.farmCoordinates')) {
+    this.set('farmerDetails.farmPoint', toPoint(this.farmerDetails.farmCoordinates));
+  }
+  next();
+});
+
 export default mongoose.model('User', UserSchema); 
\ No newline at end of file
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// A customer's store-credit balance. The ledger (WalletTransaction) is the
+// record of every movement; the balance here is updated in the same
+// transaction, so debits can be checked against it atomically.
+const WalletSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  balance: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('Wallet', WalletSchema);
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+// One side of a ledger transaction. Customer wallets are what the platform
+// owes them, so a credit to a wallet account raises its balance.
+const LedgerEntrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true // wallet:<customerId> or a platform:* account
+  },
+  debit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  credit: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+// Double-entry ledger of customer wallets: every movement of store credit
+// debits one account and credits another by the same amount. Written in
+// the same Mongo transaction as the order, return or pre-order behind it.
+const WalletTransactionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['order-payment', 'deposit', 'refund', 'cashback', 'adjustment'],
+    required: true
+  },
+  // Change to the customer's balance: positive for credits, negative for debits
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  entries: {
+    type: [LedgerEntrySchema],
+    required: true
+  },
+  description: String,
+
+  // What the movement was for
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  preorder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PreOrder'
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Admin making an adjustment
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WalletTransactionSchema.index({ customer: 1, createdAt: -1, _id: -1 });
+WalletTransactionSchema.index({ order: 1 }, { partialFilterExpression: { order: { $exists: true } } });
+
+// Entries must balance: total debits equal total credits
+WalletTransactionSchema.pre('validate', function(next) {
+  const toPaise = (amount) => Math.round(amount * 100);
+  const debits = this.entries.reduce((sum, entry) => sum + toPaise(entry.debit), 0);
+  const credits = this.entries.reduce((sum, entry) => sum + toPaise(entry.credit), 0);
+  if (this.entries.length < 2 || debits !== credits) {
+    this.invalidate('entries', 'Ledger entries must balance');
+  }
+  next();
+});
+
+export default mongoose.model('WalletTransaction', WalletTransactionSchema);
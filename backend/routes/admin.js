@@ -0,0 +1,240 @@
+import express from 'express';
+import {
+  getAllUsers,
+  getAllFarmers,
+  approveFarmer,
+  banUser,
+  getAllProducts,
+  approveProduct,
+  deleteProduct,
+  getAllOrders,
+  updateOrderStatus,
+  getAllReturns,
+  updateReturnStatus,
+  getPlatformAnalytics,
+  getPermissions,
+  updateRolePermissions,
+  getDeliveryRates,
+  updateDeliveryRate,
+  getServiceabilityEntries,
+  updateServiceability,
+  deleteServiceability,
+  importServiceabilityCsv,
+  getAllSlots,
+  createHubSlot,
+  updateSlot,
+  deleteSlot
+} from '../controllers/adminController.js';
+import {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion
+} from '../controllers/promotionController.js';
+import { getCustomerWallet, createWalletTransaction } from '../controllers/walletController.js';
+
+import auth from '../middleware/auth.js';
+import authorize from '../middleware/authorize.js';
+import { validateZod } from '../middleware/validateZod.js';
+
+import {
+  getUsersQuerySchema,
+  getFarmersQuerySchema,
+  approveFarmerSchema,
+  banUserSchema,
+  getAdminProductsQuerySchema,
+  approveProductSchema,
+  deleteProductSchema,
+  getAdminOrdersQuerySchema,
+  updateRolePermissionsSchema
+} from '../validations/adminValidation.js';
+import { updateOrderStatusSchema } from '../validations/orderValidation.js';
+import { updateReturnStatusSchema, getReturnsQuerySchema } from '../validations/returnValidation.js';
+import { updateRateCardSchema } from '../validations/deliveryValidation.js';
+import {
+  updateServiceabilitySchema,
+  pincodeSchema,
+  importServiceabilitySchema,
+  getServiceabilityQuerySchema
+} from '../validations/serviceabilityValidation.js';
+import {
+  createHubSlotSchema,
+  updateSlotSchema,
+  deleteSlotSchema,
+  getSlotsQuerySchema
+} from '../validations/slotValidation.js';
+import {
+  createPromotionSchema,
+  updatePromotionSchema,
+  getPromotionsQuerySchema,
+  promotionIdSchema
+} from '../validations/promotionValidation.js';
+import { getCustomerWalletSchema, createWalletTransactionSchema } from '../validations/walletValidation.js';
+
+const router = express.Router();
+
+// All admin routes require an active admin account
+router.use(auth, authorize('admin'));
+
+// @route   GET /api/admin/users
+// @desc    Get all users
+// @access  Private (Admin only)
+router.get('/users', validateZod(getUsersQuerySchema), getAllUsers);
+
+// @route   PUT /api/admin/users/:id/ban
+// @desc    Ban/Unban user
+// @access  Private (Admin only)
+router.put('/users/:id/ban', validateZod(banUserSchema), banUser);
+
+// @route   GET /api/admin/farmers
+// @desc    Get all farmers
+// @access  Private (Admin only)
+router.get('/farmers', validateZod(getFarmersQuerySchema), getAllFarmers);
+
+// @route   PUT /api/admin/farmers/:id/approve
+// @desc    Approve/Reject farmer
+// @access  Private (Admin only)
+router.put('/farmers/:id/approve', validateZod(approveFarmerSchema), approveFarmer);
+
+// @route   GET /api/admin/products
+// @desc    Get all products (admin view)
+// @access  Private (Admin only)
+router.get('/products', validateZod(getAdminProductsQuerySchema), getAllProducts);
+
+// @route   PUT /api/admin/products/:id/approve
+// @desc    Approve/Reject product
+// @access  Private (Admin only)
+router.put('/products/:id/approve', validateZod(approveProductSchema), approveProduct);
+
+// @route   DELETE /api/admin/products/:id
+// @desc    Delete any product
+// @access  Private (Admin only)
+router.delete('/products/:id', validateZod(deleteProductSchema), deleteProduct);
+
+// @route   GET /api/admin/orders
+// @desc    Get all orders
+// @access  Private (Admin only)
+router.get('/orders', validateZod(getAdminOrdersQuerySchema), getAllOrders);
+
+// @route   PUT /api/admin/orders/:id/status
+// @desc    Update any order status
+// @access  Private (Admin only)
+router.put('/orders/:id/status', validateZod(updateOrderStatusSchema), updateOrderStatus);
+
+// @route   GET /api/admin/returns
+// @desc    Get all return requests
+// @access  Private (Admin only)
+router.get('/returns', validateZod(getReturnsQuerySchema), getAllReturns);
+
+// @route   PUT /api/admin/returns/:id/status
+// @desc    Review a return or complete its refund
+// @access  Private (Admin only)
+router.put('/returns/:id/status', validateZod(updateReturnStatusSchema), updateReturnStatus);
+
+// @route   GET /api/admin/analytics
+// @desc    Get platform analytics
+// @access  Private (Admin only)
+router.get('/analytics', getPlatformAnalytics);
+
+// @route   GET /api/admin/permissions
+// @desc    Get role permission map
+// @access  Private (Admin only)
+router.get('/permissions', getPermissions);
+
+// @route   PUT /api/admin/permissions/:role
+// @desc    Replace extra permissions granted to a role
+// @access  Private (Admin only)
+router.put('/permissions/:role', validateZod(updateRolePermissionsSchema), updateRolePermissions);
+
+// @route   GET /api/admin/delivery-rates
+// @desc    Get delivery rate cards
+// @access  Private (Admin only)
+router.get('/delivery-rates', getDeliveryRates);
+
+// @route   PUT /api/admin/delivery-rates/:zone
+// @desc    Create or replace a delivery zone's rate card
+// @access  Private (Admin only)
+router.put('/delivery-rates/:zone', validateZod(updateRateCardSchema), updateDeliveryRate);
+
+// @route   GET /api/admin/serviceability
+// @desc    Get the serviceability registry
+// @access  Private (Admin only)
+router.get('/serviceability', validateZod(getServiceabilityQuerySchema), getServiceabilityEntries);
+
+// @route   POST /api/admin/serviceability/import
+// @desc    Import the serviceability registry from CSV (Content-Type: text/csv)
+// @access  Private (Admin only)
+router.post(
+  '/serviceability/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  validateZod(importServiceabilitySchema),
+  importServiceabilityCsv
+);
+
+// @route   PUT /api/admin/serviceability/:pincode
+// @desc    Create or update a pincode's serviceability
+// @access  Private (Admin only)
+router.put('/serviceability/:pincode', validateZod(updateServiceabilitySchema), updateServiceability);
+
+// @route   DELETE /api/admin/serviceability/:pincode
+// @desc    Remove a pincode from the serviceability registry
+// @access  Private (Admin only)
+router.delete('/serviceability/:pincode', validateZod(pincodeSchema), deleteServiceability);
+
+// @route   GET /api/admin/delivery-slots
+// @desc    Get all delivery slots (filter by farmer or hub)
+// @access  Private (Admin only)
+router.get('/delivery-slots', validateZod(getSlotsQuerySchema), getAllSlots);
+
+// @route   POST /api/admin/delivery-slots
+// @desc    Create a hub delivery slot
+// @access  Private (Admin only)
+router.post('/delivery-slots', validateZod(createHubSlotSchema), createHubSlot);
+
+// @route   PUT /api/admin/delivery-slots/:id
+// @desc    Update any delivery slot
+// @access  Private (Admin only)
+router.put('/delivery-slots/:id', validateZod(updateSlotSchema), updateSlot);
+
+// @route   DELETE /api/admin/delivery-slots/:id
+// @desc    Deactivate any delivery slot
+// @access  Private (Admin only)
+router.delete('/delivery-slots/:id', validateZod(deleteSlotSchema), deleteSlot);
+
+// @route   GET /api/admin/promotions
+// @desc    Get all promotions
+// @access  Private (Admin only)
+router.get('/promotions', validateZod(getPromotionsQuerySchema), getPromotions);
+
+// @route   POST /api/admin/promotions
+// @desc    Create a coupon or automatic promotion
+// @access  Private (Admin only)
+router.post('/promotions', validateZod(createPromotionSchema), createPromotion);
+
+// @route   GET /api/admin/promotions/:id
+// @desc    Get a promotion with its usage
+// @access  Private (Admin only)
+router.get('/promotions/:id', validateZod(promotionIdSchema), getPromotion);
+
+// @route   PUT /api/admin/promotions/:id
+// @desc    Update any promotion
+// @access  Private (Admin only)
+router.put('/promotions/:id', validateZod(updatePromotionSchema), updatePromotion);
+
+// @route   DELETE /api/admin/promotions/:id
+// @desc    Deactivate any promotion
+// @access  Private (Admin only)
+router.delete('/promotions/:id', validateZod(promotionIdSchema), deactivatePromotion);
+
+// @route   GET /api/admin/wallets/:customerId
+// @desc    Get a customer's wallet balance and statement
+// @access  Private (Admin only)
+router.get('/wallets/:customerId', validateZod(getCustomerWalletSchema), getCustomerWallet);
+
+// @route   POST /api/admin/wallets/:customerId/transactions
+// @desc    Credit cashback or adjust a customer's wallet
+// @access  Private (Admin only)
+router.post('/wallets/:customerId/transactions', validateZod(createWalletTransactionSchema), createWalletTransaction);
+
+export default router;
@@ -3,12 +3,15 @@ import {
   register,
   login,
   getProfile,
-  updateProfile
+  updateProfile,
+  uploadAvatar
 } from '../controllers/authController.js';
 
 import auth from '../middleware/auth.js';
+import { uploadImages } from '../middleware/upload.js';
 
-import {validateZod} from '../middleware/validateZod.js';
+import {validateZod, validateFile} from '../middleware/validateZod.js';
+import { IMAGE_TYPES, MAX_IMAGE_BYTES } from '../config/uploads.js';
 // Import validation schemas
 import {
   registerSchema,
@@ -38,4 +41,15 @@ router.get('/profile', auth, getProfile);
 // @access  Private
 router.put('/profile', auth, validateZod(updateProfileSchema), updateProfile);
 
+// @route   PUT /api/auth/profile/avatar
+// @desc    Upload profile avatar (multipart field "avatar")
+// @access  Private
+router.put(
+  '/profile/avatar',
+  auth,
+  uploadImages('avatar', 1),
+  validateFile({ required: true, allowedTypes: IMAGE_TYPES, maxSize: MAX_IMAGE_BYTES, maxFiles: 1 }),
+  uploadAvatar
+);
+
 export default router; 
\ No newline at end of file
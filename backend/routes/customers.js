@@ -4,61 +4,227 @@ import {
   addToCart,
   updateCartItem,
   removeFromCart,
+  applyCoupon,
+  removeCoupon,
+  getDeliveryQuote,
+  getDeliverySlots,
+  reserveDeliverySlot,
   getMyOrders,
   placeOrder,
-  cancelOrder
+  cancelOrder,
+  createOrderPayment,
+  confirmOrderPayment,
+  requestOrderReturn,
+  getMyReturns
 } from '../controllers/customerController.js';
+import {
+  getMySubscriptions,
+  createMySubscription,
+  getMySubscription,
+  updateMySubscription,
+  pauseMySubscription,
+  resumeMySubscription,
+  skipMySubscriptionDelivery,
+  cancelMySubscription
+} from '../controllers/subscriptionController.js';
+import {
+  createMyPreOrder,
+  getMyPreOrders,
+  createPreOrderPayment,
+  confirmPreOrderPayment,
+  cancelMyPreOrder
+} from '../controllers/preorderController.js';
+import { getMyWallet, getMyWalletStatement } from '../controllers/walletController.js';
 
 import auth from '../middleware/auth.js';
+import { requirePermission } from '../middleware/authorize.js';
 import { validateZod } from '../middleware/validateZod.js';
 
 import {
   addToCartSchema,
   updateCartItemSchema,
-  removeCartItemSchema
+  removeCartItemSchema,
+  applyCouponSchema
 } from '../validations/cartValidation.js';
 
 import orderValidation from '../validations/orderValidation.js';
-const { placeOrderSchema, cancelOrderSchema } = orderValidation;
+const { placeOrderSchema, cancelOrderSchema, returnOrderSchema } = orderValidation;
+import { getReturnsQuerySchema } from '../validations/returnValidation.js';
+import { createPaymentSchema, confirmPaymentSchema } from '../validations/paymentValidation.js';
+import { deliveryQuoteSchema } from '../validations/deliveryValidation.js';
+import { getDeliverySlotsQuerySchema, reserveSlotSchema } from '../validations/slotValidation.js';
+import {
+  createSubscriptionSchema,
+  updateSubscriptionSchema,
+  pauseSubscriptionSchema,
+  skipDeliverySchema,
+  subscriptionIdSchema
+} from '../validations/subscriptionValidation.js';
+import {
+  createPreOrderSchema,
+  cancelPreOrderSchema,
+  getPreOrdersQuerySchema
+} from '../validations/preorderValidation.js';
+import { getWalletStatementSchema } from '../validations/walletValidation.js';
 
 const router = express.Router();
 
-// All customer routes require authentication
+// All customer routes require authentication; each route checks its permission
 router.use(auth);
 
 // @route   GET /api/customers/cart
 // @desc    Get my cart
 // @access  Private (Customer only)
-router.get('/cart', getCart);
+router.get('/cart', requirePermission('cart:read'), getCart);
 
 // @route   POST /api/customers/cart
 // @desc    Add item to cart
 // @access  Private (Customer only)
-router.post('/cart', validateZod(addToCartSchema), addToCart);
+router.post('/cart', requirePermission('cart:write'), validateZod(addToCartSchema), addToCart);
+
+// @route   POST /api/customers/cart/delivery-quote
+// @desc    Quote delivery charges for my cart
+// @access  Private (Customer only)
+router.post('/cart/delivery-quote', requirePermission('cart:read'), validateZod(deliveryQuoteSchema), getDeliveryQuote);
+
+// @route   POST /api/customers/cart/coupon
+// @desc    Apply a coupon to my cart
+// @access  Private (Customer only)
+router.post('/cart/coupon', requirePermission('cart:write'), validateZod(applyCouponSchema), applyCoupon);
+
+// @route   DELETE /api/customers/cart/coupon
+// @desc    Remove the coupon from my cart
+// @access  Private (Customer only)
+router.delete('/cart/coupon', requirePermission('cart:write'), removeCoupon);
 
 // @route   PUT /api/customers/cart/:itemId
 // @desc    Update cart item quantity
 // @access  Private (Customer only)
-router.put('/cart/:itemId', validateZod(updateCartItemSchema), updateCartItem);
+router.put('/cart/:itemId', requirePermission('cart:write'), validateZod(updateCartItemSchema), updateCartItem);
 
 // @route   DELETE /api/customers/cart/:itemId
 // @desc    Remove item from cart
 // @access  Private (Customer only)
-router.delete('/cart/:itemId', validateZod(removeCartItemSchema), removeFromCart);
+router.delete('/cart/:itemId', requirePermission('cart:write'), validateZod(removeCartItemSchema), removeFromCart);
+
+// @route   GET /api/customers/delivery-slots
+// @desc    Get delivery slots available for my cart and pincode
+// @access  Private (Customer only)
+router.get('/delivery-slots', requirePermission('slot:read'), validateZod(getDeliverySlotsQuerySchema), getDeliverySlots);
+
+// @route   POST /api/customers/delivery-slots/:id/reserve
+// @desc    Hold a delivery slot while checking out
+// @access  Private (Customer only)
+router.post('/delivery-slots/:id/reserve', requirePermission('slot:reserve'), validateZod(reserveSlotSchema), reserveDeliverySlot);
 
 // @route   GET /api/customers/orders
 // @desc    Get my orders
 // @access  Private (Customer only)
-router.get('/orders', getMyOrders);
+router.get('/orders', requirePermission('order:read'), getMyOrders);
 
 // @route   POST /api/customers/orders
 // @desc    Place new order
 // @access  Private (Customer only)
-router.post('/orders', validateZod(placeOrderSchema), placeOrder);
+router.post('/orders', requirePermission('order:create'), validateZod(placeOrderSchema), placeOrder);
 
 // @route   PUT /api/customers/orders/:id/cancel
 // @desc    Cancel order
 // @access  Private (Customer only)
-router.put('/orders/:id/cancel', validateZod(cancelOrderSchema), cancelOrder);
+router.put('/orders/:id/cancel', requirePermission('order:cancel'), validateZod(cancelOrderSchema), cancelOrder);
+
+// @route   POST /api/customers/orders/:id/payment
+// @desc    Create (or reuse) a payment intent for an order
+// @access  Private (Customer only)
+router.post('/orders/:id/payment', requirePermission('order:pay'), validateZod(createPaymentSchema), createOrderPayment);
+
+// @route   POST /api/customers/orders/:id/payment/confirm
+// @desc    Confirm a payment completed with the provider
+// @access  Private (Customer only)
+router.post('/orders/:id/payment/confirm', requirePermission('order:pay'), validateZod(confirmPaymentSchema), confirmOrderPayment);
+
+// @route   POST /api/customers/orders/:id/return
+// @desc    Request a return for a delivered order
+// @access  Private (Customer only)
+router.post('/orders/:id/return', requirePermission('return:create'), validateZod(returnOrderSchema), requestOrderReturn);
+
+// @route   GET /api/customers/returns
+// @desc    Get my return requests
+// @access  Private (Customer only)
+router.get('/returns', requirePermission('return:read'), validateZod(getReturnsQuerySchema), getMyReturns);
+
+// @route   GET /api/customers/subscriptions
+// @desc    Get my subscriptions
+// @access  Private (Customer only)
+router.get('/subscriptions', requirePermission('subscription:read'), getMySubscriptions);
+
+// @route   POST /api/customers/subscriptions
+// @desc    Subscribe to a recurring basket
+// @access  Private (Customer only)
+router.post('/subscriptions', requirePermission('subscription:write'), validateZod(createSubscriptionSchema), createMySubscription);
+
+// @route   GET /api/customers/subscriptions/:id
+// @desc    Get one of my subscriptions with its recent runs
+// @access  Private (Customer only)
+router.get('/subscriptions/:id', requirePermission('subscription:read'), validateZod(subscriptionIdSchema), getMySubscription);
+
+// @route   PUT /api/customers/subscriptions/:id
+// @desc    Change a subscription's items, schedule, address or payment
+// @access  Private (Customer only)
+router.put('/subscriptions/:id', requirePermission('subscription:write'), validateZod(updateSubscriptionSchema), updateMySubscription);
+
+// @route   POST /api/customers/subscriptions/:id/pause
+// @desc    Pause a subscription (optionally until a date)
+// @access  Private (Customer only)
+router.post('/subscriptions/:id/pause', requirePermission('subscription:write'), validateZod(pauseSubscriptionSchema), pauseMySubscription);
+
+// @route   POST /api/customers/subscriptions/:id/resume
+// @desc    Resume a paused subscription
+// @access  Private (Customer only)
+router.post('/subscriptions/:id/resume', requirePermission('subscription:write'), validateZod(subscriptionIdSchema), resumeMySubscription);
+
+// @route   POST /api/customers/subscriptions/:id/skip
+// @desc    Skip one delivery (the next one by default)
+// @access  Private (Customer only)
+router.post('/subscriptions/:id/skip', requirePermission('subscription:write'), validateZod(skipDeliverySchema), skipMySubscriptionDelivery);
+
+// @route   DELETE /api/customers/subscriptions/:id
+// @desc    Cancel a subscription
+// @access  Private (Customer only)
+router.delete('/subscriptions/:id', requirePermission('subscription:write'), validateZod(subscriptionIdSchema), cancelMySubscription);
+
+// @route   GET /api/customers/preorders
+// @desc    Get my pre-orders
+// @access  Private (Customer only)
+router.get('/preorders', requirePermission('preorder:read'), validateZod(getPreOrdersQuerySchema), getMyPreOrders);
+
+// @route   POST /api/customers/preorders
+// @desc    Pre-order a product against its upcoming harvest
+// @access  Private (Customer only)
+router.post('/preorders', requirePermission('preorder:write'), validateZod(createPreOrderSchema), createMyPreOrder);
+
+// @route   POST /api/customers/preorders/:id/payment
+// @desc    Create (or reuse) a payment intent for a pre-order deposit
+// @access  Private (Customer only)
+router.post('/preorders/:id/payment', requirePermission('preorder:write'), validateZod(createPaymentSchema), createPreOrderPayment);
+
+// @route   POST /api/customers/preorders/:id/payment/confirm
+// @desc    Confirm a deposit payment completed with the provider
+// @access  Private (Customer only)
+router.post('/preorders/:id/payment/confirm', requirePermission('preorder:write'), validateZod(confirmPaymentSchema), confirmPreOrderPayment);
+
+// @route   PUT /api/customers/preorders/:id/cancel
+// @desc    Cancel a pre-order before harvest (refunds any deposit)
+// @access  Private (Customer only)
+router.put('/preorders/:id/cancel', requirePermission('preorder:write'), validateZod(cancelPreOrderSchema), cancelMyPreOrder);
+
+// @route   GET /api/customers/wallet
+// @desc    Get my wallet balance
+// @access  Private (Customer only)
+router.get('/wallet', requirePermission('wallet:read'), getMyWallet);
+
+// @route   GET /api/customers/wallet/statement
+// @desc    Get my wallet statement (optionally `from`/`to`)
+// @access  Private (Customer only)
+router.get('/wallet/statement', requirePermission('wallet:read'), validateZod(getWalletStatementSchema), getMyWalletStatement);
 
 export default router;
\ No newline at end of file
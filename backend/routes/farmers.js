@@ -4,57 +4,258 @@ import {
   createProduct,
   updateProduct,
   deleteProduct,
+  uploadProductImages,
+  deleteProductImage,
   getMyOrders,
   updateOrderStatus,
-  getAnalytics
+  getAnalytics,
+  getReturns,
+  updateReturnStatus,
+  getMySlots,
+  createSlot,
+  updateSlot,
+  deleteSlot
 } from '../controllers/farmerController.js';
+import { getFarmerPreOrders, harvestProduct } from '../controllers/preorderController.js';
+import {
+  importProductsBulk,
+  updateProductsBulk,
+  exportProductsFile
+} from '../controllers/bulkProductController.js';
+import {
+  getPriceHistory,
+  getPriceSchedules,
+  schedulePriceChange,
+  cancelPriceChange
+} from '../controllers/priceController.js';
+import {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion
+} from '../controllers/promotionController.js';
 
 import auth from '../middleware/auth.js';
-import { validateZod } from '../middleware/validateZod.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { validateZod, validateFile } from '../middleware/validateZod.js';
+import { uploadFiles, uploadImages } from '../middleware/upload.js';
 
 import {
   createProductSchema,
-  updateProductSchema
+  updateProductSchema,
+  getProductByIdSchema,
+  deleteProductImageSchema,
+  bulkProductsQuerySchema,
+  exportProductsQuerySchema
 } from '../validations/productValidation.js';
+import { updateOrderStatusSchema } from '../validations/orderValidation.js';
+import { updateReturnStatusSchema, getReturnsQuerySchema } from '../validations/returnValidation.js';
+import { createSlotSchema, updateSlotSchema, deleteSlotSchema } from '../validations/slotValidation.js';
+import { getFarmerPreOrdersQuerySchema, harvestProductSchema } from '../validations/preorderValidation.js';
+import {
+  getPriceHistorySchema,
+  getPriceSchedulesSchema,
+  createPriceScheduleSchema,
+  cancelPriceScheduleSchema
+} from '../validations/priceValidation.js';
+import {
+  createPromotionSchema,
+  updatePromotionSchema,
+  getPromotionsQuerySchema,
+  promotionIdSchema
+} from '../validations/promotionValidation.js';
+import {
+  IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_PRODUCT_IMAGES,
+  SPREADSHEET_TYPES,
+  MAX_SPREADSHEET_BYTES
+} from '../config/uploads.js';
 
 const router = express.Router();
 
-// All farmer routes require authentication
+// One CSV or XLSX file in the multipart field "file"
+const spreadsheetUpload = [
+  uploadFiles('file', { maxFiles: 1, maxSize: MAX_SPREADSHEET_BYTES }),
+  validateFile({ required: true, allowedTypes: SPREADSHEET_TYPES, maxSize: MAX_SPREADSHEET_BYTES, maxFiles: 1 })
+];
+
+// All farmer routes require authentication; each route checks its permission
 router.use(auth);
 
 // @route   GET /api/farmers/products
 // @desc    Get my products
 // @access  Private (Farmer only)
-router.get('/products', getMyProducts);
+router.get('/products', requirePermission('product:read'), getMyProducts);
 
 // @route   POST /api/farmers/products
 // @desc    Create new product
 // @access  Private (Farmer only)
-router.post('/products', validateZod(createProductSchema), createProduct);
+router.post('/products', requirePermission('product:write'), validateZod(createProductSchema), createProduct);
+
+// @route   GET /api/farmers/products/export
+// @desc    Download my catalog as CSV or XLSX (?format=), in the bulk import format
+// @access  Private (Farmer only)
+router.get('/products/export', requirePermission('product:read'), validateZod(exportProductsQuerySchema), exportProductsFile);
+
+// @route   POST /api/farmers/products/bulk
+// @desc    Create products from a CSV or XLSX file (?dryRun=true to only check it)
+// @access  Private (Farmer only)
+router.post(
+  '/products/bulk',
+  requirePermission('product:write'),
+  validateZod(bulkProductsQuerySchema),
+  ...spreadsheetUpload,
+  importProductsBulk
+);
+
+// @route   PATCH /api/farmers/products/bulk
+// @desc    Update prices, stock and availability by SKU from a CSV or XLSX file (?dryRun=true to only check it)
+// @access  Private (Farmer only)
+router.patch(
+  '/products/bulk',
+  requirePermission('product:write'),
+  validateZod(bulkProductsQuerySchema),
+  ...spreadsheetUpload,
+  updateProductsBulk
+);
 
 // @route   PUT /api/farmers/products/:id
 // @desc    Update my product
 // @access  Private (Farmer only)
-router.put('/products/:id', validateZod(updateProductSchema), updateProduct);
+router.put('/products/:id', requirePermission('product:write'), validateZod(updateProductSchema), updateProduct);
 
 // @route   DELETE /api/farmers/products/:id
 // @desc    Delete my product
 // @access  Private (Farmer only)
-router.delete('/products/:id', deleteProduct);
+router.delete('/products/:id', requirePermission('product:write'), deleteProduct);
+
+// @route   POST /api/farmers/products/:id/images
+// @desc    Upload images for my product (multipart field "images")
+// @access  Private (Farmer only)
+router.post(
+  '/products/:id/images',
+  requirePermission('product:write'),
+  validateZod(getProductByIdSchema),
+  uploadImages('images', MAX_PRODUCT_IMAGES),
+  validateFile({ required: true, allowedTypes: IMAGE_TYPES, maxSize: MAX_IMAGE_BYTES, maxFiles: MAX_PRODUCT_IMAGES }),
+  uploadProductImages
+);
+
+// @route   DELETE /api/farmers/products/:id/images/:imageId
+// @desc    Delete an uploaded image of my product
+// @access  Private (Farmer only)
+router.delete(
+  '/products/:id/images/:imageId',
+  requirePermission('product:write'),
+  validateZod(deleteProductImageSchema),
+  deleteProductImage
+);
+
+// @route   GET /api/farmers/products/:id/price-history
+// @desc    Get the price history of my product
+// @access  Private (Farmer only)
+router.get('/products/:id/price-history', requirePermission('product:read'), validateZod(getPriceHistorySchema), getPriceHistory);
+
+// @route   GET /api/farmers/products/:id/price-schedules
+// @desc    Get scheduled price changes for my product
+// @access  Private (Farmer only)
+router.get('/products/:id/price-schedules', requirePermission('product:read'), validateZod(getPriceSchedulesSchema), getPriceSchedules);
+
+// @route   POST /api/farmers/products/:id/price-schedules
+// @desc    Schedule a price change for my product, e.g. a weekend sale
+// @access  Private (Farmer only)
+router.post('/products/:id/price-schedules', requirePermission('product:write'), validateZod(createPriceScheduleSchema), schedulePriceChange);
+
+// @route   DELETE /api/farmers/products/:id/price-schedules/:scheduleId
+// @desc    Cancel a scheduled price change
+// @access  Private (Farmer only)
+router.delete(
+  '/products/:id/price-schedules/:scheduleId',
+  requirePermission('product:write'),
+  validateZod(cancelPriceScheduleSchema),
+  cancelPriceChange
+);
+
+// @route   POST /api/farmers/products/:id/harvest
+// @desc    Mark a harvest done and convert its pre-orders into orders
+// @access  Private (Farmer only)
+router.post('/products/:id/harvest', requirePermission('preorder:fulfill'), validateZod(harvestProductSchema), harvestProduct);
+
+// @route   GET /api/farmers/preorders
+// @desc    Get pre-orders for my products
+// @access  Private (Farmer only)
+router.get('/preorders', requirePermission('preorder:read'), validateZod(getFarmerPreOrdersQuerySchema), getFarmerPreOrders);
 
 // @route   GET /api/farmers/orders
 // @desc    Get my orders
 // @access  Private (Farmer only)
-router.get('/orders', getMyOrders);
+router.get('/orders', requirePermission('fulfillment:read'), getMyOrders);
 
 // @route   PUT /api/farmers/orders/:id/status
 // @desc    Update order status
 // @access  Private (Farmer only)
-router.put('/orders/:id/status', updateOrderStatus);
+router.put('/orders/:id/status', requirePermission('fulfillment:update'), validateZod(updateOrderStatusSchema), updateOrderStatus);
 
 // @route   GET /api/farmers/analytics
 // @desc    Get my analytics
 // @access  Private (Farmer only)
-router.get('/analytics', getAnalytics);
+router.get('/analytics', requirePermission('analytics:read'), getAnalytics);
+
+// @route   GET /api/farmers/returns
+// @desc    Get return requests for my products
+// @access  Private (Farmer only)
+router.get('/returns', requirePermission('return:review'), validateZod(getReturnsQuerySchema), getReturns);
+
+// @route   PUT /api/farmers/returns/:id/status
+// @desc    Approve/reject a return or mark it picked up
+// @access  Private (Farmer only)
+router.put('/returns/:id/status', requirePermission('return:review'), validateZod(updateReturnStatusSchema), updateReturnStatus);
+
+// @route   GET /api/farmers/delivery-slots
+// @desc    Get my delivery slots
+// @access  Private (Farmer only)
+router.get('/delivery-slots', requirePermission('slot:read'), getMySlots);
+
+// @route   POST /api/farmers/delivery-slots
+// @desc    Create a delivery slot
+// @access  Private (Farmer only)
+router.post('/delivery-slots', requirePermission('slot:write'), validateZod(createSlotSchema), createSlot);
+
+// @route   PUT /api/farmers/delivery-slots/:id
+// @desc    Update my delivery slot
+// @access  Private (Farmer only)
+router.put('/delivery-slots/:id', requirePermission('slot:write'), validateZod(updateSlotSchema), updateSlot);
+
+// @route   DELETE /api/farmers/delivery-slots/:id
+// @desc    Deactivate my delivery slot
+// @access  Private (Farmer only)
+router.delete('/delivery-slots/:id', requirePermission('slot:write'), validateZod(deleteSlotSchema), deleteSlot);
+
+// @route   GET /api/farmers/promotions
+// @desc    Get my promotions
+// @access  Private (Farmer only)
+router.get('/promotions', requirePermission('promotion:read'), validateZod(getPromotionsQuerySchema), getPromotions);
+
+// @route   POST /api/farmers/promotions
+// @desc    Create a coupon or automatic promotion for my products
+// @access  Private (Farmer only)
+router.post('/promotions', requirePermission('promotion:write'), validateZod(createPromotionSchema), createPromotion);
+
+// @route   GET /api/farmers/promotions/:id
+// @desc    Get a promotion with its usage
+// @access  Private (Farmer only)
+router.get('/promotions/:id', requirePermission('promotion:read'), validateZod(promotionIdSchema), getPromotion);
+
+// @route   PUT /api/farmers/promotions/:id
+// @desc    Update my promotion
+// @access  Private (Farmer only)
+router.put('/promotions/:id', requirePermission('promotion:write'), validateZod(updatePromotionSchema), updatePromotion);
+
+// @route   DELETE /api/farmers/promotions/:id
+// @desc    Deactivate my promotion
+// @access  Private (Farmer only)
+router.delete('/promotions/:id', requirePermission('promotion:write'), validateZod(promotionIdSchema), deactivatePromotion);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getMyNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} from '../controllers/notificationController.js';
+
+import auth from '../middleware/auth.js';
+import { validateZod } from '../middleware/validateZod.js';
+import {
+  getNotificationsQuerySchema,
+  markNotificationReadSchema
+} from '../validations/notificationValidation.js';
+
+const router = express.Router();
+
+// Every signed-in user can read their own notifications
+router.use(auth);
+
+// @route   GET /api/notifications
+// @desc    Get my notifications
+// @access  Private
+router.get('/', validateZod(getNotificationsQuerySchema), getMyNotifications);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all my notifications read
+// @access  Private
+router.put('/read-all', markAllNotificationsRead);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification read
+// @access  Private
+router.put('/:id/read', validateZod(markNotificationReadSchema), markNotificationRead);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { handlePaymentWebhook } from '../controllers/paymentController.js';
+
+import { validateZod } from '../middleware/validateZod.js';
+import { paymentWebhookSchema } from '../validations/paymentValidation.js';
+
+const router = express.Router();
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Receive payment provider webhook
+// @access  Public (signature verified)
+router.post('/webhook/:provider', validateZod(paymentWebhookSchema), handlePaymentWebhook);
+
+export default router;
@@ -1,13 +1,14 @@
 import express from 'express';
 import productController from '../controllers/productController.js';
-const { getProducts, getProduct, searchProducts, getProductsByFarmer, getCategories } = productController;
+const { getProducts, getProduct, searchProducts, getProductsByFarmer, getNearbyFarmers, getCategories } = productController;
 
 import { validateZod } from '../middleware/validateZod.js';
 
 import {
   getProductsQuerySchema,
   getProductByIdSchema,
-  searchProductsSchema
+  searchProductsSchema,
+  getNearbyFarmersSchema
 } from '../validations/productValidation.js';
 
 const router = express.Router();
@@ -27,6 +28,11 @@ router.get('/search', validateZod(searchProductsSchema), searchProducts);
 // @access  Public
 router.get('/categories', getCategories);
 
+// @route   GET /api/products/farmers/nearby
+// @desc    Get farmers near a location
+// @access  Public
+router.get('/farmers/nearby', validateZod(getNearbyFarmersSchema), getNearbyFarmers);
+
 // @route   GET /api/products/farmer/:farmerId
 // @desc    Get products by farmer
 // @access  Public
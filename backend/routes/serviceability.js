@@ -0,0 +1,14 @@
+import express from 'express';
+import { checkServiceability } from '../controllers/serviceabilityController.js';
+
+import { validateZod } from '../middleware/validateZod.js';
+import { pincodeSchema } from '../validations/serviceabilityValidation.js';
+
+const router = express.Router();
+
+// @route   GET /api/serviceability/:pincode
+// @desc    Check whether we deliver to a pincode
+// @access  Public
+router.get('/:pincode', validateZod(pincodeSchema), checkServiceability);
+
+export default router;
@@ -0,0 +1,48 @@
+import bcrypt from 'bcryptjs';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+// Usage: npm run admin:create -- <name> <email> <password>
+// Creates an admin account, or makes the user with that email an admin.
+// Registration only creates customers and farmers, so the first admin comes
+// from here; later ones can be created the same way.
+
+// Load environment variables
+dotenv.config();
+
+const [name, email, password] = process.argv.slice(2);
+
+const run = async () => {
+  if (!name || !email || !password) {
+    throw new Error('Usage: npm run admin:create -- <name> <email> <password>');
+  }
+  if (password.length < 6) {
+    throw new Error('Password must be at least 6 characters');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/farmtohome');
+
+  const salt = await bcrypt.genSalt(10);
+  const hashed = await bcrypt.hash(password, salt);
+
+  const existing = await User.findOne({ email: email.toLowerCase() });
+  if (existing) {
+    existing.role = 'admin';
+    existing.password = hashed;
+    existing.isActive = true;
+    await existing.save();
+    console.log(`Made ${existing.email} an admin`);
+    return;
+  }
+
+  const user = await User.create({ name, email, password: hashed, role: 'admin' });
+  console.log(`Created admin ${user.email}`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Create admin error:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
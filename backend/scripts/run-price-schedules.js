@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { runDuePriceSchedules } from '../services/priceScheduleService.js';
+
+// Usage: npm run prices:run
+// Applies and reverts due scheduled price changes once and exits. Use this
+// from cron when the in-process scheduler is turned off (PRICE_SCHEDULER=off).
+
+// Load environment variables
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/farmtohome');
+  const summary = await runDuePriceSchedules();
+  console.log('Price schedule run:', summary);
+};
+
+run()
+  .catch((err) => {
+    console.error('Price schedule run error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { runDueSubscriptions } from '../services/subscriptionService.js';
+
+// Usage: npm run subscriptions:run
+// Generates orders for due subscriptions once and exits. Use this from cron
+// when the in-process scheduler is turned off (SUBSCRIPTION_SCHEDULER=off).
+
+// Load environment variables
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/farmtohome');
+  const summary = await runDueSubscriptions();
+  console.log('Subscription run:', summary);
+};
+
+run()
+  .catch((err) => {
+    console.error('Subscription run error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,26 @@
+import dotenv from 'dotenv';
+import { sendMockWebhook } from '../services/payments/webhookSimulator.js';
+
+// Usage: npm run webhook:simulate -- <event type> <intentId> [refundId]
+// e.g.   npm run webhook:simulate -- payment.captured mock_pay_0123456789abcdef
+
+// Load environment variables
+dotenv.config();
+
+const [type, intentId, refundId] = process.argv.slice(2);
+
+if (!type || !intentId) {
+  console.error('Usage: npm run webhook:simulate -- <event type> <intentId> [refundId]');
+  process.exit(1);
+}
+
+const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+sendMockWebhook(baseUrl, type, { intentId, refundId })
+  .then(({ status, body }) => {
+    console.log(`Webhook ${type} → ${status}`, body);
+  })
+  .catch((err) => {
+    console.error('Webhook simulation error:', err);
+    process.exitCode = 1;
+  });
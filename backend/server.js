@@ -8,6 +8,14 @@ import userRoutes from "./routes/users.js";
 import productRoutes from "./routes/products.js";
 import farmerRoutes from "./routes/farmers.js";
 import customerRoutes from "./routes/customers.js";
+import adminRoutes from "./routes/admin.js";
+import paymentRoutes from "./routes/payments.js";
+import notificationRoutes from "./routes/notifications.js";
+import serviceabilityRoutes from "./routes/serviceability.js";
+import { startSubscriptionScheduler } from "./services/subscriptionScheduler.js";
+import { startPriceScheduler } from "./services/priceScheduler.js";
+import { getStorage } from "./services/storage/index.js";
+import { UPLOADS_URL_PATH } from "./config/uploads.js";
 
 // Load environment variables
 dotenv.config();
@@ -16,7 +24,15 @@ const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ extended: false }));
+app.use(
+  express.json({
+    extended: false,
+    // Keep the raw body so payment webhook signatures can be verified
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Add request logging middleware
 app.use((req, res, next) => {
@@ -31,6 +47,17 @@ app.use("/api/users", userRoutes);
 app.use("/api/products", productRoutes);
 app.use("/api/farmers", farmerRoutes);
 app.use("/api/customers", customerRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/serviceability", serviceabilityRoutes);
+
+// Uploaded images stored on local disk; file names are unique per upload
+const localStorage = getStorage("local");
+app.use(
+  UPLOADS_URL_PATH,
+  express.static(localStorage.getUploadDir(), { maxAge: "30d", immutable: true })
+);
 
 // Serve static assets in production
 if (process.env.NODE_ENV === "production") {
@@ -53,6 +80,16 @@ mongoose
   .then(() => {
     console.log("MongoDB connected successfullys");
     app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+    // Generate subscription orders in-process unless an external cron runs them
+    if (process.env.SUBSCRIPTION_SCHEDULER !== "off") {
+      startSubscriptionScheduler();
+    }
+
+    // Apply and revert scheduled price changes unless an external cron does
+    if (process.env.PRICE_SCHEDULER !== "off") {
+      startPriceScheduler();
+    }
   })
   .catch((err) => {
     console.error("MongoDB connection error:", err);
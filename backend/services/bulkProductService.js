@@ -0,0 +1,509 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import PriceHistory from '../models/PriceHistory.js';
+import AppError from '../utils/AppError.js';
+import { parseCsvBoolean, parseCsvNumber } from '../utils/csv.js';
+import { readSpreadsheet, writeSpreadsheet } from '../utils/spreadsheet.js';
+import { createProductSchema, bulkUpdateRowSchema } from '../validations/productValidation.js';
+import { MAX_BULK_ROWS } from '../config/uploads.js';
+import { applyVariants } from './variantService.js';
+import { getFarmLocation } from './geoService.js';
+
+// Columns of the catalog spreadsheet, in export order. A product with pack
+// sizes takes one row per pack, repeating the product's own columns; rows
+// with the same name are one product.
+const PRODUCT_COLUMNS = [
+  'productId', 'name', 'description', 'category', 'unit',
+  'sku', 'variantLabel', 'packSize', 'packUnit', 'price', 'stock', 'isAvailable',
+  'isOrganic', 'hsnCode', 'qualityGrade', 'tags', 'availableLocations',
+  'deliveryRadius', 'minimumOrderQuantity', 'quantityStep', 'discountPercentage',
+  'seasonalAvailability', 'images'
+];
+
+// Separates the items of list columns (tags, images, ...)
+const LIST_SEPARATOR = ';';
+
+// Variant fields whose column has another name
+const VARIANT_COLUMNS = { label: 'variantLabel' };
+
+// Most problems listed in one report
+const MAX_REPORTED_ERRORS = 500;
+
+const parseList = (value) =>
+  value === undefined
+    ? undefined
+    : value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+
+const lowerCase = (value) => value && value.toLowerCase();
+
+const byLine = (a, b) => a.line - b.line;
+
+/**
+ * Read an uploaded CSV or XLSX file
+ * @param {Object} file - Multer file
+ * @returns {Promise<Object>} { columns, records: [{ line, values }] }
+ */
+const readRows = async (file) => {
+  let sheet;
+  try {
+    sheet = await readSpreadsheet(file.buffer);
+  } catch (error) {
+    throw new AppError('INVALID_SPREADSHEET', 'The file could not be read as CSV or XLSX');
+  }
+
+  if (sheet.records.length === 0) {
+    throw new AppError('INVALID_SPREADSHEET', 'The file needs a header row and at least one product row');
+  }
+  if (sheet.records.length > MAX_BULK_ROWS) {
+    throw new AppError('INVALID_SPREADSHEET', `A file can have at most ${MAX_BULK_ROWS} rows`);
+  }
+  return sheet;
+};
+
+/**
+ * Product fields, as createProductSchema takes them, from a product's rows
+ * @param {Object[]} rows - Records of one product
+ * @returns {Object} Unvalidated product body
+ */
+const toProductBody = (rows) => {
+  const { values } = rows[0];
+  const hasPacks = rows.some(({ values: row }) =>
+    row.packSize !== undefined || row.packUnit !== undefined || row.sku !== undefined);
+
+  const body = {
+    name: values.name,
+    description: values.description,
+    category: lowerCase(values.category),
+    unit: lowerCase(values.unit),
+    isOrganic: parseCsvBoolean(values.isOrganic),
+    hsnCode: values.hsnCode,
+    qualityGrade: values.qualityGrade,
+    tags: parseList(values.tags),
+    availableLocations: parseList(values.availableLocations),
+    deliveryRadius: parseCsvNumber(values.deliveryRadius),
+    minimumOrderQuantity: parseCsvNumber(values.minimumOrderQuantity),
+    quantityStep: parseCsvNumber(values.quantityStep),
+    discountPercentage: parseCsvNumber(values.discountPercentage),
+    seasonalAvailability: parseList(lowerCase(values.seasonalAvailability)),
+    images: parseList(values.images)
+  };
+
+  if (!hasPacks) {
+    return { ...body, price: parseCsvNumber(values.price), stock: parseCsvNumber(values.stock) };
+  }
+
+  return {
+    ...body,
+    variants: rows.map(({ values: row }) => ({
+      sku: row.sku,
+      label: row.variantLabel,
+      packSize: parseCsvNumber(row.packSize),
+      packUnit: lowerCase(row.packUnit),
+      price: parseCsvNumber(row.price),
+      stock: parseCsvNumber(row.stock),
+      isAvailable: parseCsvBoolean(row.isAvailable)
+    }))
+  };
+};
+
+/**
+ * Line and column a createProductSchema issue belongs to
+ * @param {Object} issue - Zod issue, with a path under body
+ * @param {Object[]} rows - Records of the product
+ * @returns {Object} { line, field }
+ */
+const locateIssue = (issue, rows) => {
+  const [, field, index, variantField] = issue.path;
+  if (field === 'variants' && rows[index]) {
+    return { line: rows[index].line, field: VARIANT_COLUMNS[variantField] || variantField || 'packSize' };
+  }
+  return { line: rows[0].line, field: field || 'name' };
+};
+
+/**
+ * Check a product's rows with createProductSchema
+ * @param {Object[]} rows - Records of one product
+ * @param {Object[]} errors - Problems found, appended to
+ * @returns {Object|null} Validated body, or null when invalid
+ */
+const validateProductRows = (rows, errors) => {
+  const body = toProductBody(rows);
+
+  if (!body.variants && rows.length > 1) {
+    rows.slice(1).forEach(({ line }) => errors.push({
+      line,
+      field: 'packSize',
+      message: `${body.name} is also on line ${rows[0].line}; give each row of a product a packSize and packUnit`
+    }));
+    return null;
+  }
+
+  const result = createProductSchema.safeParse({ body });
+  if (!result.success) {
+    result.error.issues.forEach(issue => errors.push({ ...locateIssue(issue, rows), message: issue.message }));
+    return null;
+  }
+  return result.data.body;
+};
+
+/**
+ * Build an unsaved product the way the dashboard form creates one, and
+ * run the model's validation on it
+ * @param {Object} body - Validated product body
+ * @param {Object} owner - { farmer, location }
+ * @returns {Promise<Object>} Product document
+ */
+const buildProduct = async ({ variants, ...fields }, { farmer, location }) => {
+  const product = new Product({
+    ...fields,
+    farmer,
+    isAvailable: true,
+    isApproved: false, // Admin needs to approve
+    location
+  });
+  applyVariants(product, variants);
+  await product.validate();
+  return product;
+};
+
+/**
+ * Problems from building a product, reported on its first row
+ * @param {Error} error - Error from buildProduct
+ * @param {Number} line - First line of the product
+ * @returns {Object[]} Problems
+ */
+const describeBuildError = (error, line) => {
+  if (error instanceof AppError) {
+    return [{ line, field: error.code === 'INVALID_PACK_UNIT' ? 'packUnit' : 'sku', message: error.message }];
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return Object.values(error.errors).map(({ path, message }) => ({ line, field: path, message }));
+  }
+  throw error;
+};
+
+/**
+ * Create products from a CSV or XLSX file (see PRODUCT_COLUMNS). Every row
+ * is checked first with createProductSchema; if any is invalid nothing is
+ * created. New products wait for admin approval, like ones from the
+ * dashboard. Names the farmer already uses and SKUs in use are refused.
+ * @param {String} farmerId - Farmer importing
+ * @param {Object} file - Multer file
+ * @param {Object} options
+ * @param {Boolean} options.dryRun - Only report what would be created
+ * @returns {Promise<Object>} { dryRun, rows, products: [{ line, name, packs, _id? }], errors }
+ */
+const importProducts = async (farmerId, file, { dryRun = false } = {}) => {
+  const { columns, records } = await readRows(file);
+  if (!columns.includes('name')) {
+    throw new AppError('INVALID_SPREADSHEET', 'The file needs a header row with a name column');
+  }
+
+  const errors = [];
+
+  // Rows with the same name are the packs of one product
+  const groups = new Map();
+  records.forEach(record => {
+    if (!record.values.name) {
+      errors.push({ line: record.line, field: 'name', message: 'Product name is required' });
+      return;
+    }
+    const key = record.values.name.toLowerCase();
+    groups.set(key, [...(groups.get(key) || []), record]);
+  });
+
+  const [existing, location] = await Promise.all([
+    Product.find({ farmer: farmerId }).select('name'),
+    getFarmLocation(farmerId)
+  ]);
+  const existingNames = new Set(existing.map(product => product.name.toLowerCase()));
+
+  const valid = [];
+  const fileSkus = new Map(); // SKU → line
+  for (const [key, rows] of groups) {
+    if (existingNames.has(key)) {
+      errors.push({
+        line: rows[0].line,
+        field: 'name',
+        message: `You already have a product named ${rows[0].values.name}; change it with a bulk update or in the dashboard`
+      });
+      continue;
+    }
+
+    const body = validateProductRows(rows, errors);
+    if (!body) {
+      continue;
+    }
+
+    const repeated = (body.variants || []).map((variant, index) => {
+      if (!variant.sku) {
+        return false;
+      }
+      const sku = variant.sku.toUpperCase();
+      if (fileSkus.has(sku)) {
+        errors.push({ line: rows[index].line, field: 'sku', message: `SKU ${sku} is also on line ${fileSkus.get(sku)}` });
+        return true;
+      }
+      fileSkus.set(sku, rows[index].line);
+      return false;
+    });
+    if (!repeated.includes(true)) {
+      valid.push({ rows, body });
+    }
+  }
+
+  // SKUs must be unique across all products, not just this farmer's
+  const taken = fileSkus.size > 0
+    ? await Product.find({ 'variants.sku': { $in: [...fileSkus.keys()] } }).select('variants.sku')
+    : [];
+  const takenSkus = new Set(taken.flatMap(product => product.variants.map(variant => variant.sku)));
+  takenSkus.forEach(sku => {
+    if (fileSkus.has(sku)) {
+      errors.push({ line: fileSkus.get(sku), field: 'sku', message: `SKU ${sku} is already used by another product` });
+    }
+  });
+
+  const products = [];
+  for (const { rows, body } of valid) {
+    if ((body.variants || []).some(variant => variant.sku && takenSkus.has(variant.sku.toUpperCase()))) {
+      continue;
+    }
+    try {
+      products.push({ line: rows[0].line, product: await buildProduct(body, { farmer: farmerId, location }) });
+    } catch (error) {
+      errors.push(...describeBuildError(error, rows[0].line));
+    }
+  }
+
+  errors.sort(byLine);
+  const report = {
+    dryRun,
+    rows: records.length,
+    products: products.map(({ line, product }) => ({ line, name: product.name, packs: product.variants.length })),
+    errors: errors.slice(0, MAX_REPORTED_ERRORS)
+  };
+
+  if (dryRun) {
+    return report;
+  }
+  if (errors.length > 0) {
+    throw new AppError('INVALID_IMPORT', `${errors.length} problem(s) found; nothing was imported`, 400, report.errors);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const inserted = await Product.insertMany(products.map(({ product }) => product), { session });
+      // insertMany does not save, so record the first prices here, with the import
+      for (const product of inserted) {
+        await PriceHistory.recordPrices(product, { session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  report.products.forEach((entry, index) => {
+    entry._id = products[index].product._id;
+  });
+  return report;
+};
+
+/**
+ * Change prices, stock and availability from a CSV or XLSX file. Rows are
+ * keyed by sku, or by productId for products without pack sizes; other
+ * columns are ignored, so an export can be edited and sent back. Every row
+ * is checked first; if any is invalid nothing is changed.
+ * @param {String} farmerId - Farmer updating
+ * @param {Object} file - Multer file
+ * @param {Object} options
+ * @param {Boolean} options.dryRun - Only report what would change
+ * @returns {Promise<Object>} { dryRun, rows, changes: [{ line, productId, name, sku?, price?, stock?, isAvailable? }], errors }
+ */
+const updateProducts = async (farmerId, file, { dryRun = false } = {}) => {
+  const { columns, records } = await readRows(file);
+  if (!columns.includes('sku') && !columns.includes('productId')) {
+    throw new AppError('INVALID_SPREADSHEET', 'The file needs a header row with a sku or productId column');
+  }
+
+  // Farmers' catalogs are small enough to load whole
+  const catalog = await Product.find({ farmer: farmerId });
+  const bySku = new Map();
+  const byId = new Map();
+  catalog.forEach(product => {
+    byId.set(product.id, product);
+    product.variants.forEach(variant => bySku.set(variant.sku, { product, variant }));
+  });
+
+  const errors = [];
+  const changes = [];
+  const changed = new Set();
+  const seen = new Map(); // sku or productId → line
+
+  const findTarget = ({ line, values }) => {
+    const sku = values.sku && values.sku.toUpperCase();
+    const key = sku || values.productId;
+    const fail = (field, message) => {
+      errors.push({ line, field, message });
+      return null;
+    };
+
+    if (!key) {
+      return fail('sku', 'Give the sku, or the productId of a product without pack sizes');
+    }
+    if (seen.has(key)) {
+      return fail(sku ? 'sku' : 'productId', `${key} is also on line ${seen.get(key)}`);
+    }
+    seen.set(key, line);
+
+    if (sku) {
+      return bySku.get(sku) || fail('sku', `SKU ${sku} is not in your catalog`);
+    }
+
+    const product = byId.get(values.productId);
+    if (!product) {
+      return fail('productId', `Product ${values.productId} is not in your catalog`);
+    }
+    if (product.variants.length > 0) {
+      return fail('productId', `${product.name} has pack sizes; update each one by its sku`);
+    }
+    return { product, variant: null };
+  };
+
+  records.forEach(record => {
+    const target = findTarget(record);
+    if (!target) {
+      return;
+    }
+
+    const { line, values } = record;
+    const result = bulkUpdateRowSchema.safeParse({
+      price: parseCsvNumber(values.price),
+      stock: parseCsvNumber(values.stock),
+      isAvailable: parseCsvBoolean(values.isAvailable)
+    });
+    if (!result.success) {
+      result.error.issues.forEach(issue => errors.push({ line, field: issue.path.join('.'), message: issue.message }));
+      return;
+    }
+
+    const { product, variant } = target;
+    const update = result.data;
+    if (variant && update.stock !== undefined && !Number.isInteger(update.stock)) {
+      errors.push({ line, field: 'stock', message: 'Variant stock must be a whole number of packs' });
+      return;
+    }
+
+    const item = variant || product;
+    const fields = Object.keys(update).filter(field => update[field] !== undefined && item[field] !== update[field]);
+    if (fields.length === 0) {
+      return;
+    }
+
+    changes.push({
+      line,
+      productId: product._id,
+      name: product.name,
+      sku: variant ? variant.sku : undefined,
+      ...Object.fromEntries(fields.map(field => [field, { from: item[field], to: update[field] }]))
+    });
+    fields.forEach(field => {
+      item[field] = update[field];
+    });
+    product.updatedAt = new Date();
+    changed.add(product);
+  });
+
+  for (const product of changed) {
+    try {
+      await product.validate();
+    } catch (error) {
+      const { line } = changes.find(change => change.productId.equals(product._id));
+      errors.push(...describeBuildError(error, line));
+    }
+  }
+
+  errors.sort(byLine);
+  const report = {
+    dryRun,
+    rows: records.length,
+    changes,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS)
+  };
+
+  if (dryRun) {
+    return report;
+  }
+  if (errors.length > 0) {
+    throw new AppError('INVALID_IMPORT', `${errors.length} problem(s) found; nothing was changed`, 400, report.errors);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      for (const product of changed) {
+        await product.save({ session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return report;
+};
+
+/**
+ * A farmer's catalog as a spreadsheet in the import format: one row per
+ * product, or per pack for products with pack sizes
+ * @param {String} farmerId - Farmer ID
+ * @param {String} format - 'csv' or 'xlsx'
+ * @returns {Promise<Object>} { body, contentType, extension }
+ */
+const exportProducts = async (farmerId, format) => {
+  const products = await Product.find({ farmer: farmerId }).sort({ name: 1 });
+
+  const records = products.flatMap(product => {
+    const row = {
+      productId: product.id,
+      name: product.name,
+      description: product.description,
+      category: product.category,
+      unit: product.unit,
+      isOrganic: product.isOrganic,
+      hsnCode: product.hsnCode,
+      qualityGrade: product.qualityGrade,
+      tags: product.tags.join(`${LIST_SEPARATOR} `),
+      availableLocations: product.availableLocations.join(`${LIST_SEPARATOR} `),
+      deliveryRadius: product.deliveryRadius,
+      minimumOrderQuantity: product.minimumOrderQuantity,
+      quantityStep: product.quantityStep,
+      discountPercentage: product.discountPercentage,
+      seasonalAvailability: product.seasonalAvailability.join(`${LIST_SEPARATOR} `),
+      images: product.images.join(`${LIST_SEPARATOR} `)
+    };
+
+    if (product.variants.length === 0) {
+      return [{ ...row, price: product.price, stock: product.stock, isAvailable: product.isAvailable }];
+    }
+
+    return product.variants.map(variant => ({
+      ...row,
+      sku: variant.sku,
+      variantLabel: variant.label,
+      packSize: variant.packSize,
+      packUnit: variant.packUnit,
+      price: variant.price,
+      stock: variant.stock,
+      isAvailable: variant.isAvailable
+    }));
+  });
+
+  return writeSpreadsheet(format, PRODUCT_COLUMNS, records, 'Products');
+};
+
+export {
+  PRODUCT_COLUMNS,
+  importProducts,
+  updateProducts,
+  exportProducts
+};
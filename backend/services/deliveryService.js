@@ -0,0 +1,259 @@
+import Cart from '../models/Cart.js';
+import User from '../models/User.js';
+import DeliveryRateCard from '../models/DeliveryRateCard.js';
+import AppError from '../utils/AppError.js';
+import { UNIT_WEIGHTS_KG, DEFAULT_ZONE, DEFAULT_RATE_CARDS } from '../config/deliveryRates.js';
+import { EARTH_RADIUS_KM } from '../config/geo.js';
+import { assertServiceable } from './serviceabilityService.js';
+import { priceLine } from './pricingService.js';
+
+// How long rate cards loaded from the database are reused
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the effective rate cards: config defaults overridden by stored cards,
+ * cached for CACHE_TTL_MS
+ * @returns {Promise<Object[]>} Rate cards
+ */
+const getRateCards = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const stored = await DeliveryRateCard.find().lean();
+  const byZone = new Map(DEFAULT_RATE_CARDS.map(card => [card.zone, { ...card, isActive: true, isDefault: true }]));
+  stored.forEach(card => {
+    byZone.set(card.zone, { ...card, isDefault: false });
+  });
+
+  cache = [...byZone.values()];
+  cacheLoadedAt = Date.now();
+
+  return cache;
+};
+
+/**
+ * Drop cached rate cards so the next quote reads the database again
+ */
+const invalidateRateCardCache = () => {
+  cache = null;
+  cacheLoadedAt = 0;
+};
+
+/**
+ * Pick the active rate card for the zone the serviceability registry
+ * assigns, else the one with the longest pincode prefix match, falling
+ * back to the default zone
+ * @param {String} pincode - Delivery pincode
+ * @param {Object[]} cards - Rate cards
+ * @param {String} zone - Optional zone from the serviceability registry
+ * @returns {Object} Rate card
+ */
+const resolveRateCard = (pincode, cards, zone) => {
+  const zoneCard = zone && cards.find(card => card.isActive && card.zone === zone);
+  if (zoneCard) {
+    return zoneCard;
+  }
+
+  let match = null;
+  let matchLength = 0;
+
+  cards
+    .filter(card => card.isActive)
+    .forEach(card => {
+      (card.pincodePrefixes || []).forEach(prefix => {
+        if (pincode && pincode.startsWith(prefix) && prefix.length > matchLength) {
+          match = card;
+          matchLength = prefix.length;
+        }
+      });
+    });
+
+  return match || cards.find(card => card.zone === DEFAULT_ZONE);
+};
+
+/**
+ * Approximate shipping weight of an item
+ * @param {String} unit - Product unit
+ * @param {Number} quantity - Quantity ordered, in that unit
+ * @returns {Number} Weight in kg
+ */
+const getItemWeightKg = (unit, quantity) => (UNIT_WEIGHTS_KG[unit] ?? 1) * quantity;
+
+/**
+ * Great-circle distance between two [longitude, latitude] points
+ * @param {Number[]} from - [longitude, latitude]
+ * @param {Number[]} to - [longitude, latitude]
+ * @returns {Number} Distance in km
+ */
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const hasCoordinates = (coordinates) => Array.isArray(coordinates) && coordinates.length === 2;
+
+/**
+ * Distance a farmer's shipment travels. Without coordinates on both ends
+ * the zone's fallback distance is used (0 when the pincodes match).
+ * @param {Object} farmerDetails - Farmer's farmerDetails
+ * @param {Object} deliveryAddress - { pincode, coordinates }
+ * @param {Object} card - Rate card
+ * @returns {Number} Distance in km
+ */
+const shipmentDistanceKm = (farmerDetails = {}, deliveryAddress, card) => {
+  if (hasCoordinates(farmerDetails.farmCoordinates) && hasCoordinates(deliveryAddress.coordinates)) {
+    return distanceKm(farmerDetails.farmCoordinates, deliveryAddress.coordinates);
+  }
+  if (farmerDetails.farmPincode && farmerDetails.farmPincode === deliveryAddress.pincode) {
+    return 0;
+  }
+  return card.fallbackDistanceKm || 0;
+};
+
+/**
+ * Price delivery for a set of items with a given rate card.
+ * Each farmer ships separately, so each farmer's items are charged on their own.
+ * @param {Object} card - Rate card
+ * @param {Object} params
+ * @param {Object[]} params.items - [{ farmer, unit, quantity, packSize?, subtotal }]
+ * @param {Object} params.deliveryAddress - { pincode, coordinates }
+ * @param {Map} params.farmers - farmerId → farmerDetails
+ * @returns {Object} { zone, total, freeDelivery, amountToFreeDelivery, shipments }
+ */
+const priceDelivery = (card, { items, deliveryAddress, farmers }) => {
+  const byFarmer = new Map();
+  let subtotal = 0;
+
+  for (const item of items) {
+    const key = item.farmer.toString();
+    if (!byFarmer.has(key)) {
+      byFarmer.set(key, { farmer: item.farmer, weightKg: 0 });
+    }
+    byFarmer.get(key).weightKg += getItemWeightKg(item.unit, item.quantity * (item.packSize || 1));
+    subtotal += item.subtotal;
+  }
+
+  const threshold = card.freeDeliveryThreshold;
+  const freeDelivery = threshold !== null && threshold !== undefined && subtotal >= threshold;
+
+  const shipments = [...byFarmer.entries()].map(([key, shipment]) => {
+    const distance = shipmentDistanceKm(farmers.get(key), deliveryAddress, card);
+    const charge = card.baseCharge +
+      card.perKmCharge * Math.max(0, distance - card.includedKm) +
+      card.perKgCharge * Math.max(0, shipment.weightKg - card.includedKg);
+
+    return {
+      farmer: shipment.farmer,
+      distanceKm: Math.round(distance * 10) / 10,
+      weightKg: Math.round(shipment.weightKg * 1000) / 1000,
+      charge: freeDelivery ? 0 : roundMoney(charge)
+    };
+  });
+
+  return {
+    zone: card.zone,
+    total: roundMoney(shipments.reduce((sum, shipment) => sum + shipment.charge, 0)),
+    freeDelivery,
+    amountToFreeDelivery: threshold === null || threshold === undefined || freeDelivery
+      ? null
+      : roundMoney(threshold - subtotal),
+    shipments
+  };
+};
+
+/**
+ * Load the farmer details used for delivery pricing and GST
+ * @param {String[]} farmerIds - Farmer IDs
+ * @param {Object} session - Optional Mongo session
+ * @returns {Promise<Map>} farmerId → farmerDetails
+ */
+const loadFarmerDetails = async (farmerIds, session) => {
+  const farmers = await User.find({ _id: { $in: farmerIds } })
+    .select('farmerDetails.state farmerDetails.farmCoordinates farmerDetails.farmPincode')
+    .session(session || null)
+    .lean();
+
+  return new Map(farmers.map(farmer => [farmer._id.toString(), farmer.farmerDetails || {}]));
+};
+
+/**
+ * Quote delivery for items going to an address
+ * @param {Object} params
+ * @param {Object[]} params.items - [{ farmer, unit, quantity, packSize?, subtotal }]
+ * @param {Object} params.deliveryAddress - { pincode, coordinates }
+ * @param {Map} params.farmers - farmerId → farmerDetails
+ * @param {String} params.zone - Optional zone from the serviceability registry
+ * @returns {Promise<Object>} See priceDelivery
+ */
+const quoteDelivery = async ({ items, deliveryAddress, farmers, zone }) => {
+  const card = resolveRateCard(deliveryAddress.pincode, await getRateCards(), zone);
+  if (!card) {
+    throw new AppError('NO_DELIVERY_RATE', 'No delivery rate card is configured for this pincode', 500);
+  }
+  return priceDelivery(card, { items, deliveryAddress, farmers });
+};
+
+/**
+ * Quote delivery for the customer's current cart, checking first that we
+ * deliver to the address
+ * @param {String} customerId - Customer ID
+ * @param {Object} deliveryAddress - { pincode, coordinates }
+ * @returns {Promise<Object>} { subtotal, deliveryCharges, zone, freeDelivery, amountToFreeDelivery, shipments }
+ */
+const quoteCart = async (customerId, deliveryAddress) => {
+  const serviceability = await assertServiceable(deliveryAddress.pincode);
+
+  const cart = await Cart.findOne({ customer: customerId })
+    .populate('items.product', 'name price unit variants farmer isAvailable isApproved discountPercentage');
+
+  const items = (cart ? cart.items : [])
+    .filter(cartItem => cartItem.product && cartItem.product.isAvailable && cartItem.product.isApproved)
+    .map(cartItem => {
+      const variant = cartItem.product.getVariant(cartItem.variant);
+      return {
+        farmer: cartItem.product.farmer,
+        unit: variant ? variant.packUnit : cartItem.product.unit,
+        packSize: variant ? variant.packSize : undefined,
+        quantity: cartItem.quantity,
+        subtotal: priceLine(cartItem.product, variant, cartItem.quantity).subtotal
+      };
+    });
+
+  if (items.length === 0) {
+    throw new AppError('EMPTY_CART', 'Cart is empty');
+  }
+
+  const farmers = await loadFarmerDetails([...new Set(items.map(item => item.farmer.toString()))]);
+  const quote = await quoteDelivery({ items, deliveryAddress, farmers, zone: serviceability.zone });
+
+  return {
+    subtotal: roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0)),
+    deliveryCharges: quote.total,
+    zone: quote.zone,
+    freeDelivery: quote.freeDelivery,
+    amountToFreeDelivery: quote.amountToFreeDelivery,
+    shipments: quote.shipments
+  };
+};
+
+export {
+  getRateCards,
+  invalidateRateCardCache,
+  resolveRateCard,
+  getItemWeightKg,
+  distanceKm,
+  priceDelivery,
+  loadFarmerDetails,
+  quoteDelivery,
+  quoteCart
+};
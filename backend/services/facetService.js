@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+
+// Lower bounds of the price buckets; the last bucket is open-ended
+const PRICE_BOUNDARIES = [0, 50, 100, 250, 500, 1000];
+
+// Farmers listed in the farmer facet, most products first
+const FARMER_FACET_LIMIT = 20;
+
+/**
+ * Product conditions for the listing filters, keyed by the facet they
+ * narrow. Kept apart so each facet can be counted without its own filter.
+ * @param {Object} query - Validated listing query
+ * @returns {Object} Conditions by facet
+ */
+const buildFacetConditions = ({ category, price_min, price_max, isOrganic, inStock, qualityGrade, farmer }) => {
+  const conditions = {};
+
+  if (category) {
+    conditions.category = { category };
+  }
+
+  // Products with pack sizes match when any available pack is priced within the range
+  if (price_min !== undefined || price_max !== undefined) {
+    const price = {};
+    if (price_min !== undefined) price.$gte = price_min;
+    if (price_max !== undefined) price.$lte = price_max;
+
+    conditions.price = {
+      $or: [
+        { 'variants.0': { $exists: false }, price },
+        { variants: { $elemMatch: { price, isAvailable: true } } }
+      ]
+    };
+  }
+
+  if (isOrganic !== undefined) {
+    conditions.organic = { isOrganic };
+  }
+
+  if (inStock !== undefined) {
+    conditions.inStock = inStock ? { stock: { $gt: 0 } } : { stock: { $lte: 0 } };
+  }
+
+  if (qualityGrade) {
+    conditions.qualityGrade = { qualityGrade };
+  }
+
+  if (farmer) {
+    conditions.farmer = { farmer: new mongoose.Types.ObjectId(farmer) };
+  }
+
+  return conditions;
+};
+
+/**
+ * Count products per facet value in one $facet aggregation. Every facet
+ * is counted under all the current filters except its own, so choosing
+ * "Fruits" still shows how many products the other categories have.
+ * @param {Object} match - Filter every facet shares (listed products, search)
+ * @param {Object} conditions - Filter conditions by facet, from buildFacetConditions
+ * @returns {Promise<Object>} { category, organic, price, qualityGrade, farmer }
+ */
+const getProductFacets = async (match, conditions) => {
+  const countBy = (facet, pipeline) => {
+    const others = Object.entries(conditions)
+      .filter(([key]) => key !== facet)
+      .map(([, condition]) => condition);
+
+    return others.length > 0 ? [{ $match: { $and: others } }, ...pipeline] : pipeline;
+  };
+
+  const [facets] = await Product.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        category: countBy('category', [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ]),
+        organic: countBy('organic', [
+          { $group: { _id: { $eq: ['$isOrganic', true] }, count: { $sum: 1 } } }
+        ]),
+        price: countBy('price', [
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BOUNDARIES,
+              default: 'above',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]),
+        qualityGrade: countBy('qualityGrade', [
+          { $match: { qualityGrade: { $in: ['A', 'B', 'C'] } } },
+          { $group: { _id: '$qualityGrade', count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ]),
+        farmer: countBy('farmer', [
+          { $group: { _id: '$farmer', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FARMER_FACET_LIMIT },
+          { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'farmer' } },
+          { $project: { count: 1, name: { $arrayElemAt: ['$farmer.name', 0] } } }
+        ])
+      }
+    }
+  ]);
+
+  // Every price bucket is returned, empty ones with a zero count
+  const priceCounts = new Map(facets.price.map(bucket => [bucket._id, bucket.count]));
+
+  return {
+    category: facets.category.map(({ _id, count }) => ({ value: _id, count })),
+    organic: [true, false].map(value => ({
+      value,
+      count: (facets.organic.find(group => group._id === value) || { count: 0 }).count
+    })),
+    price: [
+      ...PRICE_BOUNDARIES.slice(0, -1).map((min, index) => ({
+        min,
+        max: PRICE_BOUNDARIES[index + 1],
+        count: priceCounts.get(min) || 0
+      })),
+      { min: PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1], max: null, count: priceCounts.get('above') || 0 }
+    ],
+    qualityGrade: facets.qualityGrade.map(({ _id, count }) => ({ value: _id, count })),
+    farmer: facets.farmer.map(({ _id, name, count }) => ({ value: _id, name, count }))
+  };
+};
+
+export {
+  buildFacetConditions,
+  getProductFacets
+};
@@ -0,0 +1,191 @@
+import Pincode from '../models/Pincode.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import { toPoint } from '../models/PointSchema.js';
+import AppError from '../utils/AppError.js';
+import {
+  EARTH_RADIUS_KM,
+  DEFAULT_DELIVERY_RADIUS_KM,
+  MAX_DELIVERY_RADIUS_KM,
+  DEFAULT_NEARBY_FARMERS_RADIUS_KM
+} from '../config/geo.js';
+import { distanceKm } from './deliveryService.js';
+
+const roundKm = (km) => Math.round(km * 10) / 10;
+
+/**
+ * Coordinates to browse from: the customer's own, or the centre of their pincode
+ * @param {Object} location
+ * @param {Number} location.lat - Latitude
+ * @param {Number} location.lng - Longitude
+ * @param {String} location.pincode - Pincode, used without coordinates
+ * @returns {Promise<Number[]|null>} [longitude, latitude], or null when no location was given
+ */
+const resolveCoordinates = async ({ lat, lng, pincode }) => {
+  if (lat !== undefined && lng !== undefined) {
+    return [lng, lat];
+  }
+
+  if (!pincode) {
+    return null;
+  }
+
+  const known = await Pincode.findOne({ pincode });
+  if (!known || !known.location) {
+    throw new AppError('PINCODE_NOT_FOUND', `We do not have a location for pincode ${pincode}`, 404);
+  }
+  return known.location.coordinates;
+};
+
+/**
+ * Aggregation expression for the great-circle distance in km from a
+ * product's farm to the given coordinates
+ * @param {Number[]} coordinates - [longitude, latitude]
+ * @returns {Object}
+ */
+const distanceExpression = ([lng, lat]) => {
+  const toRad = (value) => ({ $degreesToRadians: value });
+  const farmLng = { $arrayElemAt: ['$location.coordinates', 0] };
+  const farmLat = { $arrayElemAt: ['$location.coordinates', 1] };
+
+  const halfChord = {
+    $add: [
+      { $pow: [{ $sin: { $divide: [{ $subtract: [toRad(farmLat), toRad(lat)] }, 2] } }, 2] },
+      {
+        $multiply: [
+          { $cos: toRad(lat) },
+          { $cos: toRad(farmLat) },
+          { $pow: [{ $sin: { $divide: [{ $subtract: [toRad(farmLng), toRad(lng)] }, 2] } }, 2] }
+        ]
+      }
+    ]
+  };
+
+  return { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [1, halfChord] } } }] };
+};
+
+/**
+ * Product filter for products that deliver to the given coordinates: the
+ * 2dsphere index narrows to farms within the largest delivery radius, then
+ * each product's own deliveryRadius is applied
+ * @param {Number[]} coordinates - [longitude, latitude]
+ * @returns {Object} Filter
+ */
+const deliversTo = (coordinates) => ({
+  location: {
+    $geoWithin: { $centerSphere: [coordinates, MAX_DELIVERY_RADIUS_KM / EARTH_RADIUS_KM] }
+  },
+  $expr: {
+    $lte: [distanceExpression(coordinates), { $ifNull: ['$deliveryRadius', DEFAULT_DELIVERY_RADIUS_KM] }]
+  }
+});
+
+/**
+ * List products that deliver to the given coordinates, with the distance
+ * to each farm in km
+ * @param {Number[]} coordinates - [longitude, latitude]
+ * @param {Object} options
+ * @param {Object} options.filter - Product filter
+ * @param {Object} options.sort - Sort; defaults to nearest first
+ * @param {Number} options.skip - Results to skip
+ * @param {Number} options.limit - Results to return
+ * @param {String} options.farmerFields - Farmer fields to populate
+ * @returns {Promise<Object>} { products, total }
+ */
+const findProductsNear = async (coordinates, { filter, sort, skip, limit, farmerFields }) => {
+  const [result] = await Product.aggregate([
+    { $match: { ...filter, ...deliversTo(coordinates) } },
+    { $addFields: { distance: { $round: [distanceExpression(coordinates), 1] } } },
+    {
+      $facet: {
+        products: [{ $sort: sort || { distance: 1, _id: 1 } }, { $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const products = await Product.populate(result.products, { path: 'farmer', select: farmerFields });
+  return { products, total: result.total.length > 0 ? result.total[0].count : 0 };
+};
+
+/**
+ * Add the distance from the given coordinates to each product's farm
+ * @param {Object[]} products - Plain product objects
+ * @param {Number[]} coordinates - [longitude, latitude]
+ * @returns {Object[]}
+ */
+const addDistances = (products, coordinates) => products.map(product => ({
+  ...product,
+  distance: product.location ? roundKm(distanceKm(product.location.coordinates, coordinates)) : null
+}));
+
+/**
+ * Active farmers whose farm is within a radius of the given coordinates,
+ * nearest first
+ * @param {Number[]} coordinates - [longitude, latitude]
+ * @param {Object} options
+ * @param {Number} options.radiusKm - Search radius
+ * @param {Number} options.limit - Farmers to return
+ * @returns {Promise<Object[]>} Farmers with their distance in km
+ */
+const findFarmersNear = async (coordinates, { radiusKm = DEFAULT_NEARBY_FARMERS_RADIUS_KM, limit = 20 } = {}) => {
+  const farmers = await User.aggregate([
+    {
+      $geoNear: {
+        near: toPoint(coordinates),
+        key: 'farmerDetails.farmPoint',
+        distanceField: 'distance',
+        distanceMultiplier: 0.001,
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: { role: 'farmer', isActive: true }
+      }
+    },
+    { $limit: limit },
+    {
+      $project: {
+        name: 1,
+        distance: 1,
+        'farmerDetails.farmLocation': 1,
+        'farmerDetails.farmPincode': 1,
+        'farmerDetails.cropTypes': 1,
+        'farmerDetails.isVerified': 1
+      }
+    }
+  ]);
+
+  return farmers.map(farmer => ({ ...farmer, distance: roundKm(farmer.distance) }));
+};
+
+/**
+ * GeoJSON farm location of a farmer, for their products
+ * @param {String} farmerId - Farmer ID
+ * @returns {Promise<Object|undefined>} Point
+ */
+const getFarmLocation = async (farmerId) => {
+  const farmer = await User.findById(farmerId).select('farmerDetails.farmCoordinates');
+  return farmer && farmer.farmerDetails ? toPoint(farmer.farmerDetails.farmCoordinates) : undefined;
+};
+
+/**
+ * Copy a farmer's farm location onto all their products
+ * @param {Object} farmer - Farmer user document
+ */
+const syncFarmLocation = async (farmer) => {
+  const location = toPoint(farmer.farmerDetails && farmer.farmerDetails.farmCoordinates);
+
+  await Product.updateMany(
+    { farmer: farmer._id },
+    location ? { $set: { location } } : { $unset: { location: 1 } }
+  );
+};
+
+export {
+  resolveCoordinates,
+  deliversTo,
+  findProductsNear,
+  addDistances,
+  findFarmersNear,
+  getFarmLocation,
+  syncFarmLocation
+};
@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import AppError from '../utils/AppError.js';
+import { IMAGE_TYPES, IMAGE_PRESETS, MAX_PRODUCT_IMAGES } from '../config/uploads.js';
+import { getStorage } from './storage/index.js';
+
+// sharp format name → MIME type and file extension
+const FORMATS = {
+  jpeg: { type: 'image/jpeg', extension: 'jpg' },
+  png: { type: 'image/png', extension: 'png' },
+  webp: { type: 'image/webp', extension: 'webp' }
+};
+
+const requireStorage = (name) => {
+  const storage = getStorage(name);
+  if (!storage) {
+    throw new AppError('STORAGE_NOT_CONFIGURED', `Unknown storage driver ${name || process.env.STORAGE_DRIVER}`, 500);
+  }
+  return storage;
+};
+
+/**
+ * Read an upload's real format from its contents, whatever the client
+ * claimed in its Content-Type
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<String>} sharp format name
+ */
+const detectFormat = async (buffer) => {
+  const { format } = await sharp(buffer).metadata().catch(() => ({}));
+  if (!FORMATS[format] || !IMAGE_TYPES.includes(FORMATS[format].type)) {
+    throw new AppError('INVALID_IMAGE', `Files must be images of type ${IMAGE_TYPES.join(', ')}`);
+  }
+  return format;
+};
+
+/**
+ * Render one size of an image in its own format and as WebP. rotate()
+ * applies the EXIF orientation, and sharp writes no EXIF or other metadata
+ * back out, so camera and location details are stripped.
+ * @param {Buffer} buffer - Original contents
+ * @param {String} format - Original format
+ * @param {Object} resize - { width, height, fit }
+ * @returns {Promise<Object>} { original, webp, info }
+ */
+const renderSize = async (buffer, format, resize) => {
+  const resized = sharp(buffer).rotate().resize({ ...resize, withoutEnlargement: true });
+
+  const [original, webp] = await Promise.all([
+    resized.clone().toFormat(format).toBuffer({ resolveWithObject: true }),
+    format === 'webp' ? null : resized.clone().webp().toBuffer()
+  ]);
+
+  return { original: original.data, webp: webp || original.data, info: original.info };
+};
+
+/**
+ * Process an uploaded image and store it: the large size and a thumbnail,
+ * each in the original format and as WebP
+ * @param {Object} file - Multer file ({ buffer })
+ * @param {Object} options
+ * @param {String} options.folder - Storage folder, e.g. products/<id>
+ * @param {String} options.preset - Key of IMAGE_PRESETS
+ * @returns {Promise<Object>} Image (see ImageSchema)
+ */
+const storeImage = async (file, { folder, preset }) => {
+  const format = await detectFormat(file.buffer);
+  const { large, thumbnail } = IMAGE_PRESETS[preset];
+  const [largeImage, thumbnailImage] = await Promise.all([
+    renderSize(file.buffer, format, large),
+    renderSize(file.buffer, format, thumbnail)
+  ]);
+
+  const storage = requireStorage();
+  const key = `${folder}/${crypto.randomUUID()}`;
+  const { extension, type } = FORMATS[format];
+
+  const write = (name, body, contentType) =>
+    storage.save({ key: `${key}/${name}`, body, contentType }).then(saved => saved.url);
+
+  try {
+    const [url, thumbnailUrl, webp, thumbnailWebp] = await Promise.all([
+      write(`large.${extension}`, largeImage.original, type),
+      write(`thumbnail.${extension}`, thumbnailImage.original, type),
+      write('large.webp', largeImage.webp, 'image/webp'),
+      write('thumbnail.webp', thumbnailImage.webp, 'image/webp')
+    ]);
+
+    return {
+      storage: storage.name,
+      key,
+      url,
+      thumbnail: thumbnailUrl,
+      webp,
+      thumbnailWebp,
+      width: largeImage.info.width,
+      height: largeImage.info.height
+    };
+  } catch (error) {
+    await storage.removePrefix(key).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Delete stored images' files. Failures are logged, not thrown: the
+ * records are already gone and orphaned files do no harm.
+ * @param {Object[]} images - Images (see ImageSchema)
+ */
+const removeImageFiles = async (images) => {
+  await Promise.all(images.map(async (image) => {
+    try {
+      await requireStorage(image.storage).removePrefix(image.key);
+    } catch (error) {
+      console.error(`Remove image ${image.key} error:`, error);
+    }
+  }));
+};
+
+/**
+ * Upload images onto a product, after any it already has
+ * @param {Object} product - Product document; saved by the caller
+ * @param {Object[]} files - Multer files
+ * @returns {Promise<Object[]>} Stored images
+ */
+const addProductImages = async (product, files) => {
+  if (product.images.length + files.length > MAX_PRODUCT_IMAGES) {
+    throw new AppError(
+      'TOO_MANY_IMAGES',
+      `A product can have at most ${MAX_PRODUCT_IMAGES} images; it has ${product.images.length}`
+    );
+  }
+
+  const stored = [];
+  try {
+    for (const file of files) {
+      stored.push(await storeImage(file, { folder: `products/${product._id}`, preset: 'product' }));
+    }
+  } catch (error) {
+    await removeImageFiles(stored);
+    throw error;
+  }
+
+  stored.forEach(image => {
+    product.imageFiles.push(image);
+    product.images.push(image.url);
+  });
+  return product.imageFiles.slice(-stored.length);
+};
+
+/**
+ * Take an uploaded image off a product
+ * @param {Object} product - Product document; saved by the caller
+ * @param {String} imageId - imageFiles entry ID
+ * @returns {Object} Removed image, whose files the caller deletes after saving
+ */
+const detachProductImage = (product, imageId) => {
+  const image = product.imageFiles.id(imageId);
+  if (!image) {
+    throw new AppError('IMAGE_NOT_FOUND', 'Image not found', 404);
+  }
+
+  product.imageFiles.pull(image._id);
+  product.images = product.images.filter(url => url !== image.url);
+  return image;
+};
+
+/**
+ * Drop uploaded images whose URL is no longer in product.images, after the
+ * images list was replaced
+ * @param {Object} product - Product document; saved by the caller
+ * @returns {Object[]} Removed images, whose files the caller deletes after saving
+ */
+const detachUnlistedImages = (product) => {
+  const unlisted = product.imageFiles.filter(image => !product.images.includes(image.url));
+  unlisted.forEach(image => product.imageFiles.pull(image._id));
+  return unlisted;
+};
+
+/**
+ * Upload a user's avatar, replacing any previous upload
+ * @param {Object} user - User document; saved by the caller
+ * @param {Object} file - Multer file
+ * @returns {Promise<Object|undefined>} Previous avatar, whose files the caller deletes after saving
+ */
+const replaceAvatar = async (user, file) => {
+  const previous = user.avatarImage ? user.avatarImage.toObject() : undefined;
+  const image = await storeImage(file, { folder: `avatars/${user._id}`, preset: 'avatar' });
+
+  user.avatarImage = image;
+  user.avatar = image.url;
+  return previous;
+};
+
+export {
+  storeImage,
+  removeImageFiles,
+  addProductImages,
+  detachProductImage,
+  detachUnlistedImages,
+  replaceAvatar
+};
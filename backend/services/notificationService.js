@@ -0,0 +1,23 @@
+import Notification from '../models/Notification.js';
+
+/**
+ * Record an in-app notification for a user.
+ * Failures are logged rather than thrown so a notification can never
+ * undo the work it reports on.
+ * @param {String} userId - Recipient
+ * @param {String} type - Notification type, e.g. subscription.order-placed
+ * @param {String} title - Short title
+ * @param {String} message - Message shown to the user
+ * @param {Object} data - Related IDs and details
+ * @returns {Promise<Object|null>} Notification or null when it could not be saved
+ */
+const notify = async (userId, type, title, message, data) => {
+  try {
+    return await Notification.create({ user: userId, type, title, message, data });
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+export { notify };
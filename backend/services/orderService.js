@@ -0,0 +1,422 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Cart from '../models/Cart.js';
+import AppError from '../utils/AppError.js';
+import { calculateLineTax, summarizeTaxes } from './taxService.js';
+import { loadFarmerDetails, quoteDelivery } from './deliveryService.js';
+import { assertServiceable } from './serviceabilityService.js';
+import { confirmReservation, getSlotStart } from './slotService.js';
+import { resolveVariant, takeStock } from './variantService.js';
+import { assertQuantity, priceLine } from './pricingService.js';
+import { evaluatePromotions, claimPromotions } from './promotionService.js';
+import { debitWallet } from './walletService.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Find an order previously placed by this customer with the same idempotency key
+ * @param {String} customerId - Customer ID
+ * @param {String} idempotencyKey - Client-supplied Idempotency-Key header
+ * @returns {Promise<Object|null>} Existing order or null
+ */
+const findByIdempotencyKey = (customerId, idempotencyKey) => {
+  if (!idempotencyKey) {
+    return Promise.resolve(null);
+  }
+  return Order.findOne({ customer: customerId, idempotencyKey });
+};
+
+/**
+ * Group order items into one fulfillment per farmer.
+ * With a per-farmer charge map each fulfillment gets its own delivery charge.
+ * Otherwise delivery charges are split evenly across fulfillments; any rounding
+ * remainder goes to the first one so the parts add up to the order total.
+ * @param {Object[]} orderItems - Order items with farmer and subtotal
+ * @param {Number} deliveryCharges - Order delivery charges
+ * @param {Date} timestamp - Placement time
+ * @param {Map} farmerCharges - Optional farmerId → delivery charge
+ * @returns {Object[]} Fulfillments
+ */
+const buildFulfillments = (orderItems, deliveryCharges, timestamp = new Date(), farmerCharges = null) => {
+  const byFarmer = new Map();
+  for (const item of orderItems) {
+    const key = item.farmer.toString();
+    if (!byFarmer.has(key)) {
+      byFarmer.set(key, { farmer: item.farmer, subtotal: 0 });
+    }
+    byFarmer.get(key).subtotal += item.subtotal;
+  }
+
+  const groups = [...byFarmer.values()];
+  const share = Math.floor((deliveryCharges / groups.length) * 100) / 100;
+  const remainder = Math.round((deliveryCharges - share * groups.length) * 100) / 100;
+
+  const chargeFor = (group, index) => {
+    if (farmerCharges) {
+      return farmerCharges.get(group.farmer.toString()) || 0;
+    }
+    return index === 0 ? Math.round((share + remainder) * 100) / 100 : share;
+  };
+
+  return groups.map((group, index) => ({
+    farmer: group.farmer,
+    subtotal: group.subtotal,
+    deliveryCharges: chargeFor(group, index),
+    status: 'pending',
+    statusHistory: [{
+      status: 'pending',
+      timestamp,
+      note: 'Order placed'
+    }]
+  }));
+};
+
+/**
+ * Create an order inside a transaction: check that we deliver to the address
+ * and take the payment method there, check availability and order
+ * quantities, decrement stock while it is still sufficient (so concurrent
+ * checkouts cannot oversell), price lines after product discounts, take off
+ * the coupon and automatic promotions (claiming their usage limits), price
+ * tax on what is left and delivery, pay what the customer chose from their
+ * wallet, and confirm any delivery slot reservation.
+ * @param {Object} session - Mongo session with an open transaction
+ * @param {Object} params
+ * @param {String} params.customerId - Customer placing the order
+ * @param {Object[]} params.lines - [{ product, variantId?, quantity, pricing? }] with product documents; pricing (from priceLine) overrides the current price
+ * @param {Object} params.deliveryAddress - Validated delivery address
+ * @param {String} params.paymentMethod - Payment method
+ * @param {String} params.instructions - Special instructions
+ * @param {String} params.expectedDeliveryDate - ISO date requested by customer
+ * @param {String} params.slotReservationId - Optional delivery slot reservation to confirm
+ * @param {String} params.idempotencyKey - Optional idempotency key
+ * @param {String} params.subscription - Subscription that generated the order
+ * @param {String} params.preorder - Pre-order converted into this order
+ * @param {Number} params.depositPaid - Pre-order deposit already collected
+ * @param {String} params.couponCode - Coupon to apply; the order fails if it no longer applies
+ * @param {Boolean} params.applyPromotions - Whether promotions apply (not to pre-orders, which are priced when booked)
+ * @param {Number} params.walletAmount - Most to pay from the wallet alongside another method; wallet orders pay all of it
+ * @returns {Promise<Object>} Saved order
+ */
+const createOrder = async (session, {
+  customerId,
+  lines,
+  deliveryAddress,
+  paymentMethod,
+  instructions,
+  expectedDeliveryDate,
+  slotReservationId,
+  idempotencyKey,
+  subscription,
+  preorder,
+  depositPaid = 0,
+  couponCode,
+  applyPromotions = true,
+  walletAmount = 0
+}) => {
+  const serviceability = await assertServiceable(deliveryAddress.pincode, paymentMethod);
+
+  // Farmers' states decide intra- vs inter-state GST; farm locations price delivery
+  const farmerIds = [...new Set(lines
+    .filter(line => line.product)
+    .map(line => line.product.farmer.toString()))];
+  const farmers = await loadFarmerDetails(farmerIds, session);
+
+  // Prepare order items
+  let subtotal = 0;
+  let productDiscount = 0;
+  const orderItems = [];
+  const lineDetails = [];
+
+  for (const line of lines) {
+    const product = line.product;
+
+    // Check availability
+    if (!product || !product.isAvailable || !product.isApproved) {
+      throw new AppError(
+        'PRODUCT_UNAVAILABLE',
+        `Product ${product ? product.name : line.productId} is no longer available`
+      );
+    }
+
+    const variant = resolveVariant(product, line.variantId);
+    if (variant && !variant.isAvailable) {
+      throw new AppError('PRODUCT_UNAVAILABLE', `${product.name} (${variant.label}) is no longer available`);
+    }
+
+    // Pre-orders were priced, and their quantity checked, when reserved
+    if (!line.pricing) {
+      assertQuantity(product, line.quantity);
+    }
+
+    // Decrement stock only if it is still sufficient
+    const taken = await takeStock({
+      product: product._id,
+      variant: variant && variant._id,
+      quantity: line.quantity
+    }, session);
+
+    if (!taken) {
+      throw new AppError('INSUFFICIENT_STOCK', `Insufficient stock for ${product.name}`);
+    }
+
+    const pricing = line.pricing || priceLine(product, variant, line.quantity);
+    const itemTotal = pricing.subtotal;
+    subtotal += itemTotal;
+    productDiscount += pricing.discount;
+
+    orderItems.push({
+      product: product._id,
+      farmer: product.farmer,
+      productName: product.name,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      variantLabel: variant ? variant.label : undefined,
+      packSize: variant ? variant.packSize : undefined,
+      price: pricing.price,
+      listPrice: pricing.listPrice,
+      discountPercentage: pricing.discountPercentage,
+      discount: pricing.discount,
+      quantity: line.quantity,
+      unit: variant ? variant.packUnit : product.unit,
+      subtotal: itemTotal,
+      hsnCode: product.hsnCode
+    });
+    lineDetails.push({
+      category: product.category,
+      sellerState: (farmers.get(product.farmer.toString()) || {}).state
+    });
+  }
+
+  // Coupons and automatic promotions, shared out over the items they cover
+  const promotions = applyPromotions
+    ? await evaluatePromotions({
+      customerId,
+      items: orderItems.map((item, index) => ({
+        key: String(index),
+        category: lineDetails[index].category,
+        farmer: item.farmer,
+        subtotal: item.subtotal
+      })),
+      couponCode,
+      session
+    })
+    : { discounts: [], total: 0, coupon: null };
+
+  if (promotions.coupon && promotions.coupon.problem) {
+    throw new AppError('COUPON_NOT_APPLICABLE', promotions.coupon.problem);
+  }
+  promotions.discounts.forEach(discount => discount.items.forEach(share => {
+    const item = orderItems[Number(share.key)];
+    item.promotionDiscount = roundMoney((item.promotionDiscount || 0) + share.amount);
+  }));
+
+  // GST on each line after its promotion discounts
+  orderItems.forEach((item, index) => {
+    item.tax = calculateLineTax({
+      taxableValue: roundMoney(item.subtotal - (item.promotionDiscount || 0)),
+      hsnCode: item.hsnCode,
+      category: lineDetails[index].category,
+      sellerState: lineDetails[index].sellerState,
+      buyerState: deliveryAddress.state
+    });
+  });
+
+  // Calculate totals
+  const delivery = await quoteDelivery({
+    items: orderItems,
+    deliveryAddress,
+    farmers,
+    zone: serviceability.zone
+  });
+  const deliveryCharges = delivery.total;
+  const taxBreakdown = summarizeTaxes(orderItems.map(item => item.tax));
+  const taxes = taxBreakdown.total;
+  subtotal = roundMoney(subtotal);
+  const total = roundMoney(subtotal - promotions.total + deliveryCharges + taxes);
+
+  // Create order
+  const placedAt = new Date();
+  const order = new Order({
+    customer: customerId,
+    items: orderItems,
+    subtotal,
+    productDiscount: roundMoney(productDiscount),
+    discounts: promotions.discounts.map(({ promotion, amount, items }) => ({
+      promotion: promotion._id,
+      name: promotion.name,
+      kind: promotion.kind,
+      code: promotion.code,
+      farmer: promotion.farmer,
+      amount,
+      items: items.map(share => ({
+        product: orderItems[Number(share.key)].product,
+        variant: orderItems[Number(share.key)].variant,
+        amount: share.amount
+      }))
+    })),
+    promotionDiscount: promotions.total,
+    deliveryCharges,
+    deliveryZone: delivery.zone,
+    taxes,
+    taxBreakdown: {
+      cgst: taxBreakdown.cgst,
+      sgst: taxBreakdown.sgst,
+      igst: taxBreakdown.igst
+    },
+    total,
+    deliveryAddress,
+    paymentMethod,
+    instructions,
+    expectedDeliveryDate,
+    idempotencyKey,
+    subscription,
+    preorder,
+    depositPaid,
+    fulfillments: buildFulfillments(
+      orderItems,
+      deliveryCharges,
+      placedAt,
+      new Map(delivery.shipments.map(shipment => [shipment.farmer.toString(), shipment.charge]))
+    ),
+    status: 'pending',
+    statusHistory: [{
+      status: 'pending',
+      timestamp: placedAt,
+      note: 'Order placed'
+    }]
+  });
+
+  // Book the delivery slot held during checkout
+  if (slotReservationId) {
+    order.deliverySlot = await confirmReservation({
+      reservationId: slotReservationId,
+      customerId,
+      farmerIds,
+      pincode: deliveryAddress.pincode,
+      orderId: order._id
+    }, session);
+
+    if (!expectedDeliveryDate) {
+      order.expectedDeliveryDate = getSlotStart(order.deliverySlot, order.deliverySlot.date);
+    }
+  }
+
+  await claimPromotions(promotions.discounts, customerId, order._id, session);
+
+  // Pay from the wallet: all that is due for wallet orders, otherwise up to
+  // the amount asked for, the rest by the chosen method. A wallet
+  // pre-order's deposit came from the wallet too.
+  const due = roundMoney(total - depositPaid);
+  const fromWallet = paymentMethod === 'wallet' ? due : Math.min(walletAmount, due);
+  if (fromWallet > 0) {
+    await debitWallet({
+      customerId,
+      type: 'order-payment',
+      amount: fromWallet,
+      order: order._id,
+      description: `Order ${order.orderNumber}`
+    }, session);
+    if (fromWallet === due) {
+      order.paymentStatus = 'paid';
+    }
+  }
+  order.walletAmount = roundMoney(fromWallet + (paymentMethod === 'wallet' ? depositPaid : 0));
+
+  await order.save({ session });
+  return order;
+};
+
+/**
+ * Run an order placement in a transaction, deduplicated by idempotency key:
+ * replaying a key (or losing a race against a concurrent request with the
+ * same key) returns the original order.
+ * Requires MongoDB to run as a replica set (transactions).
+ * @param {String} customerId - Customer placing the order
+ * @param {String} idempotencyKey - Optional idempotency key
+ * @param {Function} place - async (session) => order or null; may be re-run if the transaction retries
+ * @returns {Promise<{order: Object, replayed: Boolean}>}
+ */
+const placeIdempotently = async (customerId, idempotencyKey, place) => {
+  const existing = await findByIdempotencyKey(customerId, idempotencyKey);
+  if (existing) {
+    return { order: existing, replayed: true };
+  }
+
+  const session = await mongoose.startSession();
+  let order;
+
+  try {
+    await session.withTransaction(async () => {
+      order = await place(session);
+    });
+  } catch (error) {
+    // A concurrent request with the same key won the race. This one fails on
+    // the duplicate key, or, when its transaction was retried after the
+    // other committed, on what that one used up (the emptied cart, stock).
+    if (idempotencyKey) {
+      const original = await findByIdempotencyKey(customerId, idempotencyKey);
+      if (original) {
+        return { order: original, replayed: true };
+      }
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  return { order, replayed: false };
+};
+
+/**
+ * Place an order from the customer's cart, with the coupon applied to it.
+ * The order, stock, promotion usage, wallet payment and cart are either all
+ * written or none are.
+ * @param {Object} params
+ * @param {String} params.customerId - Customer placing the order
+ * @param {Object} params.deliveryAddress - Validated delivery address
+ * @param {String} params.paymentMethod - Payment method
+ * @param {Number} params.walletAmount - Most to pay from the wallet alongside another method
+ * @param {String} params.instructions - Special instructions
+ * @param {String} params.expectedDeliveryDate - ISO date requested by customer
+ * @param {String} params.slotReservationId - Optional delivery slot reservation to confirm
+ * @param {String} params.idempotencyKey - Optional Idempotency-Key header
+ * @returns {Promise<{order: Object, replayed: Boolean}>}
+ */
+const placeOrderFromCart = ({ customerId, idempotencyKey, ...details }) =>
+  placeIdempotently(customerId, idempotencyKey, async (session) => {
+    // Get customer's cart
+    const cart = await Cart.findOne({ customer: customerId })
+      .populate('items.product')
+      .session(session);
+
+    if (!cart || cart.items.length === 0) {
+      throw new AppError('EMPTY_CART', 'Cart is empty');
+    }
+
+    const order = await createOrder(session, {
+      ...details,
+      customerId,
+      idempotencyKey,
+      couponCode: cart.couponCode,
+      lines: cart.items.map(cartItem => ({
+        product: cartItem.product,
+        productId: cartItem.populated('product') || cartItem.product,
+        variantId: cartItem.variant,
+        quantity: cartItem.quantity
+      }))
+    });
+
+    // Clear cart
+    cart.items = [];
+    cart.couponCode = undefined;
+    await cart.save({ session });
+
+    return order;
+  });
+
+export {
+  buildFulfillments,
+  createOrder,
+  placeIdempotently,
+  placeOrderFromCart
+};
@@ -0,0 +1,252 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import AppError from '../utils/AppError.js';
+import { releaseReservation } from './slotService.js';
+import { restoreStock } from './variantService.js';
+import { recordPackedWeights, settleWeightAdjustment } from './weightAdjustmentService.js';
+import { releasePromotions } from './promotionService.js';
+import {
+  advancePaymentStatus,
+  getRefundableAmount,
+  refundPayment,
+  refundOrderInFull
+} from './payments/paymentService.js';
+import { calculateItemRefund } from './returnService.js';
+import {
+  getAllowedTransitions as allowedTransitions,
+  assertTransition as checkTransition,
+  getTerminalStatuses
+} from '../utils/transitions.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Legal transitions for a fulfillment (the part of an order one farmer ships):
+// current status → next status → roles allowed to make it.
+// Statuses with no entries are terminal.
+const ORDER_TRANSITIONS = {
+  pending: {
+    accepted: ['farmer', 'admin'],
+    rejected: ['farmer', 'admin'],
+    cancelled: ['customer', 'admin']
+  },
+  accepted: {
+    processing: ['farmer', 'admin'],
+    cancelled: ['customer', 'admin']
+  },
+  processing: {
+    shipped: ['farmer', 'admin'],
+    cancelled: ['admin']
+  },
+  shipped: {
+    delivered: ['farmer', 'admin']
+  },
+  delivered: {},
+  cancelled: {},
+  rejected: {}
+};
+
+// Put the fulfillment's quantities back into stock
+const restockItems = async (order, fulfillment, context, session) => {
+  const items = order.items.filter(item => item.farmer.toString() === fulfillment.farmer.toString());
+  for (const item of items) {
+    await restoreStock(item, session);
+  }
+};
+
+const recordCancellationReason = async (order, fulfillment, context) => {
+  if (context.reason) {
+    fulfillment.cancellationReason = context.reason;
+  }
+};
+
+const recordShipment = async (order, fulfillment, context) => {
+  if (context.trackingId) fulfillment.trackingId = context.trackingId;
+  if (context.deliveryPartner) fulfillment.deliveryPartner = context.deliveryPartner;
+  if (context.expectedDeliveryDate) fulfillment.expectedDeliveryDate = context.expectedDeliveryDate;
+};
+
+// Re-price variable-weight lines at the weights the farmer packed
+const applyPackedWeights = async (order, fulfillment, context) => {
+  if (context.packedWeights && context.packedWeights.length > 0) {
+    recordPackedWeights(order, fulfillment, context.packedWeights);
+  }
+};
+
+const stampDelivery = async (order, fulfillment) => {
+  fulfillment.actualDeliveryDate = new Date();
+};
+
+/**
+ * Take a fulfillment that was cancelled or rejected off what the customer
+ * pays while the rest of the order goes ahead: its items after promotions,
+ * their GST and its delivery charge. What was already paid for it goes back
+ * the way it was paid; unpaid orders simply owe less.
+ * @param {Object} order - Order document
+ * @param {Object} fulfillment - Fulfillment that was dropped
+ * @param {String} reason - Refund reason
+ * @param {Object} session - Mongo session
+ */
+const refundFulfillment = async (order, fulfillment, reason, session) => {
+  const farmerId = fulfillment.farmer.toString();
+  const value = roundMoney(order.items
+    .filter(item => item.farmer.toString() === farmerId)
+    .reduce((sum, item) => sum + calculateItemRefund(order, item, item.quantity), 0) +
+    (fulfillment.deliveryCharges || 0));
+  fulfillment.cancelledAmount = value;
+
+  const refund = Math.min(value, await getRefundableAmount(order, session));
+  if (refund <= 0) {
+    return;
+  }
+
+  await refundPayment(order, refund, reason, session);
+  order.refundAmount = roundMoney((order.refundAmount || 0) + refund);
+  if (['paid', 'partially-refunded'].includes(order.paymentStatus)) {
+    advancePaymentStatus(order, 'partially-refunded');
+  }
+};
+
+// Statuses a fulfillment never leaves
+const TERMINAL_STATUSES = getTerminalStatuses(ORDER_TRANSITIONS);
+
+// Side effects run when a fulfillment enters a status, in order
+const ENTRY_EFFECTS = {
+  cancelled: [restockItems, recordCancellationReason],
+  rejected: [restockItems, recordCancellationReason],
+  processing: [applyPackedWeights],
+  shipped: [recordShipment],
+  delivered: [stampDelivery]
+};
+
+/**
+ * Get the statuses a role may move an order to from its current status
+ * @param {String} from - Current status
+ * @param {String} role - Actor role
+ * @returns {String[]} Allowed next statuses
+ */
+const getAllowedTransitions = (from, role) => allowedTransitions(ORDER_TRANSITIONS, from, role);
+
+/**
+ * Throw unless the transition is legal and the role may perform it
+ * @param {String} from - Current status
+ * @param {String} to - Requested status
+ * @param {String} role - Actor role
+ */
+const assertTransition = (from, to, role) => checkTransition(ORDER_TRANSITIONS, from, to, role, 'order');
+
+/**
+ * Move fulfillments of an order to a new status.
+ * With context.farmer only that farmer's fulfillment moves; otherwise every
+ * fulfillment that is not already cancelled, rejected or delivered moves,
+ * and all of them must allow the transition.
+ * The order is re-read inside a transaction so that concurrent updates are
+ * checked against its latest status; entry side effects, statusHistory
+ * entries and the derived order status are written in the same transaction.
+ * @param {String} orderId - Order ID
+ * @param {String} to - Requested status
+ * @param {Object} context
+ * @param {Object} context.actor - { id, role } of the user making the change
+ * @param {String} context.farmer - Only move this farmer's fulfillment
+ * @param {String} context.note - Note for the status history
+ * @param {String} context.reason - Cancellation/rejection reason
+ * @param {String} context.trackingId - Tracking ID (shipped)
+ * @param {String} context.deliveryPartner - Delivery partner (shipped)
+ * @param {String} context.expectedDeliveryDate - Expected delivery date (shipped)
+ * @param {Object[]} context.packedWeights - [{ itemId, quantity }] packed weights (processing)
+ * @returns {Promise<Object>} Updated order
+ */
+const transitionOrder = async (orderId, to, context) => {
+  const { actor } = context;
+  const session = await mongoose.startSession();
+  let order;
+  let adjustedBefore;
+
+  try {
+    await session.withTransaction(async () => {
+      order = await Order.findById(orderId).session(session);
+      if (!order) {
+        throw new AppError('ORDER_NOT_FOUND', 'Order not found', 404);
+      }
+      adjustedBefore = order.weightAdjustment.amount || 0;
+
+      let fulfillments;
+      if (context.farmer) {
+        const fulfillment = order.getFulfillment(context.farmer);
+        if (!fulfillment) {
+          throw new AppError('FULFILLMENT_NOT_FOUND', 'No fulfillment for this farmer in the order', 404);
+        }
+        fulfillments = [fulfillment];
+      } else {
+        fulfillments = order.fulfillments.filter(f => !TERMINAL_STATUSES.includes(f.status));
+        if (fulfillments.length === 0) {
+          assertTransition(order.status, to, actor.role);
+        }
+      }
+
+      const timestamp = new Date();
+      const note = context.note || context.reason || `Updated by ${actor.role}`;
+
+      for (const fulfillment of fulfillments) {
+        assertTransition(fulfillment.status, to, actor.role);
+
+        for (const effect of ENTRY_EFFECTS[to] || []) {
+          await effect(order, fulfillment, context, session);
+        }
+
+        fulfillment.status = to;
+        fulfillment.statusHistory.push({ status: to, timestamp, note, updatedBy: actor.id });
+      }
+
+      // Keep the customer-facing status in step with the fulfillments
+      const derived = order.deriveStatus();
+      if (derived !== order.status) {
+        order.status = derived;
+        order.statusHistory.push({ status: derived, timestamp, note, updatedBy: actor.id });
+
+        if (derived === 'delivered') {
+          order.actualDeliveryDate = timestamp;
+        }
+        if (['cancelled', 'rejected'].includes(derived)) {
+          if (context.reason) {
+            order.cancellationReason = context.reason;
+          }
+          // Free the delivery slot for other customers
+          if (order.deliverySlot && order.deliverySlot.reservation) {
+            await releaseReservation(order.deliverySlot.reservation, session);
+          }
+          // Give the customer their coupon and promotion uses back
+          await releasePromotions(order, session);
+          // Everything paid goes back: the wallet part to the wallet, the
+          // rest through the provider it was paid with
+          await refundOrderInFull(order, `Order ${order.orderNumber} ${derived}`, session);
+        }
+      }
+
+      // A farmer dropped their part of an order that goes ahead without it
+      if (['cancelled', 'rejected'].includes(to) && !['cancelled', 'rejected'].includes(order.status)) {
+        for (const fulfillment of fulfillments) {
+          await refundFulfillment(order, fulfillment, `Order ${order.orderNumber}: part ${to}`, session);
+        }
+      }
+
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Refunds go out once the new weights are committed
+  if (to === 'processing' && context.packedWeights && context.packedWeights.length > 0) {
+    const change = Math.round(((order.weightAdjustment.amount || 0) - adjustedBefore) * 100) / 100;
+    await settleWeightAdjustment(order, change);
+  }
+
+  return order;
+};
+
+export {
+  ORDER_TRANSITIONS,
+  getAllowedTransitions,
+  assertTransition,
+  transitionOrder
+};
@@ -0,0 +1,545 @@
+import Order from '../../models/Order.js';
+import Payment from '../../models/Payment.js';
+import PreOrder from '../../models/PreOrder.js';
+import AppError from '../../utils/AppError.js';
+import { getProvider } from './providers/index.js';
+import { creditWallet } from '../walletService.js';
+
+// Order.paymentStatus only ever moves forward along this ranking,
+// so a late or redelivered event cannot undo a later state.
+const PAYMENT_STATUS_RANK = {
+  pending: 0,
+  failed: 1,
+  paid: 2,
+  'partially-refunded': 3,
+  refunded: 4
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Move an order's paymentStatus forward; backward moves are ignored
+ * @param {Object} order - Order document
+ * @param {String} next - New payment status
+ * @returns {Boolean} Whether the status changed
+ */
+const advancePaymentStatus = (order, next) => {
+  if (PAYMENT_STATUS_RANK[next] <= PAYMENT_STATUS_RANK[order.paymentStatus]) {
+    return false;
+  }
+  order.paymentStatus = next;
+  return true;
+};
+
+const requireProvider = (name) => {
+  if (!name && !process.env.PAYMENT_PROVIDER) {
+    console.error('PAYMENT_PROVIDER is not configured in environment variables');
+    throw new AppError('PAYMENT_PROVIDER_NOT_CONFIGURED', 'Online payments are not available', 503);
+  }
+
+  const provider = getProvider(name);
+  if (!provider) {
+    throw new AppError('PAYMENT_PROVIDER_NOT_FOUND', `Unknown payment provider ${name || process.env.PAYMENT_PROVIDER}`, 404);
+  }
+
+  const problem = provider.getConfigError();
+  if (problem) {
+    console.error(`Payment provider ${provider.name}: ${problem}`);
+    throw new AppError('PAYMENT_PROVIDER_NOT_CONFIGURED', 'Online payments are not available', 503);
+  }
+  return provider;
+};
+
+/**
+ * Create a payment intent for an order or pre-order, or return the open one
+ * @param {Object} params
+ * @param {Object} params.target - Order or PreOrder document being paid for
+ * @param {String} params.field - Payment field referencing it (order or preorder)
+ * @param {String} params.purpose - Payment purpose (order, deposit, weight-adjustment)
+ * @param {Number} params.amount - Amount to collect
+ * @param {Object} params.details - paymentDetails from checkout
+ * @returns {Promise<{payment: Object, clientSecret: String}>}
+ */
+const openIntent = async ({ target, field, purpose, amount, details }) => {
+  const provider = requireProvider();
+  const intent = await provider.createIntent({
+    orderId: target._id.toString(),
+    amount: roundMoney(amount),
+    currency: 'INR',
+    method: target.paymentMethod,
+    details
+  });
+
+  // The same order and amount map to the same intent, so reuse its record
+  let payment = await Payment.findOne({ intentId: intent.intentId });
+  if (!payment) {
+    payment = new Payment({
+      [field]: target._id,
+      purpose,
+      customer: target.customer,
+      provider: provider.name,
+      intentId: intent.intentId,
+      method: target.paymentMethod,
+      amount: roundMoney(amount),
+      status: intent.status
+    });
+    await payment.save();
+  }
+
+  // Extra charges are tracked on their settlement, not as the order's payment
+  if (purpose !== 'weight-adjustment' && target.paymentId !== intent.intentId) {
+    target.paymentId = intent.intentId;
+    await target.save();
+  }
+
+  return { payment, clientSecret: intent.clientSecret };
+};
+
+/**
+ * Extra charge a paid order still owes after its packed weights were recorded
+ * @param {Object} order - Order document
+ * @returns {Object|undefined} Weight settlement
+ */
+const getOutstandingCharge = (order) => {
+  if (!['paid', 'partially-refunded'].includes(order.paymentStatus) || !order.weightAdjustment) {
+    return undefined;
+  }
+  return order.weightAdjustment.settlements.find(s => s.amount > 0 && s.status !== 'completed');
+};
+
+/**
+ * What is left to pay on an order: its total less fulfillments dropped
+ * from it, any pre-order deposit and what the wallet still covers
+ * @param {Object} order - Order document
+ * @returns {Number} Amount due
+ */
+const getAmountDue = (order) => {
+  const cancelled = order.fulfillments.reduce((sum, f) => sum + (f.cancelledAmount || 0), 0);
+  const fromWallet = (order.walletAmount || 0) - (order.walletRefunded || 0);
+  return roundMoney(order.total - cancelled - (order.depositPaid || 0) - fromWallet);
+};
+
+/**
+ * What the customer has paid towards an order and not had back: the wallet
+ * payment and the captured provider payments, including a linked deposit
+ * @param {Object} order - Order document
+ * @param {Object} session - Optional Mongo session
+ * @returns {Promise<Number>} Refundable amount
+ */
+const getRefundableAmount = async (order, session) => {
+  const payments = await Payment.find({
+    order: order._id,
+    status: { $in: ['captured', 'partially-refunded'] }
+  }).session(session || null);
+
+  const captured = payments.reduce((sum, payment) => sum + payment.amount - payment.refundedAmount, 0);
+  return roundMoney(captured + (order.walletAmount || 0) - (order.walletRefunded || 0));
+};
+
+/**
+ * Create a payment intent for an order, or return the open one
+ * @param {Object} order - Order document
+ * @param {Object} details - paymentDetails from checkout (card token, UPI ID, wallet ID)
+ * @param {Number} amount - Amount to collect, defaults to what is left to pay
+ * @returns {Promise<{payment: Object, clientSecret: String}>}
+ */
+const createPaymentForOrder = async (order, details = {}, amount = getAmountDue(order)) => {
+  if (order.paymentMethod === 'cod') {
+    throw new AppError('PAYMENT_NOT_REQUIRED', 'Cash on delivery orders are paid on delivery');
+  }
+
+  if (['cancelled', 'rejected'].includes(order.status)) {
+    throw new AppError('ORDER_CLOSED', `This order is ${order.status}`, 409);
+  }
+
+  // A paid order may still owe an extra charge for heavier packed weights
+  const charge = getOutstandingCharge(order);
+  if (charge) {
+    return createAdjustmentPayment(order, charge, details);
+  }
+
+  if (order.paymentStatus !== 'pending' && order.paymentStatus !== 'failed') {
+    throw new AppError('ALREADY_PAID', 'This order has already been paid');
+  }
+
+  return openIntent({ target: order, field: 'order', purpose: 'order', amount, details });
+};
+
+/**
+ * Create a payment intent for an extra charge after packed weights raised
+ * the total of an order that was already paid, or return the open one
+ * @param {Object} order - Order document
+ * @param {Object} settlement - Pending weight settlement with a positive amount
+ * @param {Object} details - paymentDetails (card token, UPI ID, wallet ID)
+ * @returns {Promise<{payment: Object, clientSecret: String}>}
+ */
+const createAdjustmentPayment = async (order, settlement, details = {}) => {
+  const opened = await openIntent({
+    target: order,
+    field: 'order',
+    purpose: 'weight-adjustment',
+    amount: settlement.amount,
+    details
+  });
+
+  settlement.intentId = opened.payment.intentId;
+  settlement.status = 'pending';
+  await order.save();
+  return opened;
+};
+
+/**
+ * Create a payment intent for a pre-order's deposit, or return the open one
+ * @param {Object} preorder - PreOrder document
+ * @param {Object} details - paymentDetails (card token, UPI ID, wallet ID)
+ * @returns {Promise<{payment: Object, clientSecret: String}>}
+ */
+const createDepositPayment = async (preorder, details = {}) => {
+  if (preorder.depositAmount <= 0) {
+    throw new AppError('PAYMENT_NOT_REQUIRED', 'This pre-order does not need a deposit');
+  }
+
+  if (preorder.status !== 'reserved') {
+    throw new AppError('PREORDER_CLOSED', `This pre-order is ${preorder.status}`, 409);
+  }
+
+  if (preorder.depositStatus !== 'pending' && preorder.depositStatus !== 'failed') {
+    throw new AppError('ALREADY_PAID', 'The deposit has already been paid');
+  }
+
+  return openIntent({
+    target: preorder,
+    field: 'preorder',
+    purpose: 'deposit',
+    amount: preorder.depositAmount,
+    details
+  });
+};
+
+/**
+ * Apply a capture result to the payment and what it pays for: a pre-order's
+ * deposit status, or the order's payment status
+ * @param {Object} payment - Payment document
+ * @param {Object} result - { status, failureReason }
+ */
+const applyCaptureResult = async (payment, result) => {
+  if (result.status === 'captured') {
+    if (payment.status === 'created' || payment.status === 'authorized' || payment.status === 'failed') {
+      payment.status = 'captured';
+      payment.capturedAt = new Date();
+    }
+  } else if (result.status === 'failed') {
+    if (payment.status === 'created' || payment.status === 'authorized') {
+      payment.status = 'failed';
+      payment.failureReason = result.failureReason;
+    }
+  } else if (result.status === 'authorized' && payment.status === 'created') {
+    payment.status = 'authorized';
+  }
+  await payment.save();
+
+  // Deposits stay deposits even after their pre-order converts into an order
+  if (payment.preorder) {
+    const preorder = await PreOrder.findById(payment.preorder);
+    if (result.status === 'captured' && ['pending', 'failed'].includes(preorder.depositStatus)) {
+      preorder.depositStatus = 'paid';
+    } else if (result.status === 'failed' && preorder.depositStatus === 'pending') {
+      preorder.depositStatus = 'failed';
+    }
+    await preorder.save();
+    return;
+  }
+
+  const order = await Order.findById(payment.order);
+
+  // Extra charges settle their weight adjustment; the order stays paid
+  if (payment.purpose === 'weight-adjustment') {
+    const settlement = order.weightAdjustment.settlements.find(s => s.intentId === payment.intentId);
+    if (settlement && settlement.status !== 'completed') {
+      if (result.status === 'captured') {
+        settlement.status = 'completed';
+      } else if (result.status === 'failed') {
+        settlement.status = 'failed';
+        settlement.note = payment.failureReason;
+      }
+      await order.save();
+    }
+    return;
+  }
+
+  if (result.status === 'captured') {
+    advancePaymentStatus(order, 'paid');
+  } else if (result.status === 'failed') {
+    advancePaymentStatus(order, 'failed');
+  }
+
+  // Paid at the provider after the order was cancelled or rejected: the
+  // money goes straight back
+  if (result.status === 'captured' && ['cancelled', 'rejected'].includes(order.status)) {
+    await refundOrderInFull(order, `Order ${order.orderNumber} ${order.status}`);
+  }
+  await order.save();
+};
+
+/**
+ * Confirm a payment the customer completed on the client: verify the
+ * provider's signature, then capture it
+ * @param {Object} target - Order or PreOrder document the payment belongs to
+ * @param {String} intentId - Payment intent ID
+ * @param {String} signature - Signature returned by the provider's client SDK
+ * @returns {Promise<Object>} Updated payment
+ */
+const confirmPayment = async (target, intentId, signature) => {
+  const payment = await Payment.findOne({
+    intentId,
+    $or: [{ order: target._id }, { preorder: target._id }]
+  });
+  if (!payment) {
+    throw new AppError('PAYMENT_NOT_FOUND', 'Payment not found for this order', 404);
+  }
+
+  if (payment.status === 'captured') {
+    return payment;
+  }
+
+  if (['cancelled', 'rejected'].includes(target.status)) {
+    throw new AppError('ORDER_CLOSED', `This ${payment.preorder ? 'pre-order' : 'order'} is ${target.status}`, 409);
+  }
+
+  const provider = requireProvider(payment.provider);
+  if (!(await provider.verify({ intentId, signature }))) {
+    throw new AppError('INVALID_PAYMENT_SIGNATURE', 'Payment signature could not be verified');
+  }
+
+  const result = await provider.capture({ intentId, amount: payment.amount });
+  await applyCaptureResult(payment, result);
+
+  if (payment.status === 'failed') {
+    throw new AppError('PAYMENT_FAILED', payment.failureReason || 'Payment failed', 402);
+  }
+  return payment;
+};
+
+/**
+ * Refund an amount across captured payments matching a filter, newest first,
+ * through the providers they were paid with. Each refund's sequence is read
+ * in the caller's session, so a retried transaction sends the same
+ * idempotency key and the provider does not pay out twice.
+ * @param {Object} filter - Payment filter
+ * @param {Number} amount - Amount to refund
+ * @param {String} reason - Refund reason
+ * @param {Object} session - Optional Mongo session
+ * @returns {Promise<Object[]|null>} Refund entries or null when nothing was paid
+ */
+const refundFromPayments = async (filter, amount, reason, session) => {
+  const payments = await Payment.find({
+    ...filter,
+    status: { $in: ['captured', 'partially-refunded'] }
+  }).sort({ createdAt: -1 }).session(session || null);
+
+  if (payments.length === 0) {
+    return null;
+  }
+
+  const refundable = roundMoney(payments.reduce((sum, payment) => sum + payment.amount - payment.refundedAmount, 0));
+  if (amount > refundable) {
+    throw new AppError('REFUND_EXCEEDS_PAYMENT', `Only ${refundable} can still be refunded`);
+  }
+
+  const refunds = [];
+  let remaining = roundMoney(amount);
+
+  for (const payment of payments) {
+    const share = Math.min(remaining, roundMoney(payment.amount - payment.refundedAmount));
+    if (share <= 0) {
+      continue;
+    }
+
+    const provider = requireProvider(payment.provider);
+    const result = await provider.refund({
+      intentId: payment.intentId,
+      amount: share,
+      sequence: payment.refunds.length + 1,
+      reason
+    });
+
+    if (result.status === 'failed') {
+      throw new AppError('REFUND_FAILED', 'The payment provider rejected the refund', 502);
+    }
+
+    payment.refunds.push({
+      refundId: result.refundId,
+      amount: share,
+      reason,
+      status: result.status
+    });
+    payment.refundedAmount = roundMoney(payment.refundedAmount + share);
+    payment.status = payment.refundedAmount >= payment.amount ? 'refunded' : 'partially-refunded';
+
+    await payment.save({ session });
+    refunds.push(payment.refunds[payment.refunds.length - 1]);
+
+    remaining = roundMoney(remaining - share);
+    if (remaining <= 0) {
+      break;
+    }
+  }
+
+  return refunds;
+};
+
+/**
+ * Refund part of an order the way it was paid: what came from the
+ * customer's wallet goes back to it first, the rest through the provider(s)
+ * it was paid with, including a pre-order deposit linked to it.
+ * The rest is not refunded for orders without a captured payment (e.g. cash
+ * on delivery). The caller saves the order.
+ * @param {Object} order - Order document
+ * @param {Number} amount - Amount to refund
+ * @param {String} reason - Refund reason
+ * @param {Object} session - Optional Mongo session
+ * @returns {Promise<Object[]|null>} Provider refund entries or null when nothing went through a provider
+ */
+const refundPayment = async (order, amount, reason, session) => {
+  const toWallet = Math.min(roundMoney(amount), roundMoney((order.walletAmount || 0) - (order.walletRefunded || 0)));
+  const toProvider = roundMoney(amount - toWallet);
+
+  const refunds = toProvider > 0
+    ? await refundFromPayments({ order: order._id }, toProvider, reason, session)
+    : null;
+
+  if (toWallet > 0) {
+    await creditWallet({
+      customerId: order.customer,
+      type: 'refund',
+      amount: toWallet,
+      order: order._id,
+      description: reason
+    }, session);
+    order.walletRefunded = roundMoney((order.walletRefunded || 0) + toWallet);
+  }
+
+  return refunds;
+};
+
+/**
+ * Refund everything still held for an order that was cancelled or rejected
+ * as a whole: the wallet payment back to the wallet, every captured
+ * payment (with a linked deposit) through its provider. The caller saves
+ * the order.
+ * @param {Object} order - Order document
+ * @param {String} reason - Refund reason
+ * @param {Object} session - Optional Mongo session
+ * @returns {Promise<Number>} Amount refunded
+ */
+const refundOrderInFull = async (order, reason, session) => {
+  const amount = await getRefundableAmount(order, session);
+  if (amount <= 0) {
+    return 0;
+  }
+
+  await refundPayment(order, amount, reason, session);
+  order.refundAmount = roundMoney((order.refundAmount || 0) + amount);
+  if (['paid', 'partially-refunded'].includes(order.paymentStatus)) {
+    advancePaymentStatus(order, 'refunded');
+  }
+  return amount;
+};
+
+/**
+ * Refund a pre-order's deposit in full, if it was paid: to the wallet for
+ * deposits paid from it, otherwise through the provider
+ * @param {Object} preorder - PreOrder document
+ * @param {String} reason - Refund reason
+ * @param {Object} session - Optional Mongo session
+ * @returns {Promise<Object[]|null>} Provider refund entries or null when nothing went through a provider
+ */
+const refundDeposit = async (preorder, reason, session) => {
+  if (preorder.depositStatus !== 'paid') {
+    return null;
+  }
+
+  let refunds = null;
+  if (preorder.paymentMethod === 'wallet') {
+    await creditWallet({
+      customerId: preorder.customer,
+      type: 'refund',
+      amount: preorder.depositAmount,
+      preorder: preorder._id,
+      description: reason
+    }, session);
+  } else {
+    refunds = await refundFromPayments({ preorder: preorder._id }, preorder.depositAmount, reason, session);
+  }
+  preorder.depositStatus = 'refunded';
+  return refunds;
+};
+
+/**
+ * Verify and apply a provider webhook. Redelivered events are ignored.
+ * Supported events: payment.authorized, payment.captured, payment.failed,
+ * refund.processed, refund.failed
+ * @param {String} providerName - Provider the webhook came from
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Promise<{processed: Boolean}>}
+ */
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = requireProvider(providerName);
+
+  const event = await provider.parseWebhook({ rawBody, headers });
+  if (!event) {
+    throw new AppError('INVALID_WEBHOOK_SIGNATURE', 'Webhook signature could not be verified', 401);
+  }
+
+  const { intentId, refundId, failureReason } = event.data || {};
+  const payment = await Payment.findOne({ provider: provider.name, intentId });
+  if (!payment) {
+    throw new AppError('PAYMENT_NOT_FOUND', 'Payment not found', 404);
+  }
+
+  if (payment.processedEvents.includes(event.id)) {
+    return { processed: false };
+  }
+  payment.processedEvents.push(event.id);
+
+  switch (event.type) {
+    case 'payment.authorized':
+      await applyCaptureResult(payment, { status: 'authorized' });
+      break;
+    case 'payment.captured':
+      await applyCaptureResult(payment, { status: 'captured' });
+      break;
+    case 'payment.failed':
+      await applyCaptureResult(payment, { status: 'failed', failureReason });
+      break;
+    case 'refund.processed':
+    case 'refund.failed': {
+      const refund = payment.refunds.find(r => r.refundId === refundId);
+      if (refund) {
+        refund.status = event.type === 'refund.processed' ? 'processed' : 'failed';
+      }
+      await payment.save();
+      break;
+    }
+    default:
+      // Unknown events are acknowledged so the provider stops retrying
+      await payment.save();
+  }
+
+  return { processed: true };
+};
+
+export {
+  advancePaymentStatus,
+  getAmountDue,
+  getRefundableAmount,
+  createPaymentForOrder,
+  createAdjustmentPayment,
+  createDepositPayment,
+  confirmPayment,
+  refundPayment,
+  refundOrderInFull,
+  refundDeposit,
+  handleWebhook
+};
@@ -0,0 +1,28 @@
+import mockProvider from './mockProvider.js';
+
+// Registered payment providers. Every provider implements:
+//   createIntent({ orderId, amount, currency, method, details }) → { intentId, status, clientSecret }
+//   verify({ intentId, signature }) → Boolean
+//   capture({ intentId, amount }) → { status: 'captured' | 'failed', failureReason }
+//   refund({ intentId, amount, sequence, reason }) → { refundId, status: 'pending' | 'processed' | 'failed' }
+//     `sequence` numbers the refunds of one intent and, with the intentId, is
+//     the refund's idempotency key, which the provider must honour: a call
+//     repeating an earlier key returns that refund without paying out again,
+//     and one repeating it with a different amount fails. Refunds are issued
+//     inside Mongo transactions, which may be retried or aborted after the
+//     call; the retry reuses the key, so the customer is paid once.
+//   parseWebhook({ rawBody, headers }) → { id, type, data } or null when the signature is invalid
+//   getConfigError() → why the provider cannot be used here (e.g. a missing secret), or null
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+/**
+ * Get a payment provider by name. There is no default: PAYMENT_PROVIDER
+ * must name the provider new payments go through.
+ * @param {String} name - Provider name, defaults to PAYMENT_PROVIDER
+ * @returns {Object|undefined} Provider
+ */
+const getProvider = (name = process.env.PAYMENT_PROVIDER) => providers[name];
+
+export { getProvider };
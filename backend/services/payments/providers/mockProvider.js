@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import { signPayload, verifySignature } from '../signature.js';
+
+// Deterministic offline payment provider for development and tests; it is
+// refused when NODE_ENV is production. IDs are derived from their inputs,
+// so the same order always produces the same intent. Test values that make
+// a payment fail on capture:
+//   card:   paymentDetails.cardToken = 'tok_declined'
+//   upi:    paymentDetails.upiId = 'declined@upi'
+//   wallet: paymentDetails.walletId = 'wallet_declined'
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const DECLINED_PREFIX = 'mock_pay_dcl_';
+
+// Anyone who knows a secret can confirm payments or forge webhooks, so
+// there are no fallbacks
+const requireSecret = (name) => {
+  if (!process.env[name]) {
+    throw new Error(`${name} is not set`);
+  }
+  return process.env[name];
+};
+
+const getSecret = () => requireSecret('MOCK_PAYMENT_SECRET');
+const getWebhookSecret = () => requireSecret('PAYMENT_WEBHOOK_SECRET');
+
+/**
+ * Why this provider cannot be used here, if it cannot
+ * @returns {String|null} Problem, or null when it is ready
+ */
+const getConfigError = () => {
+  if (process.env.NODE_ENV === 'production') {
+    return 'The mock payment provider cannot be used in production';
+  }
+  const missing = ['MOCK_PAYMENT_SECRET', 'PAYMENT_WEBHOOK_SECRET'].filter(name => !process.env[name]);
+  return missing.length > 0 ? `${missing.join(' and ')} must be set to use the mock payment provider` : null;
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (value) => crypto.createHmac('sha256', getSecret()).update(value).digest('hex');
+
+const isDeclined = (details = {}) => (
+  details.cardToken === 'tok_declined' ||
+  details.upiId === 'declined@upi' ||
+  details.walletId === 'wallet_declined'
+);
+
+/**
+ * Create a payment intent
+ * @param {Object} params - { orderId, amount, currency, method, details }
+ * @returns {Promise<Object>} { intentId, status, clientSecret }
+ */
+const createIntent = async ({ orderId, amount, currency, details }) => {
+  const prefix = isDeclined(details) ? DECLINED_PREFIX : 'mock_pay_';
+  const intentId = prefix + hash(`${orderId}:${amount}:${currency}`).slice(0, 16);
+
+  return {
+    intentId,
+    status: 'created',
+    clientSecret: `${intentId}_secret_${hmac(intentId).slice(0, 16)}`
+  };
+};
+
+/**
+ * Signature the provider's client SDK would hand back after the customer pays
+ * @param {String} intentId - Payment intent ID
+ * @returns {String} Confirmation signature
+ */
+const signConfirmation = (intentId) => hmac(intentId);
+
+/**
+ * Verify a client-side payment confirmation
+ * @param {Object} params - { intentId, signature }
+ * @returns {Promise<Boolean>} Whether the confirmation is genuine
+ */
+const verify = async ({ intentId, signature }) => {
+  const expected = Buffer.from(signConfirmation(intentId), 'hex');
+  const actual = Buffer.from(String(signature || ''), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Capture an authorized payment
+ * @param {Object} params - { intentId, amount }
+ * @returns {Promise<Object>} { status, failureReason }
+ */
+const capture = async ({ intentId }) => {
+  if (intentId.startsWith(DECLINED_PREFIX)) {
+    return { status: 'failed', failureReason: 'Payment declined by issuer' };
+  }
+  return { status: 'captured' };
+};
+
+/**
+ * Refund part or all of a captured payment. The refund ID depends only on
+ * the idempotency key (intentId and sequence), so a repeated call returns
+ * the same refund.
+ * @param {Object} params - { intentId, amount, sequence }
+ * @returns {Promise<Object>} { refundId, status }
+ */
+const refund = async ({ intentId, sequence }) => {
+  return {
+    refundId: 'mock_rf_' + hash(`${intentId}:${sequence}`).slice(0, 16),
+    status: 'processed'
+  };
+};
+
+/**
+ * Verify and parse an incoming webhook
+ * @param {Object} params - { rawBody, headers }
+ * @returns {Promise<Object|null>} Event ({ id, type, data }) or null when the signature is invalid
+ */
+const parseWebhook = async ({ rawBody, headers }) => {
+  if (!verifySignature(rawBody, headers[SIGNATURE_HEADER], getWebhookSecret())) {
+    return null;
+  }
+  return JSON.parse(rawBody.toString());
+};
+
+/**
+ * Build headers for a webhook body signed the way this provider signs them
+ * @param {String} rawBody - Raw request body
+ * @param {Number} timestamp - Unix seconds, defaults to now
+ * @returns {Object} Request headers
+ */
+const signWebhook = (rawBody, timestamp) => ({
+  'content-type': 'application/json',
+  [SIGNATURE_HEADER]: signPayload(rawBody, getWebhookSecret(), timestamp)
+});
+
+export default {
+  name: 'mock',
+  createIntent,
+  verify,
+  capture,
+  refund,
+  parseWebhook,
+  getConfigError,
+  signConfirmation,
+  signWebhook
+};
@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+
+// Webhook signatures follow the `t=<unix seconds>,v1=<hex hmac>` format,
+// where the HMAC-SHA256 covers `<timestamp>.<raw body>`.
+
+// Reject webhooks signed more than this long ago (replay protection)
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Sign a webhook payload
+ * @param {String|Buffer} payload - Raw request body
+ * @param {String} secret - Shared webhook secret
+ * @param {Number} timestamp - Unix seconds, defaults to now
+ * @returns {String} Signature header value
+ */
+const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Verify a webhook signature header against the raw payload
+ * @param {String|Buffer} payload - Raw request body
+ * @param {String} header - Signature header value
+ * @param {String} secret - Shared webhook secret
+ * @param {Number} toleranceSeconds - Maximum signature age
+ * @returns {Boolean} Whether the signature is valid and fresh
+ */
+const verifySignature = (payload, header, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) => {
+  if (!header || !secret) {
+    return false;
+  }
+
+  const parts = Object.fromEntries(
+    header.split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) {
+    return false;
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = signPayload(payload, secret, timestamp).split('v1=')[1];
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const actualBuffer = Buffer.from(parts.v1, 'hex');
+
+  return expectedBuffer.length === actualBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
+export {
+  signPayload,
+  verifySignature
+};
@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import { getProvider } from './providers/index.js';
+
+// Simulates the mock provider's webhooks so the payment flow can run
+// end-to-end without a real gateway.
+
+/**
+ * Build a signed mock webhook request
+ * @param {String} type - Event type, e.g. 'payment.captured'
+ * @param {Object} data - Event data, e.g. { intentId }
+ * @param {Object} options - { eventId, timestamp }
+ * @returns {{rawBody: String, headers: Object, event: Object}}
+ */
+const buildMockWebhook = (type, data, options = {}) => {
+  const event = {
+    id: options.eventId || 'evt_' + crypto
+      .createHash('sha256')
+      .update(`${type}:${JSON.stringify(data)}`)
+      .digest('hex')
+      .slice(0, 16),
+    type,
+    data,
+    createdAt: new Date().toISOString()
+  };
+
+  const rawBody = JSON.stringify(event);
+  const headers = getProvider('mock').signWebhook(rawBody, options.timestamp);
+
+  return { rawBody, headers, event };
+};
+
+/**
+ * Send a signed mock webhook to a running server
+ * @param {String} baseUrl - Server URL, e.g. 'http://localhost:5000'
+ * @param {String} type - Event type
+ * @param {Object} data - Event data
+ * @param {Object} options - { eventId, timestamp }
+ * @returns {Promise<{status: Number, body: Object}>}
+ */
+const sendMockWebhook = async (baseUrl, type, data, options = {}) => {
+  const { rawBody, headers } = buildMockWebhook(type, data, options);
+
+  const response = await fetch(`${baseUrl}/api/payments/webhook/mock`, {
+    method: 'POST',
+    headers,
+    body: rawBody
+  });
+
+  return { status: response.status, body: await response.json() };
+};
+
+export {
+  buildMockWebhook,
+  sendMockWebhook
+};
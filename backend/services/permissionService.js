@@ -0,0 +1,88 @@
+import RolePermission from '../models/RolePermission.js';
+import { DEFAULT_PERMISSIONS } from '../config/permissions.js';
+
+// How long role grants loaded from the database are reused
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+/**
+ * Load the role → extra permissions map from the database, cached for CACHE_TTL_MS
+ * @returns {Promise<Object>} Map of role to granted permissions
+ */
+const loadGrants = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const docs = await RolePermission.find().lean();
+  cache = {};
+  docs.forEach(doc => {
+    cache[doc.role] = doc.permissions || [];
+  });
+  cacheLoadedAt = Date.now();
+
+  return cache;
+};
+
+/**
+ * Drop cached grants so the next check reads the database again
+ */
+const invalidatePermissionCache = () => {
+  cache = null;
+  cacheLoadedAt = 0;
+};
+
+/**
+ * Get the effective permissions for a role (defaults plus admin grants)
+ * @param {String} role - User role
+ * @returns {Promise<String[]>} Granted permissions
+ */
+const getPermissionsForRole = async (role) => {
+  const grants = await loadGrants();
+  const defaults = DEFAULT_PERMISSIONS[role] || [];
+  return [...new Set([...defaults, ...(grants[role] || [])])];
+};
+
+/**
+ * Get the effective permission map for every role
+ * @returns {Promise<Object>} Map of role to { defaults, grants, effective }
+ */
+const getPermissionMap = async () => {
+  const grants = await loadGrants();
+  const roles = new Set([...Object.keys(DEFAULT_PERMISSIONS), ...Object.keys(grants)]);
+
+  const map = {};
+  for (const role of roles) {
+    map[role] = {
+      defaults: DEFAULT_PERMISSIONS[role] || [],
+      grants: grants[role] || [],
+      effective: await getPermissionsForRole(role)
+    };
+  }
+  return map;
+};
+
+/**
+ * Check a required permission against a list of granted ones.
+ * Supports `*` (everything) and `resource:*` (every action on a resource).
+ * @param {String[]} granted - Granted permissions
+ * @param {String} required - Required permission
+ * @returns {Boolean} Whether the permission is granted
+ */
+const hasPermission = (granted, required) => {
+  const [resource] = required.split(':');
+  return granted.some(permission =>
+    permission === '*' ||
+    permission === required ||
+    permission === `${resource}:*`
+  );
+};
+
+export {
+  getPermissionsForRole,
+  getPermissionMap,
+  hasPermission,
+  invalidatePermissionCache
+};
@@ -0,0 +1,428 @@
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import PreOrder from '../models/PreOrder.js';
+import Product from '../models/Product.js';
+import AppError from '../utils/AppError.js';
+import { createOrder, placeIdempotently } from './orderService.js';
+import { assertServiceable } from './serviceabilityService.js';
+import { assertQuantity, priceLine } from './pricingService.js';
+import { getAmountDue, refundDeposit } from './payments/paymentService.js';
+import { debitWallet } from './walletService.js';
+import { notify } from './notificationService.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether a product is taking pre-orders: enabled by the farmer, approved,
+ * sold without pack-size variants, and with a harvest date still ahead
+ * @param {Object} product - Product
+ * @param {Date} now - Current time
+ * @returns {Boolean}
+ */
+const isTakingPreOrders = (product, now = new Date()) =>
+  Boolean(product.isApproved && product.preorder && product.preorder.isEnabled &&
+    product.variants.length === 0 && product.harvestDate && product.harvestDate > now);
+
+/**
+ * Apply a farmer's pre-order settings to a product
+ * @param {Object} product - Product document (harvestDate already updated)
+ * @param {Object} settings - { isEnabled, quota, depositPercentage }
+ */
+const applyPreOrderSettings = (product, settings) => {
+  if (!settings) {
+    return;
+  }
+
+  Object.entries(settings).forEach(([key, value]) => {
+    product.preorder[key] = value;
+  });
+
+  if (product.preorder.quota < product.preorder.reserved) {
+    throw new AppError(
+      'PREORDER_QUOTA_TOO_LOW',
+      `${product.preorder.reserved} ${product.unit} are already pre-ordered; the quota cannot be lower`
+    );
+  }
+
+  if (product.preorder.isEnabled && product.variants.length > 0) {
+    throw new AppError('PREORDER_VARIANTS_UNSUPPORTED', 'Products with pack sizes cannot take pre-orders');
+  }
+
+  if (product.preorder.isEnabled && !(product.harvestDate && product.harvestDate > new Date())) {
+    throw new AppError('HARVEST_DATE_REQUIRED', 'Pre-orders need a harvest date in the future');
+  }
+};
+
+/**
+ * Pre-order a product against its upcoming harvest. The quota is claimed
+ * atomically, so concurrent pre-orders cannot exceed it; live stock is
+ * untouched. Wallet pre-orders pay their deposit from the wallet straight away.
+ * @param {String} customerId - Customer placing the pre-order
+ * @param {Object} details
+ * @param {String} details.product - Product ID
+ * @param {Number} details.quantity - Quantity
+ * @param {Object} details.deliveryAddress - Validated delivery address
+ * @param {String} details.paymentMethod - Payment method for the deposit and the order
+ * @param {String} details.instructions - Special instructions
+ * @returns {Promise<Object>} Saved pre-order
+ */
+const createPreOrder = async (customerId, { product: productId, quantity, deliveryAddress, paymentMethod, instructions }) => {
+  const product = await Product.findById(productId);
+  if (!product) {
+    throw new AppError('PRODUCT_NOT_FOUND', 'Product not found', 404);
+  }
+
+  if (!isTakingPreOrders(product)) {
+    throw new AppError('PREORDER_UNAVAILABLE', `${product.name} is not taking pre-orders`);
+  }
+
+  assertQuantity(product, quantity);
+
+  const pricing = priceLine(product, null, quantity);
+  const { subtotal } = pricing;
+  const depositAmount = roundMoney(subtotal * product.preorder.depositPercentage / 100);
+
+  if (depositAmount > 0 && paymentMethod === 'cod') {
+    throw new AppError('DEPOSIT_REQUIRES_ONLINE_PAYMENT', 'This pre-order needs a deposit; choose card, UPI or wallet');
+  }
+
+  await assertServiceable(deliveryAddress.pincode, paymentMethod);
+
+  const session = await mongoose.startSession();
+  let preorder;
+
+  try {
+    await session.withTransaction(async () => {
+      // Claim quota only while it is still available
+      const result = await Product.updateOne(
+        {
+          _id: product._id,
+          'preorder.isEnabled': true,
+          $expr: { $lte: [{ $add: ['$preorder.reserved', quantity] }, '$preorder.quota'] }
+        },
+        { $inc: { 'preorder.reserved': quantity } },
+        { session }
+      );
+
+      if (result.modifiedCount !== 1) {
+        throw new AppError('PREORDER_QUOTA_EXCEEDED', `Not enough of ${product.name} left to pre-order`, 409);
+      }
+
+      preorder = new PreOrder({
+        customer: customerId,
+        product: product._id,
+        farmer: product.farmer,
+        productName: product.name,
+        price: pricing.price,
+        listPrice: pricing.listPrice,
+        discountPercentage: pricing.discountPercentage,
+        quantity,
+        subtotal,
+        harvestDate: product.harvestDate,
+        depositAmount,
+        depositStatus: depositAmount > 0 ? 'pending' : 'not-required',
+        deliveryAddress,
+        paymentMethod,
+        instructions
+      });
+
+      if (depositAmount > 0 && paymentMethod === 'wallet') {
+        await debitWallet({
+          customerId,
+          type: 'deposit',
+          amount: depositAmount,
+          preorder: preorder._id,
+          description: `Deposit for pre-order ${preorder.preorderNumber}`
+        }, session);
+        preorder.depositStatus = 'paid';
+      }
+      await preorder.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return preorder;
+};
+
+/**
+ * Cancel a reserved pre-order: give its quota back and refund any deposit
+ * @param {Object} preorder - PreOrder document
+ * @param {String} reason - Cancellation reason
+ * @returns {Promise<Object>} Updated pre-order
+ */
+const cancelPreOrder = async (preorder, reason) => {
+  if (preorder.status !== 'reserved') {
+    throw new AppError('PREORDER_CLOSED', `This pre-order is ${preorder.status}`, 409);
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await Product.updateOne(
+        { _id: preorder.product, 'preorder.reserved': { $gte: preorder.quantity } },
+        { $inc: { 'preorder.reserved': -preorder.quantity } },
+        { session }
+      );
+
+      await refundDeposit(preorder, `Pre-order ${preorder.preorderNumber} cancelled`, session);
+
+      preorder.status = 'cancelled';
+      preorder.cancelledAt = new Date();
+      preorder.cancellationReason = reason;
+      await preorder.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return preorder;
+};
+
+/**
+ * Line pricing a pre-order was booked at
+ * @param {Object} preorder - PreOrder document
+ * @returns {Object} Pricing as priceLine returns it
+ */
+const bookedPricing = (preorder) => {
+  // Pre-orders booked before discounts applied were at list price
+  const listPrice = preorder.listPrice !== undefined ? preorder.listPrice : preorder.price;
+  const listSubtotal = roundMoney(listPrice * preorder.quantity);
+
+  return {
+    listPrice,
+    discountPercentage: preorder.discountPercentage || 0,
+    price: preorder.price,
+    quantity: preorder.quantity,
+    listSubtotal,
+    discount: roundMoney(listSubtotal - preorder.subtotal),
+    subtotal: preorder.subtotal
+  };
+};
+
+/**
+ * Convert one pre-order into a normal order at its booked price, keyed on
+ * the pre-order so a repeated harvest run cannot place it twice. Its deposit
+ * counts towards the order total and its payment is linked to the order.
+ * The harvest held back its quantity from live stock; it is added to stock
+ * and taken by the order, and released from the quota, in the order's
+ * transaction, so live shoppers never see it.
+ * @param {Object} preorder - Reserved PreOrder document
+ * @param {Object} product - Harvested product
+ * @returns {Promise<Object>} The order
+ */
+const convertPreOrder = async (preorder, product) => {
+  const { order } = await placeIdempotently(preorder.customer, `preorder:${preorder._id}`, async (session) => {
+    await Product.updateOne(
+      { _id: product._id },
+      { $inc: { stock: preorder.quantity, 'preorder.reserved': -preorder.quantity } },
+      { session }
+    );
+
+    const placed = await createOrder(session, {
+      customerId: preorder.customer,
+      lines: [{ product, quantity: preorder.quantity, pricing: bookedPricing(preorder) }],
+      deliveryAddress: preorder.toObject().deliveryAddress,
+      paymentMethod: preorder.paymentMethod,
+      instructions: preorder.instructions,
+      idempotencyKey: `preorder:${preorder._id}`,
+      preorder: preorder._id,
+      depositPaid: preorder.depositStatus === 'paid' ? preorder.depositAmount : 0,
+      applyPromotions: false
+    });
+
+    await Payment.updateMany({ preorder: preorder._id }, { order: placed._id }, { session });
+
+    preorder.status = 'converted';
+    preorder.order = placed._id;
+    preorder.convertedAt = new Date();
+    await preorder.save({ session });
+
+    return placed;
+  });
+
+  return order;
+};
+
+/**
+ * Close a pre-order that could not be converted, refunding any deposit.
+ * Its quota is released in the same transaction as its new status, with the
+ * harvested quantity held back for it when there was one.
+ * @param {Object} preorder - PreOrder document
+ * @param {String} status - cancelled or failed
+ * @param {String} reason - Why it was closed
+ * @param {Boolean} releaseStock - Add the quantity held back for it to live stock
+ */
+const closePreOrder = async (preorder, status, reason, releaseStock = false) => {
+  const { depositStatus } = preorder;
+
+  const close = async (session) => {
+    preorder.status = status;
+    preorder.cancelledAt = new Date();
+    preorder.cancellationReason = reason;
+    await preorder.save({ session });
+    await Product.updateOne(
+      { _id: preorder.product },
+      { $inc: { 'preorder.reserved': -preorder.quantity, ...(releaseStock && { stock: preorder.quantity }) } },
+      { session }
+    );
+  };
+
+  const session = await mongoose.startSession();
+  try {
+    try {
+      // A wallet refund commits with the pre-order's deposit status
+      await session.withTransaction(async () => {
+        preorder.depositStatus = depositStatus;
+        await refundDeposit(preorder, `Pre-order ${preorder.preorderNumber}: ${reason}`, session);
+        await close(session);
+      });
+    } catch (error) {
+      console.error('Pre-order deposit refund error:', error);
+      preorder.depositStatus = depositStatus;
+      await session.withTransaction(() => close(session));
+    }
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Mark a product's harvest done: stop taking pre-orders, and convert
+ * reserved pre-orders into orders, oldest first, while the harvest lasts.
+ * The quantity of the pre-orders it covers is held back, and only the rest
+ * is added to live stock, so shoppers cannot take it ahead of them.
+ * Pre-orders with an unpaid deposit are cancelled; pre-orders that cannot be
+ * fulfilled fail and have their deposit refunded.
+ * A harvest is recorded once per pre-order run: the product must still be
+ * taking pre-orders.
+ * @param {String} productId - Product ID
+ * @param {String} farmerId - Farmer marking the harvest
+ * @param {Number} quantity - Harvested quantity, in the product's unit
+ * @returns {Promise<Object>} { product, converted, cancelled, failed }
+ */
+const markHarvested = async (productId, farmerId, quantity) => {
+  const product = await Product.findById(productId);
+  if (!product) {
+    throw new AppError('PRODUCT_NOT_FOUND', 'Product not found', 404);
+  }
+
+  if (product.farmer.toString() !== farmerId) {
+    throw new AppError('UNAUTHORIZED', 'You can only harvest your own products', 403);
+  }
+
+  if (!product.isApproved) {
+    throw new AppError('PRODUCT_NOT_APPROVED', 'Products must be approved before they can be sold');
+  }
+
+  // Variant stock is kept per pack size and updated with the product
+  if (product.variants.length > 0) {
+    throw new AppError('PREORDER_VARIANTS_UNSUPPORTED', 'Update the stock of each pack size instead');
+  }
+
+  const notAwaitingHarvest = () => new AppError(
+    'NOT_AWAITING_HARVEST',
+    `${product.name} is not taking pre-orders; its harvest may already be recorded`,
+    409
+  );
+  if (!product.preorder || !product.preorder.isEnabled) {
+    throw notAwaitingHarvest();
+  }
+
+  // Hold back what the paid-up pre-orders need, oldest first
+  const preorders = await PreOrder.find({ product: product._id, status: 'reserved' }).sort({ createdAt: 1 });
+  const covered = new Set();
+  let held = 0;
+  for (const preorder of preorders) {
+    const payable = !(preorder.depositAmount > 0 && preorder.depositStatus !== 'paid');
+    if (payable && held + preorder.quantity <= quantity) {
+      covered.add(preorder._id.toString());
+      held += preorder.quantity;
+    }
+  }
+
+  // Only the first of two harvests marked at once adds stock
+  const now = new Date();
+  const { modifiedCount } = await Product.updateOne(
+    { _id: product._id, 'preorder.isEnabled': true },
+    {
+      $inc: { stock: quantity - held },
+      $set: { harvestedAt: now, 'preorder.isEnabled': false, isAvailable: true, updatedAt: now }
+    }
+  );
+  if (modifiedCount === 0) {
+    throw notAwaitingHarvest();
+  }
+
+  const summary = { converted: [], cancelled: [], failed: [] };
+
+  for (const preorder of preorders) {
+    if (preorder.depositAmount > 0 && preorder.depositStatus !== 'paid') {
+      await closePreOrder(preorder, 'cancelled', 'Deposit was not paid before harvest');
+      summary.cancelled.push(preorder._id);
+      await notify(
+        preorder.customer,
+        'preorder.cancelled',
+        `Pre-order ${preorder.preorderNumber} cancelled`,
+        `Your pre-order for ${preorder.productName} was cancelled because its deposit was not paid before harvest.`,
+        { preorder: preorder._id, product: product._id }
+      );
+      continue;
+    }
+
+    const isCovered = covered.has(preorder._id.toString());
+    try {
+      if (!isCovered) {
+        throw new AppError('INSUFFICIENT_STOCK', `Not enough ${preorder.productName} was harvested`);
+      }
+
+      const order = await convertPreOrder(preorder, await Product.findById(product._id));
+      summary.converted.push(order._id);
+
+      const balance = order.paymentStatus === 'paid' ? 0 : getAmountDue(order);
+      await notify(
+        preorder.customer,
+        'preorder.converted',
+        `${preorder.productName} harvested`,
+        [
+          `Your pre-order ${preorder.preorderNumber} is now order ${order.orderNumber}.`,
+          order.paymentMethod !== 'cod' && balance > 0 ? `Please pay the remaining ${balance}.` : ''
+        ].filter(Boolean).join(' '),
+        { preorder: preorder._id, order: order._id, product: product._id }
+      );
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Pre-order conversion error:', error);
+      }
+      const reason = error instanceof AppError ? error.message : 'Order could not be placed';
+
+      // What was held back for it goes to live stock
+      await closePreOrder(preorder, 'failed', reason, isCovered);
+      summary.failed.push(preorder._id);
+      await notify(
+        preorder.customer,
+        'preorder.failed',
+        `Pre-order ${preorder.preorderNumber} could not be fulfilled`,
+        `We could not turn your pre-order for ${preorder.productName} into an order: ${reason}` +
+          (preorder.depositStatus === 'refunded' ? ' Your deposit has been refunded.' : ''),
+        { preorder: preorder._id, product: product._id }
+      );
+    }
+  }
+
+  return {
+    product: await Product.findById(product._id),
+    converted: summary.converted,
+    cancelled: summary.cancelled,
+    failed: summary.failed
+  };
+};
+
+export {
+  isTakingPreOrders,
+  applyPreOrderSettings,
+  createPreOrder,
+  cancelPreOrder,
+  markHarvested
+};
@@ -0,0 +1,95 @@
+import PriceHistory from '../models/PriceHistory.js';
+import { toLocalDate } from '../utils/localDate.js';
+import { PRICE_TREND_DAYS } from '../config/pricing.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Closing price on each day the price changed, without repeats
+ * @param {Object[]} changes - [{ date, price }] in time order
+ * @returns {Object[]} [{ date, price }]
+ */
+const toDailyPoints = (changes) => {
+  const points = [];
+  changes.forEach(({ date, price }) => {
+    const last = points[points.length - 1];
+    if (last && last.date === date) {
+      last.price = price;
+    } else {
+      points.push({ date, price });
+    }
+  });
+  return points.filter((point, index) => index === 0 || point.price !== points[index - 1].price);
+};
+
+/**
+ * The most recent change to a different price
+ * @param {Object[]} history - [{ price, changedAt }] in time order
+ * @returns {Object} { previousPrice, changedAt }
+ */
+const lastChange = (history) => {
+  for (let i = history.length - 1; i > 0; i--) {
+    if (history[i].price !== history[i - 1].price) {
+      return { previousPrice: history[i - 1].price, changedAt: history[i].changedAt };
+    }
+  }
+  return { previousPrice: null, changedAt: null };
+};
+
+/**
+ * Compact price trend of a product over the last days: one series for the
+ * product, or one per pack size, each with its closing price on the days
+ * it changed (starting from the price when the window opened), its low and
+ * high, and the previous price for "price dropped" badges
+ * @param {Object} product - Product document
+ * @param {Object} options
+ * @param {Number} options.days - Days to cover
+ * @param {Date} options.now - Current time
+ * @returns {Promise<Object>} { days, series: [{ variant, sku, price, previousPrice, changedAt, low, high, points }] }
+ */
+const getPriceTrend = async (product, { days = PRICE_TREND_DAYS, now = new Date() } = {}) => {
+  const since = new Date(now.getTime() - days * DAY_MS);
+  const [opening, entries] = await Promise.all([
+    PriceHistory.latestPrices(product._id, { before: since }),
+    PriceHistory.find({ product: product._id, changedAt: { $gte: since } })
+      .sort({ changedAt: 1, _id: 1 })
+      .lean()
+  ]);
+
+  const targets = product.variants.length === 0
+    ? [{ variant: null, price: product.price }]
+    : product.variants.map(variant => ({ variant: variant._id, sku: variant.sku, price: variant.price }));
+
+  const series = targets.map(({ variant, sku, price }) => {
+    const key = String(variant);
+    const changes = entries.filter(entry => String(entry.variant) === key);
+
+    const history = [
+      ...(opening.has(key) ? [{ price: opening.get(key), changedAt: since }] : []),
+      ...changes
+    ];
+    // Products saved before price history was kept have no entries yet
+    if (history.length === 0 || history[history.length - 1].price !== price) {
+      history.push({ price, changedAt: now });
+    }
+
+    const points = toDailyPoints(history.map(entry => ({ date: toLocalDate(entry.changedAt), price: entry.price })));
+    const prices = points.map(point => point.price);
+
+    return {
+      variant,
+      sku,
+      price,
+      ...lastChange(history),
+      low: Math.min(...prices),
+      high: Math.max(...prices),
+      points
+    };
+  });
+
+  return { days, series };
+};
+
+export {
+  getPriceTrend
+};
@@ -0,0 +1,241 @@
+import Product from '../models/Product.js';
+import PriceSchedule from '../models/PriceSchedule.js';
+import AppError from '../utils/AppError.js';
+import { MAX_PRICE_SCHEDULE_DAYS, PRICE_SCHEDULE_LOCK_MINUTES } from '../config/pricing.js';
+import { resolveVariant } from './variantService.js';
+import { notify } from './notificationService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A change without an end is a single instant
+const windowEnd = (schedule) => schedule.endsAt || schedule.startsAt;
+
+const overlaps = (a, b) =>
+  a.startsAt.getTime() === b.startsAt.getTime() ||
+  (a.startsAt < windowEnd(b) && b.startsAt < windowEnd(a));
+
+const describe = (schedule) => schedule.label || `Price change to ${schedule.price}`;
+
+/**
+ * Schedule a price change for a product, or one of its pack sizes. Changes
+ * for the same product or pack cannot overlap.
+ * @param {Object} product - Product document, owned by the farmer
+ * @param {Object} details - Validated { price, startsAt, endsAt?, variantId?, label? }
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Price schedule
+ */
+const createPriceSchedule = async (product, { price, startsAt, endsAt, variantId, label }, now = new Date()) => {
+  const variant = resolveVariant(product, variantId);
+
+  const schedule = new PriceSchedule({
+    product: product._id,
+    variant: variant ? variant._id : null,
+    farmer: product.farmer,
+    price,
+    startsAt: new Date(startsAt),
+    endsAt: endsAt ? new Date(endsAt) : undefined,
+    label
+  });
+
+  if (schedule.startsAt <= now) {
+    throw new AppError('INVALID_PRICE_SCHEDULE', 'The price change must start in the future');
+  }
+  if (schedule.startsAt > new Date(now.getTime() + MAX_PRICE_SCHEDULE_DAYS * DAY_MS)) {
+    throw new AppError('INVALID_PRICE_SCHEDULE', `Price changes can be scheduled at most ${MAX_PRICE_SCHEDULE_DAYS} days ahead`);
+  }
+
+  const pending = await PriceSchedule.find({
+    product: product._id,
+    variant: schedule.variant,
+    status: { $in: ['scheduled', 'active'] }
+  });
+  const clash = pending.find(other => overlaps(schedule, other));
+  if (clash) {
+    throw new AppError(
+      'PRICE_SCHEDULE_OVERLAP',
+      `This overlaps ${describe(clash)} from ${clash.startsAt.toISOString()}`,
+      409
+    );
+  }
+
+  await schedule.save();
+  return schedule;
+};
+
+/**
+ * The product a schedule changes, and the product or pack size whose price it sets
+ * @param {Object} schedule - Price schedule
+ * @returns {Promise<Object>} { product, target }, or { problem } when it can no longer apply
+ */
+const findTarget = async (schedule) => {
+  const product = await Product.findById(schedule.product);
+  if (!product) {
+    return { problem: 'The product was deleted' };
+  }
+  if (!schedule.variant) {
+    return product.variants.length > 0
+      ? { problem: 'The product now comes in pack sizes' }
+      : { product, target: product };
+  }
+  const variant = product.getVariant(schedule.variant);
+  return variant ? { product, target: variant } : { problem: 'The pack size was removed' };
+};
+
+/**
+ * Set a price and save the product, crediting the schedule in its price history
+ * @param {Object} product - Product document
+ * @param {Object} target - Product or variant to change
+ * @param {Number} price - New price
+ * @param {Object} schedule - Price schedule making the change
+ */
+const setPrice = async (product, target, price, schedule) => {
+  target.price = price;
+  product.$locals.priceChange = { reason: 'schedule', schedule: schedule._id };
+  await product.save();
+};
+
+/**
+ * Apply a due price change. Sales whose window passed while the scheduler
+ * was down are skipped rather than applied late.
+ * @param {Object} schedule - Price schedule
+ * @param {Date} now - Current time
+ * @returns {Promise<String>} Outcome: applied, skipped or cancelled
+ */
+const applySchedule = async (schedule, now) => {
+  const { product, target, problem } = await findTarget(schedule);
+
+  if (problem) {
+    schedule.status = 'cancelled';
+    schedule.note = problem;
+    return 'cancelled';
+  }
+  if (schedule.endsAt && schedule.endsAt <= now) {
+    schedule.status = 'skipped';
+    schedule.note = 'The sale ended before it could be applied';
+    return 'skipped';
+  }
+
+  schedule.originalPrice = target.price;
+  await setPrice(product, target, schedule.price, schedule);
+  schedule.status = schedule.endsAt ? 'active' : 'completed';
+  schedule.appliedAt = now;
+  return 'applied';
+};
+
+/**
+ * Put the original price back at the end of a sale, unless the farmer has
+ * changed the price themselves since it started
+ * @param {Object} schedule - Active price schedule
+ * @param {Date} now - Current time
+ * @returns {Promise<String>} Outcome: reverted or cancelled
+ */
+const revertSchedule = async (schedule, now) => {
+  const { product, target, problem } = await findTarget(schedule);
+
+  if (problem) {
+    schedule.status = 'cancelled';
+    schedule.note = problem;
+    return 'cancelled';
+  }
+
+  if (target.price === schedule.price) {
+    await setPrice(product, target, schedule.originalPrice, schedule);
+  } else {
+    schedule.note = `The price was changed to ${target.price} during the sale, so it was kept`;
+  }
+  schedule.status = 'completed';
+  schedule.revertedAt = now;
+  return 'reverted';
+};
+
+/**
+ * Cancel a price change. A sale in progress ends now, putting the original
+ * price back.
+ * @param {Object} schedule - Price schedule
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Price schedule
+ */
+const cancelPriceSchedule = async (schedule, now = new Date()) => {
+  if (!['scheduled', 'active'].includes(schedule.status)) {
+    throw new AppError('PRICE_SCHEDULE_CLOSED', `This price change is already ${schedule.status}`, 409);
+  }
+
+  if (schedule.status === 'active') {
+    await revertSchedule(schedule, now);
+  }
+  schedule.status = 'cancelled';
+  await schedule.save();
+  return schedule;
+};
+
+/**
+ * Claim the next due schedule, locking it for this run
+ * @param {Object} filter - Due schedules
+ * @param {Object} sort - Which comes first
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Locked schedule
+ */
+const claimNext = (filter, sort, now) =>
+  PriceSchedule.findOneAndUpdate(
+    { ...filter, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { lockedUntil: new Date(now.getTime() + PRICE_SCHEDULE_LOCK_MINUTES * 60 * 1000) },
+    { new: true, sort }
+  );
+
+/**
+ * Tell the farmer when a change did not go as scheduled
+ * @param {Object} schedule - Price schedule after its step
+ */
+const notifyProblem = async (schedule) => {
+  if (schedule.note) {
+    await notify(
+      schedule.farmer,
+      schedule.status === 'completed' ? 'price-schedule.not-reverted' : `price-schedule.${schedule.status}`,
+      `${describe(schedule)} was ${schedule.status === 'completed' ? 'not reverted' : schedule.status}`,
+      schedule.note,
+      { priceSchedule: schedule._id, product: schedule.product }
+    );
+  }
+};
+
+/**
+ * End sales whose time is up, then apply price changes that are due, so a
+ * sale can start the moment the previous one ends. Each schedule is claimed
+ * with a short lock, so overlapping runs (or several server instances)
+ * never process the same one twice; one that fails stays locked and is
+ * retried once the lock expires.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { applied, reverted, skipped, cancelled, failed }
+ */
+const runDuePriceSchedules = async (now = new Date()) => {
+  const summary = { applied: 0, reverted: 0, skipped: 0, cancelled: 0, failed: 0 };
+
+  const steps = [
+    { filter: { status: 'active', endsAt: { $lte: now } }, sort: { endsAt: 1 }, run: revertSchedule },
+    { filter: { status: 'scheduled', startsAt: { $lte: now } }, sort: { startsAt: 1 }, run: applySchedule }
+  ];
+
+  for (const { filter, sort, run } of steps) {
+    let schedule;
+    while ((schedule = await claimNext(filter, sort, now))) {
+      try {
+        const outcome = await run(schedule, now);
+        schedule.lockedUntil = undefined;
+        await schedule.save();
+        await notifyProblem(schedule);
+        summary[outcome]++;
+      } catch (error) {
+        console.error(`Price schedule ${schedule._id} error:`, error);
+        summary.failed++;
+      }
+    }
+  }
+
+  return summary;
+};
+
+export {
+  createPriceSchedule,
+  cancelPriceSchedule,
+  runDuePriceSchedules
+};
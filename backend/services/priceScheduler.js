@@ -0,0 +1,46 @@
+import { runDuePriceSchedules } from './priceScheduleService.js';
+import { PRICE_SCHEDULER_INTERVAL_MINUTES } from '../config/pricing.js';
+
+let timer = null;
+let running = false;
+
+// One pass over due price changes; skipped if the previous pass is still going
+const tick = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const summary = await runDuePriceSchedules();
+    if (Object.values(summary).some(count => count > 0)) {
+      console.log('Price schedule run:', summary);
+    }
+  } catch (error) {
+    console.error('Price scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Apply and revert scheduled price changes in this process every
+ * PRICE_SCHEDULER_INTERVAL_MINUTES, starting now
+ */
+const startPriceScheduler = () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(tick, PRICE_SCHEDULER_INTERVAL_MINUTES * 60 * 1000);
+  tick();
+};
+
+const stopPriceScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export {
+  startPriceScheduler,
+  stopPriceScheduler
+};
@@ -0,0 +1,157 @@
+import AppError from '../utils/AppError.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Price after the product's discount, to the paisa
+ * @param {Number} listPrice - Price before discount
+ * @param {Number} discountPercentage - Discount in percent (0 when unset)
+ * @returns {Number}
+ */
+const getFinalPrice = (listPrice, discountPercentage = 0) =>
+  roundMoney(listPrice * (1 - (discountPercentage || 0) / 100));
+
+/**
+ * Quantities a product can be ordered in: multiples of its quantityStep,
+ * at least its minimumOrderQuantity. Lines of products with pack sizes
+ * count packs.
+ * @param {Object} product - Product
+ * @returns {Object} { minimumQuantity, quantityStep }, minimumQuantity being the smallest allowed quantity
+ */
+const getQuantityRules = (product) => {
+  const quantityStep = product.quantityStep || 1;
+  const minimumQuantity = Math.ceil((product.minimumOrderQuantity || 1) / quantityStep) * quantityStep;
+  return { minimumQuantity, quantityStep };
+};
+
+/**
+ * Why a quantity cannot be ordered, if it cannot
+ * @param {Object} product - Product
+ * @param {Number} quantity - Quantity
+ * @returns {String|null} Problem, or null when the quantity is allowed
+ */
+const checkQuantity = (product, quantity) => {
+  const { minimumQuantity, quantityStep } = getQuantityRules(product);
+  const unit = product.variants && product.variants.length > 0 ? 'packs' : product.unit;
+
+  if (quantity < minimumQuantity) {
+    return `${product.name} has a minimum order of ${minimumQuantity} ${unit}`;
+  }
+  if (quantity % quantityStep !== 0) {
+    return `${product.name} is sold in steps of ${quantityStep} ${unit}`;
+  }
+  return null;
+};
+
+/**
+ * Check that a quantity can be ordered
+ * @param {Object} product - Product
+ * @param {Number} quantity - Quantity
+ */
+const assertQuantity = (product, quantity) => {
+  const problem = checkQuantity(product, quantity);
+  if (problem) {
+    throw new AppError('INVALID_QUANTITY', problem, 400, { product: product._id, quantity, ...getQuantityRules(product) });
+  }
+};
+
+/**
+ * Price a cart or order line at the product's current price and discount
+ * @param {Object} product - Product
+ * @param {Object} variant - Pack size bought, or null
+ * @param {Number} quantity - Quantity
+ * @returns {Object} { listPrice, discountPercentage, price, quantity, listSubtotal, discount, subtotal }
+ */
+const priceLine = (product, variant, quantity) => {
+  const listPrice = (variant || product).price;
+  const discountPercentage = product.discountPercentage || 0;
+  const price = getFinalPrice(listPrice, discountPercentage);
+  const listSubtotal = roundMoney(listPrice * quantity);
+  const subtotal = roundMoney(price * quantity);
+
+  return {
+    listPrice,
+    discountPercentage,
+    price,
+    quantity,
+    listSubtotal,
+    discount: roundMoney(listSubtotal - subtotal),
+    subtotal
+  };
+};
+
+/**
+ * Product as listed to customers: with the final price after its discount
+ * for the product and each pack size, and the quantities it can be ordered in
+ * @param {Object} product - Product document or plain object
+ * @returns {Object} Plain product with finalPrice, minimumQuantity and quantityStep
+ */
+const withPricing = (product) => {
+  const plain = typeof product.toJSON === 'function' ? product.toJSON() : product;
+  const discountPercentage = plain.discountPercentage || 0;
+
+  return {
+    ...plain,
+    ...getQuantityRules(plain),
+    discountPercentage,
+    finalPrice: getFinalPrice(plain.price, discountPercentage),
+    ...(plain.variants && {
+      variants: plain.variants.map(variant => ({
+        ...variant,
+        finalPrice: getFinalPrice(variant.price, discountPercentage)
+      }))
+    })
+  };
+};
+
+/**
+ * Bring a cart's prices up to date and total it. Needs its products
+ * populated; items whose product is gone are left unpriced.
+ * @param {Object} cart - Cart document with populated products
+ * @returns {Object} { items: cart items with their line pricing and any quantity problem, listSubtotal, discount, subtotal }
+ */
+const priceCart = (cart) => {
+  const totals = { listSubtotal: 0, discount: 0, subtotal: 0 };
+
+  const items = cart.items.map(item => {
+    const product = item.product;
+    if (!product || !product.name) {
+      return item.toJSON();
+    }
+
+    const line = priceLine(product, product.getVariant(item.variant), item.quantity);
+    item.listPrice = line.listPrice;
+    item.discountPercentage = line.discountPercentage;
+    item.price = line.price;
+
+    totals.listSubtotal += line.listSubtotal;
+    totals.discount += line.discount;
+    totals.subtotal += line.subtotal;
+
+    return {
+      ...item.toJSON(),
+      listSubtotal: line.listSubtotal,
+      discount: line.discount,
+      subtotal: line.subtotal,
+      ...getQuantityRules(product),
+      quantityProblem: checkQuantity(product, item.quantity)
+    };
+  });
+
+  return {
+    items,
+    listSubtotal: roundMoney(totals.listSubtotal),
+    discount: roundMoney(totals.discount),
+    subtotal: roundMoney(totals.subtotal)
+  };
+};
+
+export {
+  getFinalPrice,
+  getQuantityRules,
+  checkQuantity,
+  assertQuantity,
+  priceLine,
+  withPricing,
+  priceCart
+};
@@ -0,0 +1,349 @@
+import Order from '../models/Order.js';
+import Promotion from '../models/Promotion.js';
+import PromotionRedemption from '../models/PromotionRedemption.js';
+import AppError from '../utils/AppError.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+// Promotions customers can use at this instant
+const runningFilter = (now) => ({
+  isActive: true,
+  startsAt: { $lte: now },
+  $or: [{ endsAt: null }, { endsAt: { $gt: now } }]
+});
+
+/**
+ * Items a promotion's discount can be taken off
+ * @param {Object} promotion - Promotion
+ * @param {Object[]} items - [{ key, category, farmer, subtotal }]
+ * @returns {Object[]}
+ */
+const eligibleItems = (promotion, items) => items.filter(item =>
+  (promotion.categories.length === 0 || promotion.categories.includes(item.category)) &&
+  (!promotion.farmer || promotion.farmer.toString() === item.farmer.toString()));
+
+/**
+ * Discount a promotion gives on a value, capped by maxDiscount and the value
+ * @param {Object} promotion - Promotion
+ * @param {Number} value - Value of the eligible items
+ * @returns {Number}
+ */
+const discountOn = (promotion, value) => {
+  const amount = promotion.discountType === 'percentage'
+    ? value * promotion.discountValue / 100
+    : promotion.discountValue;
+  const capped = promotion.maxDiscount ? Math.min(amount, promotion.maxDiscount) : amount;
+  return roundMoney(Math.min(capped, value));
+};
+
+/**
+ * Split an amount across items in proportion to their values, to the
+ * paisa; leftover paise go to the items with the largest remainders
+ * @param {Number} amount - Amount, at most the items' total value
+ * @param {Number[]} values - Item values
+ * @returns {Number[]} Share of each item
+ */
+const allocate = (amount, values) => {
+  const total = values.reduce((sum, value) => sum + toPaise(value), 0);
+  if (total === 0) {
+    return values.map(() => 0);
+  }
+
+  const exact = values.map(value => toPaise(amount) * toPaise(value) / total);
+  const shares = exact.map(Math.floor);
+  let leftover = toPaise(amount) - shares.reduce((sum, share) => sum + share, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - shares[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (leftover > 0) {
+        shares[index]++;
+        leftover--;
+      }
+    });
+
+  return shares.map(share => share / 100);
+};
+
+/**
+ * Why a promotion does not apply to an order, if it does not
+ * @param {Object} promotion - Promotion
+ * @param {Object} context
+ * @param {Object[]} context.items - Order items
+ * @param {Boolean} context.isFirstOrder - Whether the customer has no orders yet
+ * @param {Map} context.redemptions - promotionId → orders the customer used it on
+ * @param {Date} context.now - Current time
+ * @returns {String|null} Problem, or null when it applies
+ */
+const checkPromotion = (promotion, { items, isFirstOrder, redemptions, now }) => {
+  if (!promotion.isActive || (promotion.endsAt && promotion.endsAt <= now)) {
+    return `${promotion.name} has ended`;
+  }
+  if (promotion.startsAt > now) {
+    return `${promotion.name} starts on ${promotion.startsAt.toISOString()}`;
+  }
+  if (promotion.usageLimit && promotion.usedCount >= promotion.usageLimit) {
+    return `${promotion.name} has been fully used`;
+  }
+  if (promotion.perUserLimit && (redemptions.get(promotion._id.toString()) || 0) >= promotion.perUserLimit) {
+    return `You have already used ${promotion.name}`;
+  }
+  if (promotion.firstOrderOnly && !isFirstOrder) {
+    return `${promotion.name} is only for your first order`;
+  }
+
+  const eligible = eligibleItems(promotion, items);
+  if (eligible.length === 0) {
+    return `${promotion.name} does not apply to any item in your cart`;
+  }
+
+  const value = roundMoney(eligible.reduce((sum, item) => sum + item.subtotal, 0));
+  if (value < promotion.minCartValue) {
+    return `Add ${roundMoney(promotion.minCartValue - value)} more of eligible items to use ${promotion.name}`;
+  }
+  return null;
+};
+
+/**
+ * Take promotions off the items one after another, each from what the
+ * previous ones left
+ * @param {Object[]} promotions - Promotions that apply
+ * @param {Object[]} items - Order items
+ * @returns {Object[]} [{ promotion, amount, items: [{ key, amount }] }]
+ */
+const applyInTurn = (promotions, items) => {
+  const remaining = new Map(items.map(item => [item.key, item.subtotal]));
+
+  return promotions.map(promotion => {
+    const eligible = eligibleItems(promotion, items);
+    const values = eligible.map(item => remaining.get(item.key));
+    const amount = discountOn(promotion, values.reduce((sum, value) => sum + value, 0));
+    const shares = allocate(amount, values);
+
+    eligible.forEach((item, index) => remaining.set(item.key, roundMoney(remaining.get(item.key) - shares[index])));
+    return {
+      promotion,
+      amount,
+      items: eligible.map((item, index) => ({ key: item.key, amount: shares[index] })).filter(share => share.amount > 0)
+    };
+  }).filter(discount => discount.amount > 0);
+};
+
+const totalOf = (discounts) => roundMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+/**
+ * Work out the discounts an order gets: the customer's coupon, if any, and
+ * every automatic promotion it qualifies for. Stackable promotions combine;
+ * any other applies alone. The combination saving the customer most wins,
+ * the coupon's taking ties.
+ * @param {Object} params
+ * @param {String} params.customerId - Customer
+ * @param {Object[]} params.items - [{ key, category, farmer, subtotal }], subtotals after product discounts
+ * @param {String} params.couponCode - Coupon entered by the customer
+ * @param {Date} params.now - Current time
+ * @param {Object} params.session - Mongo session
+ * @returns {Promise<Object>} { discounts: [{ promotion, amount, items }], total, coupon: { code, problem } | null }
+ */
+const evaluatePromotions = async ({ customerId, items, couponCode, now = new Date(), session = null }) => {
+  const [automatic, coupon] = await Promise.all([
+    Promotion.find({ ...runningFilter(now), kind: 'automatic' }).session(session),
+    couponCode ? Promotion.findOne({ kind: 'coupon', code: couponCode.toUpperCase() }).session(session) : null
+  ]);
+
+  const candidates = [...automatic, ...(coupon ? [coupon] : [])];
+  const [redeemed, hasOrders] = await Promise.all([
+    PromotionRedemption.find({ customer: customerId, promotion: { $in: candidates.map(promotion => promotion._id) } })
+      .session(session),
+    candidates.some(promotion => promotion.firstOrderOnly)
+      ? Order.exists({ customer: customerId, status: { $nin: ['cancelled', 'rejected'] } }).session(session)
+      : null
+  ]);
+
+  const context = {
+    items,
+    isFirstOrder: !hasOrders,
+    redemptions: new Map(redeemed.map(redemption => [redemption.promotion.toString(), redemption.count])),
+    now
+  };
+
+  let couponProblem = null;
+  if (couponCode && !coupon) {
+    couponProblem = `Coupon ${couponCode.toUpperCase()} does not exist`;
+  } else if (coupon) {
+    couponProblem = checkPromotion(coupon, context);
+  }
+
+  const qualifying = candidates.filter(promotion => !checkPromotion(promotion, context));
+  const stackable = qualifying.filter(promotion => promotion.stackable);
+
+  // Each way of combining them: all stackable ones together, or any other alone
+  const options = [
+    applyInTurn(stackable, items),
+    ...qualifying.filter(promotion => !promotion.stackable).map(promotion => applyInTurn([promotion], items))
+  ];
+  const usesCoupon = (discounts) => discounts.some(discount => discount.promotion === coupon);
+  const best = options.reduce((chosen, option) => {
+    const difference = totalOf(option) - totalOf(chosen);
+    return difference > 0 || (difference === 0 && usesCoupon(option) && !usesCoupon(chosen)) ? option : chosen;
+  }, []);
+
+  if (coupon && !couponProblem && !usesCoupon(best)) {
+    couponProblem = best.length > 0
+      ? `${coupon.code} cannot be combined with ${best.map(discount => discount.promotion.name).join(', ')}, which saves you more`
+      : `${coupon.code} gives no discount on your cart`;
+  }
+
+  return {
+    discounts: best,
+    total: totalOf(best),
+    coupon: couponCode ? { code: couponCode.toUpperCase(), problem: couponProblem } : null
+  };
+};
+
+/**
+ * Discounts as shown with a cart
+ * @param {Object} evaluation - From evaluatePromotions
+ * @returns {Object[]} [{ promotion, name, kind, code, amount }]
+ */
+const describeDiscounts = (evaluation) => evaluation.discounts.map(({ promotion, amount }) => ({
+  promotion: promotion._id,
+  name: promotion.name,
+  kind: promotion.kind,
+  code: promotion.code,
+  amount
+}));
+
+/**
+ * Count an order's promotions against their usage limits, atomically so
+ * concurrent checkouts cannot exceed them
+ * @param {Object[]} discounts - From evaluatePromotions
+ * @param {String} customerId - Customer
+ * @param {String} orderId - Order being placed
+ * @param {Object} session - Mongo session
+ */
+const claimPromotions = async (discounts, customerId, orderId, session) => {
+  for (const { promotion } of discounts) {
+    const claimed = await Promotion.updateOne(
+      {
+        _id: promotion._id,
+        ...(promotion.usageLimit && { $expr: { $lt: ['$usedCount', '$usageLimit'] } })
+      },
+      { $inc: { usedCount: 1 } },
+      { session }
+    );
+    if (claimed.modifiedCount !== 1) {
+      throw new AppError('PROMOTION_LIMIT_REACHED', `${promotion.name} has been fully used`, 409);
+    }
+
+    try {
+      await PromotionRedemption.updateOne(
+        {
+          promotion: promotion._id,
+          customer: customerId,
+          ...(promotion.perUserLimit && { count: { $lt: promotion.perUserLimit } })
+        },
+        { $inc: { count: 1 }, $push: { orders: orderId }, $set: { updatedAt: new Date() } },
+        { upsert: true, session }
+      );
+    } catch (error) {
+      // The customer's document exists but is at the limit, so the upsert collides with it
+      if (error.code === 11000) {
+        throw new AppError('PROMOTION_LIMIT_REACHED', `You have already used ${promotion.name}`, 409);
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * Give a cancelled order's promotion uses back
+ * @param {Object} order - Order
+ * @param {Object} session - Mongo session
+ */
+const releasePromotions = async (order, session) => {
+  for (const discount of order.discounts || []) {
+    await Promotion.updateOne(
+      { _id: discount.promotion, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+    await PromotionRedemption.updateOne(
+      { promotion: discount.promotion, customer: order.customer, orders: order._id },
+      { $inc: { count: -1 }, $pull: { orders: order._id }, $set: { updatedAt: new Date() } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Apply validated fields to a promotion and save it. Farmers' promotions
+ * only ever cover their own products.
+ * @param {Object} promotion - Promotion document
+ * @param {Object} fields - Validated fields
+ * @returns {Promise<Object>} Promotion
+ */
+const savePromotion = async (promotion, fields) => {
+  promotion.set(fields);
+
+  if (promotion.kind === 'coupon' && !promotion.code) {
+    throw new AppError('INVALID_PROMOTION', 'Coupons need a code');
+  }
+  if (promotion.kind === 'automatic' && promotion.code) {
+    throw new AppError('INVALID_PROMOTION', 'Automatic promotions apply without a code');
+  }
+  if (promotion.discountType === 'percentage' && promotion.discountValue > 90) {
+    throw new AppError('INVALID_PROMOTION', 'A percentage discount cannot exceed 90%');
+  }
+  if (promotion.endsAt && promotion.endsAt <= promotion.startsAt) {
+    throw new AppError('INVALID_PROMOTION', 'The promotion must end after it starts');
+  }
+
+  try {
+    await promotion.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('DUPLICATE_COUPON_CODE', `Coupon code ${promotion.code} is already in use`, 409);
+    }
+    throw error;
+  }
+  return promotion;
+};
+
+/**
+ * Orders and discounts given by a promotion, for reporting. Cancelled and
+ * rejected orders are left out.
+ * @param {String} promotionId - Promotion
+ * @returns {Promise<Object>} { orders, discount, orderValue }
+ */
+const getPromotionUsage = async (promotionId) => {
+  const [usage] = await Order.aggregate([
+    { $match: { 'discounts.promotion': promotionId, status: { $nin: ['cancelled', 'rejected'] } } },
+    { $unwind: '$discounts' },
+    { $match: { 'discounts.promotion': promotionId } },
+    {
+      $group: {
+        _id: null,
+        orders: { $sum: 1 },
+        discount: { $sum: '$discounts.amount' },
+        orderValue: { $sum: '$total' }
+      }
+    }
+  ]);
+
+  return usage
+    ? { orders: usage.orders, discount: roundMoney(usage.discount), orderValue: roundMoney(usage.orderValue) }
+    : { orders: 0, discount: 0, orderValue: 0 };
+};
+
+export {
+  allocate,
+  evaluatePromotions,
+  describeDiscounts,
+  claimPromotions,
+  releasePromotions,
+  savePromotion,
+  getPromotionUsage
+};
@@ -0,0 +1,329 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import AppError from '../utils/AppError.js';
+import { assertTransition } from '../utils/transitions.js';
+import { getRefundableAmount, refundPayment } from './payments/paymentService.js';
+import { getLineKey, restoreStock } from './variantService.js';
+import { creditWallet } from './walletService.js';
+
+// Legal return transitions: current status → next status → roles allowed to make it
+const RETURN_TRANSITIONS = {
+  requested: {
+    approved: ['farmer', 'admin'],
+    rejected: ['farmer', 'admin']
+  },
+  approved: {
+    'picked-up': ['farmer', 'admin']
+  },
+  'picked-up': {
+    refunded: ['admin']
+  },
+  rejected: {},
+  refunded: {}
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Sum returned quantities per order line (product and variant) across an order's return requests
+ * @param {String} orderId - Order ID
+ * @param {Object} filter - Extra filter on the return requests
+ * @param {Object} session - Mongo session
+ * @returns {Promise<Map>} line key → quantity
+ */
+const sumReturnedQuantities = async (orderId, filter, session) => {
+  const returns = await ReturnRequest.find({ order: orderId, ...filter }).session(session);
+  const quantities = new Map();
+  returns.forEach(ret => {
+    ret.items.forEach(item => {
+      const key = getLineKey(item);
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    });
+  });
+  return quantities;
+};
+
+/**
+ * Refund owed for part of an order item: its share of the item subtotal,
+ * less its share of any promotion discounts, plus the tax charged on that
+ * share. Orders placed before per-line tax was recorded fall back to the
+ * order-wide tax rate.
+ * @param {Object} order - Order
+ * @param {Object} orderItem - Order item
+ * @param {Number} quantity - Quantity returned
+ * @returns {Number} Refund amount
+ */
+const calculateItemRefund = (order, orderItem, quantity) => {
+  const lineTax = orderItem.tax
+    ? orderItem.tax.total
+    : orderItem.subtotal * (order.subtotal > 0 ? order.taxes / order.subtotal : 0);
+  const paid = orderItem.subtotal - (orderItem.promotionDiscount || 0);
+  return roundMoney(((paid + lineTax) / orderItem.quantity) * quantity);
+};
+
+/**
+ * Merge requested lines for the same product and pack size, so a line
+ * split in two is checked against the returnable quantity as a whole
+ * @param {Object[]} items - [{ productId, variantId?, quantity, reason }]
+ * @returns {Object[]} One line per product and variant
+ */
+const mergeLines = (items) => {
+  const merged = new Map();
+  for (const item of items) {
+    const key = getLineKey({ product: item.productId, variant: item.variantId });
+    const line = merged.get(key);
+    if (line) {
+      line.quantity += item.quantity;
+      if (item.reason && item.reason !== line.reason) {
+        line.reason = line.reason ? `${line.reason}; ${item.reason}` : item.reason;
+      }
+    } else {
+      merged.set(key, { ...item });
+    }
+  }
+  return [...merged.values()];
+};
+
+/**
+ * Create return requests for a delivered order, one per farmer involved.
+ * Without items the whole order (minus anything already returned) is returned.
+ * @param {Object} params
+ * @param {String} params.orderId - Order ID
+ * @param {String} params.customerId - Customer requesting the return
+ * @param {String} params.reason - Return reason
+ * @param {Object[]} params.items - [{ productId, variantId?, quantity, reason }]
+ * @param {String} params.refundMethod - original, wallet or bank; original falls back to
+ *   wallet when the order has no online or wallet payment left to cover the refund
+ * @param {Object} params.bankDetails - Required for bank refunds
+ * @returns {Promise<Object[]>} Created return requests
+ */
+const requestReturn = async ({ orderId, customerId, reason, items, refundMethod, bankDetails }) => {
+  const session = await mongoose.startSession();
+  let created;
+
+  try {
+    await session.withTransaction(async () => {
+      const order = await Order.findById(orderId).session(session);
+      if (!order) {
+        throw new AppError('ORDER_NOT_FOUND', 'Order not found', 404);
+      }
+
+      if (order.customer.toString() !== customerId) {
+        throw new AppError('UNAUTHORIZED', 'You can only return your own orders', 403);
+      }
+
+      if (!order.canBeReturned()) {
+        throw new AppError('CANNOT_RETURN', 'Orders can only be returned within 7 days of delivery');
+      }
+
+      // Anything not rejected counts against the returnable quantity;
+      // parts of the order that were cancelled or rejected were never delivered
+      const alreadyReturned = await sumReturnedQuantities(order._id, { status: { $ne: 'rejected' } }, session);
+      const remaining = (orderItem) => {
+        const fulfillment = order.getFulfillment(orderItem.farmer);
+        if (fulfillment && ['cancelled', 'rejected'].includes(fulfillment.status)) {
+          return 0;
+        }
+        return orderItem.quantity - (alreadyReturned.get(getLineKey(orderItem)) || 0);
+      };
+
+      const lines = items ? mergeLines(items) : order.items
+        .filter(orderItem => remaining(orderItem) > 0)
+        .map(orderItem => ({
+          productId: orderItem.product.toString(),
+          variantId: orderItem.variant && orderItem.variant.toString(),
+          quantity: remaining(orderItem)
+        }));
+
+      if (lines.length === 0) {
+        throw new AppError('NOTHING_TO_RETURN', 'All items in this order have already been returned');
+      }
+
+      // Group returned items by farmer
+      const byFarmer = new Map();
+      for (const line of lines) {
+        const orderItem = order.items.find(item =>
+          getLineKey(item) === getLineKey({ product: line.productId, variant: line.variantId }));
+        if (!orderItem) {
+          throw new AppError('ITEM_NOT_IN_ORDER', `Product ${line.productId} is not part of this order`);
+        }
+
+        if (line.quantity > remaining(orderItem)) {
+          throw new AppError(
+            'RETURN_QUANTITY_EXCEEDED',
+            `Only ${remaining(orderItem)} of ${orderItem.productName} can be returned`
+          );
+        }
+
+        const farmerKey = orderItem.farmer.toString();
+        if (!byFarmer.has(farmerKey)) {
+          byFarmer.set(farmerKey, []);
+        }
+        byFarmer.get(farmerKey).push({
+          product: orderItem.product,
+          variant: orderItem.variant,
+          productName: orderItem.productName,
+          quantity: line.quantity,
+          refundAmount: calculateItemRefund(order, orderItem, line.quantity),
+          reason: line.reason
+        });
+      }
+
+      // Cash on delivery orders, or whatever was not paid online or from the
+      // wallet, have no original payment to go back to: refund to the wallet
+      let method = refundMethod;
+      if (method === 'original') {
+        const total = roundMoney([...byFarmer.values()].flat().reduce((sum, item) => sum + item.refundAmount, 0));
+        if (total > await getRefundableAmount(order, session)) {
+          method = 'wallet';
+        }
+      }
+
+      const timestamp = new Date();
+      created = [];
+      for (const [farmer, returnItems] of byFarmer) {
+        const returnRequest = new ReturnRequest({
+          order: order._id,
+          customer: customerId,
+          farmer,
+          items: returnItems,
+          reason,
+          refundAmount: roundMoney(returnItems.reduce((sum, item) => sum + item.refundAmount, 0)),
+          refundMethod: method,
+          bankDetails: method === 'bank' ? bankDetails : undefined,
+          status: 'requested',
+          statusHistory: [{
+            status: 'requested',
+            timestamp,
+            note: reason,
+            updatedBy: customerId
+          }]
+        });
+        await returnRequest.save({ session });
+        created.push(returnRequest);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return created;
+};
+
+/**
+ * Complete a refund: restock the returned items, pay the refund and record
+ * it on the order
+ * @param {Object} returnRequest - Return request being refunded
+ * @param {Object} session - Mongo session
+ */
+const completeRefund = async (returnRequest, session) => {
+  for (const item of returnRequest.items) {
+    await restoreStock(item, session);
+  }
+
+  const order = await Order.findById(returnRequest.order).session(session);
+  order.refundAmount = roundMoney((order.refundAmount || 0) + returnRequest.refundAmount);
+
+  // Send the money back the way the order was paid, or as store credit
+  if (returnRequest.refundMethod === 'original') {
+    const walletRefunded = order.walletRefunded || 0;
+    const refunds = await refundPayment(order, returnRequest.refundAmount, `Return ${returnRequest.returnNumber}`, session);
+    const paid = roundMoney((order.walletRefunded || 0) - walletRefunded +
+      (refunds || []).reduce((sum, refund) => sum + refund.amount, 0));
+    if (paid < returnRequest.refundAmount) {
+      throw new AppError(
+        'REFUND_INCOMPLETE',
+        `Only ${paid} of ${returnRequest.refundAmount} could go back to the original payment`,
+        409,
+        { refundAmount: returnRequest.refundAmount, refunded: paid }
+      );
+    }
+  } else if (returnRequest.refundMethod === 'wallet' && returnRequest.refundAmount > 0) {
+    await creditWallet({
+      customerId: order.customer,
+      type: 'refund',
+      amount: returnRequest.refundAmount,
+      order: order._id,
+      returnRequest: returnRequest._id,
+      description: `Return ${returnRequest.returnNumber}`
+    }, session);
+  }
+
+  // Fully refunded once every delivered unit has come back
+  const delivered = (item) => {
+    const fulfillment = order.getFulfillment(item.farmer);
+    return !fulfillment || !['cancelled', 'rejected'].includes(fulfillment.status);
+  };
+  const refunded = await sumReturnedQuantities(order._id, { status: 'refunded' }, session);
+  returnRequest.items.forEach(item => {
+    const key = getLineKey(item);
+    refunded.set(key, (refunded.get(key) || 0) + item.quantity);
+  });
+  const fullyRefunded = order.items
+    .filter(delivered)
+    .every(item => (refunded.get(getLineKey(item)) || 0) >= item.quantity);
+  // Orders with no payment taken (cash on delivery) keep their status
+  if (['paid', 'partially-refunded'].includes(order.paymentStatus)) {
+    order.paymentStatus = fullyRefunded ? 'refunded' : 'partially-refunded';
+  }
+
+  await order.save({ session });
+  returnRequest.refundedAt = new Date();
+};
+
+/**
+ * Move a return request to a new status
+ * @param {String} returnId - Return request ID
+ * @param {String} to - Requested status
+ * @param {Object} context
+ * @param {Object} context.actor - { id, role } of the user making the change
+ * @param {String} context.farmer - Only allow returns for this farmer
+ * @param {String} context.note - Note for the status history
+ * @returns {Promise<Object>} Updated return request
+ */
+const transitionReturn = async (returnId, to, context) => {
+  const { actor } = context;
+  const session = await mongoose.startSession();
+  let returnRequest;
+
+  try {
+    await session.withTransaction(async () => {
+      returnRequest = await ReturnRequest.findById(returnId).session(session);
+      if (!returnRequest) {
+        throw new AppError('RETURN_NOT_FOUND', 'Return request not found', 404);
+      }
+
+      if (context.farmer && returnRequest.farmer.toString() !== context.farmer) {
+        throw new AppError('UNAUTHORIZED', 'You can only review returns for your products', 403);
+      }
+
+      assertTransition(RETURN_TRANSITIONS, returnRequest.status, to, actor.role, 'return');
+
+      if (to === 'refunded') {
+        await completeRefund(returnRequest, session);
+      }
+
+      returnRequest.status = to;
+      returnRequest.statusHistory.push({
+        status: to,
+        timestamp: new Date(),
+        note: context.note || `Updated by ${actor.role}`,
+        updatedBy: actor.id
+      });
+
+      await returnRequest.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return returnRequest;
+};
+
+export {
+  RETURN_TRANSITIONS,
+  calculateItemRefund,
+  requestReturn,
+  transitionReturn
+};
@@ -0,0 +1,224 @@
+import Product from '../models/Product.js';
+import { escapeHtml, tokenize, stem, editDistance } from '../utils/text.js';
+
+// Longest query, in words, that is searched
+const MAX_TERMS = 10;
+
+// Description snippet returned with each result
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 60;
+
+// How long the spelling vocabulary is reused before it is rebuilt
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+
+const SKU_PATTERN = /^[A-Z0-9-]{3,40}$/;
+
+let vocabulary = null;
+
+/**
+ * Words in the names and tags of listed products, with their stems,
+ * rebuilt every few minutes. Misspelled search terms are corrected to these.
+ * @returns {Promise<Object>} { words, stems }
+ */
+const getVocabulary = async () => {
+  if (vocabulary && vocabulary.expiresAt > Date.now()) {
+    return vocabulary;
+  }
+
+  const listed = { isApproved: true, isAvailable: true };
+  const [names, tags] = await Promise.all([
+    Product.distinct('name', listed),
+    Product.distinct('tags', listed)
+  ]);
+
+  const words = new Set([...names, ...tags].flatMap(tokenize));
+  vocabulary = {
+    words,
+    stems: new Set([...words].map(stem)),
+    expiresAt: Date.now() + VOCABULARY_TTL_MS
+  };
+  return vocabulary;
+};
+
+/**
+ * Closest vocabulary word to a search term: one typo allowed in short
+ * words, two in longer ones. Known words, numbers and very short terms
+ * are left alone.
+ * @param {String} term - Search term
+ * @param {Object} known - { words, stems }
+ * @returns {String}
+ */
+const correctTerm = (term, { words, stems }) => {
+  if (term.length < 3 || /\d/.test(term) || stems.has(stem(term))) {
+    return term;
+  }
+
+  let best = term;
+  let bestDistance = (term.length <= 4 ? 1 : 2) + 1;
+  for (const word of words) {
+    if (Math.abs(word.length - term.length) >= bestDistance) {
+      continue;
+    }
+    const distance = editDistance(term, word);
+    if (distance < bestDistance || (distance === bestDistance && word < best)) {
+      best = word;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+/**
+ * Wrap the words of a text that match a search stem in <mark>, escaping
+ * everything else for HTML
+ * @param {String} text - Text
+ * @param {Set} stems - Stems of the search terms
+ * @returns {String}
+ */
+const markMatches = (text, stems) => {
+  let output = '';
+  let last = 0;
+
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (stems.has(stem(match[0].toLowerCase()))) {
+      output += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+  }
+
+  return output + escapeHtml(text.slice(last));
+};
+
+/**
+ * Part of a description around its first match
+ * @param {String} text - Description
+ * @param {Set} stems - Stems of the search terms
+ * @returns {String}
+ */
+const getSnippet = (text, stems) => {
+  if (text.length <= SNIPPET_LENGTH) {
+    return text;
+  }
+
+  const first = [...text.matchAll(/[\p{L}\p{N}]+/gu)]
+    .find(match => stems.has(stem(match[0].toLowerCase())));
+
+  let start = first ? Math.max(0, first.index - SNIPPET_LEAD) : 0;
+  if (start > 0) {
+    // Start on a word boundary
+    const space = text.indexOf(' ', start);
+    start = space === -1 || space > first.index ? start : space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Add highlighted name and description snippets to a search result
+ * @param {Object} product - Plain product object
+ * @param {String[]} terms - Search terms
+ * @returns {Object}
+ */
+const addHighlights = (product, terms) => {
+  const stems = new Set(terms.map(stem));
+
+  return {
+    ...product,
+    highlights: {
+      name: markMatches(product.name, stems),
+      description: markMatches(getSnippet(product.description || '', stems), stems)
+    }
+  };
+};
+
+/**
+ * Run a text index query, ranked by relevance unless a sort is given
+ * @param {String[]} terms - Search terms
+ * @param {Object} options - { filter, sort, skip, limit, farmerFields }
+ * @returns {Promise<Object>} { products, total }
+ */
+const findByText = async (terms, { filter, sort, skip, limit, farmerFields }) => {
+  const query = { ...filter, $text: { $search: terms.join(' ') } };
+
+  const [products, total] = await Promise.all([
+    Product.find(query, { score: { $meta: 'textScore' } })
+      .populate('farmer', farmerFields)
+      .sort(sort || { score: { $meta: 'textScore' } })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Product.countDocuments(query)
+  ]);
+
+  return { products, total };
+};
+
+/**
+ * Search the catalogue. Name matches rank above tags and tags above
+ * descriptions, and words are stemmed by the text index. A query that looks
+ * like a SKU is looked up first. When nothing matches, misspelled terms are
+ * corrected to known product words and the search runs again; the
+ * corrected query is returned as `suggestion`. User input is never used as a
+ * regular expression. `match` is the search condition the results came
+ * from, for counting them in other ways.
+ * @param {String} q - Search query
+ * @param {Object} options
+ * @param {Object} options.filter - Extra product filter
+ * @param {Object} options.sort - Sort; defaults to relevance
+ * @param {Number} options.skip - Results to skip
+ * @param {Number} options.limit - Results to return
+ * @param {String} options.farmerFields - Farmer fields to populate
+ * @returns {Promise<Object>} { products, total, suggestion, match }
+ */
+const searchCatalog = async (q, { filter = {}, sort = null, skip = 0, limit = 20, farmerFields = 'name address' } = {}) => {
+  const options = { filter, sort, skip, limit, farmerFields };
+
+  const sku = q.trim().toUpperCase();
+  if (SKU_PATTERN.test(sku)) {
+    const query = { ...filter, 'variants.sku': sku };
+    const total = await Product.countDocuments(query);
+
+    if (total > 0) {
+      const products = await Product.find(query)
+        .populate('farmer', farmerFields)
+        .skip(skip)
+        .limit(limit)
+        .lean();
+      return { products, total, suggestion: null, match: { 'variants.sku': sku } };
+    }
+  }
+
+  let terms = tokenize(q).slice(0, MAX_TERMS);
+  if (terms.length === 0) {
+    return { products: [], total: 0, suggestion: null, match: { _id: { $in: [] } } };
+  }
+
+  let result = await findByText(terms, options);
+  let suggestion = null;
+
+  if (result.total === 0) {
+    const known = await getVocabulary();
+    const corrected = terms.map(term => correctTerm(term, known));
+
+    if (corrected.some((term, index) => term !== terms[index])) {
+      const retry = await findByText(corrected, options);
+      if (retry.total > 0) {
+        result = retry;
+        terms = corrected;
+        suggestion = corrected.join(' ');
+      }
+    }
+  }
+
+  return {
+    products: result.products.map(product => addHighlights(product, terms)),
+    total: result.total,
+    suggestion,
+    match: { $text: { $search: terms.join(' ') } }
+  };
+};
+
+export {
+  searchCatalog
+};
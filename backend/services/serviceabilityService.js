@@ -0,0 +1,183 @@
+import Pincode from '../models/Pincode.js';
+import AppError from '../utils/AppError.js';
+import { parseCsv, parseCsvBoolean, parseCsvNumber } from '../utils/csv.js';
+import { toLocalDate, addDays, localDateTime } from '../utils/localDate.js';
+import { serviceabilityEntrySchema } from '../validations/serviceabilityValidation.js';
+import { PAYMENT_METHODS } from '../validations/orderValidation.js';
+
+// Most rows one CSV import may carry
+const MAX_IMPORT_ROWS = 20000;
+
+/**
+ * What we offer at a pincode. Pincodes missing from the registry, or
+ * switched off, are not serviceable.
+ * @param {String} pincode - Pincode
+ * @param {Date} now - Current time, for the next dispatch date
+ * @returns {Promise<Object>} { pincode, isServiceable, zone, hub, cutoffTime, dispatchDate, paymentMethods, ... }
+ */
+const getServiceability = async (pincode, now = new Date()) => {
+  const entry = await Pincode.findOne({ pincode });
+
+  if (!entry || !entry.isServiceable) {
+    return { pincode, isServiceable: false };
+  }
+
+  // Orders placed before the cutoff go out today, later ones tomorrow
+  const today = toLocalDate(now);
+  const dispatchDate = entry.cutoffTime && now >= localDateTime(today, entry.cutoffTime)
+    ? addDays(today, 1)
+    : today;
+
+  return {
+    pincode,
+    isServiceable: true,
+    area: entry.area,
+    city: entry.city,
+    state: entry.state,
+    zone: entry.zone,
+    hub: entry.hub,
+    cutoffTime: entry.cutoffTime,
+    dispatchDate,
+    isCodAvailable: entry.isCodAvailable,
+    paymentMethods: PAYMENT_METHODS.filter(method => method !== 'cod' || entry.isCodAvailable)
+  };
+};
+
+/**
+ * Check that we deliver to a pincode, and take the payment method there
+ * @param {String} pincode - Delivery pincode
+ * @param {String} paymentMethod - Optional payment method
+ * @returns {Promise<Object>} Serviceability
+ */
+const assertServiceable = async (pincode, paymentMethod) => {
+  const serviceability = await getServiceability(pincode);
+
+  if (!serviceability.isServiceable) {
+    throw new AppError('PINCODE_NOT_SERVICEABLE', `We do not deliver to pincode ${pincode} yet`);
+  }
+
+  if (paymentMethod && !serviceability.paymentMethods.includes(paymentMethod)) {
+    throw new AppError('PAYMENT_METHOD_UNAVAILABLE', `Cash on delivery is not available for pincode ${pincode}`);
+  }
+
+  return serviceability;
+};
+
+/**
+ * Update fields for a pincode's registry entry; fields left out are kept
+ * @param {Object} entry - Validated entry
+ * @param {String} adminId - Admin making the change
+ * @returns {Object}
+ */
+const toUpdate = ({ coordinates, ...fields }, adminId) => ({
+  ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)),
+  ...(coordinates && { location: { type: 'Point', coordinates } }),
+  updatedBy: adminId,
+  updatedAt: new Date()
+});
+
+/**
+ * Create or update one pincode's entry
+ * @param {String} pincode - Pincode
+ * @param {Object} entry - Validated entry
+ * @param {String} adminId - Admin making the change
+ * @returns {Promise<Object>} Entry
+ */
+const saveServiceability = (pincode, entry, adminId) =>
+  Pincode.findOneAndUpdate(
+    { pincode },
+    toUpdate(entry, adminId),
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+
+/**
+ * Serviceability entry from a CSV record
+ * @param {Object} values - Record keyed by column
+ * @returns {Object} Unvalidated entry
+ */
+const fromCsvRecord = ({ latitude, longitude, cod, serviceable, ...values }) => ({
+  area: values.area,
+  city: values.city,
+  state: values.state,
+  zone: values.zone,
+  hub: values.hub,
+  cutoffTime: values.cutoffTime,
+  isServiceable: parseCsvBoolean(serviceable),
+  isCodAvailable: parseCsvBoolean(cod),
+  coordinates: latitude !== undefined || longitude !== undefined
+    ? [parseCsvNumber(longitude), parseCsvNumber(latitude)]
+    : undefined
+});
+
+/**
+ * Import pincodes from CSV, creating or updating one entry per row. Columns:
+ * pincode (required), area, city, state, zone, hub, cutoffTime (HH:mm),
+ * cod and serviceable (true/false, yes/no or 1/0; default true), latitude,
+ * longitude. Every row is checked first; if any is invalid nothing is
+ * imported and the errors are returned by line.
+ * @param {String} text - CSV text
+ * @param {String} adminId - Admin importing
+ * @returns {Promise<Object>} { rows, created, updated }
+ */
+const importServiceability = async (text, adminId) => {
+  const { columns, records } = parseCsv(text);
+
+  if (!columns.includes('pincode')) {
+    throw new AppError('INVALID_CSV', 'The CSV needs a header row with a pincode column');
+  }
+  if (records.length === 0) {
+    throw new AppError('INVALID_CSV', 'The CSV has no rows');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new AppError('INVALID_CSV', `A CSV import can have at most ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const errors = [];
+  const seen = new Map();
+  const entries = [];
+
+  records.forEach(({ line, values }) => {
+    const { pincode } = values;
+    if (!/^\d{6}$/.test(pincode || '')) {
+      errors.push({ line, field: 'pincode', message: 'Pincode must be 6 digits' });
+      return;
+    }
+    if (seen.has(pincode)) {
+      errors.push({ line, field: 'pincode', message: `Pincode ${pincode} is also on line ${seen.get(pincode)}` });
+      return;
+    }
+    seen.set(pincode, line);
+
+    const result = serviceabilityEntrySchema.safeParse(fromCsvRecord(values));
+    if (!result.success) {
+      result.error.issues.forEach(issue => errors.push({ line, field: issue.path.join('.'), message: issue.message }));
+      return;
+    }
+    entries.push({ pincode, entry: result.data });
+  });
+
+  if (errors.length > 0) {
+    throw new AppError('INVALID_CSV', `${errors.length} problem(s) found; nothing was imported`, 400, errors.slice(0, 100));
+  }
+
+  const result = await Pincode.bulkWrite(entries.map(({ pincode, entry }) => ({
+    updateOne: {
+      filter: { pincode },
+      update: { $set: toUpdate(entry, adminId) },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return {
+    rows: entries.length,
+    created: result.upsertedCount,
+    updated: result.matchedCount
+  };
+};
+
+export {
+  getServiceability,
+  assertServiceable,
+  saveServiceability,
+  importServiceability
+};
@@ -0,0 +1,275 @@
+import mongoose from 'mongoose';
+import Cart from '../models/Cart.js';
+import DeliverySlot from '../models/DeliverySlot.js';
+import SlotBooking from '../models/SlotBooking.js';
+import AppError from '../utils/AppError.js';
+import { SLOT_HOLD_MINUTES, SLOT_BOOKING_DAYS } from '../config/deliverySlots.js';
+import { toLocalDate, addDays, dayOfWeekOf, localDateTime } from '../utils/localDate.js';
+
+// Attempts at saving a booking before giving up on concurrent updates
+const MAX_BOOKING_ATTEMPTS = 3;
+
+/**
+ * When a slot starts on a date
+ * @param {Object} slot - Delivery slot
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Date} Slot start
+ */
+const getSlotStart = (slot, date) => localDateTime(date, slot.startTime);
+
+// Local dates (YYYY-MM-DD) from today onwards
+const upcomingDates = (days, now) => {
+  const today = toLocalDate(now);
+  return Array.from({ length: days }, (_, index) => addDays(today, index));
+};
+
+const servesPincode = (slot, pincode) =>
+  !slot.pincodePrefixes || slot.pincodePrefixes.length === 0 ||
+  slot.pincodePrefixes.some(prefix => pincode.startsWith(prefix));
+
+// Hub slots take any cart; a farmer's slot only takes carts from that farmer alone
+const servesFarmers = (slot, farmerIds) =>
+  !slot.farmer || (farmerIds.length === 1 && slot.farmer.toString() === farmerIds[0]);
+
+const isBookable = (slot, date, now) =>
+  slot.isActive &&
+  dayOfWeekOf(date) === slot.dayOfWeek &&
+  getSlotStart(slot, date).getTime() - slot.cutoffHours * 60 * 60 * 1000 > now.getTime();
+
+const getCartFarmerIds = async (customerId) => {
+  const cart = await Cart.findOne({ customer: customerId }).populate('items.product', 'farmer');
+  const farmerIds = (cart ? cart.items : [])
+    .filter(cartItem => cartItem.product)
+    .map(cartItem => cartItem.product.farmer.toString());
+
+  if (farmerIds.length === 0) {
+    throw new AppError('EMPTY_CART', 'Cart is empty');
+  }
+  return [...new Set(farmerIds)];
+};
+
+/**
+ * List upcoming slots that can deliver the customer's cart to a pincode
+ * @param {Object} params
+ * @param {String} params.customerId - Customer ID
+ * @param {String} params.pincode - Delivery pincode
+ * @param {Number} params.days - Days ahead to list
+ * @returns {Promise<Object[]>} Slot occurrences with remaining capacity
+ */
+const listAvailableSlots = async ({ customerId, pincode, days = SLOT_BOOKING_DAYS }) => {
+  const farmerIds = await getCartFarmerIds(customerId);
+  const owners = farmerIds.length === 1 ? [null, farmerIds[0]] : [null];
+
+  const slots = (await DeliverySlot.find({ isActive: true, farmer: { $in: owners } }))
+    .filter(slot => servesPincode(slot, pincode));
+
+  const now = new Date();
+  const dates = upcomingDates(Math.min(days, SLOT_BOOKING_DAYS), now);
+
+  const occurrences = [];
+  dates.forEach(date => {
+    slots
+      .filter(slot => isBookable(slot, date, now))
+      .forEach(slot => occurrences.push({ slot, date }));
+  });
+
+  const bookings = await SlotBooking.find({
+    slot: { $in: slots.map(slot => slot._id) },
+    date: { $in: dates }
+  });
+  const activeCounts = new Map(bookings.map(booking =>
+    [`${booking.slot}:${booking.date}`, booking.countActive(now)]));
+
+  return occurrences
+    .map(({ slot, date }) => {
+      const remaining = Math.max(0, slot.capacity - (activeCounts.get(`${slot._id}:${date}`) || 0));
+      return {
+        slotId: slot._id,
+        date,
+        label: slot.label,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        farmer: slot.farmer,
+        hub: slot.hub,
+        capacity: slot.capacity,
+        remaining,
+        isFull: remaining === 0
+      };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+};
+
+/**
+ * Hold a place in a slot while the customer checks out. Reserving the same
+ * slot again extends the customer's existing hold.
+ * @param {Object} params
+ * @param {String} params.slotId - Delivery slot ID
+ * @param {String} params.date - YYYY-MM-DD
+ * @param {String} params.customerId - Customer ID
+ * @param {String} params.pincode - Delivery pincode
+ * @returns {Promise<Object>} { reservationId, slotId, date, startTime, endTime, expiresAt }
+ */
+const reserveSlot = async ({ slotId, date, customerId, pincode }) => {
+  const slot = await DeliverySlot.findById(slotId);
+  if (!slot || !slot.isActive) {
+    throw new AppError('SLOT_NOT_FOUND', 'Delivery slot not found', 404);
+  }
+
+  const now = new Date();
+  if (dayOfWeekOf(date) !== slot.dayOfWeek) {
+    throw new AppError('INVALID_SLOT_DATE', 'This slot does not run on that date');
+  }
+  if (!isBookable(slot, date, now)) {
+    throw new AppError('SLOT_CLOSED', 'Booking for this slot has closed', 409);
+  }
+  if (!servesPincode(slot, pincode)) {
+    throw new AppError('SLOT_NOT_SERVICEABLE', 'This slot does not deliver to your pincode');
+  }
+  if (!servesFarmers(slot, await getCartFarmerIds(customerId))) {
+    throw new AppError('SLOT_NOT_AVAILABLE', 'This slot cannot deliver every item in your cart');
+  }
+
+  for (let attempt = 0; attempt < MAX_BOOKING_ATTEMPTS; attempt++) {
+    const booking = await SlotBooking.findOne({ slot: slot._id, date }) ||
+      new SlotBooking({ slot: slot._id, date, reservations: [] });
+
+    // Expired holds no longer take up capacity
+    booking.reservations = booking.reservations.filter(reservation =>
+      !(reservation.status === 'held' && reservation.expiresAt <= now));
+
+    const expiresAt = new Date(now.getTime() + SLOT_HOLD_MINUTES * 60 * 1000);
+    let reservation = booking.reservations.find(r =>
+      r.status === 'held' && r.customer.toString() === customerId);
+
+    if (reservation) {
+      reservation.expiresAt = expiresAt;
+    } else {
+      if (booking.countActive(now) >= slot.capacity) {
+        throw new AppError('SLOT_FULL', 'This delivery slot is full, please pick another', 409);
+      }
+      booking.reservations.push({ customer: customerId, status: 'held', expiresAt });
+      reservation = booking.reservations[booking.reservations.length - 1];
+    }
+
+    try {
+      await booking.save();
+    } catch (error) {
+      // Someone else booked this slot and date at the same time; re-read and retry
+      if (error instanceof mongoose.Error.VersionError || error.code === 11000) {
+        continue;
+      }
+      throw error;
+    }
+
+    return {
+      reservationId: reservation._id,
+      slotId: slot._id,
+      date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      expiresAt
+    };
+  }
+
+  throw new AppError('SLOT_BUSY', 'This slot is being booked right now, please try again', 409);
+};
+
+/**
+ * Confirm a held reservation for a new order
+ * @param {Object} params
+ * @param {String} params.reservationId - Reservation from reserveSlot
+ * @param {String} params.customerId - Customer placing the order
+ * @param {String[]} params.farmerIds - Farmers in the order
+ * @param {String} params.pincode - Delivery pincode
+ * @param {String} params.orderId - Order being placed
+ * @param {Object} session - Mongo session
+ * @returns {Promise<Object>} Slot details to store on the order
+ */
+const confirmReservation = async ({ reservationId, customerId, farmerIds, pincode, orderId }, session) => {
+  const booking = await SlotBooking.findOne({ 'reservations._id': reservationId }).session(session);
+  const reservation = booking && booking.reservations.id(reservationId);
+
+  if (!reservation || reservation.customer.toString() !== customerId) {
+    throw new AppError('SLOT_RESERVATION_NOT_FOUND', 'Delivery slot reservation not found', 404);
+  }
+
+  if (reservation.status !== 'held' || reservation.expiresAt <= new Date()) {
+    throw new AppError('SLOT_RESERVATION_EXPIRED', 'Your delivery slot reservation has expired, please pick a slot again', 409);
+  }
+
+  const slot = await DeliverySlot.findById(booking.slot).session(session);
+  if (!slot || !slot.isActive) {
+    throw new AppError('SLOT_NOT_FOUND', 'Delivery slot not found', 404);
+  }
+  if (!servesPincode(slot, pincode)) {
+    throw new AppError('SLOT_NOT_SERVICEABLE', 'This slot does not deliver to your pincode');
+  }
+  if (!servesFarmers(slot, farmerIds)) {
+    throw new AppError('SLOT_NOT_AVAILABLE', 'This slot cannot deliver every item in your cart');
+  }
+
+  reservation.status = 'confirmed';
+  reservation.order = orderId;
+  reservation.expiresAt = undefined;
+
+  try {
+    await booking.save({ session });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new AppError('SLOT_BUSY', 'This slot is being booked right now, please try again', 409);
+    }
+    throw error;
+  }
+
+  return {
+    slot: slot._id,
+    reservation: reservation._id,
+    date: booking.date,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    farmer: slot.farmer,
+    hub: slot.hub
+  };
+};
+
+/**
+ * Apply changes to a slot and save it
+ * @param {Object} slot - Delivery slot document
+ * @param {Object} updates - Validated fields to change
+ * @returns {Promise<Object>} Saved slot
+ */
+const saveSlot = async (slot, updates) => {
+  Object.assign(slot, updates);
+
+  if (slot.startTime >= slot.endTime) {
+    throw new AppError('INVALID_SLOT_TIME', 'End time must be after start time');
+  }
+
+  await slot.save();
+  return slot;
+};
+
+/**
+ * Give a confirmed reservation's place back, e.g. when its order is cancelled
+ * @param {String} reservationId - Reservation ID
+ * @param {Object} session - Optional Mongo session
+ */
+const releaseReservation = async (reservationId, session) => {
+  await SlotBooking.updateOne(
+    { 'reservations._id': reservationId },
+    {
+      $set: { 'reservations.$.status': 'released', updatedAt: new Date() },
+      $inc: { __v: 1 }
+    },
+    { session }
+  );
+};
+
+export {
+  getSlotStart,
+  listAvailableSlots,
+  reserveSlot,
+  confirmReservation,
+  saveSlot,
+  releaseReservation
+};
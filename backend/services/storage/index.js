@@ -0,0 +1,17 @@
+import localStorage from './localStorage.js';
+
+// Registered storage adapters. Every adapter implements:
+//   save({ key, body, contentType }) → { key, url }
+//   removePrefix(prefix) → removes every file whose key starts with prefix
+const adapters = {
+  [localStorage.name]: localStorage
+};
+
+/**
+ * Get a storage adapter by name
+ * @param {String} name - Adapter name, defaults to STORAGE_DRIVER or 'local'
+ * @returns {Object|undefined} Adapter
+ */
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => adapters[name];
+
+export { getStorage };
@@ -0,0 +1,57 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { UPLOADS_URL_PATH } from '../../config/uploads.js';
+
+// Stores files on local disk under UPLOAD_DIR (default backend/uploads),
+// served by the API at /uploads. Set UPLOADS_BASE_URL to serve them from
+// elsewhere, e.g. a CDN in front of the same directory.
+
+const getUploadDir = () =>
+  process.env.UPLOAD_DIR ||
+  path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../uploads');
+
+const getBaseUrl = () => (process.env.UPLOADS_BASE_URL || UPLOADS_URL_PATH).replace(/\/$/, '');
+
+/**
+ * Absolute path of a key, refusing keys that escape the upload directory
+ * @param {String} key - Storage key, e.g. products/<id>/<image>/large.jpg
+ * @returns {String} File path
+ */
+const resolvePath = (key) => {
+  const root = getUploadDir();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key ${key}`);
+  }
+  return filePath;
+};
+
+/**
+ * Write a file
+ * @param {Object} params
+ * @param {String} params.key - Storage key
+ * @param {Buffer} params.body - File contents
+ * @returns {Promise<Object>} { key, url }
+ */
+const save = async ({ key, body }) => {
+  const filePath = resolvePath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, body);
+  return { key, url: `${getBaseUrl()}/${key}` };
+};
+
+/**
+ * Delete every file under a key prefix; missing files are ignored
+ * @param {String} prefix - Storage key prefix, e.g. products/<id>/<image>
+ */
+const removePrefix = async (prefix) => {
+  await fs.rm(resolvePath(prefix), { recursive: true, force: true });
+};
+
+export default {
+  name: 'local',
+  save,
+  removePrefix,
+  getUploadDir
+};
@@ -0,0 +1,46 @@
+import { runDueSubscriptions } from './subscriptionService.js';
+import { SUBSCRIPTION_SCHEDULER_INTERVAL_MINUTES } from '../config/subscriptions.js';
+
+let timer = null;
+let running = false;
+
+// One pass over due subscriptions; skipped if the previous pass is still going
+const tick = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const summary = await runDueSubscriptions();
+    if (summary.resumed || summary.placed || summary.skipped || summary.failed) {
+      console.log('Subscription run:', summary);
+    }
+  } catch (error) {
+    console.error('Subscription scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Generate subscription orders in this process every
+ * SUBSCRIPTION_SCHEDULER_INTERVAL_MINUTES, starting now
+ */
+const startSubscriptionScheduler = () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(tick, SUBSCRIPTION_SCHEDULER_INTERVAL_MINUTES * 60 * 1000);
+  tick();
+};
+
+const stopSubscriptionScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export {
+  startSubscriptionScheduler,
+  stopSubscriptionScheduler
+};
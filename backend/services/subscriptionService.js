@@ -0,0 +1,479 @@
+import Product from '../models/Product.js';
+import Subscription from '../models/Subscription.js';
+import AppError from '../utils/AppError.js';
+import { toLocalDate, addDays, daysBetween, dayOfWeekOf, localDateTime } from '../utils/localDate.js';
+import {
+  SUBSCRIPTION_FREQUENCIES,
+  SUBSCRIPTION_LEAD_DAYS,
+  SUBSCRIPTION_LOCK_MINUTES
+} from '../config/subscriptions.js';
+import { createOrder, placeIdempotently } from './orderService.js';
+import { assertServiceable } from './serviceabilityService.js';
+import { assertQuantity, checkQuantity } from './pricingService.js';
+import { notify } from './notificationService.js';
+
+/**
+ * Earliest delivery date an order generated now can still make
+ * @param {Date} now - Current time
+ * @returns {String} YYYY-MM-DD
+ */
+const earliestDeliveryDate = (now = new Date()) => addDays(toLocalDate(now), SUBSCRIPTION_LEAD_DAYS);
+
+/**
+ * First date on or after `from` that falls on the delivery day
+ * @param {Number} deliveryDay - 0 (Sunday) to 6 (Saturday)
+ * @param {String} from - YYYY-MM-DD
+ * @returns {String} YYYY-MM-DD
+ */
+const nextWeekday = (deliveryDay, from) => addDays(from, (deliveryDay - dayOfWeekOf(from) + 7) % 7);
+
+/**
+ * Whether a date is one of the subscription's delivery dates
+ * @param {Object} subscription - Subscription
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Boolean}
+ */
+const isDeliveryDate = (subscription, date) => {
+  const days = daysBetween(subscription.anchorDate, date);
+  return days >= 0 && days % (SUBSCRIPTION_FREQUENCIES[subscription.frequency] * 7) === 0;
+};
+
+/**
+ * Next delivery date on or after `from` that is in phase with the anchor
+ * and not skipped
+ * @param {Object} subscription - Subscription
+ * @param {String} from - YYYY-MM-DD
+ * @returns {String} YYYY-MM-DD
+ */
+const getNextDeliveryDate = (subscription, from) => {
+  let date = nextWeekday(subscription.deliveryDay, from > subscription.anchorDate ? from : subscription.anchorDate);
+  while (!isDeliveryDate(subscription, date) || subscription.skipDates.includes(date)) {
+    date = addDays(date, 7);
+  }
+  return date;
+};
+
+/**
+ * Set the next delivery date and when its order is generated
+ * @param {Object} subscription - Subscription document
+ * @param {String} from - Earliest acceptable delivery date
+ */
+const scheduleNext = (subscription, from) => {
+  subscription.nextDeliveryDate = getNextDeliveryDate(subscription, from);
+  subscription.nextRunAt = localDateTime(addDays(subscription.nextDeliveryDate, -SUBSCRIPTION_LEAD_DAYS));
+};
+
+/**
+ * Start the schedule over, e.g. after the delivery day or frequency changed
+ * @param {Object} subscription - Subscription document
+ * @param {Date} now - Current time
+ */
+const restartSchedule = (subscription, now = new Date()) => {
+  const earliest = earliestDeliveryDate(now);
+  subscription.anchorDate = nextWeekday(subscription.deliveryDay, earliest);
+  subscription.skipDates = subscription.skipDates.filter(date => date >= earliest);
+  scheduleNext(subscription, earliest);
+};
+
+/**
+ * Check that subscribed products and substitutes exist and are approved,
+ * and that each product can be ordered in the subscribed quantity
+ * @param {Object[]} items - [{ product, quantity, substitutes }]
+ */
+const assertProductsExist = async (items) => {
+  const ids = [...new Set(items.flatMap(item => [item.product, ...(item.substitutes || [])].map(String)))];
+  const found = await Product.find({ _id: { $in: ids }, isApproved: true })
+    .select('name unit variants minimumOrderQuantity quantityStep');
+
+  if (found.length !== ids.length) {
+    const foundIds = new Set(found.map(product => product._id.toString()));
+    const missing = ids.filter(id => !foundIds.has(id));
+    throw new AppError('PRODUCT_NOT_FOUND', `Products not found: ${missing.join(', ')}`, 404);
+  }
+
+  const products = new Map(found.map(product => [product._id.toString(), product]));
+  items.forEach(item => assertQuantity(products.get(String(item.product)), item.quantity));
+};
+
+/**
+ * Create a subscription and schedule its first delivery
+ * @param {String} customerId - Customer ID
+ * @param {Object} details - Validated subscription fields
+ * @returns {Promise<Object>} Subscription
+ */
+const createSubscription = async (customerId, details) => {
+  await assertProductsExist(details.items);
+  await assertServiceable(details.deliveryAddress.pincode, details.paymentMethod);
+
+  const subscription = new Subscription({ ...details, customer: customerId, anchorDate: '1970-01-01' });
+  restartSchedule(subscription);
+  await subscription.save();
+
+  return subscription;
+};
+
+/**
+ * Change a subscription's items, schedule, address or payment method
+ * @param {Object} subscription - Subscription document
+ * @param {Object} updates - Validated fields to change
+ * @returns {Promise<Object>} Subscription
+ */
+const updateSubscription = async (subscription, updates) => {
+  if (subscription.status === 'cancelled') {
+    throw new AppError('SUBSCRIPTION_CANCELLED', 'Cancelled subscriptions cannot be changed');
+  }
+
+  if (updates.items) {
+    await assertProductsExist(updates.items);
+  }
+
+  if (updates.deliveryAddress || updates.paymentMethod) {
+    await assertServiceable(
+      (updates.deliveryAddress || subscription.deliveryAddress).pincode,
+      updates.paymentMethod || subscription.paymentMethod
+    );
+  }
+
+  const rescheduled = (updates.deliveryDay !== undefined && updates.deliveryDay !== subscription.deliveryDay) ||
+    (updates.frequency !== undefined && updates.frequency !== subscription.frequency);
+
+  subscription.set(updates);
+  if (rescheduled) {
+    restartSchedule(subscription);
+  }
+
+  await subscription.save();
+  return subscription;
+};
+
+/**
+ * Pause deliveries, indefinitely or until a date
+ * @param {Object} subscription - Subscription document
+ * @param {String} until - Optional YYYY-MM-DD to resume on
+ * @returns {Promise<Object>} Subscription
+ */
+const pauseSubscription = async (subscription, until) => {
+  if (subscription.status !== 'active') {
+    throw new AppError('SUBSCRIPTION_NOT_ACTIVE', `Subscription is ${subscription.status}`, 409);
+  }
+
+  subscription.status = 'paused';
+  subscription.pausedUntil = until ? localDateTime(until) : undefined;
+  await subscription.save();
+
+  return subscription;
+};
+
+/**
+ * Resume a paused subscription from the next possible delivery date
+ * @param {Object} subscription - Subscription document
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Subscription
+ */
+const resumeSubscription = async (subscription, now = new Date()) => {
+  if (subscription.status !== 'paused') {
+    throw new AppError('SUBSCRIPTION_NOT_PAUSED', `Subscription is ${subscription.status}`, 409);
+  }
+
+  subscription.status = 'active';
+  subscription.pausedUntil = undefined;
+  scheduleNext(subscription, earliestDeliveryDate(now));
+  await subscription.save();
+
+  return subscription;
+};
+
+/**
+ * Skip one delivery (the next one by default)
+ * @param {Object} subscription - Subscription document
+ * @param {String} date - Optional YYYY-MM-DD delivery date to skip
+ * @returns {Promise<Object>} Subscription
+ */
+const skipDelivery = async (subscription, date) => {
+  if (subscription.status === 'cancelled') {
+    throw new AppError('SUBSCRIPTION_CANCELLED', 'Cancelled subscriptions cannot be changed');
+  }
+
+  const skipDate = date || subscription.nextDeliveryDate;
+  if (!isDeliveryDate(subscription, skipDate)) {
+    throw new AppError('INVALID_SKIP_DATE', `${skipDate} is not one of this subscription's delivery dates`);
+  }
+  if (skipDate <= earliestDeliveryDate()) {
+    throw new AppError('SKIP_TOO_LATE', `The order for ${skipDate} has already been placed`, 409);
+  }
+
+  if (!subscription.skipDates.includes(skipDate)) {
+    subscription.skipDates.push(skipDate);
+  }
+  if (skipDate === subscription.nextDeliveryDate) {
+    scheduleNext(subscription, skipDate);
+  }
+
+  await subscription.save();
+  return subscription;
+};
+
+/**
+ * Cancel a subscription; no further orders are generated
+ * @param {Object} subscription - Subscription document
+ * @returns {Promise<Object>} Subscription
+ */
+const cancelSubscription = async (subscription) => {
+  if (subscription.status === 'cancelled') {
+    throw new AppError('SUBSCRIPTION_CANCELLED', 'Subscription is already cancelled', 409);
+  }
+
+  subscription.status = 'cancelled';
+  subscription.cancelledAt = new Date();
+  subscription.nextRunAt = undefined;
+  await subscription.save();
+
+  return subscription;
+};
+
+/**
+ * Order line for a product if it can be ordered now, in this quantity.
+ * Products with pack sizes use the chosen variant, or else their first
+ * available one in stock.
+ * @param {Object} product - Product document
+ * @param {Number} quantity - Quantity
+ * @param {String} variantId - Chosen variant
+ * @returns {Object|null} { product, variantId, quantity } or null
+ */
+const toOrderableLine = (product, quantity, variantId) => {
+  if (!product || !product.isApproved || !product.isAvailable || checkQuantity(product, quantity)) {
+    return null;
+  }
+
+  if (product.variants.length === 0) {
+    return product.stock >= quantity ? { product, quantity } : null;
+  }
+
+  const candidates = variantId ? [product.getVariant(variantId)].filter(Boolean) : product.variants;
+  const variant = candidates.find(candidate => candidate.isAvailable && candidate.stock >= quantity);
+  return variant ? { product, variantId: variant._id, quantity } : null;
+};
+
+/**
+ * Turn subscription items into order lines, applying substitution preferences
+ * @param {Object[]} items - Subscription items
+ * @param {Map} products - productId → product document
+ * @returns {Object} { lines, substitutions, unavailableItems, skipDelivery }
+ */
+const resolveLines = (items, products) => {
+  const lines = [];
+  const substitutions = [];
+  const unavailableItems = [];
+  let skipDelivery = false;
+
+  for (const item of items) {
+    const product = products.get(item.product.toString());
+
+    const line = toOrderableLine(product, item.quantity, item.variant);
+    if (line) {
+      lines.push(line);
+      continue;
+    }
+
+    const substitute = (item.substitutes || [])
+      .map(id => toOrderableLine(products.get(id.toString()), item.quantity))
+      .find(Boolean);
+
+    if (substitute) {
+      lines.push(substitute);
+      substitutions.push({
+        product: item.product,
+        productName: product ? product.name : undefined,
+        substitute: substitute.product._id,
+        substituteName: substitute.product.name
+      });
+      continue;
+    }
+
+    unavailableItems.push({ product: item.product, productName: product ? product.name : undefined });
+    if (item.ifUnavailable === 'skip-delivery') {
+      skipDelivery = true;
+    }
+  }
+
+  return { lines, substitutions, unavailableItems, skipDelivery };
+};
+
+/**
+ * Generate the order for a subscription's next delivery, record the run,
+ * notify the customer and schedule the following delivery.
+ * The order goes through the same placement as a checkout (stock checks,
+ * tax, delivery pricing) and is keyed on the subscription and delivery date,
+ * so a repeated run cannot create a second order for the same delivery.
+ * @param {Object} subscription - Subscription document (locked by the caller)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} The recorded run
+ */
+const runSubscription = async (subscription, now = new Date()) => {
+  const deliveryDate = subscription.nextDeliveryDate;
+  const idempotencyKey = `subscription:${subscription._id}:${deliveryDate}`;
+  let resolved;
+
+  const run = { deliveryDate };
+  try {
+    // The scheduler was down past the delivery date; don't send a late order
+    if (deliveryDate < toLocalDate(now)) {
+      throw new AppError('DELIVERY_DATE_PASSED', 'The delivery date passed before the order could be placed');
+    }
+
+    const { order } = await placeIdempotently(subscription.customer, idempotencyKey, async (session) => {
+      const ids = subscription.items.flatMap(item => [item.product, ...item.substitutes]);
+      const products = new Map((await Product.find({ _id: { $in: ids } }).session(session))
+        .map(product => [product._id.toString(), product]));
+
+      resolved = resolveLines(subscription.items, products);
+      if (resolved.skipDelivery || resolved.lines.length === 0) {
+        return null;
+      }
+
+      return createOrder(session, {
+        customerId: subscription.customer,
+        lines: resolved.lines,
+        deliveryAddress: subscription.toObject().deliveryAddress,
+        paymentMethod: subscription.paymentMethod,
+        instructions: subscription.instructions,
+        expectedDeliveryDate: localDateTime(deliveryDate),
+        idempotencyKey,
+        subscription: subscription._id
+      });
+    });
+
+    if (resolved) {
+      run.substitutions = resolved.substitutions;
+      run.unavailableItems = resolved.unavailableItems;
+    }
+
+    if (order) {
+      run.status = 'placed';
+      run.order = order._id;
+      subscription.lastOrder = order._id;
+    } else {
+      run.status = 'skipped';
+      run.note = 'Items unavailable';
+    }
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      console.error('Subscription run error:', error);
+    }
+    run.status = 'failed';
+    run.note = error instanceof AppError ? error.message : 'Order could not be placed';
+  }
+
+  subscription.runs.push(run);
+  const following = addDays(deliveryDate, 1);
+  const earliest = earliestDeliveryDate(now);
+  scheduleNext(subscription, following > earliest ? following : earliest);
+  subscription.lockedUntil = undefined;
+  await subscription.save();
+
+  await notifyRun(subscription, run);
+  return run;
+};
+
+const describeRunChanges = (run) => {
+  const parts = [];
+  if (run.substitutions && run.substitutions.length > 0) {
+    parts.push(`Substituted: ${run.substitutions
+      .map(s => `${s.productName || 'item'} → ${s.substituteName}`).join(', ')}.`);
+  }
+  if (run.unavailableItems && run.unavailableItems.length > 0) {
+    parts.push(`Out of stock: ${run.unavailableItems.map(item => item.productName || 'item').join(', ')}.`);
+  }
+  return parts.join(' ');
+};
+
+const notifyRun = (subscription, run) => {
+  const changes = describeRunChanges(run);
+  const data = { subscription: subscription._id, order: run.order, deliveryDate: run.deliveryDate };
+
+  if (run.status === 'placed') {
+    return notify(
+      subscription.customer,
+      changes ? 'subscription.order-adjusted' : 'subscription.order-placed',
+      `${subscription.name}: order placed for ${run.deliveryDate}`,
+      [`Your order for ${run.deliveryDate} has been placed.`, changes].filter(Boolean).join(' '),
+      { ...data, substitutions: run.substitutions, unavailableItems: run.unavailableItems }
+    );
+  }
+
+  if (run.status === 'skipped') {
+    return notify(
+      subscription.customer,
+      'subscription.delivery-skipped',
+      `${subscription.name}: delivery on ${run.deliveryDate} skipped`,
+      `We skipped your delivery for ${run.deliveryDate} because items were unavailable. ${changes}`.trim(),
+      { ...data, unavailableItems: run.unavailableItems }
+    );
+  }
+
+  return notify(
+    subscription.customer,
+    'subscription.order-failed',
+    `${subscription.name}: order for ${run.deliveryDate} failed`,
+    `We could not place your order for ${run.deliveryDate}: ${run.note}`,
+    data
+  );
+};
+
+/**
+ * Generate orders for every subscription that is due, and resume
+ * subscriptions whose pause has ended. Each subscription is claimed with
+ * a short lock, so overlapping runs (or several server instances) never
+ * process the same subscription at the same time.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { resumed, placed, skipped, failed }
+ */
+const runDueSubscriptions = async (now = new Date()) => {
+  const summary = { resumed: 0, placed: 0, skipped: 0, failed: 0 };
+
+  const resumable = await Subscription.find({ status: 'paused', pausedUntil: { $lte: now } });
+  for (const subscription of resumable) {
+    await resumeSubscription(subscription, now);
+    summary.resumed++;
+  }
+
+  for (;;) {
+    const subscription = await Subscription.findOneAndUpdate(
+      {
+        status: 'active',
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + SUBSCRIPTION_LOCK_MINUTES * 60 * 1000) },
+      { new: true, sort: { nextRunAt: 1 } }
+    );
+
+    if (!subscription) {
+      break;
+    }
+
+    try {
+      const run = await runSubscription(subscription, now);
+      summary[run.status]++;
+    } catch (error) {
+      // Left locked; it is retried once the lock expires
+      console.error(`Subscription ${subscription._id} run error:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+export {
+  getNextDeliveryDate,
+  resolveLines,
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipDelivery,
+  cancelSubscription,
+  runSubscription,
+  runDueSubscriptions
+};
@@ -0,0 +1,106 @@
+import { HSN_RATES, CATEGORY_RATES, DEFAULT_RATE } from '../config/taxRates.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeState = (state) => (state || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Find the GST rate for a product: longest matching HSN prefix, then category
+ * @param {Object} product - { hsnCode, category }
+ * @returns {Number} GST rate in percent
+ */
+const getGstRate = ({ hsnCode, category }) => {
+  if (hsnCode) {
+    for (let length = hsnCode.length; length >= 2; length--) {
+      const rate = HSN_RATES[hsnCode.slice(0, length)];
+      if (rate !== undefined) {
+        return rate;
+      }
+    }
+  }
+
+  if (CATEGORY_RATES[category] !== undefined) {
+    return CATEGORY_RATES[category];
+  }
+
+  return DEFAULT_RATE;
+};
+
+/**
+ * Decide whether a sale is inter-state (IGST) or intra-state (CGST + SGST).
+ * When the seller's state is unknown the sale is treated as intra-state.
+ * @param {String} sellerState - Farmer's state
+ * @param {String} buyerState - Delivery address state
+ * @returns {Boolean} Whether IGST applies
+ */
+const isInterState = (sellerState, buyerState) => {
+  if (!sellerState || !buyerState) {
+    return false;
+  }
+  return normalizeState(sellerState) !== normalizeState(buyerState);
+};
+
+// Split a line's GST into IGST, or CGST + SGST
+const buildLineTax = (rate, taxableValue, interState) => {
+  const total = roundMoney(taxableValue * rate / 100);
+
+  if (interState) {
+    return { rate, taxableValue, cgst: 0, sgst: 0, igst: total, total };
+  }
+
+  // Split evenly; any odd paisa goes to CGST so the halves add up to the total
+  const sgst = Math.floor(Math.round(total * 100) / 2) / 100;
+  const cgst = roundMoney(total - sgst);
+  return { rate, taxableValue, cgst, sgst, igst: 0, total };
+};
+
+/**
+ * Calculate GST for one line item
+ * @param {Object} params
+ * @param {Number} params.taxableValue - Line subtotal
+ * @param {String} params.hsnCode - Product HSN code
+ * @param {String} params.category - Product category
+ * @param {String} params.sellerState - Farmer's state
+ * @param {String} params.buyerState - Delivery address state
+ * @returns {Object} { rate, taxableValue, cgst, sgst, igst, total }
+ */
+const calculateLineTax = ({ taxableValue, hsnCode, category, sellerState, buyerState }) =>
+  buildLineTax(getGstRate({ hsnCode, category }), taxableValue, isInterState(sellerState, buyerState));
+
+/**
+ * Recalculate a line's GST for a new taxable value, keeping the rate and
+ * the intra/inter-state split it was charged with
+ * @param {Object} tax - Line tax from calculateLineTax
+ * @param {Number} taxableValue - New line subtotal
+ * @returns {Object} { rate, taxableValue, cgst, sgst, igst, total }
+ */
+const recalculateLineTax = (tax, taxableValue) => buildLineTax(tax.rate, taxableValue, tax.igst > 0);
+
+/**
+ * Sum line taxes into an order-level breakdown
+ * @param {Object[]} lineTaxes - Results of calculateLineTax
+ * @returns {Object} { cgst, sgst, igst, total }
+ */
+const summarizeTaxes = (lineTaxes) => {
+  const summary = lineTaxes.reduce((sum, tax) => ({
+    cgst: sum.cgst + tax.cgst,
+    sgst: sum.sgst + tax.sgst,
+    igst: sum.igst + tax.igst,
+    total: sum.total + tax.total
+  }), { cgst: 0, sgst: 0, igst: 0, total: 0 });
+
+  return {
+    cgst: roundMoney(summary.cgst),
+    sgst: roundMoney(summary.sgst),
+    igst: roundMoney(summary.igst),
+    total: roundMoney(summary.total)
+  };
+};
+
+export {
+  getGstRate,
+  isInterState,
+  calculateLineTax,
+  recalculateLineTax,
+  summarizeTaxes
+};
@@ -0,0 +1,163 @@
+import Product from '../models/Product.js';
+import AppError from '../utils/AppError.js';
+import { areConvertible, getPackQuantity } from '../utils/units.js';
+
+/**
+ * Key identifying an order, cart or return line: its product and variant
+ * @param {Object} line - { product, variant }
+ * @returns {String}
+ */
+const getLineKey = (line) => {
+  const product = (line.product && line.product._id) || line.product;
+  return line.variant ? `${product}:${line.variant}` : product.toString();
+};
+
+/**
+ * Pick the variant a line buys. Products with variants must be bought
+ * as one of them; products without variants take no variant.
+ * @param {Object} product - Product document
+ * @param {String} variantId - Requested variant ID
+ * @returns {Object|null} Variant, or null for products without variants
+ */
+const resolveVariant = (product, variantId) => {
+  if (product.variants.length === 0) {
+    if (variantId) {
+      throw new AppError('VARIANT_NOT_FOUND', `${product.name} has no pack sizes to choose from`, 404);
+    }
+    return null;
+  }
+
+  if (!variantId) {
+    throw new AppError('VARIANT_REQUIRED', `Choose a pack size for ${product.name}`);
+  }
+
+  const variant = product.getVariant(variantId);
+  if (!variant) {
+    throw new AppError('VARIANT_NOT_FOUND', `Pack size not found for ${product.name}`, 404);
+  }
+  return variant;
+};
+
+/**
+ * Replace a product's variants with the farmer's list. Variants sent with
+ * an _id keep it (carts refer to them); the rest are added. SKUs default
+ * to the product ID and pack size.
+ * @param {Object} product - Product document
+ * @param {Object[]} variants - Validated variants
+ */
+const applyVariants = (product, variants) => {
+  if (!variants) {
+    return;
+  }
+
+  const next = variants.map(input => {
+    if (!areConvertible(input.packUnit, product.unit)) {
+      throw new AppError(
+        'INVALID_PACK_UNIT',
+        `Pack unit ${input.packUnit} cannot be compared with the product unit ${product.unit}`
+      );
+    }
+
+    const existing = input._id && product.getVariant(input._id);
+    if (input._id && !existing) {
+      throw new AppError('VARIANT_NOT_FOUND', `Variant ${input._id} not found on this product`, 404);
+    }
+
+    const variant = existing ? Object.assign(existing, input) : input;
+    if (!variant.sku) {
+      variant.sku = `${product._id.toString().slice(-6)}-${variant.packSize}${variant.packUnit}`;
+    }
+    return variant;
+  });
+
+  const skus = next.map(variant => variant.sku.toUpperCase());
+  const duplicate = skus.find((sku, index) => skus.indexOf(sku) !== index);
+  if (duplicate) {
+    throw new AppError('DUPLICATE_SKU', `SKU ${duplicate} is used by more than one variant`);
+  }
+
+  product.variants = next;
+};
+
+/**
+ * How much of the product's stock (kept in its unit) a number of packs holds
+ * @param {String} product - Product ID
+ * @param {String} variant - Variant ID
+ * @param {Number} quantity - Packs
+ * @param {Object} session - Mongo session
+ * @returns {Promise<Number>}
+ */
+const getStockQuantity = async (product, variant, quantity, session) => {
+  const found = await Product.findOne({ _id: product, 'variants._id': variant }, { unit: 1, 'variants.$': 1 })
+    .session(session || null);
+  return found ? quantity * getPackQuantity(found.variants[0], found.unit) : quantity;
+};
+
+/**
+ * Take stock for a line, only while enough is left, so concurrent
+ * checkouts cannot oversell. Variant lines take the variant's packs, and
+ * what they hold from the product's stock.
+ * @param {Object} line - { product, variant, quantity }
+ * @param {Object} session - Mongo session
+ * @returns {Promise<Boolean>} Whether the stock was taken
+ */
+const takeStock = async ({ product, variant, quantity }, session) => {
+  const filter = { _id: product, isApproved: true, isAvailable: true };
+
+  const result = variant
+    ? await Product.updateOne(
+      {
+        ...filter,
+        variants: { $elemMatch: { _id: variant, isAvailable: true, stock: { $gte: quantity } } }
+      },
+      {
+        $inc: {
+          'variants.$.stock': -quantity,
+          stock: -(await getStockQuantity(product, variant, quantity, session))
+        }
+      },
+      { session }
+    )
+    : await Product.updateOne(
+      { ...filter, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity } },
+      { session }
+    );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Put a line's quantity back into stock
+ * @param {Object} line - { product, variant, quantity }
+ * @param {Object} session - Mongo session
+ */
+const restoreStock = async ({ product, variant, quantity }, session) => {
+  if (variant) {
+    await Product.updateOne(
+      { _id: product, 'variants._id': variant },
+      {
+        $inc: {
+          'variants.$.stock': quantity,
+          stock: await getStockQuantity(product, variant, quantity, session)
+        }
+      },
+      { session }
+    );
+    return;
+  }
+
+  await Product.updateOne(
+    { _id: product },
+    { $inc: { stock: quantity } },
+    { session }
+  );
+};
+
+export {
+  getLineKey,
+  resolveVariant,
+  applyVariants,
+  takeStock,
+  restoreStock
+};
@@ -0,0 +1,206 @@
+import mongoose from 'mongoose';
+import Wallet from '../models/Wallet.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+import AppError from '../utils/AppError.js';
+import { notify } from './notificationService.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Platform account on the other side of each kind of wallet movement
+const COUNTER_ACCOUNTS = {
+  'order-payment': 'platform:orders',
+  deposit: 'platform:orders',
+  refund: 'platform:orders',
+  cashback: 'platform:cashback',
+  adjustment: 'platform:adjustments'
+};
+
+const walletAccount = (customerId) => `wallet:${customerId}`;
+
+/**
+ * Move store credit into or out of a customer's wallet, writing both sides
+ * of the ledger. Pass the session of the transaction that writes the order,
+ * return or pre-order, so the movement commits or rolls back with it.
+ * @param {Object} params
+ * @param {String} params.customerId - Customer
+ * @param {String} params.type - order-payment, deposit, refund, cashback or adjustment
+ * @param {Number} params.amount - Positive to credit the wallet, negative to debit it
+ * @param {String} params.description - Shown on the statement
+ * @param {String} params.order - Order it is for
+ * @param {String} params.preorder - Pre-order it is for
+ * @param {String} params.returnRequest - Return it refunds
+ * @param {String} params.createdBy - Admin making an adjustment
+ * @param {Object} session - Mongo session
+ * @returns {Promise<Object>} Wallet transaction
+ */
+const postWalletTransaction = async ({ customerId, type, amount, ...details }, session) => {
+  const value = roundMoney(amount);
+  if (value === 0) {
+    throw new AppError('INVALID_WALLET_AMOUNT', 'The amount must not be zero');
+  }
+
+  // Balances are kept to the paisa; debits only go through while the
+  // balance covers them
+  const now = new Date();
+  const update = [{
+    $set: {
+      balance: { $round: [{ $add: [{ $ifNull: ['$balance', 0] }, value] }, 2] },
+      currency: { $ifNull: ['$currency', 'INR'] },
+      createdAt: { $ifNull: ['$createdAt', now] },
+      updatedAt: now
+    }
+  }];
+  const wallet = value > 0
+    ? await Wallet.findOneAndUpdate({ customer: customerId }, update, { new: true, upsert: true, session })
+    : await Wallet.findOneAndUpdate({ customer: customerId, balance: { $gte: -value } }, update, { new: true, session });
+
+  if (!wallet) {
+    const current = await Wallet.findOne({ customer: customerId }).session(session || null);
+    throw new AppError(
+      'INSUFFICIENT_WALLET_BALANCE',
+      `Your wallet balance of ${current ? current.balance : 0} does not cover ${-value}`,
+      400,
+      { balance: current ? current.balance : 0, required: -value }
+    );
+  }
+
+  const counter = COUNTER_ACCOUNTS[type];
+  const transaction = new WalletTransaction({
+    ...details,
+    customer: customerId,
+    type,
+    amount: value,
+    balanceAfter: wallet.balance,
+    entries: value > 0
+      ? [{ account: counter, debit: value }, { account: walletAccount(customerId), credit: value }]
+      : [{ account: walletAccount(customerId), debit: -value }, { account: counter, credit: -value }]
+  });
+  await transaction.save({ session });
+  return transaction;
+};
+
+/**
+ * Credit a customer's wallet
+ * @param {Object} params - As for postWalletTransaction, with a positive amount
+ * @param {Object} session - Mongo session
+ * @returns {Promise<Object>} Wallet transaction
+ */
+const creditWallet = (params, session) =>
+  postWalletTransaction({ ...params, amount: Math.abs(params.amount) }, session);
+
+/**
+ * Pay from a customer's wallet; fails when the balance does not cover it
+ * @param {Object} params - As for postWalletTransaction, with a positive amount
+ * @param {Object} session - Mongo session
+ * @returns {Promise<Object>} Wallet transaction
+ */
+const debitWallet = (params, session) =>
+  postWalletTransaction({ ...params, amount: -Math.abs(params.amount) }, session);
+
+/**
+ * Credit cashback to a customer's wallet, or adjust it either way, on an
+ * admin's behalf, and tell the customer
+ * @param {String} customerId - Customer
+ * @param {Object} details - Validated { type: cashback or adjustment, amount, description }
+ * @param {String} adminId - Admin making the change
+ * @returns {Promise<Object>} Wallet transaction
+ */
+const adjustWallet = async (customerId, { type, amount, description }, adminId) => {
+  const session = await mongoose.startSession();
+  let transaction;
+
+  try {
+    await session.withTransaction(async () => {
+      transaction = await postWalletTransaction({ customerId, type, amount, description, createdBy: adminId }, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await notify(
+    customerId,
+    transaction.amount > 0 ? 'wallet.credited' : 'wallet.debited',
+    transaction.amount > 0
+      ? `${transaction.amount} added to your wallet`
+      : `${-transaction.amount} taken from your wallet`,
+    `${description}. Your wallet balance is now ${transaction.balanceAfter}.`,
+    { walletTransaction: transaction._id }
+  );
+  return transaction;
+};
+
+/**
+ * A customer's wallet balance; customers who never had credit have 0
+ * @param {String} customerId - Customer
+ * @param {Object} session - Optional Mongo session
+ * @returns {Promise<Object>} { balance, currency }
+ */
+const getWalletBalance = async (customerId, session) => {
+  const wallet = await Wallet.findOne({ customer: customerId }).session(session || null);
+  return {
+    balance: wallet ? wallet.balance : 0,
+    currency: wallet ? wallet.currency : 'INR'
+  };
+};
+
+/**
+ * A customer's wallet statement for a period, newest first, with the
+ * balance before and after it and its total credits and debits
+ * @param {String} customerId - Customer (ObjectId)
+ * @param {Object} options
+ * @param {Date} options.from - Start of the period
+ * @param {Date} options.to - End of the period
+ * @param {Number} options.skip - Transactions to skip
+ * @param {Number} options.limit - Transactions to return
+ * @returns {Promise<Object>} { openingBalance, closingBalance, credits, debits, transactions, total }
+ */
+const getWalletStatement = async (customerId, { from, to, skip = 0, limit = 20 } = {}) => {
+  const createdAt = {
+    ...(from && { $gte: from }),
+    ...(to && { $lte: to })
+  };
+  const filter = { customer: customerId, ...(Object.keys(createdAt).length > 0 && { createdAt }) };
+  const newestFirst = { createdAt: -1, _id: -1 };
+
+  const [transactions, total, opening, closing, [totals]] = await Promise.all([
+    WalletTransaction.find(filter)
+      .select('-entries')
+      .sort(newestFirst)
+      .skip(skip)
+      .limit(limit),
+    WalletTransaction.countDocuments(filter),
+    from
+      ? WalletTransaction.findOne({ customer: customerId, createdAt: { $lt: from } }).sort(newestFirst)
+      : null,
+    WalletTransaction.findOne(filter).sort(newestFirst),
+    WalletTransaction.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          credits: { $sum: { $cond: [{ $gt: ['$amount', 0] }, '$amount', 0] } },
+          debits: { $sum: { $cond: [{ $lt: ['$amount', 0] }, { $multiply: ['$amount', -1] }, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const openingBalance = opening ? opening.balanceAfter : 0;
+  return {
+    openingBalance,
+    closingBalance: closing ? closing.balanceAfter : openingBalance,
+    credits: totals ? roundMoney(totals.credits) : 0,
+    debits: totals ? roundMoney(totals.debits) : 0,
+    transactions,
+    total
+  };
+};
+
+export {
+  creditWallet,
+  debitWallet,
+  postWalletTransaction,
+  adjustWallet,
+  getWalletBalance,
+  getWalletStatement
+};
@@ -0,0 +1,238 @@
+import mongoose from 'mongoose';
+import AppError from '../utils/AppError.js';
+import { VARIABLE_WEIGHT_UNITS, getWeightTolerancePercent } from '../config/variableWeight.js';
+import { recalculateLineTax, summarizeTaxes } from './taxService.js';
+import { refundPayment } from './payments/paymentService.js';
+import { allocate } from './promotionService.js';
+import { getLineKey } from './variantService.js';
+import { debitWallet } from './walletService.js';
+import { notify } from './notificationService.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Whether a line is sold by weight and can be re-weighed at packing
+ * @param {Object} item - Order item
+ * @returns {Boolean}
+ */
+const isVariableWeight = (item) => VARIABLE_WEIGHT_UNITS.includes(item.unit);
+
+// Weight ordered on a line, in its unit; pack-size variants order whole packs
+const getOrderedWeight = (item) => item.quantity * (item.packSize || 1);
+
+// Spread a line's lowered promotion discount over the promotions that gave
+// it, in proportion to their shares, and re-total those promotions
+const capDiscountShares = (order, item) => {
+  const key = getLineKey(item);
+  const shares = order.discounts.flatMap(discount => discount.items.filter(share => getLineKey(share) === key));
+
+  allocate(item.promotionDiscount, shares.map(share => share.amount)).forEach((amount, index) => {
+    shares[index].amount = amount;
+  });
+  order.discounts.forEach(discount => {
+    discount.amount = roundMoney(discount.items.reduce((sum, share) => sum + (share.amount || 0), 0));
+  });
+};
+
+/**
+ * Re-price a fulfillment's variable-weight lines at their packed weights.
+ * The ordered subtotal and GST are kept on each line and the original order
+ * totals on order.weightAdjustment. When the order was already paid online,
+ * the change is recorded as a pending settlement: a refund when the total
+ * went down, an extra charge when it went up.
+ * @param {Object} order - Order document
+ * @param {Object} fulfillment - Fulfillment being moved to processing
+ * @param {Object[]} packedWeights - [{ itemId, quantity }] in each line's unit
+ * @returns {Number} Change to the order total
+ */
+const recordPackedWeights = (order, fulfillment, packedWeights) => {
+  const tolerance = getWeightTolerancePercent();
+  const farmerId = fulfillment.farmer.toString();
+
+  for (const { itemId, quantity } of packedWeights) {
+    const item = order.items.id(itemId);
+    if (!item || item.farmer.toString() !== farmerId) {
+      throw new AppError('ITEM_NOT_FOUND', `Item ${itemId} is not part of this fulfillment`, 404);
+    }
+
+    if (!isVariableWeight(item)) {
+      throw new AppError('NOT_VARIABLE_WEIGHT', `${item.productName} is sold per ${item.unit}, not by weight`);
+    }
+
+    const ordered = getOrderedWeight(item);
+    const deviation = Math.abs(quantity - ordered) / ordered * 100;
+    if (deviation > tolerance) {
+      throw new AppError(
+        'WEIGHT_OUT_OF_TOLERANCE',
+        `Packed weight for ${item.productName} must be within ${tolerance}% of the ordered ${ordered} ${item.unit}`
+      );
+    }
+  }
+
+  if (!order.weightAdjustment || order.weightAdjustment.originalTotal === undefined) {
+    order.weightAdjustment = {
+      originalSubtotal: order.subtotal,
+      originalTaxes: order.taxes,
+      originalTotal: order.total,
+      amount: 0,
+      settlements: []
+    };
+  }
+
+  for (const { itemId, quantity } of packedWeights) {
+    const item = order.items.id(itemId);
+    if (item.orderedSubtotal === undefined) {
+      item.orderedSubtotal = item.subtotal;
+      item.orderedTax = item.tax;
+    }
+
+    const subtotal = roundMoney(item.price / (item.packSize || 1) * quantity);
+    item.packedQuantity = quantity;
+    item.subtotal = subtotal;
+    // Promotion discounts stay as given, unless the line is now worth less
+    const promotionDiscount = item.promotionDiscount || 0;
+    item.promotionDiscount = Math.min(promotionDiscount, subtotal);
+    if (item.promotionDiscount < promotionDiscount) {
+      capDiscountShares(order, item);
+    }
+    item.tax = recalculateLineTax(item.orderedTax, roundMoney(subtotal - item.promotionDiscount));
+  }
+
+  fulfillment.subtotal = roundMoney(order.items
+    .filter(item => item.farmer.toString() === farmerId)
+    .reduce((sum, item) => sum + item.subtotal, 0));
+
+  const previousTotal = order.total;
+  const taxBreakdown = summarizeTaxes(order.items.map(item => item.tax));
+  order.subtotal = roundMoney(order.items.reduce((sum, item) => sum + item.subtotal, 0));
+  order.taxes = taxBreakdown.total;
+  order.taxBreakdown = {
+    cgst: taxBreakdown.cgst,
+    sgst: taxBreakdown.sgst,
+    igst: taxBreakdown.igst
+  };
+  order.promotionDiscount = roundMoney(order.items.reduce((sum, item) => sum + (item.promotionDiscount || 0), 0));
+  order.total = roundMoney(order.subtotal - order.promotionDiscount + order.deliveryCharges + order.taxes);
+
+  const change = roundMoney(order.total - previousTotal);
+  order.weightAdjustment.amount = roundMoney(order.weightAdjustment.amount + change);
+
+  // Unpaid and cash on delivery orders simply collect the new total
+  if (change !== 0 && order.paymentMethod !== 'cod' && ['paid', 'partially-refunded'].includes(order.paymentStatus)) {
+    order.weightAdjustment.settlements.push({ farmer: fulfillment.farmer, amount: change });
+  }
+
+  return change;
+};
+
+/**
+ * Run a settlement step in a transaction with the order, so wallet
+ * movements commit or roll back with it. If it fails, the amounts it
+ * changed on the order are put back.
+ * @param {Object} order - Order document
+ * @param {Function} step - async (session) => void
+ */
+const settleWithOrder = async (order, step) => {
+  const { walletAmount, walletRefunded } = order;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // A retried transaction starts over
+      order.walletAmount = walletAmount;
+      order.walletRefunded = walletRefunded;
+      await step(session);
+      await order.save({ session });
+    });
+  } catch (error) {
+    order.walletAmount = walletAmount;
+    order.walletRefunded = walletRefunded;
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Refund pending weight settlements and tell the customer about the new
+ * total. Money paid from the wallet is refunded to it first. Extra charges
+ * on wallet orders are taken from the wallet while it covers them; others
+ * stay pending until the customer pays them through
+ * POST /api/customers/orders/:id/payment. Runs after the status change has
+ * been committed; a failed refund is recorded on its settlement.
+ * @param {Object} order - Order document
+ * @param {Number} change - Change to the order total
+ */
+const settleWeightAdjustment = async (order, change) => {
+  const refunds = order.weightAdjustment.settlements
+    .filter(settlement => settlement.amount < 0 && settlement.status === 'pending');
+
+  for (const settlement of refunds) {
+    try {
+      await settleWithOrder(order, async (session) => {
+        await refundPayment(order, -settlement.amount, `Packed weight adjustment on ${order.orderNumber}`, session);
+        settlement.status = 'completed';
+      });
+    } catch (error) {
+      console.error('Weight adjustment refund error:', error);
+      settlement.status = 'failed';
+      settlement.note = error instanceof AppError ? error.message : 'Refund could not be issued';
+      await order.save();
+    }
+  }
+
+  if (change === 0) {
+    return;
+  }
+
+  let charge = order.weightAdjustment.settlements
+    .find(settlement => settlement.amount > 0 && settlement.status !== 'completed');
+
+  if (charge && order.paymentMethod === 'wallet') {
+    const extra = charge;
+    try {
+      await settleWithOrder(order, async (session) => {
+        await debitWallet({
+          customerId: order.customer,
+          type: 'order-payment',
+          amount: extra.amount,
+          order: order._id,
+          description: `Packed weight adjustment on ${order.orderNumber}`
+        }, session);
+        order.walletAmount = roundMoney(order.walletAmount + extra.amount);
+        extra.status = 'completed';
+      });
+      charge = undefined;
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Weight adjustment wallet charge error:', error);
+      }
+      extra.status = 'pending';
+      extra.note = error instanceof AppError ? error.message : 'The wallet could not be charged';
+      await order.save();
+    }
+  }
+
+  let message = `The packed weight changed your order total by ${change > 0 ? '+' : ''}${change}; the new total is ${order.total}.`;
+  if (change < 0 && refunds.some(settlement => settlement.status === 'completed')) {
+    message += ` ${-change} is being refunded the way you paid.`;
+  } else if (charge) {
+    message += ` Please pay the extra ${charge.amount} from your order.`;
+  } else if (change > 0 && order.paymentMethod === 'wallet') {
+    message += ` The extra ${change} was taken from your wallet.`;
+  }
+
+  await notify(
+    order.customer,
+    'order.weight-adjusted',
+    `Order ${order.orderNumber} weighed and packed`,
+    message,
+    { order: order._id, change, total: order.total }
+  );
+};
+
+export {
+  isVariableWeight,
+  recordPackedWeights,
+  settleWeightAdjustment
+};
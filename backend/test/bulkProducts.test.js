@@ -0,0 +1,190 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import PriceHistory from '../models/PriceHistory.js';
+import Product from '../models/Product.js';
+import { exportProducts, importProducts, updateProducts } from '../services/bulkProductService.js';
+import { readSpreadsheet, writeSpreadsheet } from '../utils/spreadsheet.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import { createFarmer, createProduct } from './helpers/fixtures.js';
+
+const csvFile = (lines) => ({ buffer: Buffer.from(lines.join('\n')) });
+
+const HEADER = 'name,description,category,unit,sku,packSize,packUnit,price,stock,tags';
+
+describe('spreadsheets', () => {
+  const columns = ['name', 'price', 'tags'];
+  const records = [{ name: 'Tomatoes', price: 40, tags: 'local; fresh' }, { name: 'Okra', price: 60 }];
+
+  it('reads back a CSV it wrote', async () => {
+    const { body } = await writeSpreadsheet('csv', columns, records);
+
+    const sheet = await readSpreadsheet(Buffer.from(body));
+
+    assert.equal(sheet.format, 'csv');
+    assert.deepEqual(sheet.columns, columns);
+    assert.deepEqual(sheet.records.map(record => record.values), [
+      { name: 'Tomatoes', price: '40', tags: 'local; fresh' },
+      { name: 'Okra', price: '60', tags: undefined }
+    ]);
+  });
+
+  it('tells an XLSX workbook from CSV by its contents and reads it by row number', async () => {
+    const { body, extension } = await writeSpreadsheet('xlsx', columns, records, 'Products');
+
+    const sheet = await readSpreadsheet(body);
+
+    assert.equal(extension, 'xlsx');
+    assert.equal(sheet.format, 'xlsx');
+    assert.deepEqual(sheet.columns, columns);
+    assert.deepEqual(sheet.records.map(({ line, values }) => [line, values.name, values.price]), [
+      [2, 'Tomatoes', '40'],
+      [3, 'Okra', '60']
+    ]);
+  });
+});
+
+describe('bulk file checks', () => {
+  const farmerId = new mongoose.Types.ObjectId().toString();
+
+  it('needs a header row and at least one row', async () => {
+    await assert.rejects(importProducts(farmerId, csvFile([HEADER])), { code: 'INVALID_SPREADSHEET' });
+  });
+
+  it('needs a name column to import and a sku or productId column to update', async () => {
+    const file = csvFile(['title,price', 'Tomatoes,40']);
+
+    await assert.rejects(importProducts(farmerId, file), { code: 'INVALID_SPREADSHEET', message: /name column/ });
+    await assert.rejects(updateProducts(farmerId, file), { code: 'INVALID_SPREADSHEET', message: /sku or productId/ });
+  });
+});
+
+describe('bulk products', { skip: skipDatabase }, () => {
+  let farmer;
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    farmer = await createFarmer();
+  });
+
+  const importFile = (lines, options) => importProducts(farmer._id.toString(), csvFile([HEADER, ...lines]), options);
+
+  it('reports what it would create on a dry run and creates nothing', async () => {
+    const report = await importFile([
+      'Tomatoes,Vine-ripened tomatoes,Vegetables,kg,,,,40,25,local;fresh'
+    ], { dryRun: true });
+
+    assert.deepEqual(report.products, [{ line: 2, name: 'Tomatoes', packs: 0 }]);
+    assert.deepEqual(report.errors, []);
+    assert.equal(await Product.countDocuments(), 0);
+  });
+
+  it('creates products waiting for approval, rows with the same name as one product\'s packs', async () => {
+    const report = await importFile([
+      'Tomatoes,Vine-ripened tomatoes,vegetables,kg,,,,40,25,local;fresh',
+      'Basmati rice,Aged long-grain basmati,grains,kg,RICE-500G,500,gram,65,30,',
+      'Basmati rice,Aged long-grain basmati,grains,kg,RICE-5KG,5,kg,580,8,'
+    ]);
+
+    assert.equal(report.products.length, 2);
+    const rice = await Product.findById(report.products[1]._id);
+    assert.equal(rice.isApproved, false);
+    assert.deepEqual(rice.variants.map(variant => [variant.sku, variant.price, variant.stock]), [
+      ['RICE-500G', 65, 30],
+      ['RICE-5KG', 580, 8]
+    ]);
+    const tomatoes = await Product.findById(report.products[0]._id);
+    assert.deepEqual(tomatoes.tags, ['local', 'fresh']);
+    assert.ok(await PriceHistory.countDocuments({ product: rice._id }) >= 2);
+  });
+
+  it('reports every problem by line and column and imports nothing', async () => {
+    await createProduct(farmer, { name: 'Okra' });
+
+    await assert.rejects(importFile([
+      'Okra,Tender green okra,vegetables,kg,,,,60,10,',
+      'Carrots,Short,vegetables,kg,,,,-5,10,',
+      'Rice,Aged long-grain basmati,grains,kg,RICE-1KG,1,kg,120,5,',
+      'Beans,Fresh french beans,vegetables,kg,RICE-1KG,1,kg,90,5,'
+    ]), (error) => {
+      assert.equal(error.code, 'INVALID_IMPORT');
+      assert.deepEqual(error.details.map(({ line, field }) => [line, field]), [
+        [2, 'name'],
+        [3, 'description'],
+        [3, 'price'],
+        [5, 'sku']
+      ]);
+      return true;
+    });
+    assert.equal(await Product.countDocuments(), 1);
+  });
+
+  it('refuses SKUs another product already uses', async () => {
+    const other = await createFarmer();
+    await createProduct(other, {
+      name: 'Rice',
+      variants: [{ sku: 'RICE-1KG', packSize: 1, packUnit: 'kg', price: 110, stock: 4 }]
+    });
+
+    const report = await importFile(['Rice,Aged long-grain basmati,grains,kg,rice-1kg,1,kg,120,5,'], { dryRun: true });
+
+    assert.deepEqual(report.products, []);
+    assert.deepEqual(report.errors.map(({ line, field }) => [line, field]), [[2, 'sku']]);
+  });
+
+  it('updates prices and stock by SKU or product ID, reporting what changed', async () => {
+    const tomatoes = await createProduct(farmer, { price: 40, stock: 10 });
+    const rice = await createProduct(farmer, {
+      name: 'Rice',
+      variants: [{ sku: 'RICE-1KG', packSize: 1, packUnit: 'kg', price: 110, stock: 4 }]
+    });
+
+    const report = await updateProducts(farmer._id.toString(), csvFile([
+      'productId,sku,price,stock,isAvailable',
+      `${tomatoes.id},,45,10,`,
+      ',rice-1kg,,12,no'
+    ]));
+
+    assert.deepEqual(report.changes.map(({ line, price, stock, isAvailable }) => [line, price, stock, isAvailable]), [
+      [2, { from: 40, to: 45 }, undefined, undefined],
+      [3, undefined, { from: 4, to: 12 }, { from: true, to: false }]
+    ]);
+    assert.equal((await Product.findById(tomatoes._id)).price, 45);
+    const [variant] = (await Product.findById(rice._id)).variants;
+    assert.deepEqual([variant.stock, variant.isAvailable], [12, false]);
+  });
+
+  it('changes nothing when a row is for a product the farmer does not have', async () => {
+    const tomatoes = await createProduct(farmer, { price: 40 });
+    const theirs = await createProduct(await createFarmer(), { name: 'Okra' });
+
+    await assert.rejects(updateProducts(farmer._id.toString(), csvFile([
+      'productId,price',
+      `${tomatoes.id},45`,
+      `${theirs.id},70`
+    ])), {
+      code: 'INVALID_IMPORT',
+      details: [{ line: 3, field: 'productId', message: `Product ${theirs.id} is not in your catalog` }]
+    });
+
+    assert.equal((await Product.findById(tomatoes._id)).price, 40);
+  });
+
+  it('exports a catalog that updates back unchanged', async () => {
+    await createProduct(farmer, { price: 40 });
+    await createProduct(farmer, {
+      name: 'Rice',
+      variants: [{ sku: 'RICE-1KG', packSize: 1, packUnit: 'kg', price: 110, stock: 4 }]
+    });
+
+    const exported = await exportProducts(farmer._id.toString(), 'xlsx');
+    const report = await updateProducts(farmer._id.toString(), { buffer: exported.body });
+
+    assert.equal(report.rows, 2);
+    assert.deepEqual(report.changes, []);
+    assert.deepEqual(report.errors, []);
+  });
+});
@@ -0,0 +1,131 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import DeliveryRateCard from '../models/DeliveryRateCard.js';
+import { DEFAULT_RATE_CARDS } from '../config/deliveryRates.js';
+import { EARTH_RADIUS_KM } from '../config/geo.js';
+import {
+  distanceKm,
+  getItemWeightKg,
+  invalidateRateCardCache,
+  priceDelivery,
+  quoteDelivery,
+  resolveRateCard
+} from '../services/deliveryService.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+
+const cards = DEFAULT_RATE_CARDS.map(card => ({ ...card, isActive: true }));
+const metro = cards.find(card => card.zone === 'metro');
+
+describe('resolveRateCard', () => {
+  it('matches the longest pincode prefix', () => {
+    assert.equal(resolveRateCard('560001', cards).zone, 'metro');
+    assert.equal(resolveRateCard('744101', cards).zone, 'remote');
+  });
+
+  it('falls back to the default zone', () => {
+    assert.equal(resolveRateCard('302001', cards).zone, 'default');
+  });
+
+  it('prefers the zone the serviceability registry assigns', () => {
+    assert.equal(resolveRateCard('560001', cards, 'remote').zone, 'remote');
+  });
+
+  it('skips inactive cards', () => {
+    const withInactive = cards.map(card => (card.zone === 'metro' ? { ...card, isActive: false } : card));
+
+    assert.equal(resolveRateCard('560001', withInactive).zone, 'default');
+  });
+});
+
+describe('delivery weights and distances', () => {
+  it('weighs items by their unit', () => {
+    assert.equal(getItemWeightKg('dozen', 2), 3);
+    assert.equal(getItemWeightKg('gram', 500), 0.5);
+    assert.equal(getItemWeightKg('crate', 2), 2);
+  });
+
+  it('measures great-circle distance', () => {
+    const oneDegree = EARTH_RADIUS_KM * Math.PI / 180;
+
+    assert.ok(Math.abs(distanceKm([77.59, 12], [77.59, 13]) - oneDegree) < 1e-9);
+  });
+});
+
+describe('priceDelivery', () => {
+  const [near, far] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  const farmers = new Map([
+    [near.toString(), { farmPincode: '560001' }],
+    [far.toString(), { farmPincode: '560100' }]
+  ]);
+  const deliveryAddress = { pincode: '560001' };
+  const items = (subtotal) => [
+    { farmer: near, unit: 'dozen', quantity: 2, subtotal: subtotal / 2 },
+    { farmer: far, unit: 'kg', quantity: 4, subtotal: subtotal / 4 },
+    { farmer: far, unit: 'gram', quantity: 500, packSize: 8, subtotal: subtotal / 4 }
+  ];
+
+  it('charges each farmer shipment on its own distance and weight', () => {
+    const quote = priceDelivery(metro, { items: items(300), deliveryAddress, farmers });
+
+    // Same pincode: base only. Elsewhere: 20 km fallback and 8 kg
+    assert.deepEqual(quote.shipments.map(s => [s.distanceKm, s.weightKg, s.charge]), [
+      [0, 3, 30],
+      [20, 8, 57]
+    ]);
+    assert.equal(quote.total, 87);
+    assert.equal(quote.freeDelivery, false);
+    assert.equal(quote.amountToFreeDelivery, 199);
+  });
+
+  it('ships free once the subtotal reaches the threshold', () => {
+    const quote = priceDelivery(metro, { items: items(499), deliveryAddress, farmers });
+
+    assert.equal(quote.freeDelivery, true);
+    assert.equal(quote.total, 0);
+    assert.equal(quote.amountToFreeDelivery, null);
+  });
+
+  it('never ships free in zones without a threshold', () => {
+    const remote = cards.find(card => card.zone === 'remote');
+    const quote = priceDelivery(remote, { items: items(10000), deliveryAddress, farmers });
+
+    assert.equal(quote.freeDelivery, false);
+    assert.equal(quote.amountToFreeDelivery, null);
+    assert.ok(quote.total > 0);
+  });
+});
+
+describe('quoteDelivery', { skip: skipDatabase }, () => {
+  const farmer = new mongoose.Types.ObjectId();
+  const quote = () => quoteDelivery({
+    items: [{ farmer, unit: 'kg', quantity: 1, subtotal: 100 }],
+    deliveryAddress: { pincode: '560001' },
+    farmers: new Map([[farmer.toString(), { farmPincode: '560001' }]])
+  });
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    invalidateRateCardCache();
+  });
+
+  it('uses the default rate cards until an admin stores one', async () => {
+    assert.equal((await quote()).total, metro.baseCharge);
+
+    await DeliveryRateCard.create({ zone: 'metro', pincodePrefixes: ['560'], baseCharge: 15 });
+    invalidateRateCardCache();
+
+    assert.equal((await quote()).total, 15);
+  });
+
+  it('stops using a stored card once it is deactivated', async () => {
+    await DeliveryRateCard.create({ zone: 'metro', pincodePrefixes: ['560'], baseCharge: 15, isActive: false });
+
+    const result = await quote();
+
+    assert.equal(result.zone, 'default');
+  });
+});
@@ -0,0 +1,69 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { buildFacetConditions, getProductFacets } from '../services/facetService.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import { createFarmer, createProduct } from './helpers/fixtures.js';
+
+describe('buildFacetConditions', () => {
+  it('keys each filter by the facet it narrows', () => {
+    const farmer = new mongoose.Types.ObjectId().toString();
+
+    const conditions = buildFacetConditions({ category: 'fruits', isOrganic: false, inStock: true, farmer });
+
+    assert.deepEqual(Object.keys(conditions), ['category', 'organic', 'inStock', 'farmer']);
+    assert.deepEqual(conditions.organic, { isOrganic: false });
+    assert.deepEqual(conditions.inStock, { stock: { $gt: 0 } });
+    assert.equal(conditions.farmer.farmer.toString(), farmer);
+  });
+
+  it('matches products with pack sizes on any available pack in the price range', () => {
+    const { price } = buildFacetConditions({ price_min: 50 });
+
+    assert.deepEqual(price.$or, [
+      { 'variants.0': { $exists: false }, price: { $gte: 50 } },
+      { variants: { $elemMatch: { price: { $gte: 50 }, isAvailable: true } } }
+    ]);
+  });
+
+  it('adds nothing without filters', () => {
+    assert.deepEqual(buildFacetConditions({}), {});
+  });
+});
+
+describe('getProductFacets', { skip: skipDatabase }, () => {
+  let farmers;
+  const listed = { isApproved: true, isAvailable: true };
+
+  before(async () => {
+    await startDatabase();
+    await clearDatabase();
+    farmers = await Promise.all([createFarmer({ name: 'Ravi' }), createFarmer({ name: 'Meena' })]);
+    await createProduct(farmers[0], { name: 'Tomatoes', price: 40, isOrganic: true, qualityGrade: 'A' });
+    await createProduct(farmers[0], { name: 'Okra', price: 60, qualityGrade: 'B' });
+    await createProduct(farmers[1], { name: 'Mangoes', category: 'fruits', price: 300, isOrganic: true });
+    await createProduct(farmers[1], { name: 'Saffron', category: 'spices', price: 1500, isApproved: false });
+  });
+  after(stopDatabase);
+
+  it('counts listed products by every facet', async () => {
+    const facets = await getProductFacets(listed, {});
+
+    assert.deepEqual(facets.category, [{ value: 'vegetables', count: 2 }, { value: 'fruits', count: 1 }]);
+    assert.deepEqual(facets.organic, [{ value: true, count: 2 }, { value: false, count: 1 }]);
+    assert.deepEqual(facets.price.map(bucket => bucket.count), [1, 1, 0, 1, 0, 0]);
+    assert.deepEqual(facets.price[5], { min: 1000, max: null, count: 0 });
+    assert.deepEqual(facets.qualityGrade, [{ value: 'A', count: 1 }, { value: 'B', count: 1 }]);
+    assert.deepEqual(facets.farmer.map(({ name, count }) => [name, count]), [['Ravi', 2], ['Meena', 1]]);
+  });
+
+  it('counts each facet under the other filters but not its own', async () => {
+    const facets = await getProductFacets(listed, buildFacetConditions({ category: 'fruits', isOrganic: true }));
+
+    // Other categories still show their organic products
+    assert.deepEqual(facets.category, [{ value: 'fruits', count: 1 }, { value: 'vegetables', count: 1 }]);
+    // Organic is counted within fruits only
+    assert.deepEqual(facets.organic, [{ value: true, count: 1 }, { value: false, count: 0 }]);
+    assert.deepEqual(facets.farmer.map(({ name }) => name), ['Meena']);
+  });
+});
@@ -0,0 +1,192 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import Product from '../models/Product.js';
+import { buildFulfillments } from '../services/orderService.js';
+import { transitionOrder } from '../services/orderStateMachine.js';
+import { getProvider } from '../services/payments/providers/index.js';
+import { confirmPayment, createPaymentForOrder, getAmountDue } from '../services/payments/paymentService.js';
+import { requestReturn } from '../services/returnService.js';
+import { creditWallet, getWalletBalance } from '../services/walletService.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import {
+  createCustomer,
+  createFarmer,
+  createPincode,
+  createProduct,
+  fillCart,
+  checkout
+} from './helpers/fixtures.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+describe('buildFulfillments', () => {
+  const farmers = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+  const items = [
+    { farmer: farmers[0], subtotal: 100 },
+    { farmer: farmers[1], subtotal: 50 },
+    { farmer: farmers[0], subtotal: 20 },
+    { farmer: farmers[2], subtotal: 30 }
+  ];
+
+  it('makes one pending fulfillment per farmer with their subtotal', () => {
+    const fulfillments = buildFulfillments(items, 0);
+
+    assert.deepEqual(fulfillments.map(f => [f.farmer, f.subtotal, f.status]), [
+      [farmers[0], 120, 'pending'],
+      [farmers[1], 50, 'pending'],
+      [farmers[2], 30, 'pending']
+    ]);
+  });
+
+  it('splits delivery evenly, the first farmer taking the rounding remainder', () => {
+    const charges = buildFulfillments(items, 100).map(f => f.deliveryCharges);
+
+    assert.deepEqual(charges, [33.34, 33.33, 33.33]);
+  });
+
+  it('charges each farmer their own shipment when given the charges', () => {
+    const farmerCharges = new Map([[farmers[0].toString(), 40], [farmers[2].toString(), 25]]);
+
+    const charges = buildFulfillments(items, 65, new Date(), farmerCharges).map(f => f.deliveryCharges);
+
+    assert.deepEqual(charges, [40, 0, 25]);
+  });
+});
+
+describe('fulfillments', { skip: skipDatabase }, () => {
+  let customer;
+  let farmers;
+  let products;
+
+  const asFarmer = (farmer) => ({
+    actor: { id: farmer._id.toString(), role: 'farmer' },
+    farmer: farmer._id.toString()
+  });
+  const stockOf = async (product) => (await Product.findById(product._id)).stock;
+
+  // An order with one line from each of two farmers
+  const placeOrder = async (details) => {
+    await fillCart(customer, products.map(product => ({ product, quantity: 2 })));
+    return (await checkout(customer, details)).order;
+  };
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createPincode();
+    customer = await createCustomer();
+    farmers = await Promise.all([createFarmer(), createFarmer()]);
+    products = await Promise.all(farmers.map(farmer => createProduct(farmer, { stock: 10 })));
+  });
+
+  it('splits an order into one fulfillment per farmer adding up to the order', async () => {
+    const order = await placeOrder();
+
+    assert.equal(order.fulfillments.length, 2);
+    assert.equal(roundMoney(order.fulfillments.reduce((sum, f) => sum + f.subtotal, 0)), order.subtotal);
+    assert.equal(roundMoney(order.fulfillments.reduce((sum, f) => sum + f.deliveryCharges, 0)), order.deliveryCharges);
+  });
+
+  it('derives the order status from the least advanced fulfillment', async () => {
+    const order = await placeOrder();
+
+    await transitionOrder(order._id, 'accepted', asFarmer(farmers[0]));
+    assert.equal((await Order.findById(order._id)).status, 'pending');
+
+    await transitionOrder(order._id, 'accepted', asFarmer(farmers[1]));
+    assert.equal((await Order.findById(order._id)).status, 'accepted');
+  });
+
+  it('rejects the order once every farmer has rejected their part', async () => {
+    const order = await placeOrder();
+
+    await transitionOrder(order._id, 'rejected', asFarmer(farmers[0]));
+    await transitionOrder(order._id, 'rejected', asFarmer(farmers[1]));
+
+    assert.equal((await Order.findById(order._id)).status, 'rejected');
+  });
+
+  it('takes a rejected part off the order and refunds it to the wallet while the rest goes ahead', async () => {
+    await creditWallet({ customerId: customer._id, type: 'cashback', amount: 1000, description: 'Welcome' });
+    const order = await placeOrder({ paymentMethod: 'wallet' });
+    const [rejecting, accepting] = farmers;
+
+    await transitionOrder(order._id, 'rejected', { ...asFarmer(rejecting), reason: 'Crop failed' });
+
+    const updated = await Order.findById(order._id);
+    const dropped = updated.getFulfillment(rejecting._id);
+    assert.equal(updated.status, 'pending');
+    assert.equal(updated.getFulfillment(accepting._id).status, 'pending');
+    assert.equal(dropped.status, 'rejected');
+    assert.ok(dropped.cancelledAmount > 0);
+    assert.equal(updated.refundAmount, dropped.cancelledAmount);
+    assert.equal(updated.paymentStatus, 'partially-refunded');
+    assert.equal((await getWalletBalance(customer._id)).balance,
+      roundMoney(1000 - order.total + dropped.cancelledAmount));
+    assert.equal(await stockOf(products[0]), 10);
+    assert.equal(await stockOf(products[1]), 8);
+  });
+
+  it('refunds only the rejected part of an order paid through the provider', async () => {
+    const order = await placeOrder({ paymentMethod: 'card' });
+    const { payment } = await createPaymentForOrder(order);
+    await confirmPayment(order, payment.intentId, getProvider('mock').signConfirmation(payment.intentId));
+
+    await transitionOrder(order._id, 'rejected', asFarmer(farmers[0]));
+
+    const refunded = await Payment.findById(payment._id);
+    const updated = await Order.findById(order._id);
+    const dropped = updated.getFulfillment(farmers[0]._id);
+    assert.ok(dropped.cancelledAmount > 0 && dropped.cancelledAmount < order.total);
+    assert.equal(refunded.status, 'partially-refunded');
+    assert.equal(refunded.refundedAmount, dropped.cancelledAmount);
+    assert.equal(updated.paymentStatus, 'partially-refunded');
+  });
+
+  it('asks an unpaid order only for the parts still going ahead', async () => {
+    const order = await placeOrder({ paymentMethod: 'card' });
+
+    await transitionOrder(order._id, 'cancelled', {
+      actor: { id: new mongoose.Types.ObjectId().toString(), role: 'admin' },
+      farmer: farmers[0]._id.toString()
+    });
+
+    const updated = await Order.findById(order._id);
+    const dropped = updated.getFulfillment(farmers[0]._id);
+    assert.equal(updated.refundAmount || 0, 0);
+    assert.equal(getAmountDue(updated), roundMoney(order.total - dropped.cancelledAmount));
+    assert.equal((await createPaymentForOrder(updated)).payment.amount, getAmountDue(updated));
+  });
+
+  it('returns only what the farmers who went ahead delivered', async () => {
+    const order = await placeOrder();
+    const [rejecting, delivering] = farmers;
+    await transitionOrder(order._id, 'rejected', asFarmer(rejecting));
+    for (const status of ['accepted', 'processing', 'shipped', 'delivered']) {
+      await transitionOrder(order._id, status, asFarmer(delivering));
+    }
+    assert.equal((await Order.findById(order._id)).status, 'delivered');
+
+    const returns = await requestReturn({
+      orderId: order._id,
+      customerId: customer._id.toString(),
+      reason: 'Damaged',
+      refundMethod: 'wallet'
+    });
+
+    assert.equal(returns.length, 1);
+    assert.equal(returns[0].farmer.toString(), delivering._id.toString());
+    await assert.rejects(requestReturn({
+      orderId: order._id,
+      customerId: customer._id.toString(),
+      reason: 'Damaged',
+      refundMethod: 'wallet',
+      items: [{ productId: products[0]._id.toString(), quantity: 1 }]
+    }), { code: 'RETURN_QUANTITY_EXCEEDED' });
+  });
+});
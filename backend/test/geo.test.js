@@ -0,0 +1,100 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Pincode from '../models/Pincode.js';
+import Product from '../models/Product.js';
+import {
+  addDistances,
+  findFarmersNear,
+  findProductsNear,
+  resolveCoordinates,
+  syncFarmLocation
+} from '../services/geoService.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import { createFarmer, createProduct } from './helpers/fixtures.js';
+
+// [longitude, latitude]
+const BENGALURU = [77.5946, 12.9716];
+const WHITEFIELD = [77.7500, 12.9698];
+const MYSURU = [76.6394, 12.2958];
+
+describe('addDistances', () => {
+  it('adds the distance to each farm, or null without a location', () => {
+    const [near, unknown] = addDistances([
+      { name: 'Tomatoes', location: { type: 'Point', coordinates: WHITEFIELD } },
+      { name: 'Okra' }
+    ], BENGALURU);
+
+    assert.ok(near.distance > 16 && near.distance < 17.5);
+    assert.equal(unknown.distance, null);
+  });
+});
+
+describe('geo filtering', { skip: skipDatabase }, () => {
+  let city;
+  let country;
+  let products;
+
+  const near = (coordinates, filter = {}) => findProductsNear(coordinates, {
+    filter: { isApproved: true, ...filter },
+    skip: 0,
+    limit: 20,
+    farmerFields: 'name'
+  });
+
+  before(async () => {
+    await startDatabase();
+    await clearDatabase();
+    city = await createFarmer({ name: 'Ravi', farmerDetails: { state: 'Karnataka', farmCoordinates: WHITEFIELD } });
+    country = await createFarmer({ name: 'Meena', farmerDetails: { state: 'Karnataka', farmCoordinates: MYSURU } });
+    products = {
+      tomatoes: await createProduct(city, { name: 'Tomatoes' }),
+      ragi: await createProduct(country, { name: 'Ragi', category: 'grains' }),
+      mangoes: await createProduct(country, { name: 'Mangoes', category: 'fruits', deliveryRadius: 200 })
+    };
+    await syncFarmLocation(city);
+    await syncFarmLocation(country);
+  });
+  after(stopDatabase);
+
+  it('copies the farm location onto the farmer\'s products', async () => {
+    const ragi = await Product.findById(products.ragi._id);
+
+    assert.deepEqual(ragi.location.coordinates, MYSURU);
+  });
+
+  it('lists only products whose delivery radius reaches the customer, nearest first', async () => {
+    const { products: found, total } = await near(BENGALURU);
+
+    assert.equal(total, 2);
+    assert.deepEqual(found.map(product => product.name), ['Tomatoes', 'Mangoes']);
+    assert.equal(found[0].farmer.name, 'Ravi');
+    assert.ok(found[1].distance > 100 && found[1].distance < 200);
+  });
+
+  it('applies the listing filter too', async () => {
+    const { products: found } = await near(BENGALURU, { category: 'fruits' });
+
+    assert.deepEqual(found.map(product => product.name), ['Mangoes']);
+  });
+
+  it('finds farmers within a radius', async () => {
+    const farmers = await findFarmersNear(BENGALURU, { radiusKm: 50 });
+
+    assert.deepEqual(farmers.map(farmer => farmer.name), ['Ravi']);
+    assert.ok(farmers[0].distance > 16 && farmers[0].distance < 17.5);
+  });
+
+  it('browses from a pincode\'s centre when no coordinates are given', async () => {
+    await Pincode.create({
+      pincode: '560066',
+      city: 'Bengaluru',
+      state: 'Karnataka',
+      location: { type: 'Point', coordinates: WHITEFIELD }
+    });
+
+    assert.deepEqual(await resolveCoordinates({ pincode: '560066' }), WHITEFIELD);
+    assert.deepEqual(await resolveCoordinates({ lat: 12.97, lng: 77.59, pincode: '560066' }), [77.59, 12.97]);
+    assert.equal(await resolveCoordinates({}), null);
+    await assert.rejects(resolveCoordinates({ pincode: '999999' }), { code: 'PINCODE_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server-core';
+
+// Orders, refunds and wallet movements run in transactions, so the database
+// tests need a replica set. Nothing is downloaded: set MONGODB_TEST_URI to a
+// replica set, or MONGOMS_SYSTEM_BINARY to a mongod (4.4 or later) to start a
+// single-member set in memory. Without either the database suites are
+// skipped, with this reason.
+const skipDatabase = process.env.MONGODB_TEST_URI || process.env.MONGOMS_SYSTEM_BINARY
+  ? false
+  : 'no database: set MONGODB_TEST_URI (a replica set) or MONGOMS_SYSTEM_BINARY (a mongod binary)';
+
+// The offline payment provider, with secrets of its own
+process.env.NODE_ENV = 'test';
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.MOCK_PAYMENT_SECRET = 'test-payment-secret';
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+let replSet = null;
+
+/**
+ * Connect mongoose to a fresh test database and create every registered
+ * model's collection and indexes (transactions cannot create them, and the
+ * unique indexes are part of what is tested)
+ */
+const startDatabase = async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    replSet = await MongoMemoryReplSet.create({
+      binary: { systemBinary: process.env.MONGOMS_SYSTEM_BINARY },
+      replSet: { count: 1, storageEngine: 'wiredTiger' }
+    });
+    uri = replSet.getUri();
+  }
+
+  await mongoose.connect(uri, { dbName: `farmtohome-test-${process.pid}` });
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+/**
+ * Drop the test database and disconnect
+ */
+const stopDatabase = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+  if (replSet) {
+    await replSet.stop();
+    replSet = null;
+  }
+};
+
+/**
+ * Empty every collection, keeping the indexes
+ */
+const clearDatabase = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+};
+
+export {
+  skipDatabase,
+  startDatabase,
+  stopDatabase,
+  clearDatabase
+};
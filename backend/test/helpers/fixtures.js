@@ -0,0 +1,99 @@
+import Cart from '../../models/Cart.js';
+import Pincode from '../../models/Pincode.js';
+import Product from '../../models/Product.js';
+import User from '../../models/User.js';
+import { placeOrderFromCart } from '../../services/orderService.js';
+
+// Documents the tests build orders from. Everyone is in Karnataka, so
+// orders carry CGST + SGST, and deliveries go to a pincode we serve.
+
+const PINCODE = '560001';
+
+const ADDRESS = {
+  name: 'Asha Rao',
+  phone: '9876543210',
+  street: '12 MG Road',
+  city: 'Bengaluru',
+  state: 'Karnataka',
+  pincode: PINCODE
+};
+
+let sequence = 0;
+
+const createUser = (role, overrides = {}) => {
+  sequence += 1;
+  return User.create({
+    name: `${role} ${sequence}`,
+    email: `${role}${sequence}@example.com`,
+    password: 'not-a-real-hash',
+    role,
+    ...overrides
+  });
+};
+
+const createCustomer = (overrides) => createUser('customer', overrides);
+
+const createFarmer = (overrides) => createUser('farmer', {
+  farmerDetails: { state: 'Karnataka', farmPincode: PINCODE },
+  ...overrides
+});
+
+// Serve the test pincode, cash on delivery included
+const createPincode = () => Pincode.create({
+  pincode: PINCODE,
+  city: 'Bengaluru',
+  state: 'Karnataka',
+  isCodAvailable: true
+});
+
+// An approved product sold by the kg
+const createProduct = (farmer, overrides = {}) => Product.create({
+  name: 'Tomatoes',
+  description: 'Vine-ripened tomatoes',
+  price: 40,
+  category: 'vegetables',
+  farmer: farmer._id,
+  stock: 10,
+  unit: 'kg',
+  isApproved: true,
+  ...overrides
+});
+
+/**
+ * Put lines in a customer's cart at the products' current prices
+ * @param {Object} customer - Customer
+ * @param {Object[]} lines - [{ product, quantity }]
+ * @param {String} couponCode - Optional coupon
+ * @returns {Promise<Object>} Cart
+ */
+const fillCart = (customer, lines, couponCode) => Cart.findOneAndUpdate(
+  { customer: customer._id },
+  {
+    items: lines.map(({ product, quantity }) => ({ product: product._id, quantity, price: product.price })),
+    couponCode
+  },
+  { new: true, upsert: true }
+);
+
+/**
+ * Check out a customer's cart to the test address
+ * @param {Object} customer - Customer
+ * @param {Object} details - Overrides, e.g. paymentMethod, walletAmount, idempotencyKey
+ * @returns {Promise<{order: Object, replayed: Boolean}>}
+ */
+const checkout = (customer, details = {}) => placeOrderFromCart({
+  customerId: customer._id.toString(),
+  deliveryAddress: ADDRESS,
+  paymentMethod: 'cod',
+  ...details
+});
+
+export {
+  ADDRESS,
+  createCustomer,
+  createFarmer,
+  createPincode,
+  createProduct,
+  fillCart,
+  checkout
+};
@@ -0,0 +1,113 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { assertTransition, getAllowedTransitions, transitionOrder } from '../services/orderStateMachine.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import {
+  createCustomer,
+  createFarmer,
+  createPincode,
+  createProduct,
+  fillCart,
+  checkout
+} from './helpers/fixtures.js';
+
+describe('order transitions', () => {
+  it('lists the moves each role may make', () => {
+    assert.deepEqual(getAllowedTransitions('pending', 'farmer'), ['accepted', 'rejected']);
+    assert.deepEqual(getAllowedTransitions('pending', 'customer'), ['cancelled']);
+    assert.deepEqual(getAllowedTransitions('processing', 'customer'), []);
+    assert.deepEqual(getAllowedTransitions('delivered', 'admin'), []);
+  });
+
+  it('allows legal moves by permitted roles', () => {
+    assert.doesNotThrow(() => assertTransition('pending', 'accepted', 'farmer'));
+    assert.doesNotThrow(() => assertTransition('processing', 'cancelled', 'admin'));
+  });
+
+  it('refuses moves the table does not have', () => {
+    assert.throws(() => assertTransition('delivered', 'cancelled', 'admin'), { code: 'INVALID_TRANSITION', status: 409 });
+    assert.throws(() => assertTransition('pending', 'shipped', 'farmer'), { code: 'INVALID_TRANSITION' });
+  });
+
+  it('refuses moves the role may not make', () => {
+    assert.throws(() => assertTransition('processing', 'cancelled', 'customer'), { code: 'TRANSITION_FORBIDDEN', status: 403 });
+    assert.throws(() => assertTransition('pending', 'accepted', 'customer'), { code: 'TRANSITION_FORBIDDEN' });
+  });
+});
+
+describe('transitionOrder', { skip: skipDatabase }, () => {
+  let customer;
+  let farmers;
+  let products;
+
+  const actor = (user) => ({ id: user._id.toString(), role: user.role });
+  const asFarmer = (farmer) => ({ actor: actor(farmer), farmer: farmer._id.toString() });
+  const stockOf = async (product) => (await Product.findById(product._id)).stock;
+
+  // An order with one line from each of two farmers
+  const placeOrder = async (details) => {
+    await fillCart(customer, products.map(product => ({ product, quantity: 2 })));
+    return (await checkout(customer, details)).order;
+  };
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createPincode();
+    customer = await createCustomer();
+    farmers = await Promise.all([createFarmer(), createFarmer()]);
+    products = await Promise.all(farmers.map(farmer => createProduct(farmer, { stock: 10 })));
+  });
+
+  it('moves a fulfillment to delivered step by step', async () => {
+    const order = await placeOrder();
+    const [farmer] = farmers;
+
+    for (const status of ['accepted', 'processing', 'shipped', 'delivered']) {
+      await transitionOrder(order._id, status, asFarmer(farmer));
+    }
+
+    const updated = await Order.findById(order._id);
+    const fulfillment = updated.getFulfillment(farmer._id);
+    assert.equal(fulfillment.status, 'delivered');
+    assert.deepEqual(fulfillment.statusHistory.map(entry => entry.status),
+      ['pending', 'accepted', 'processing', 'shipped', 'delivered']);
+    assert.ok(fulfillment.actualDeliveryDate);
+    // The other farmer has not moved, so neither has the order
+    assert.equal(updated.status, 'pending');
+  });
+
+  it('refuses skipped steps and moves out of terminal statuses', async () => {
+    const order = await placeOrder();
+    const [farmer] = farmers;
+
+    await assert.rejects(transitionOrder(order._id, 'shipped', asFarmer(farmer)), { code: 'INVALID_TRANSITION' });
+
+    await transitionOrder(order._id, 'rejected', asFarmer(farmer));
+    await assert.rejects(transitionOrder(order._id, 'accepted', asFarmer(farmer)), { code: 'INVALID_TRANSITION' });
+  });
+
+  it('refuses farmers with no part in the order', async () => {
+    const order = await placeOrder();
+    const stranger = await createFarmer();
+
+    await assert.rejects(transitionOrder(order._id, 'accepted', asFarmer(stranger)), { code: 'FULFILLMENT_NOT_FOUND' });
+  });
+
+  it('restocks everything when the customer cancels the whole order', async () => {
+    const order = await placeOrder();
+
+    await transitionOrder(order._id, 'cancelled', { actor: actor(customer), reason: 'Changed my mind' });
+
+    const updated = await Order.findById(order._id);
+    assert.equal(updated.status, 'cancelled');
+    assert.equal(updated.cancellationReason, 'Changed my mind');
+    assert.ok(updated.fulfillments.every(fulfillment => fulfillment.status === 'cancelled'));
+    assert.equal(await stockOf(products[0]), 10);
+    assert.equal(await stockOf(products[1]), 10);
+  });
+});
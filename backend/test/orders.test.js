@@ -0,0 +1,134 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import {
+  createCustomer,
+  createFarmer,
+  createPincode,
+  createProduct,
+  fillCart,
+  checkout
+} from './helpers/fixtures.js';
+
+const stockOf = async (product) => (await Product.findById(product._id)).stock;
+
+describe('placeOrderFromCart', { skip: skipDatabase }, () => {
+  let farmer;
+  let product;
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createPincode();
+    farmer = await createFarmer();
+    product = await createProduct(farmer, { stock: 10 });
+  });
+
+  it('takes the ordered quantity out of stock and empties the cart', async () => {
+    const customer = await createCustomer();
+    await fillCart(customer, [{ product, quantity: 3 }]);
+
+    const { order, replayed } = await checkout(customer);
+
+    assert.equal(replayed, false);
+    assert.equal(order.status, 'pending');
+    assert.equal(order.items[0].quantity, 3);
+    assert.equal(order.fulfillments.length, 1);
+    assert.equal(await stockOf(product), 7);
+    assert.equal((await Cart.findOne({ customer: customer._id })).items.length, 0);
+  });
+
+  it('refuses an empty cart', async () => {
+    const customer = await createCustomer();
+    await fillCart(customer, []);
+
+    await assert.rejects(checkout(customer), { code: 'EMPTY_CART' });
+  });
+
+  it('sells the last units to only one of two concurrent checkouts', async () => {
+    await Product.updateOne({ _id: product._id }, { stock: 5 });
+    const [first, second] = await Promise.all([createCustomer(), createCustomer()]);
+    await fillCart(first, [{ product, quantity: 4 }]);
+    await fillCart(second, [{ product, quantity: 4 }]);
+
+    const results = await Promise.allSettled([checkout(first), checkout(second)]);
+
+    const placed = results.filter(result => result.status === 'fulfilled');
+    const refused = results.filter(result => result.status === 'rejected');
+    assert.equal(placed.length, 1);
+    assert.equal(refused.length, 1);
+    assert.equal(refused[0].reason.code, 'INSUFFICIENT_STOCK');
+    assert.equal(await stockOf(product), 1);
+    assert.equal(await Order.countDocuments(), 1);
+  });
+
+  it('never oversells when many customers check out at once', async () => {
+    const customers = await Promise.all([1, 2, 3, 4, 5, 6].map(() => createCustomer()));
+    await Promise.all(customers.map(customer => fillCart(customer, [{ product, quantity: 2 }])));
+
+    const results = await Promise.allSettled(customers.map(customer => checkout(customer)));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 5);
+    assert.equal(await stockOf(product), 0);
+    assert.equal(await Order.countDocuments(), 5);
+  });
+
+  it('writes nothing when one line cannot be filled', async () => {
+    const scarce = await createProduct(farmer, { name: 'Okra', stock: 1 });
+    const customer = await createCustomer();
+    await fillCart(customer, [{ product, quantity: 2 }, { product: scarce, quantity: 3 }]);
+
+    await assert.rejects(checkout(customer), { code: 'INSUFFICIENT_STOCK' });
+
+    assert.equal(await stockOf(product), 10);
+    assert.equal(await stockOf(scarce), 1);
+    assert.equal(await Order.countDocuments(), 0);
+    assert.equal((await Cart.findOne({ customer: customer._id })).items.length, 2);
+  });
+
+  it('returns the original order when a request is replayed with its key', async () => {
+    const customer = await createCustomer();
+    await fillCart(customer, [{ product, quantity: 3 }]);
+
+    const first = await checkout(customer, { idempotencyKey: 'checkout-1' });
+    const replay = await checkout(customer, { idempotencyKey: 'checkout-1' });
+
+    assert.equal(replay.replayed, true);
+    assert.equal(replay.order._id.toString(), first.order._id.toString());
+    assert.equal(await Order.countDocuments(), 1);
+    assert.equal(await stockOf(product), 7);
+  });
+
+  it('places one order for concurrent requests with the same key', async () => {
+    const customer = await createCustomer();
+    await fillCart(customer, [{ product, quantity: 3 }]);
+
+    const results = await Promise.all([
+      checkout(customer, { idempotencyKey: 'checkout-2' }),
+      checkout(customer, { idempotencyKey: 'checkout-2' })
+    ]);
+
+    assert.equal(results[0].order._id.toString(), results[1].order._id.toString());
+    assert.deepEqual(results.map(result => result.replayed).sort(), [false, true]);
+    assert.equal(await Order.countDocuments(), 1);
+    assert.equal(await stockOf(product), 7);
+  });
+
+  it('keeps idempotency keys apart between customers', async () => {
+    const [first, second] = await Promise.all([createCustomer(), createCustomer()]);
+    await fillCart(first, [{ product, quantity: 1 }]);
+    await fillCart(second, [{ product, quantity: 1 }]);
+
+    const a = await checkout(first, { idempotencyKey: 'same-key' });
+    const b = await checkout(second, { idempotencyKey: 'same-key' });
+
+    assert.equal(b.replayed, false);
+    assert.notEqual(a.order._id.toString(), b.order._id.toString());
+    assert.equal(await stockOf(product), 8);
+  });
+});
@@ -0,0 +1,223 @@
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import { getProvider } from '../services/payments/providers/index.js';
+import { signPayload, verifySignature } from '../services/payments/signature.js';
+import { buildMockWebhook } from '../services/payments/webhookSimulator.js';
+import {
+  confirmPayment,
+  createPaymentForOrder,
+  handleWebhook
+} from '../services/payments/paymentService.js';
+import { transitionOrder } from '../services/orderStateMachine.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import {
+  createCustomer,
+  createFarmer,
+  createPincode,
+  createProduct,
+  fillCart,
+  checkout
+} from './helpers/fixtures.js';
+
+const mock = () => getProvider('mock');
+
+const sendWebhook = (type, data, options) => {
+  const { rawBody, headers } = buildMockWebhook(type, data, options);
+  return handleWebhook('mock', Buffer.from(rawBody), headers);
+};
+
+describe('payment provider configuration', () => {
+  const saved = { ...process.env };
+  const unpaidOrder = { _id: 'order-1', paymentMethod: 'card', status: 'pending', paymentStatus: 'pending', total: 100, fulfillments: [] };
+
+  afterEach(() => {
+    process.env.NODE_ENV = saved.NODE_ENV;
+    process.env.PAYMENT_PROVIDER = saved.PAYMENT_PROVIDER;
+    process.env.MOCK_PAYMENT_SECRET = saved.MOCK_PAYMENT_SECRET;
+  });
+
+  it('has no default provider', async () => {
+    delete process.env.PAYMENT_PROVIDER;
+
+    assert.equal(getProvider(), undefined);
+    await assert.rejects(createPaymentForOrder(unpaidOrder), { code: 'PAYMENT_PROVIDER_NOT_CONFIGURED', status: 503 });
+  });
+
+  it('refuses the mock provider without its secrets', async () => {
+    delete process.env.MOCK_PAYMENT_SECRET;
+
+    assert.match(mock().getConfigError(), /MOCK_PAYMENT_SECRET/);
+    await assert.rejects(createPaymentForOrder(unpaidOrder), { code: 'PAYMENT_PROVIDER_NOT_CONFIGURED' });
+  });
+
+  it('refuses the mock provider in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    assert.ok(mock().getConfigError());
+    await assert.rejects(createPaymentForOrder(unpaidOrder), { code: 'PAYMENT_PROVIDER_NOT_CONFIGURED' });
+  });
+});
+
+describe('mock provider', () => {
+  it('verifies only the confirmation signature it issued', async () => {
+    const { intentId } = await mock().createIntent({ orderId: 'order-1', amount: 100, currency: 'INR' });
+
+    assert.equal(await mock().verify({ intentId, signature: mock().signConfirmation(intentId) }), true);
+    assert.equal(await mock().verify({ intentId, signature: mock().signConfirmation('other') }), false);
+    assert.equal(await mock().verify({ intentId, signature: undefined }), false);
+  });
+
+  it('treats the intent and sequence as the refund idempotency key', async () => {
+    const first = await mock().refund({ intentId: 'mock_pay_1', amount: 50, sequence: 1 });
+    const retried = await mock().refund({ intentId: 'mock_pay_1', amount: 50, sequence: 1 });
+    const next = await mock().refund({ intentId: 'mock_pay_1', amount: 20, sequence: 2 });
+
+    assert.equal(retried.refundId, first.refundId);
+    assert.notEqual(next.refundId, first.refundId);
+  });
+
+  it('signs webhooks that verify only unchanged and fresh', () => {
+    const body = JSON.stringify({ id: 'evt_1' });
+    const now = Math.floor(Date.now() / 1000);
+
+    assert.equal(verifySignature(body, signPayload(body, 'secret', now), 'secret'), true);
+    assert.equal(verifySignature(body + ' ', signPayload(body, 'secret', now), 'secret'), false);
+    assert.equal(verifySignature(body, signPayload(body, 'other', now), 'secret'), false);
+    assert.equal(verifySignature(body, signPayload(body, 'secret', now - 600), 'secret'), false);
+  });
+});
+
+describe('order payments', { skip: skipDatabase }, () => {
+  let customer;
+  let product;
+
+  const placeOrder = async () => {
+    await fillCart(customer, [{ product, quantity: 2 }]);
+    return (await checkout(customer, { paymentMethod: 'card' })).order;
+  };
+
+  const pay = async (order) => {
+    const { payment } = await createPaymentForOrder(order);
+    await confirmPayment(order, payment.intentId, mock().signConfirmation(payment.intentId));
+    return Payment.findById(payment._id);
+  };
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createPincode();
+    customer = await createCustomer();
+    product = await createProduct(await createFarmer());
+  });
+
+  it('opens one intent for the amount due and captures it on confirmation', async () => {
+    const order = await placeOrder();
+
+    const opened = await createPaymentForOrder(order);
+    const reopened = await createPaymentForOrder(order);
+    assert.equal(reopened.payment._id.toString(), opened.payment._id.toString());
+    assert.equal(opened.payment.amount, order.total);
+    assert.equal(opened.payment.status, 'created');
+
+    await confirmPayment(order, opened.payment.intentId, mock().signConfirmation(opened.payment.intentId));
+
+    assert.equal((await Payment.findById(opened.payment._id)).status, 'captured');
+    assert.equal((await Order.findById(order._id)).paymentStatus, 'paid');
+    await assert.rejects(createPaymentForOrder(await Order.findById(order._id)), { code: 'ALREADY_PAID' });
+  });
+
+  it('rejects a confirmation with a forged signature', async () => {
+    const order = await placeOrder();
+    const { payment } = await createPaymentForOrder(order);
+
+    await assert.rejects(confirmPayment(order, payment.intentId, 'ab'.repeat(32)), { code: 'INVALID_PAYMENT_SIGNATURE' });
+    assert.equal((await Order.findById(order._id)).paymentStatus, 'pending');
+  });
+
+  it('marks the order failed when the payment is declined', async () => {
+    const order = await placeOrder();
+    const { payment } = await createPaymentForOrder(order, { cardToken: 'tok_declined' });
+
+    await assert.rejects(
+      confirmPayment(order, payment.intentId, mock().signConfirmation(payment.intentId)),
+      { code: 'PAYMENT_FAILED', status: 402 }
+    );
+    assert.equal((await Order.findById(order._id)).paymentStatus, 'failed');
+  });
+
+  it('captures through a webhook once, however often it is delivered', async () => {
+    const order = await placeOrder();
+    const { payment } = await createPaymentForOrder(order);
+
+    assert.deepEqual(await sendWebhook('payment.captured', { intentId: payment.intentId }), { processed: true });
+    assert.deepEqual(await sendWebhook('payment.captured', { intentId: payment.intentId }), { processed: false });
+
+    const stored = await Payment.findById(payment._id);
+    assert.equal(stored.status, 'captured');
+    assert.equal(stored.processedEvents.length, 1);
+    assert.equal((await Order.findById(order._id)).paymentStatus, 'paid');
+  });
+
+  it('does not let a late failure undo a capture', async () => {
+    const order = await placeOrder();
+    const { payment } = await createPaymentForOrder(order);
+
+    await sendWebhook('payment.captured', { intentId: payment.intentId });
+    await sendWebhook('payment.failed', { intentId: payment.intentId, failureReason: 'Timeout' });
+
+    assert.equal((await Payment.findById(payment._id)).status, 'captured');
+    assert.equal((await Order.findById(order._id)).paymentStatus, 'paid');
+  });
+
+  it('rejects webhooks whose signature does not match', async () => {
+    const order = await placeOrder();
+    const { payment } = await createPaymentForOrder(order);
+    const { rawBody, headers } = buildMockWebhook('payment.captured', { intentId: payment.intentId });
+    const tampered = rawBody.replace('payment.captured', 'payment.failed');
+
+    await assert.rejects(handleWebhook('mock', Buffer.from(tampered), headers), { code: 'INVALID_WEBHOOK_SIGNATURE', status: 401 });
+    assert.equal((await Payment.findById(payment._id)).status, 'created');
+  });
+
+  it('refunds a paid order in full through the provider when it is cancelled', async () => {
+    const order = await placeOrder();
+    await pay(order);
+
+    await transitionOrder(order._id, 'cancelled', { actor: { id: customer._id.toString(), role: 'customer' } });
+
+    const payment = await Payment.findOne({ order: order._id });
+    const updated = await Order.findById(order._id);
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.refundedAmount, order.total);
+    assert.equal(payment.refunds.length, 1);
+    assert.equal(updated.paymentStatus, 'refunded');
+    assert.equal(updated.refundAmount, order.total);
+  });
+
+  it('takes no payment for a cancelled order and refunds one captured after it', async () => {
+    const order = await placeOrder();
+    const { payment } = await createPaymentForOrder(order);
+
+    await transitionOrder(order._id, 'cancelled', { actor: { id: customer._id.toString(), role: 'customer' } });
+    const cancelled = await Order.findById(order._id);
+    await assert.rejects(createPaymentForOrder(cancelled), { code: 'ORDER_CLOSED', status: 409 });
+    await assert.rejects(
+      confirmPayment(cancelled, payment.intentId, mock().signConfirmation(payment.intentId)),
+      { code: 'ORDER_CLOSED' }
+    );
+
+    // The customer completed the payment at the provider anyway
+    await sendWebhook('payment.captured', { intentId: payment.intentId });
+
+    const stored = await Payment.findById(payment._id);
+    const updated = await Order.findById(order._id);
+    assert.equal(stored.status, 'refunded');
+    assert.equal(stored.refundedAmount, order.total);
+    assert.equal(updated.paymentStatus, 'refunded');
+    assert.equal(updated.refundAmount, order.total);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { updateRolePermissionsSchema } from '../validations/adminValidation.js';
+
+const grant = (role, permissions) => updateRolePermissionsSchema.safeParse({ params: { role }, body: { permissions } });
+const messages = (result) => result.error.errors.map(error => error.message);
+
+describe('updateRolePermissionsSchema', () => {
+  it('accepts permissions the routes check and wildcards over their resources', () => {
+    assert.equal(grant('farmer', ['order:read', 'wallet:read', 'return:*']).success, true);
+  });
+
+  it('refuses permissions nothing checks', () => {
+    const result = grant('customer', ['order:raed', 'widget:*', 'order']);
+
+    assert.equal(result.success, false);
+    assert.deepEqual(messages(result), [
+      'Unknown permission: order:raed',
+      'Unknown permission: widget:*',
+      'Unknown permission: order'
+    ]);
+  });
+
+  it('grants everything to admins only', () => {
+    assert.equal(grant('admin', ['*']).success, true);
+
+    for (const role of ['customer', 'farmer']) {
+      const result = grant(role, ['cart:read', '*']);
+      assert.equal(result.success, false);
+      assert.deepEqual(result.error.errors.map(error => error.path), [['body', 'permissions', 1]]);
+    }
+  });
+});
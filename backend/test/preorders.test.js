@@ -0,0 +1,157 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import PreOrder from '../models/PreOrder.js';
+import Product from '../models/Product.js';
+import {
+  cancelPreOrder,
+  createPreOrder,
+  isTakingPreOrders,
+  markHarvested
+} from '../services/preorderService.js';
+import { creditWallet, getWalletBalance } from '../services/walletService.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import { ADDRESS, createCustomer, createFarmer, createPincode, createProduct } from './helpers/fixtures.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('isTakingPreOrders', () => {
+  const product = (overrides) => new Product({
+    name: 'Alphonso mangoes',
+    description: 'Ratnagiri Alphonso',
+    price: 100,
+    category: 'fruits',
+    farmer: new mongoose.Types.ObjectId(),
+    unit: 'kg',
+    isApproved: true,
+    harvestDate: new Date(Date.now() + 10 * DAY_MS),
+    preorder: { isEnabled: true, quota: 50 },
+    ...overrides
+  });
+
+  it('takes pre-orders for an approved product with a harvest ahead', () => {
+    assert.equal(isTakingPreOrders(product()), true);
+  });
+
+  it('stops once the harvest date has passed or pre-orders are turned off', () => {
+    assert.equal(isTakingPreOrders(product({ harvestDate: new Date(Date.now() - DAY_MS) })), false);
+    assert.equal(isTakingPreOrders(product({ preorder: { isEnabled: false, quota: 50 } })), false);
+    assert.equal(isTakingPreOrders(product({ isApproved: false })), false);
+  });
+});
+
+describe('pre-orders', { skip: skipDatabase }, () => {
+  let farmer;
+  let product;
+
+  const preorderFor = async (quantity, details = {}) => createPreOrder((await createCustomer())._id, {
+    product: product._id,
+    quantity,
+    deliveryAddress: ADDRESS,
+    paymentMethod: 'cod',
+    ...details
+  });
+  const reload = () => Product.findById(product._id);
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createPincode();
+    farmer = await createFarmer();
+    product = await createProduct(farmer, {
+      name: 'Alphonso mangoes',
+      category: 'fruits',
+      price: 100,
+      stock: 0,
+      harvestDate: new Date(Date.now() + 10 * DAY_MS),
+      preorder: { isEnabled: true, quota: 10 }
+    });
+  });
+
+  it('claims quota without touching live stock', async () => {
+    await preorderFor(4);
+
+    const updated = await reload();
+    assert.equal(updated.preorder.reserved, 4);
+    assert.equal(updated.stock, 0);
+  });
+
+  it('refuses pre-orders beyond the quota', async () => {
+    await preorderFor(8);
+
+    await assert.rejects(preorderFor(3), { code: 'PREORDER_QUOTA_EXCEEDED' });
+    assert.equal((await reload()).preorder.reserved, 8);
+  });
+
+  it('never oversells the quota under concurrent pre-orders', async () => {
+    const results = await Promise.allSettled([1, 2, 3, 4].map(() => preorderFor(3)));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 3);
+    assert.equal((await reload()).preorder.reserved, 9);
+    assert.equal(await PreOrder.countDocuments(), 3);
+  });
+
+  it('gives the quota back when a pre-order is cancelled', async () => {
+    const preorder = await preorderFor(4);
+
+    await cancelPreOrder(preorder, 'Changed my mind');
+
+    assert.equal((await reload()).preorder.reserved, 0);
+    await preorderFor(10);
+  });
+
+  it('takes a deposit from the wallet and refuses one on delivery', async () => {
+    await Product.updateOne({ _id: product._id }, { 'preorder.depositPercentage': 20 });
+    const customer = await createCustomer();
+    await creditWallet({ customerId: customer._id, type: 'cashback', amount: 500, description: 'Cashback' });
+
+    const preorder = await createPreOrder(customer._id, {
+      product: product._id, quantity: 5, deliveryAddress: ADDRESS, paymentMethod: 'wallet'
+    });
+
+    assert.equal(preorder.depositAmount, 100);
+    assert.equal(preorder.depositStatus, 'paid');
+    assert.equal((await getWalletBalance(customer._id)).balance, 400);
+    await assert.rejects(preorderFor(1), { code: 'DEPOSIT_REQUIRES_ONLINE_PAYMENT' });
+  });
+
+  it('converts the pre-orders the harvest covers, oldest first, and stocks the rest', async () => {
+    const first = await preorderFor(4);
+    const second = await preorderFor(5);
+
+    const result = await markHarvested(product._id, farmer._id.toString(), 6);
+
+    assert.equal(result.converted.length, 1);
+    assert.equal(result.failed.length, 1);
+    assert.equal((await PreOrder.findById(first._id)).status, 'converted');
+    assert.equal((await PreOrder.findById(second._id)).status, 'failed');
+    const order = await Order.findOne({ preorder: first._id });
+    assert.equal(order.items[0].quantity, 4);
+    assert.equal(order.items[0].price, 100);
+
+    const updated = await reload();
+    assert.equal(updated.stock, 2);
+    assert.equal(updated.preorder.reserved, 0);
+    assert.equal(updated.preorder.isEnabled, false);
+  });
+
+  it('records a harvest only once', async () => {
+    await preorderFor(4);
+    await markHarvested(product._id, farmer._id.toString(), 6);
+
+    await assert.rejects(markHarvested(product._id, farmer._id.toString(), 6), { code: 'NOT_AWAITING_HARVEST' });
+
+    assert.equal((await reload()).stock, 2);
+    assert.equal(await Order.countDocuments(), 1);
+  });
+
+  it('adds stock for only one of two harvests marked at once', async () => {
+    const results = await Promise.allSettled([1, 2].map(() => markHarvested(product._id, farmer._id.toString(), 6)));
+
+    assert.equal(results.filter(result => result.status === 'rejected').length, 1);
+    assert.equal((await reload()).stock, 6);
+  });
+});
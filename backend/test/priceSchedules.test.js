@@ -0,0 +1,205 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import PriceHistory from '../models/PriceHistory.js';
+import PriceSchedule from '../models/PriceSchedule.js';
+import Product from '../models/Product.js';
+import { getPriceTrend } from '../services/priceHistoryService.js';
+import {
+  cancelPriceSchedule,
+  createPriceSchedule,
+  runDuePriceSchedules
+} from '../services/priceScheduleService.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import { createFarmer, createProduct } from './helpers/fixtures.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const hoursFrom = (time, hours) => new Date(time.getTime() + hours * HOUR_MS);
+
+describe('price schedule checks', () => {
+  const now = new Date('2026-06-01T06:00:00Z');
+  const product = new Product({
+    name: 'Tomatoes',
+    description: 'Vine-ripened tomatoes',
+    price: 40,
+    category: 'vegetables',
+    farmer: new mongoose.Types.ObjectId(),
+    unit: 'kg'
+  });
+
+  it('only schedules changes that start in the future', async () => {
+    await assert.rejects(createPriceSchedule(product, { price: 30, startsAt: now }, now), {
+      code: 'INVALID_PRICE_SCHEDULE', message: /future/
+    });
+  });
+
+  it('schedules at most 90 days ahead', async () => {
+    await assert.rejects(createPriceSchedule(product, { price: 30, startsAt: new Date(now.getTime() + 91 * DAY_MS) }, now), {
+      code: 'INVALID_PRICE_SCHEDULE', message: /90 days/
+    });
+  });
+
+  it('needs a pack size only for products sold in packs', async () => {
+    const variantId = new mongoose.Types.ObjectId().toString();
+
+    await assert.rejects(createPriceSchedule(product, { price: 30, startsAt: hoursFrom(now, 1), variantId }, now), {
+      code: 'VARIANT_NOT_FOUND'
+    });
+  });
+
+  it('cannot cancel a change that has already run', async () => {
+    const schedule = new PriceSchedule({ status: 'completed' });
+
+    await assert.rejects(cancelPriceSchedule(schedule, now), { code: 'PRICE_SCHEDULE_CLOSED' });
+  });
+});
+
+describe('price schedules', { skip: skipDatabase }, () => {
+  let farmer;
+  let product;
+  let now;
+
+  const priceOf = async (target = product) => (await Product.findById(target._id)).price;
+  const schedule = (details, target = product) => createPriceSchedule(target, details, now);
+  const sale = (price, fromHours, toHours) => schedule({
+    price,
+    startsAt: hoursFrom(now, fromHours),
+    endsAt: toHours === undefined ? undefined : hoursFrom(now, toHours),
+    label: 'Weekend sale'
+  });
+  const runAt = (hours) => runDuePriceSchedules(hoursFrom(now, hours));
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    now = new Date();
+    farmer = await createFarmer();
+    product = await createProduct(farmer, { price: 40 });
+  });
+
+  it('refuses a change overlapping another for the same product', async () => {
+    await sale(30, 1, 5);
+
+    await assert.rejects(sale(35, 4, 8), { code: 'PRICE_SCHEDULE_OVERLAP', status: 409 });
+    await assert.rejects(sale(35, 1), { code: 'PRICE_SCHEDULE_OVERLAP' });
+    await sale(35, 5, 8);
+  });
+
+  it('applies a sale when it starts and puts the price back when it ends', async () => {
+    const { _id } = await sale(30, 1, 5);
+
+    assert.equal((await runAt(2)).applied, 1);
+    assert.equal(await priceOf(), 30);
+    assert.equal((await PriceSchedule.findById(_id)).status, 'active');
+
+    assert.equal((await runAt(6)).reverted, 1);
+    assert.equal(await priceOf(), 40);
+    const done = await PriceSchedule.findById(_id);
+    assert.equal(done.status, 'completed');
+    assert.equal(done.lockedUntil, undefined);
+
+    const history = await PriceHistory.find({ product: product._id }).sort({ changedAt: 1, _id: 1 });
+    assert.deepEqual(history.map(entry => [entry.price, entry.reason]), [[40, 'update'], [30, 'schedule'], [40, 'schedule']]);
+  });
+
+  it('ends one sale before starting the next in the same run', async () => {
+    await sale(30, 1, 5);
+    await sale(25, 5, 9);
+    await runAt(2);
+
+    const summary = await runAt(5);
+
+    assert.deepEqual([summary.reverted, summary.applied], [1, 1]);
+    assert.equal(await priceOf(), 25);
+    assert.equal((await PriceSchedule.findOne({ price: 25 })).originalPrice, 40);
+  });
+
+  it('skips a sale whose window passed before it could be applied', async () => {
+    const { _id } = await sale(30, 1, 5);
+
+    assert.equal((await runAt(6)).skipped, 1);
+    assert.equal(await priceOf(), 40);
+    assert.equal((await PriceSchedule.findById(_id)).status, 'skipped');
+  });
+
+  it('keeps a price the farmer changed during the sale', async () => {
+    const { _id } = await sale(30, 1, 5);
+    await runAt(2);
+    const updated = await Product.findById(product._id);
+    updated.price = 35;
+    await updated.save();
+
+    await runAt(6);
+
+    assert.equal(await priceOf(), 35);
+    assert.match((await PriceSchedule.findById(_id)).note, /changed to 35/);
+  });
+
+  it('cancels a change for a product that now comes in pack sizes', async () => {
+    const { _id } = await sale(30, 1);
+    await Product.updateOne({ _id: product._id }, {
+      variants: [{ sku: 'TOM-1KG', packSize: 1, packUnit: 'kg', price: 45, stock: 5 }]
+    });
+
+    assert.equal((await runAt(2)).cancelled, 1);
+    assert.equal((await PriceSchedule.findById(_id)).status, 'cancelled');
+  });
+
+  it('schedules and applies changes for one pack size', async () => {
+    const rice = await createProduct(farmer, {
+      name: 'Rice',
+      variants: [
+        { sku: 'RICE-1KG', packSize: 1, packUnit: 'kg', price: 110, stock: 4 },
+        { sku: 'RICE-5KG', packSize: 5, packUnit: 'kg', price: 520, stock: 4 }
+      ]
+    });
+    const [small, large] = rice.variants;
+
+    await assert.rejects(schedule({ price: 90, startsAt: hoursFrom(now, 1) }, rice), { code: 'VARIANT_REQUIRED' });
+    await schedule({ price: 480, startsAt: hoursFrom(now, 1), variantId: large._id.toString() }, rice);
+    await schedule({ price: 100, startsAt: hoursFrom(now, 1), variantId: small._id.toString() }, rice);
+    await runAt(2);
+
+    const updated = await Product.findById(rice._id);
+    assert.deepEqual(updated.variants.map(variant => variant.price), [100, 480]);
+    assert.equal(updated.price, 100);
+  });
+
+  it('applies a change once however many runs overlap', async () => {
+    await sale(30, 1);
+
+    const summaries = await Promise.all([runAt(2), runAt(2), runAt(2)]);
+
+    assert.equal(summaries.reduce((sum, summary) => sum + summary.applied, 0), 1);
+    assert.equal(await PriceHistory.countDocuments({ product: product._id, reason: 'schedule' }), 1);
+  });
+
+  it('puts the original price back when a sale in progress is cancelled', async () => {
+    const created = await sale(30, 1, 5);
+    await runAt(2);
+
+    const cancelled = await cancelPriceSchedule(await PriceSchedule.findById(created._id), hoursFrom(now, 3));
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(await priceOf(), 40);
+    assert.equal((await runAt(6)).reverted, 0);
+  });
+
+  it('charts a price trend from the price when the window opened', async () => {
+    const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+    await PriceHistory.create([
+      { product: product._id, price: 45, changedAt: daysAgo(40) },
+      { product: product._id, price: 50, changedAt: daysAgo(10) },
+      { product: product._id, price: 50, changedAt: daysAgo(5) }
+    ]);
+
+    const { series: [trend] } = await getPriceTrend(await Product.findById(product._id), { days: 30, now });
+
+    assert.deepEqual(trend.points.map(point => point.price), [45, 50, 40]);
+    assert.deepEqual([trend.price, trend.previousPrice, trend.low, trend.high], [40, 50, 40, 50]);
+  });
+});
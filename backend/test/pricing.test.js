@@ -0,0 +1,167 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Cart from '../models/Cart.js';
+import Product from '../models/Product.js';
+import {
+  assertQuantity,
+  checkQuantity,
+  getFinalPrice,
+  getQuantityRules,
+  priceCart,
+  priceLine,
+  withPricing
+} from '../services/pricingService.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import {
+  createCustomer,
+  createFarmer,
+  createPincode,
+  createProduct,
+  fillCart,
+  checkout
+} from './helpers/fixtures.js';
+
+const product = (overrides = {}) => new Product({
+  name: 'Tomatoes',
+  description: 'Vine-ripened tomatoes',
+  price: 40,
+  category: 'vegetables',
+  farmer: new mongoose.Types.ObjectId(),
+  unit: 'kg',
+  ...overrides
+});
+
+describe('product discounts', () => {
+  it('takes the discount off the list price, to the paisa', () => {
+    assert.equal(getFinalPrice(99.99, 15), 84.99);
+    assert.equal(getFinalPrice(40), 40);
+    assert.equal(getFinalPrice(40, null), 40);
+  });
+
+  it('prices a line at the product\'s or pack\'s price less the product discount', () => {
+    const rice = product({ discountPercentage: 10 });
+    rice.variants.push({ sku: 'RICE-5KG', packSize: 5, packUnit: 'kg', price: 520 });
+
+    assert.deepEqual(priceLine(rice, null, 2.5), {
+      listPrice: 40, discountPercentage: 10, price: 36, quantity: 2.5, listSubtotal: 100, discount: 10, subtotal: 90
+    });
+    assert.equal(priceLine(rice, rice.variants[0], 2).subtotal, 936);
+  });
+
+  it('lists products and each pack size with their final price', () => {
+    const rice = product({ discountPercentage: 25, minimumOrderQuantity: 2 });
+    rice.variants.push({ sku: 'RICE-1KG', packSize: 1, packUnit: 'kg', price: 110 });
+
+    const listed = withPricing(rice);
+
+    assert.equal(listed.finalPrice, 30);
+    assert.equal(listed.variants[0].finalPrice, 82.5);
+    assert.equal(listed.minimumQuantity, 2);
+    assert.equal(withPricing({ price: 40 }).discountPercentage, 0);
+  });
+});
+
+describe('order quantities', () => {
+  it('rounds the minimum up to a whole number of steps', () => {
+    assert.deepEqual(getQuantityRules(product({ minimumOrderQuantity: 1, quantityStep: 0.25 })), {
+      minimumQuantity: 1, quantityStep: 0.25
+    });
+    assert.deepEqual(getQuantityRules(product({ minimumOrderQuantity: 5, quantityStep: 2 })), {
+      minimumQuantity: 6, quantityStep: 2
+    });
+  });
+
+  it('explains quantities below the minimum or off the step', () => {
+    const tomatoes = product({ minimumOrderQuantity: 2, quantityStep: 0.5 });
+
+    assert.equal(checkQuantity(tomatoes, 2.5), null);
+    assert.equal(checkQuantity(tomatoes, 1.5), 'Tomatoes has a minimum order of 2 kg');
+    assert.equal(checkQuantity(tomatoes, 2.2), 'Tomatoes is sold in steps of 0.5 kg');
+    assert.throws(() => assertQuantity(tomatoes, 1), {
+      code: 'INVALID_QUANTITY',
+      details: { product: tomatoes._id, quantity: 1, minimumQuantity: 2, quantityStep: 0.5 }
+    });
+  });
+
+  it('counts packs for products with pack sizes', () => {
+    const rice = product({ minimumOrderQuantity: 2 });
+    rice.variants.push({ sku: 'RICE-1KG', packSize: 1, packUnit: 'kg', price: 110 });
+
+    assert.equal(checkQuantity(rice, 1), 'Tomatoes has a minimum order of 2 packs');
+  });
+});
+
+describe('priceCart', () => {
+  it('prices each line at today\'s price and totals the cart', () => {
+    const tomatoes = product({ price: 50, discountPercentage: 10, minimumOrderQuantity: 3 });
+    const okra = product({ name: 'Okra', price: 60 });
+    const cart = new Cart({
+      customer: new mongoose.Types.ObjectId(),
+      items: [
+        { product: tomatoes, quantity: 2, price: 40 },
+        { product: okra, quantity: 1, price: 60 }
+      ]
+    });
+
+    const pricing = priceCart(cart);
+
+    assert.deepEqual([pricing.listSubtotal, pricing.discount, pricing.subtotal], [160, 10, 150]);
+    assert.deepEqual(pricing.items.map(item => [item.price, item.subtotal]), [[45, 90], [60, 60]]);
+    assert.equal(pricing.items[0].quantityProblem, 'Tomatoes has a minimum order of 3 kg');
+    assert.equal(pricing.items[1].quantityProblem, null);
+    // Updated in memory only; the caller decides whether to save
+    assert.equal(cart.items[0].price, 45);
+    assert.equal(cart.isModified('items'), true);
+  });
+
+  it('leaves lines whose product is gone unpriced', () => {
+    const cart = new Cart({
+      customer: new mongoose.Types.ObjectId(),
+      items: [{ product: new mongoose.Types.ObjectId(), quantity: 2, price: 40 }]
+    });
+
+    const pricing = priceCart(cart);
+
+    assert.equal(pricing.subtotal, 0);
+    assert.equal(pricing.items[0].price, 40);
+    assert.equal(pricing.items[0].subtotal, undefined);
+  });
+});
+
+describe('checkout pricing', { skip: skipDatabase }, () => {
+  let customer;
+  let product;
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createPincode();
+    customer = await createCustomer();
+    product = await createProduct(await createFarmer(), { price: 40, stock: 10 });
+  });
+
+  it('charges today\'s price and discount, not the price stored in the cart', async () => {
+    await fillCart(customer, [{ product, quantity: 2 }]);
+    await Product.updateOne({ _id: product._id }, { price: 50, discountPercentage: 10 });
+
+    const { order } = await checkout(customer);
+
+    const [item] = order.items;
+    assert.deepEqual([item.listPrice, item.price, item.discount, item.subtotal], [50, 45, 10, 90]);
+    assert.equal(order.subtotal, 90);
+    assert.equal(order.productDiscount, 10);
+  });
+
+  it('refuses quantities the product is not sold in and keeps the cart', async () => {
+    await Product.updateOne({ _id: product._id }, { minimumOrderQuantity: 3 });
+    await fillCart(customer, [{ product, quantity: 2 }]);
+
+    await assert.rejects(checkout(customer), { code: 'INVALID_QUANTITY' });
+
+    assert.equal((await Cart.findOne({ customer: customer._id })).items.length, 1);
+    assert.equal((await Product.findById(product._id)).stock, 10);
+  });
+});
@@ -0,0 +1,228 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Promotion from '../models/Promotion.js';
+import PromotionRedemption from '../models/PromotionRedemption.js';
+import { allocate, evaluatePromotions } from '../services/promotionService.js';
+import { transitionOrder } from '../services/orderStateMachine.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import {
+  createCustomer,
+  createFarmer,
+  createPincode,
+  createProduct,
+  fillCart,
+  checkout
+} from './helpers/fixtures.js';
+
+describe('allocate', () => {
+  it('splits an amount in proportion to the values', () => {
+    assert.deepEqual(allocate(10, [30, 70]), [3, 7]);
+  });
+
+  it('gives leftover paise to the largest remainders so the shares add up', () => {
+    const shares = allocate(10, [1, 1, 1]);
+    assert.deepEqual(shares, [3.34, 3.33, 3.33]);
+    assert.equal(Math.round(shares.reduce((sum, share) => sum + share, 0) * 100), 1000);
+  });
+
+  it('gives nothing to items with no value', () => {
+    assert.deepEqual(allocate(5, [0, 0]), [0, 0]);
+  });
+});
+
+describe('promotions', { skip: skipDatabase }, () => {
+  let customer;
+  let farmer;
+  let product;
+
+  const adminId = new mongoose.Types.ObjectId();
+
+  // Running since yesterday, fixed ₹ off unless overridden
+  const createPromotion = (overrides = {}) => Promotion.create({
+    name: `Promotion ${overrides.code || overrides.discountValue}`,
+    kind: overrides.code ? 'coupon' : 'automatic',
+    discountType: 'fixed',
+    discountValue: 20,
+    startsAt: new Date(Date.now() - 24 * 60 * 60 * 1000),
+    createdBy: adminId,
+    ...overrides
+  });
+
+  const evaluate = (couponCode, items) => evaluatePromotions({
+    customerId: customer._id,
+    couponCode,
+    items: items || [
+      { key: '0', category: 'vegetables', farmer: farmer._id, subtotal: 200 },
+      { key: '1', category: 'fruits', farmer: farmer._id, subtotal: 100 }
+    ]
+  });
+
+  const cancel = (order, user) => transitionOrder(order._id, 'cancelled', {
+    actor: { id: user._id.toString(), role: 'customer' }
+  });
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createPincode();
+    customer = await createCustomer();
+    farmer = await createFarmer();
+    product = await createProduct(farmer, { stock: 100 });
+  });
+
+  describe('stacking', () => {
+    it('combines stackable promotions', async () => {
+      await createPromotion({ discountValue: 20, stackable: true });
+      await createPromotion({ discountValue: 30, stackable: true });
+      await createPromotion({ discountValue: 40 });
+
+      const result = await evaluate();
+
+      assert.equal(result.total, 50);
+      assert.equal(result.discounts.length, 2);
+    });
+
+    it('applies a non-stackable promotion alone when it saves more', async () => {
+      await createPromotion({ discountValue: 20, stackable: true });
+      await createPromotion({ discountValue: 30, stackable: true });
+      await createPromotion({ discountValue: 60 });
+
+      const result = await evaluate();
+
+      assert.equal(result.total, 60);
+      assert.equal(result.discounts.length, 1);
+    });
+
+    it('takes each stacked promotion off what the previous ones left', async () => {
+      await createPromotion({ discountValue: 250, stackable: true });
+      await createPromotion({ discountValue: 100, stackable: true });
+
+      const result = await evaluate();
+
+      // The second can only take the 50 the first left
+      assert.equal(result.total, 300);
+    });
+
+    it('tells the customer when their coupon loses to a better promotion', async () => {
+      await createPromotion({ discountValue: 50 });
+      await createPromotion({ code: 'SAVE30', discountValue: 30 });
+
+      const result = await evaluate('save30');
+
+      assert.equal(result.total, 50);
+      assert.equal(result.coupon.code, 'SAVE30');
+      assert.match(result.coupon.problem, /cannot be combined/);
+    });
+
+    it('lets the coupon win a tie', async () => {
+      await createPromotion({ discountValue: 50 });
+      const coupon = await createPromotion({ code: 'SAVE50', discountValue: 50 });
+
+      const result = await evaluate('SAVE50');
+
+      assert.equal(result.coupon.problem, null);
+      assert.equal(result.discounts[0].promotion._id.toString(), coupon._id.toString());
+    });
+  });
+
+  describe('rules', () => {
+    it('takes a category promotion off only the items in that category', async () => {
+      await createPromotion({ code: 'FRUIT', discountType: 'percentage', discountValue: 50, categories: ['fruits'] });
+
+      const result = await evaluate('FRUIT');
+
+      assert.equal(result.total, 50);
+      assert.deepEqual(result.discounts[0].items, [{ key: '1', amount: 50 }]);
+    });
+
+    it('caps percentage discounts at maxDiscount', async () => {
+      await createPromotion({ code: 'HALF', discountType: 'percentage', discountValue: 50, maxDiscount: 75 });
+
+      assert.equal((await evaluate('HALF')).total, 75);
+    });
+
+    it('holds back a coupon until the eligible items reach its minimum', async () => {
+      await createPromotion({ code: 'BIG', discountValue: 100, minCartValue: 500 });
+
+      const result = await evaluate('BIG');
+
+      assert.equal(result.total, 0);
+      assert.match(result.coupon.problem, /Add 200 more/);
+    });
+
+    it('keeps first-order promotions to customers without orders', async () => {
+      await createPromotion({ code: 'FIRST', discountValue: 100, firstOrderOnly: true });
+      assert.equal((await evaluate('FIRST')).total, 100);
+
+      await fillCart(customer, [{ product, quantity: 2 }]);
+      await checkout(customer);
+
+      const result = await evaluate('FIRST');
+      assert.equal(result.total, 0);
+      assert.match(result.coupon.problem, /first order/);
+    });
+  });
+
+  describe('limits', () => {
+    it('counts a coupon against its usage limit at checkout', async () => {
+      const coupon = await createPromotion({ code: 'ONCE', discountValue: 50, usageLimit: 1 });
+      const other = await createCustomer();
+
+      await fillCart(customer, [{ product, quantity: 5 }], 'ONCE');
+      const { order } = await checkout(customer);
+      assert.equal(order.promotionDiscount, 50);
+      assert.equal((await Promotion.findById(coupon._id)).usedCount, 1);
+
+      await fillCart(other, [{ product, quantity: 5 }], 'ONCE');
+      await assert.rejects(checkout(other), { code: 'COUPON_NOT_APPLICABLE' });
+      assert.equal((await Product.findById(product._id)).stock, 95);
+    });
+
+    it('lets only one of two concurrent checkouts use the last coupon', async () => {
+      const coupon = await createPromotion({ code: 'LAST', discountValue: 50, usageLimit: 1 });
+      const other = await createCustomer();
+      await fillCart(customer, [{ product, quantity: 5 }], 'LAST');
+      await fillCart(other, [{ product, quantity: 5 }], 'LAST');
+
+      const results = await Promise.allSettled([checkout(customer), checkout(other)]);
+
+      const refused = results.filter(result => result.status === 'rejected');
+      assert.equal(refused.length, 1);
+      assert.ok(['COUPON_NOT_APPLICABLE', 'PROMOTION_LIMIT_REACHED'].includes(refused[0].reason.code));
+      assert.equal((await Promotion.findById(coupon._id)).usedCount, 1);
+      assert.equal(await Order.countDocuments({ 'discounts.promotion': coupon._id }), 1);
+    });
+
+    it('limits how often one customer uses a coupon', async () => {
+      await createPromotion({ code: 'MINE', discountValue: 50, perUserLimit: 1 });
+
+      await fillCart(customer, [{ product, quantity: 5 }], 'MINE');
+      await checkout(customer);
+
+      await fillCart(customer, [{ product, quantity: 5 }], 'MINE');
+      await assert.rejects(checkout(customer), { code: 'COUPON_NOT_APPLICABLE', message: /already used/ });
+    });
+
+    it('gives the use back when the order is cancelled', async () => {
+      const coupon = await createPromotion({ code: 'BACK', discountValue: 50, usageLimit: 1, perUserLimit: 1 });
+      await fillCart(customer, [{ product, quantity: 5 }], 'BACK');
+      const { order } = await checkout(customer);
+
+      await cancel(order, customer);
+
+      assert.equal((await Promotion.findById(coupon._id)).usedCount, 0);
+      const redemption = await PromotionRedemption.findOne({ promotion: coupon._id, customer: customer._id });
+      assert.equal(redemption.count, 0);
+      assert.equal(redemption.orders.length, 0);
+
+      await fillCart(customer, [{ product, quantity: 5 }], 'BACK');
+      const again = await checkout(customer);
+      assert.equal(again.order.promotionDiscount, 50);
+    });
+  });
+});
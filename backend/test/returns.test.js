@@ -0,0 +1,108 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import Product from '../models/Product.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { transitionOrder } from '../services/orderStateMachine.js';
+import { getProvider } from '../services/payments/providers/index.js';
+import { confirmPayment, createPaymentForOrder } from '../services/payments/paymentService.js';
+import { requestReturn, transitionReturn } from '../services/returnService.js';
+import { getWalletBalance } from '../services/walletService.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import {
+  createCustomer,
+  createFarmer,
+  createPincode,
+  createProduct,
+  fillCart,
+  checkout
+} from './helpers/fixtures.js';
+
+describe('returns', { skip: skipDatabase }, () => {
+  let customer;
+  let farmer;
+  let product;
+
+  const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin' };
+
+  // A delivered order for two units, paid through the provider unless cash on delivery
+  const deliveredOrder = async (paymentMethod) => {
+    await fillCart(customer, [{ product, quantity: 2 }]);
+    const { order } = await checkout(customer, { paymentMethod });
+    if (paymentMethod !== 'cod') {
+      const { payment } = await createPaymentForOrder(order);
+      await confirmPayment(order, payment.intentId, getProvider('mock').signConfirmation(payment.intentId));
+    }
+    for (const status of ['accepted', 'processing', 'shipped', 'delivered']) {
+      await transitionOrder(order._id, status, {
+        actor: { id: farmer._id.toString(), role: 'farmer' },
+        farmer: farmer._id.toString()
+      });
+    }
+    return Order.findById(order._id);
+  };
+
+  const returnOrder = async (order) => {
+    const [returnRequest] = await requestReturn({
+      orderId: order._id,
+      customerId: customer._id.toString(),
+      reason: 'Damaged',
+      refundMethod: 'original'
+    });
+    await transitionReturn(returnRequest._id, 'approved', { actor: admin });
+    await transitionReturn(returnRequest._id, 'picked-up', { actor: admin });
+    return returnRequest;
+  };
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createPincode();
+    customer = await createCustomer();
+    farmer = await createFarmer();
+    product = await createProduct(farmer, { stock: 10 });
+  });
+
+  it('refunds a return to the card the order was paid with', async () => {
+    const order = await deliveredOrder('card');
+    const returnRequest = await returnOrder(order);
+
+    await transitionReturn(returnRequest._id, 'refunded', { actor: admin });
+
+    const payment = await Payment.findOne({ order: order._id });
+    assert.equal(payment.refundedAmount, returnRequest.refundAmount);
+    assert.equal((await Order.findById(order._id)).paymentStatus, 'refunded');
+    assert.equal((await Product.findById(product._id)).stock, 10);
+  });
+
+  it('refunds a cash on delivery return to the wallet', async () => {
+    const order = await deliveredOrder('cod');
+    const returnRequest = await returnOrder(order);
+    assert.equal(returnRequest.refundMethod, 'wallet');
+
+    await transitionReturn(returnRequest._id, 'refunded', { actor: admin });
+
+    assert.equal((await getWalletBalance(customer._id)).balance, returnRequest.refundAmount);
+    assert.equal((await Order.findById(order._id)).refundAmount, returnRequest.refundAmount);
+  });
+
+  it('refuses to mark a return refunded when the payment can no longer cover it', async () => {
+    const order = await deliveredOrder('card');
+    const returnRequest = await returnOrder(order);
+    // Refunded outside the platform in the meantime
+    await Payment.updateOne({ order: order._id }, { status: 'refunded' });
+
+    await assert.rejects(
+      transitionReturn(returnRequest._id, 'refunded', { actor: admin }),
+      { code: 'REFUND_INCOMPLETE', details: { refundAmount: returnRequest.refundAmount, refunded: 0 } }
+    );
+
+    assert.equal((await ReturnRequest.findById(returnRequest._id)).status, 'picked-up');
+    assert.equal((await Order.findById(order._id)).refundAmount || 0, 0);
+    assert.equal((await Product.findById(product._id)).stock, 8);
+  });
+});
@@ -0,0 +1,85 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchCatalog } from '../services/searchService.js';
+import { editDistance, escapeHtml, escapeRegex, stem, tokenize } from '../utils/text.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import { createFarmer, createProduct } from './helpers/fixtures.js';
+
+describe('search text helpers', () => {
+  it('splits queries into lower-case words', () => {
+    assert.deepEqual(tokenize('  Fresh,Organic  TOMATOES! 2kg '), ['fresh', 'organic', 'tomatoes', '2kg']);
+    assert.deepEqual(tokenize(undefined), []);
+  });
+
+  it('stems plurals and verb endings', () => {
+    assert.equal(stem('tomatoes'), 'tomato');
+    assert.equal(stem('berries'), 'berry');
+    assert.equal(stem('apples'), 'apple');
+    assert.equal(stem('grass'), 'grass');
+    assert.equal(stem('sliced'), 'slic');
+    assert.equal(stem('slice'), 'slice');
+  });
+
+  it('counts a swap of neighbouring letters as one edit', () => {
+    assert.equal(editDistance('tomato', 'tomato'), 0);
+    assert.equal(editDistance('tomoto', 'tomato'), 1);
+    assert.equal(editDistance('tmoato', 'tomato'), 1);
+    assert.equal(editDistance('mango', 'mangoes'), 2);
+  });
+
+  it('escapes user input for regular expressions and HTML', () => {
+    assert.equal(escapeRegex('a.b*(c)'), 'a\\.b\\*\\(c\\)');
+    assert.equal(escapeHtml('<b>"Tom" & Jerry\'s</b>'), '&lt;b&gt;&quot;Tom&quot; &amp; Jerry&#39;s&lt;/b&gt;');
+  });
+});
+
+describe('searchCatalog', { skip: skipDatabase }, () => {
+  before(async () => {
+    await startDatabase();
+    await clearDatabase();
+    const farmer = await createFarmer();
+    await createProduct(farmer, { name: 'Cherry tomatoes', description: 'Sweet <b>cherry</b> tomatoes on the vine' });
+    await createProduct(farmer, { name: 'Potatoes', description: 'Tomato-free potatoes', tags: ['tuber'] });
+    await createProduct(farmer, {
+      name: 'Alphonso mangoes',
+      category: 'fruits',
+      description: 'Ratnagiri mangoes',
+      variants: [{ packSize: 1, packUnit: 'kg', price: 300, stock: 5, sku: 'MANGO-1KG' }]
+    });
+  });
+  after(stopDatabase);
+
+  it('ranks name matches above description matches', async () => {
+    const { products, suggestion } = await searchCatalog('tomatoes');
+
+    assert.equal(products[0].name, 'Cherry tomatoes');
+    assert.equal(suggestion, null);
+  });
+
+  it('corrects a misspelled query and says what it searched for', async () => {
+    const { products, suggestion } = await searchCatalog('mangose');
+
+    assert.equal(suggestion, 'mangoes');
+    assert.deepEqual(products.map(product => product.name), ['Alphonso mangoes']);
+  });
+
+  it('highlights matches and escapes the rest', async () => {
+    const { products } = await searchCatalog('cherry');
+
+    assert.equal(products[0].highlights.name, '<mark>Cherry</mark> tomatoes');
+    assert.equal(products[0].highlights.description, 'Sweet &lt;b&gt;<mark>cherry</mark>&lt;/b&gt; tomatoes on the vine');
+  });
+
+  it('looks up a SKU directly', async () => {
+    const { products, total } = await searchCatalog('mango-1kg');
+
+    assert.equal(total, 1);
+    assert.equal(products[0].name, 'Alphonso mangoes');
+  });
+
+  it('finds nothing for a query without words', async () => {
+    const { total } = await searchCatalog('.* (');
+
+    assert.equal(total, 0);
+  });
+});
@@ -0,0 +1,117 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Pincode from '../models/Pincode.js';
+import {
+  assertServiceable,
+  getServiceability,
+  importServiceability
+} from '../services/serviceabilityService.js';
+import { parseCsv, parseCsvBoolean, parseCsvNumber, toCsv } from '../utils/csv.js';
+import { localDateTime } from '../utils/localDate.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+
+const adminId = new mongoose.Types.ObjectId();
+
+describe('CSV reading', () => {
+  it('reads quoted fields, CRLF line ends and a byte order mark, skipping blank lines', () => {
+    const { columns, records } = parseCsv('\uFEFFpincode,area\r\n560001,"MG Road, ""Central"""\r\n\r\n560066,\r\n');
+
+    assert.deepEqual(columns, ['pincode', 'area']);
+    assert.deepEqual(records, [
+      { line: 2, values: { pincode: '560001', area: 'MG Road, "Central"' } },
+      { line: 3, values: { pincode: '560066', area: undefined } }
+    ]);
+  });
+
+  it('reads booleans and numbers, passing anything else through for validation', () => {
+    assert.deepEqual(['Yes', 'n', '1', 'maybe', undefined].map(parseCsvBoolean), [true, false, true, 'maybe', undefined]);
+    assert.deepEqual(['12.5', 'north'].map(parseCsvNumber), [12.5, 'north']);
+  });
+
+  it('writes what it reads', () => {
+    const records = [{ pincode: '560001', area: 'MG Road, "Central"' }];
+
+    assert.deepEqual(parseCsv(toCsv(['pincode', 'area'], records)).records[0].values, records[0]);
+  });
+});
+
+describe('importServiceability validation', () => {
+  it('needs a pincode column and at least one row', async () => {
+    await assert.rejects(importServiceability('area,city\nMG Road,Bengaluru', adminId), {
+      code: 'INVALID_CSV', message: /pincode column/
+    });
+    await assert.rejects(importServiceability('pincode,city\n', adminId), { code: 'INVALID_CSV', message: /no rows/ });
+  });
+
+  it('reports every bad row by line and imports nothing', async () => {
+    const csv = [
+      'pincode,city,cod,cutoffTime,latitude,longitude',
+      '560001,Bengaluru,yes,14:00,12.97,77.59',
+      '56001,Bengaluru,yes,,,',
+      '560001,Bengaluru,no,,,',
+      '560066,Bengaluru,perhaps,25:00,12.97,'
+    ].join('\n');
+
+    await assert.rejects(importServiceability(csv, adminId), (error) => {
+      assert.equal(error.code, 'INVALID_CSV');
+      assert.deepEqual(error.details.map(({ line, field }) => [line, field]), [
+        [3, 'pincode'],
+        [4, 'pincode'],
+        [5, 'cutoffTime'],
+        [5, 'isCodAvailable'],
+        [5, 'coordinates.0']
+      ]);
+      return true;
+    });
+  });
+});
+
+describe('serviceability', { skip: skipDatabase }, () => {
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await Pincode.create({ pincode: '560001', city: 'Bengaluru', zone: 'metro', cutoffTime: '14:00' });
+    await Pincode.create({ pincode: '744101', city: 'Port Blair', isCodAvailable: false });
+    await Pincode.create({ pincode: '560100', city: 'Bengaluru', isServiceable: false });
+  });
+
+  it('dispatches orders placed after the cutoff the next day', async () => {
+    const before = await getServiceability('560001', localDateTime('2026-03-10', '13:59'));
+    const after = await getServiceability('560001', localDateTime('2026-03-10', '14:00'));
+
+    assert.equal(before.dispatchDate, '2026-03-10');
+    assert.equal(after.dispatchDate, '2026-03-11');
+    assert.equal(after.zone, 'metro');
+  });
+
+  it('does not serve pincodes missing from the registry or switched off', async () => {
+    assert.deepEqual(await getServiceability('110001'), { pincode: '110001', isServiceable: false });
+    await assert.rejects(assertServiceable('560100'), { code: 'PINCODE_NOT_SERVICEABLE' });
+  });
+
+  it('offers cash on delivery only where it is available', async () => {
+    const { paymentMethods } = await getServiceability('744101');
+
+    assert.equal(paymentMethods.includes('cod'), false);
+    await assert.rejects(assertServiceable('744101', 'cod'), { code: 'PAYMENT_METHOD_UNAVAILABLE' });
+    await assertServiceable('744101', 'upi');
+  });
+
+  it('creates and updates entries from a CSV', async () => {
+    const result = await importServiceability([
+      'pincode,city,zone,cod,serviceable,latitude,longitude',
+      '744101,Port Blair,remote,yes,,11.62,92.72',
+      '600001,Chennai,metro,no,yes,,'
+    ].join('\n'), adminId);
+
+    assert.deepEqual(result, { rows: 2, created: 1, updated: 1 });
+    const portBlair = await Pincode.findOne({ pincode: '744101' });
+    assert.equal(portBlair.zone, 'remote');
+    assert.equal(portBlair.isCodAvailable, true);
+    assert.deepEqual(portBlair.location.coordinates, [92.72, 11.62]);
+    assert.equal((await Pincode.findOne({ pincode: '600001' })).isCodAvailable, false);
+  });
+});
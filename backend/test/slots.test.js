@@ -0,0 +1,162 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import DeliverySlot from '../models/DeliverySlot.js';
+import Order from '../models/Order.js';
+import SlotBooking from '../models/SlotBooking.js';
+import { getSlotStart, listAvailableSlots, reserveSlot } from '../services/slotService.js';
+import { transitionOrder } from '../services/orderStateMachine.js';
+import { addDays, dayOfWeekOf, toLocalDate } from '../utils/localDate.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import {
+  createCustomer,
+  createFarmer,
+  createPincode,
+  createProduct,
+  fillCart,
+  checkout
+} from './helpers/fixtures.js';
+
+const PINCODE = '560001';
+
+describe('getSlotStart', () => {
+  it('reads the start time in the business timezone', () => {
+    const start = getSlotStart({ startTime: '07:30' }, '2026-03-10');
+
+    assert.equal(start.toISOString(), '2026-03-10T02:00:00.000Z');
+  });
+});
+
+describe('delivery slots', { skip: skipDatabase }, () => {
+  // Three days out, so booking is still open
+  const date = addDays(toLocalDate(), 3);
+  let farmer;
+  let product;
+
+  const createSlot = (overrides = {}) => DeliverySlot.create({
+    hub: 'Indiranagar',
+    dayOfWeek: dayOfWeekOf(date),
+    startTime: '08:00',
+    endTime: '11:00',
+    capacity: 2,
+    ...overrides
+  });
+
+  const customerWithCart = async (products = [product]) => {
+    const customer = await createCustomer();
+    await fillCart(customer, products.map(p => ({ product: p, quantity: 1 })));
+    return customer;
+  };
+
+  const reserve = (slot, customer, slotDate = date) => reserveSlot({
+    slotId: slot._id,
+    date: slotDate,
+    customerId: customer._id.toString(),
+    pincode: PINCODE
+  });
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createPincode();
+    farmer = await createFarmer();
+    product = await createProduct(farmer, { stock: 100 });
+  });
+
+  it('holds places until the slot is full', async () => {
+    const slot = await createSlot();
+    const customers = await Promise.all([1, 2, 3].map(() => customerWithCart()));
+
+    await reserve(slot, customers[0]);
+    await reserve(slot, customers[1]);
+
+    await assert.rejects(reserve(slot, customers[2]), { code: 'SLOT_FULL' });
+  });
+
+  it('extends a customer\'s hold instead of taking a second place', async () => {
+    const slot = await createSlot({ capacity: 1 });
+    const customer = await customerWithCart();
+
+    const first = await reserve(slot, customer);
+    const again = await reserve(slot, customer);
+
+    assert.equal(again.reservationId.toString(), first.reservationId.toString());
+    assert.ok(again.expiresAt >= first.expiresAt);
+  });
+
+  it('gives the place of an expired hold to the next customer', async () => {
+    const slot = await createSlot({ capacity: 1 });
+    const [first, second] = await Promise.all([customerWithCart(), customerWithCart()]);
+    await reserve(slot, first);
+    await SlotBooking.updateOne({ slot: slot._id }, { 'reservations.0.expiresAt': new Date(Date.now() - 1000) });
+
+    await reserve(slot, second);
+
+    const booking = await SlotBooking.findOne({ slot: slot._id });
+    assert.deepEqual(booking.reservations.map(r => r.customer.toString()), [second._id.toString()]);
+  });
+
+  it('lets only one of two concurrent customers take the last place', async () => {
+    const slot = await createSlot({ capacity: 1 });
+    const customers = await Promise.all([customerWithCart(), customerWithCart()]);
+
+    const results = await Promise.allSettled(customers.map(customer => reserve(slot, customer)));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.ok(['SLOT_FULL', 'SLOT_BUSY'].includes(results.find(result => result.status === 'rejected').reason.code));
+    assert.equal((await SlotBooking.findOne({ slot: slot._id })).countActive(), 1);
+  });
+
+  it('refuses dates the slot does not run on and slots past their cutoff', async () => {
+    const slot = await createSlot();
+    const customer = await customerWithCart();
+
+    await assert.rejects(reserve(slot, customer, addDays(date, 1)), { code: 'INVALID_SLOT_DATE' });
+
+    const today = toLocalDate();
+    const closing = await createSlot({ dayOfWeek: dayOfWeekOf(today), startTime: '00:00', cutoffHours: 0 });
+    await assert.rejects(reserve(closing, customer, today), { code: 'SLOT_CLOSED' });
+  });
+
+  it('keeps a farmer\'s own slot to carts from that farmer alone', async () => {
+    const slot = await createSlot({ farmer: farmer._id, hub: undefined });
+    const other = await createProduct(await createFarmer(), { name: 'Okra' });
+
+    await reserve(slot, await customerWithCart());
+    await assert.rejects(reserve(slot, await customerWithCart([product, other])), { code: 'SLOT_NOT_AVAILABLE' });
+  });
+
+  it('lists remaining places for the cart and pincode', async () => {
+    const slot = await createSlot();
+    await createSlot({ pincodePrefixes: ['110'] });
+    await reserve(slot, await customerWithCart());
+
+    const available = await listAvailableSlots({ customerId: (await customerWithCart())._id, pincode: PINCODE });
+
+    const listed = available.filter(occurrence => occurrence.date === date);
+    assert.equal(listed.length, 1);
+    assert.equal(listed[0].remaining, 1);
+    assert.equal(listed[0].isFull, false);
+  });
+
+  it('confirms the hold at checkout and frees the place when the order is cancelled', async () => {
+    const slot = await createSlot({ capacity: 1 });
+    const customer = await customerWithCart();
+    const { reservationId } = await reserve(slot, customer);
+
+    const { order } = await checkout(customer, { slotReservationId: reservationId.toString() });
+
+    assert.equal(order.deliverySlot.slot.toString(), slot._id.toString());
+    assert.equal(order.deliverySlot.date, date);
+    let booking = await SlotBooking.findOne({ slot: slot._id });
+    assert.equal(booking.reservations[0].status, 'confirmed');
+
+    await transitionOrder(order._id, 'cancelled', { actor: { id: customer._id.toString(), role: 'customer' } });
+
+    booking = await SlotBooking.findOne({ slot: slot._id });
+    assert.equal(booking.reservations[0].status, 'released');
+    assert.equal((await Order.findById(order._id)).status, 'cancelled');
+    await reserve(slot, await customerWithCart());
+  });
+});
@@ -0,0 +1,190 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Subscription from '../models/Subscription.js';
+import {
+  createSubscription,
+  getNextDeliveryDate,
+  resolveLines,
+  runDueSubscriptions,
+  runSubscription
+} from '../services/subscriptionService.js';
+import { addDays, dayOfWeekOf, toLocalDate } from '../utils/localDate.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import { ADDRESS, createCustomer, createFarmer, createPincode, createProduct } from './helpers/fixtures.js';
+
+describe('getNextDeliveryDate', () => {
+  // 2026-03-02 is a Monday
+  const subscription = (overrides) => ({
+    deliveryDay: 1,
+    anchorDate: '2026-03-02',
+    frequency: 'weekly',
+    skipDates: [],
+    ...overrides
+  });
+
+  it('finds the next delivery day on or after a date', () => {
+    assert.equal(getNextDeliveryDate(subscription(), '2026-03-04'), '2026-03-09');
+    assert.equal(getNextDeliveryDate(subscription(), '2026-03-09'), '2026-03-09');
+  });
+
+  it('keeps fortnightly deliveries in phase with the first one', () => {
+    assert.equal(getNextDeliveryDate(subscription({ frequency: 'fortnightly' }), '2026-03-04'), '2026-03-16');
+  });
+
+  it('passes over skipped dates', () => {
+    const skipped = subscription({ frequency: 'fortnightly', skipDates: ['2026-03-16'] });
+
+    assert.equal(getNextDeliveryDate(skipped, '2026-03-04'), '2026-03-30');
+  });
+
+  it('never schedules before the first delivery', () => {
+    assert.equal(getNextDeliveryDate(subscription(), '2026-02-01'), '2026-03-02');
+  });
+});
+
+describe('resolveLines', () => {
+  const farmer = new mongoose.Types.ObjectId();
+  const product = (overrides) => new Product({
+    name: 'Spinach',
+    description: 'Fresh spinach',
+    price: 30,
+    category: 'vegetables',
+    farmer,
+    unit: 'bunch',
+    stock: 10,
+    isApproved: true,
+    ...overrides
+  });
+  const byId = (...products) => new Map(products.map(p => [p._id.toString(), p]));
+
+  it('orders products that are in stock', () => {
+    const spinach = product();
+
+    const result = resolveLines([{ product: spinach._id, quantity: 2, substitutes: [] }], byId(spinach));
+
+    assert.equal(result.lines.length, 1);
+    assert.equal(result.lines[0].quantity, 2);
+    assert.equal(result.skipDelivery, false);
+  });
+
+  it('uses the first substitute that can be ordered', () => {
+    const spinach = product({ stock: 1 });
+    const gone = product({ name: 'Kale', isAvailable: false });
+    const amaranth = product({ name: 'Amaranth' });
+
+    const result = resolveLines(
+      [{ product: spinach._id, quantity: 2, substitutes: [gone._id, amaranth._id] }],
+      byId(spinach, gone, amaranth)
+    );
+
+    assert.equal(result.lines[0].product.name, 'Amaranth');
+    assert.deepEqual(result.substitutions.map(s => [s.productName, s.substituteName]), [['Spinach', 'Amaranth']]);
+  });
+
+  it('leaves out unavailable items, or skips the delivery when asked to', () => {
+    const spinach = product({ stock: 0 });
+    const carrots = product({ name: 'Carrots', unit: 'kg' });
+    const items = (ifUnavailable) => [
+      { product: spinach._id, quantity: 1, substitutes: [], ifUnavailable },
+      { product: carrots._id, quantity: 1, substitutes: [] }
+    ];
+
+    const skipItem = resolveLines(items('skip-item'), byId(spinach, carrots));
+    assert.equal(skipItem.lines.length, 1);
+    assert.deepEqual(skipItem.unavailableItems.map(item => item.productName), ['Spinach']);
+    assert.equal(skipItem.skipDelivery, false);
+
+    assert.equal(resolveLines(items('skip-delivery'), byId(spinach, carrots)).skipDelivery, true);
+  });
+
+  it('does not order quantities the product is not sold in', () => {
+    const spinach = product({ minimumOrderQuantity: 3 });
+
+    const result = resolveLines([{ product: spinach._id, quantity: 2, substitutes: [] }], byId(spinach));
+
+    assert.equal(result.lines.length, 0);
+  });
+});
+
+describe('subscription runs', { skip: skipDatabase }, () => {
+  let customer;
+  let product;
+
+  const subscribe = (items) => createSubscription(customer._id, {
+    items: items || [{ product: product._id, quantity: 2 }],
+    deliveryDay: dayOfWeekOf(addDays(toLocalDate(), 3)),
+    deliveryAddress: ADDRESS,
+    paymentMethod: 'cod'
+  });
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createPincode();
+    customer = await createCustomer();
+    product = await createProduct(await createFarmer(), { stock: 10 });
+  });
+
+  it('schedules the first order the day before the first delivery', async () => {
+    const subscription = await subscribe();
+
+    assert.equal(subscription.nextDeliveryDate, addDays(toLocalDate(), 3));
+    assert.equal(toLocalDate(subscription.nextRunAt), addDays(subscription.nextDeliveryDate, -1));
+  });
+
+  it('places the order when it is due and schedules the next delivery', async () => {
+    const subscription = await subscribe();
+    const deliveryDate = subscription.nextDeliveryDate;
+
+    const summary = await runDueSubscriptions(subscription.nextRunAt);
+
+    assert.equal(summary.placed, 1);
+    const updated = await Subscription.findById(subscription._id);
+    assert.equal(updated.runs[0].status, 'placed');
+    assert.equal(updated.nextDeliveryDate, addDays(deliveryDate, 7));
+    assert.equal(updated.lockedUntil, undefined);
+    const order = await Order.findById(updated.runs[0].order);
+    assert.equal(order.items[0].quantity, 2);
+    assert.equal((await Product.findById(product._id)).stock, 8);
+
+    // Nothing else is due yet
+    assert.equal((await runDueSubscriptions(subscription.nextRunAt)).placed, 0);
+  });
+
+  it('places one order per delivery date however often it runs', async () => {
+    const subscription = await subscribe();
+    const { nextDeliveryDate: deliveryDate, nextRunAt } = subscription;
+
+    const first = await runSubscription(subscription, nextRunAt);
+    subscription.nextDeliveryDate = deliveryDate;
+    const second = await runSubscription(subscription, nextRunAt);
+
+    assert.equal(second.order.toString(), first.order.toString());
+    assert.equal(await Order.countDocuments(), 1);
+  });
+
+  it('skips the delivery when an item that must come is out of stock', async () => {
+    await Product.updateOne({ _id: product._id }, { stock: 1 });
+    const subscription = await subscribe([{ product: product._id, quantity: 2, ifUnavailable: 'skip-delivery' }]);
+
+    const run = await runSubscription(subscription, subscription.nextRunAt);
+
+    assert.equal(run.status, 'skipped');
+    assert.equal(await Order.countDocuments(), 0);
+  });
+
+  it('does not send a late order once the delivery date has passed', async () => {
+    const subscription = await subscribe();
+
+    const run = await runSubscription(subscription, new Date(Date.now() + 5 * 24 * 60 * 60 * 1000));
+
+    assert.equal(run.status, 'failed');
+    assert.match(run.note, /delivery date passed/);
+    assert.equal(await Order.countDocuments(), 0);
+  });
+});
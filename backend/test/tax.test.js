@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateLineTax,
+  getGstRate,
+  isInterState,
+  recalculateLineTax,
+  summarizeTaxes
+} from '../services/taxService.js';
+
+describe('getGstRate', () => {
+  it('matches the longest HSN prefix', () => {
+    assert.equal(getGstRate({ hsnCode: '08011100', category: 'fruits' }), 5);
+    assert.equal(getGstRate({ hsnCode: '08041000', category: 'nuts' }), 0);
+  });
+
+  it('falls back to the category, then the default rate', () => {
+    assert.equal(getGstRate({ hsnCode: '9999', category: 'dairy' }), 5);
+    assert.equal(getGstRate({ category: 'vegetables' }), 0);
+    assert.equal(getGstRate({ category: 'something-new' }), 5);
+  });
+
+  it('taxes honey the same by HSN code and by category', () => {
+    assert.equal(getGstRate({ hsnCode: '04090000' }), getGstRate({ category: 'honey' }));
+  });
+});
+
+describe('isInterState', () => {
+  it('compares states ignoring case and spacing', () => {
+    assert.equal(isInterState('Tamil  Nadu', ' tamil nadu'), false);
+    assert.equal(isInterState('Karnataka', 'Kerala'), true);
+  });
+
+  it('treats a sale from an unknown state as intra-state', () => {
+    assert.equal(isInterState(undefined, 'Kerala'), false);
+  });
+});
+
+describe('calculateLineTax', () => {
+  const ghee = { taxableValue: 500, hsnCode: '0405', sellerState: 'Karnataka' };
+
+  it('splits GST evenly into CGST and SGST within a state', () => {
+    assert.deepEqual(calculateLineTax({ ...ghee, buyerState: 'Karnataka' }), {
+      rate: 12, taxableValue: 500, cgst: 30, sgst: 30, igst: 0, total: 60
+    });
+  });
+
+  it('charges IGST across states', () => {
+    assert.deepEqual(calculateLineTax({ ...ghee, buyerState: 'Goa' }), {
+      rate: 12, taxableValue: 500, cgst: 0, sgst: 0, igst: 60, total: 60
+    });
+  });
+
+  it('gives an odd paisa to CGST so the halves add up', () => {
+    const tax = calculateLineTax({ taxableValue: 10.1, hsnCode: '0405', sellerState: 'Goa', buyerState: 'Goa' });
+
+    assert.equal(tax.total, 1.21);
+    assert.equal(tax.cgst, 0.61);
+    assert.equal(tax.sgst, 0.6);
+  });
+
+  it('keeps the rate and split when the taxable value changes', () => {
+    const tax = calculateLineTax({ ...ghee, buyerState: 'Goa' });
+
+    assert.deepEqual(recalculateLineTax(tax, 250), {
+      rate: 12, taxableValue: 250, cgst: 0, sgst: 0, igst: 30, total: 30
+    });
+  });
+});
+
+describe('summarizeTaxes', () => {
+  it('adds up line taxes to the paisa', () => {
+    const lines = [
+      { cgst: 0.1, sgst: 0.1, igst: 0, total: 0.2 },
+      { cgst: 0.2, sgst: 0.2, igst: 0, total: 0.4 },
+      { cgst: 0, sgst: 0, igst: 1.15, total: 1.15 }
+    ];
+
+    assert.deepEqual(summarizeTaxes(lines), { cgst: 0.3, sgst: 0.3, igst: 1.15, total: 1.75 });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import {
+  areConvertible,
+  convertQuantity,
+  getBaseUnit,
+  getPackQuantity,
+  getUnitPrice
+} from '../utils/units.js';
+import { applyVariants } from '../services/variantService.js';
+
+describe('unit conversion', () => {
+  it('converts within a dimension', () => {
+    assert.equal(convertQuantity(250, 'gram', 'kg'), 0.25);
+    assert.equal(convertQuantity(2, 'dozen', 'piece'), 24);
+    assert.equal(convertQuantity(1500, 'ml', 'liter'), 1.5);
+    assert.equal(convertQuantity(1, 'quintal', 'kg'), 100);
+  });
+
+  it('refuses to convert across dimensions', () => {
+    assert.equal(areConvertible('kg', 'liter'), false);
+    assert.throws(() => convertQuantity(1, 'kg', 'liter'), /Cannot convert kg to liter/);
+  });
+
+  it('keeps bunches apart from pieces', () => {
+    assert.equal(areConvertible('bunch', 'piece'), false);
+    assert.equal(getBaseUnit('bunch'), 'bunch');
+  });
+
+  it('refuses units it does not know', () => {
+    assert.throws(() => getBaseUnit('crate'), /Unknown unit crate/);
+  });
+});
+
+describe('pack prices and quantities', () => {
+  it('prices packs per base unit so they compare', () => {
+    assert.equal(getUnitPrice(60, 500, 'gram'), 120);
+    assert.equal(getUnitPrice(100, 2, 'lb'), 110.23);
+    assert.equal(getUnitPrice(72, 1, 'dozen'), 6);
+  });
+
+  it('counts a pack in the product\'s unit', () => {
+    assert.equal(getPackQuantity({ packSize: 500, packUnit: 'gram' }, 'kg'), 0.5);
+    assert.equal(getPackQuantity({ packSize: 3, packUnit: 'bunch' }, 'piece'), 1);
+  });
+});
+
+describe('applyVariants', () => {
+  const product = () => new Product({
+    name: 'Basmati rice',
+    description: 'Aged basmati',
+    price: 120,
+    category: 'grains',
+    farmer: new mongoose.Types.ObjectId(),
+    unit: 'kg'
+  });
+
+  it('accepts packs in any unit that converts to the product\'s', () => {
+    const rice = product();
+
+    applyVariants(rice, [{ packSize: 500, packUnit: 'gram', price: 65 }, { packSize: 5, packUnit: 'kg', price: 580 }]);
+
+    assert.equal(rice.variants.length, 2);
+    assert.match(rice.variants[0].sku, /-500GRAM$/);
+  });
+
+  it('refuses packs in a unit that does not convert', () => {
+    assert.throws(
+      () => applyVariants(product(), [{ packSize: 1, packUnit: 'liter', price: 100 }]),
+      { code: 'INVALID_PACK_UNIT' }
+    );
+  });
+
+  it('refuses two packs with the same SKU', () => {
+    assert.throws(
+      () => applyVariants(product(), [
+        { packSize: 1, packUnit: 'kg', price: 120, sku: 'RICE-1' },
+        { packSize: 2, packUnit: 'kg', price: 230, sku: 'rice-1' }
+      ]),
+      { code: 'DUPLICATE_SKU' }
+    );
+  });
+});
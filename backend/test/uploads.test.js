@@ -0,0 +1,140 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import Product from '../models/Product.js';
+import {
+  addProductImages,
+  detachProductImage,
+  detachUnlistedImages,
+  storeImage
+} from '../services/imageService.js';
+import localStorage from '../services/storage/localStorage.js';
+
+const image = (width, height, format = 'jpeg', metadata) => {
+  let pipeline = sharp({ create: { width, height, channels: 3, background: '#c0392b' } }).toFormat(format);
+  if (metadata) {
+    pipeline = pipeline.withMetadata(metadata);
+  }
+  return pipeline.toBuffer().then(buffer => ({ buffer }));
+};
+
+const product = () => new Product({
+  name: 'Tomatoes',
+  description: 'Vine-ripened tomatoes',
+  price: 40,
+  category: 'vegetables',
+  farmer: new mongoose.Types.ObjectId(),
+  unit: 'kg'
+});
+
+describe('image uploads', () => {
+  let uploadDir;
+  const stored = (url) => path.join(uploadDir, url.replace(/^\/uploads\//, ''));
+
+  before(async () => {
+    uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'farmtohome-uploads-'));
+    process.env.UPLOAD_DIR = uploadDir;
+  });
+
+  after(async () => {
+    delete process.env.UPLOAD_DIR;
+    await fs.rm(uploadDir, { recursive: true, force: true });
+  });
+
+  it('stores a large size and a thumbnail, each also as WebP', async () => {
+    const result = await storeImage(await image(2000, 1000), { folder: 'products/p1', preset: 'product' });
+
+    assert.equal(result.storage, 'local');
+    assert.deepEqual([result.width, result.height], [1600, 800]);
+    assert.match(result.url, /^\/uploads\/products\/p1\/[0-9a-f-]+\/large\.jpg$/);
+    assert.match(result.webp, /large\.webp$/);
+
+    const thumbnail = await sharp(stored(result.thumbnail)).metadata();
+    assert.deepEqual([thumbnail.format, thumbnail.width, thumbnail.height], ['jpeg', 320, 160]);
+    assert.equal((await sharp(stored(result.thumbnailWebp)).metadata()).format, 'webp');
+  });
+
+  it('never enlarges small images', async () => {
+    const result = await storeImage(await image(200, 100, 'png'), { folder: 'products/p1', preset: 'product' });
+
+    assert.deepEqual([result.width, result.height], [200, 100]);
+    assert.match(result.url, /large\.png$/);
+  });
+
+  it('crops avatars to squares', async () => {
+    const result = await storeImage(await image(900, 600), { folder: 'avatars/u1', preset: 'avatar' });
+
+    assert.deepEqual([result.width, result.height], [512, 512]);
+  });
+
+  it('goes by the contents, not the name or claimed type', async () => {
+    const text = { buffer: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'), mimetype: 'image/png' };
+
+    await assert.rejects(storeImage(text, { folder: 'products/p1', preset: 'product' }), { code: 'INVALID_IMAGE' });
+  });
+
+  it('applies the camera orientation and strips the metadata', async () => {
+    const photo = await image(200, 100, 'jpeg', { orientation: 6, exif: { IFD0: { Copyright: 'Ravi' } } });
+
+    const result = await storeImage(photo, { folder: 'products/p1', preset: 'product' });
+
+    assert.deepEqual([result.width, result.height], [100, 200]);
+    const metadata = await sharp(stored(result.url)).metadata();
+    assert.equal(metadata.exif, undefined);
+    assert.equal(metadata.orientation, undefined);
+  });
+
+  it('adds images to a product and keeps its image list in step', async () => {
+    const tomatoes = product();
+
+    const [first] = await addProductImages(tomatoes, [await image(400, 400)]);
+
+    assert.deepEqual(tomatoes.images, [first.url]);
+    const removed = detachProductImage(tomatoes, first._id);
+    assert.equal(removed.url, first.url);
+    assert.deepEqual(tomatoes.images, []);
+    assert.equal(tomatoes.imageFiles.length, 0);
+    assert.throws(() => detachProductImage(tomatoes, first._id), { code: 'IMAGE_NOT_FOUND' });
+  });
+
+  it('removes what it stored when a later file in the batch is not an image', async () => {
+    const tomatoes = product();
+
+    await assert.rejects(
+      addProductImages(tomatoes, [await image(400, 400), { buffer: Buffer.from('not an image') }]),
+      { code: 'INVALID_IMAGE' }
+    );
+
+    assert.equal(tomatoes.imageFiles.length, 0);
+    assert.deepEqual(await fs.readdir(path.join(uploadDir, 'products', tomatoes._id.toString())), []);
+  });
+
+  it('limits how many images a product has', async () => {
+    const tomatoes = product();
+    tomatoes.images = ['a', 'b', 'c', 'd'].map(name => `https://example.com/${name}.jpg`);
+
+    await assert.rejects(
+      addProductImages(tomatoes, [await image(10, 10), await image(10, 10)]),
+      { code: 'TOO_MANY_IMAGES' }
+    );
+  });
+
+  it('drops uploads taken off the image list', async () => {
+    const tomatoes = product();
+    const [kept, dropped] = await addProductImages(tomatoes, [await image(40, 40), await image(40, 40)]);
+    tomatoes.images = [kept.url];
+
+    const removed = detachUnlistedImages(tomatoes);
+
+    assert.deepEqual(removed.map(entry => entry.url), [dropped.url]);
+    assert.deepEqual(tomatoes.imageFiles.map(entry => entry.url), [kept.url]);
+  });
+
+  it('keeps stored files inside the upload directory', async () => {
+    await assert.rejects(localStorage.save({ key: '../escape.txt', body: Buffer.from('x') }), /Invalid storage key/);
+  });
+});
@@ -0,0 +1,199 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Wallet from '../models/Wallet.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+import {
+  adjustWallet,
+  creditWallet,
+  debitWallet,
+  getWalletBalance,
+  getWalletStatement
+} from '../services/walletService.js';
+import { transitionOrder } from '../services/orderStateMachine.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import {
+  createCustomer,
+  createFarmer,
+  createPincode,
+  createProduct,
+  fillCart,
+  checkout
+} from './helpers/fixtures.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+describe('wallet ledger entries', () => {
+  const customer = new mongoose.Types.ObjectId();
+
+  it('must balance', async () => {
+    const transaction = new WalletTransaction({
+      customer,
+      type: 'cashback',
+      amount: 10,
+      balanceAfter: 10,
+      entries: [{ account: 'platform:cashback', debit: 10 }, { account: `wallet:${customer}`, credit: 9.99 }]
+    });
+
+    await assert.rejects(transaction.validate(), /Ledger entries must balance/);
+  });
+
+  it('need both sides', async () => {
+    const transaction = new WalletTransaction({
+      customer,
+      type: 'cashback',
+      amount: 10,
+      balanceAfter: 10,
+      entries: [{ account: `wallet:${customer}`, credit: 10 }]
+    });
+
+    await assert.rejects(transaction.validate(), /Ledger entries must balance/);
+  });
+});
+
+describe('wallet', { skip: skipDatabase }, () => {
+  let customer;
+
+  const balanceOf = async (user = customer) => (await getWalletBalance(user._id)).balance;
+  const credit = (amount) => creditWallet({ customerId: customer._id, type: 'cashback', amount, description: 'Cashback' });
+  const debit = (amount) => debitWallet({ customerId: customer._id, type: 'order-payment', amount, description: 'Order' });
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    customer = await createCustomer();
+  });
+
+  it('starts empty and keeps balances to the paisa', async () => {
+    assert.equal(await balanceOf(), 0);
+
+    await credit(0.1);
+    await credit(0.2);
+
+    assert.equal(await balanceOf(), 0.3);
+  });
+
+  it('writes both sides of every movement', async () => {
+    await credit(100);
+    await debit(40);
+
+    const transactions = await WalletTransaction.find({ customer: customer._id }).sort({ createdAt: 1, _id: 1 });
+    assert.deepEqual(transactions.map(t => [t.amount, t.balanceAfter]), [[100, 100], [-40, 60]]);
+    assert.deepEqual(transactions[1].entries.map(({ account, debit: dr, credit: cr }) => [account, dr, cr]), [
+      [`wallet:${customer._id}`, 40, 0],
+      ['platform:orders', 0, 40]
+    ]);
+  });
+
+  it('refuses debits the balance does not cover and records nothing', async () => {
+    await credit(50);
+
+    await assert.rejects(debit(50.01), { code: 'INSUFFICIENT_WALLET_BALANCE', details: { balance: 50, required: 50.01 } });
+    await assert.rejects(debit(0), { code: 'INVALID_WALLET_AMOUNT' });
+
+    assert.equal(await balanceOf(), 50);
+    assert.equal(await WalletTransaction.countDocuments(), 1);
+  });
+
+  it('never overdraws under concurrent debits', async () => {
+    await credit(100);
+
+    const results = await Promise.allSettled([1, 2, 3, 4, 5].map(() => debit(30)));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 3);
+    assert.equal(await balanceOf(), 10);
+    assert.equal(await WalletTransaction.countDocuments({ amount: -30 }), 3);
+  });
+
+  it('rolls the balance and ledger back with the transaction around them', async () => {
+    await credit(100);
+    const session = await mongoose.startSession();
+
+    try {
+      await assert.rejects(session.withTransaction(async () => {
+        await debitWallet({ customerId: customer._id, type: 'order-payment', amount: 70, description: 'Order' }, session);
+        throw new Error('Order could not be saved');
+      }), /Order could not be saved/);
+    } finally {
+      await session.endSession();
+    }
+
+    assert.equal(await balanceOf(), 100);
+    assert.equal(await WalletTransaction.countDocuments(), 1);
+  });
+
+  it('adjusts a wallet for an admin and reports it on the statement', async () => {
+    const admin = new mongoose.Types.ObjectId();
+    await adjustWallet(customer._id, { type: 'cashback', amount: 80, description: 'Diwali cashback' }, admin);
+    await adjustWallet(customer._id, { type: 'adjustment', amount: -30, description: 'Correction' }, admin);
+
+    const statement = await getWalletStatement(customer._id);
+    assert.equal(statement.closingBalance, 50);
+    assert.equal(statement.credits, 80);
+    assert.equal(statement.debits, 30);
+    assert.equal(statement.total, 2);
+    assert.equal((await Wallet.findOne({ customer: customer._id })).balance, 50);
+  });
+
+  describe('at checkout', () => {
+    let product;
+
+    beforeEach(async () => {
+      await createPincode();
+      product = await createProduct(await createFarmer(), { stock: 10 });
+      await fillCart(customer, [{ product, quantity: 2 }]);
+    });
+
+    it('pays a wallet order in full from the balance', async () => {
+      await credit(1000);
+
+      const { order } = await checkout(customer, { paymentMethod: 'wallet' });
+
+      assert.equal(order.paymentStatus, 'paid');
+      assert.equal(order.walletAmount, order.total);
+      assert.equal(await balanceOf(), roundMoney(1000 - order.total));
+      const payment = await WalletTransaction.findOne({ order: order._id });
+      assert.equal(payment.type, 'order-payment');
+      assert.equal(payment.amount, -order.total);
+    });
+
+    it('pays part from the wallet and leaves the rest due', async () => {
+      await credit(10);
+
+      const { order } = await checkout(customer, { paymentMethod: 'card', walletAmount: 10 });
+
+      assert.equal(order.paymentStatus, 'pending');
+      assert.equal(order.walletAmount, 10);
+      assert.equal(await balanceOf(), 0);
+    });
+
+    it('refunds a wallet order in full to the wallet when it is cancelled', async () => {
+      await credit(1000);
+      const { order } = await checkout(customer, { paymentMethod: 'wallet' });
+
+      await transitionOrder(order._id, 'cancelled', { actor: { id: customer._id.toString(), role: 'customer' } });
+
+      const updated = await Order.findById(order._id);
+      assert.equal(updated.paymentStatus, 'refunded');
+      assert.equal(updated.refundAmount, order.total);
+      assert.equal(updated.walletRefunded, order.total);
+      assert.equal(await balanceOf(), 1000);
+      const refund = await WalletTransaction.findOne({ order: order._id, type: 'refund' });
+      assert.equal(refund.amount, order.total);
+    });
+
+    it('places no order and takes nothing when the wallet falls short', async () => {
+      await credit(5);
+
+      await assert.rejects(checkout(customer, { paymentMethod: 'wallet' }), { code: 'INSUFFICIENT_WALLET_BALANCE' });
+
+      assert.equal(await balanceOf(), 5);
+      assert.equal(await WalletTransaction.countDocuments(), 1);
+      assert.equal((await Product.findById(product._id)).stock, 10);
+    });
+  });
+});
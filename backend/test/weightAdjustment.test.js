@@ -0,0 +1,184 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import { calculateLineTax } from '../services/taxService.js';
+import { recordPackedWeights } from '../services/weightAdjustmentService.js';
+import { transitionOrder } from '../services/orderStateMachine.js';
+import { getProvider } from '../services/payments/providers/index.js';
+import { confirmPayment, createPaymentForOrder } from '../services/payments/paymentService.js';
+import { creditWallet, getWalletBalance } from '../services/walletService.js';
+import { skipDatabase, startDatabase, stopDatabase, clearDatabase } from './helpers/db.js';
+import {
+  createCustomer,
+  createFarmer,
+  createPincode,
+  createProduct,
+  fillCart,
+  checkout
+} from './helpers/fixtures.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('recordPackedWeights', () => {
+  const farmer = id();
+  const [tomatoes, eggs] = [id(), id()];
+  const [sale, coupon] = [id(), id()];
+
+  // 2 kg of tomatoes at 40 (5% GST) and a dozen eggs, from one farmer
+  const buildOrder = ({ promotionDiscounts = [0, 0], discounts = [], ...overrides } = {}) => {
+    const lines = [
+      { product: tomatoes, productName: 'Tomatoes', price: 40, quantity: 2, unit: 'kg', subtotal: 80, hsnCode: '0910' },
+      { product: eggs, productName: 'Eggs', price: 90, quantity: 1, unit: 'dozen', subtotal: 90, hsnCode: '0407' }
+    ].map((line, index) => ({
+      ...line,
+      farmer,
+      promotionDiscount: promotionDiscounts[index],
+      tax: calculateLineTax({
+        taxableValue: line.subtotal - promotionDiscounts[index],
+        hsnCode: line.hsnCode,
+        sellerState: 'Karnataka',
+        buyerState: 'Karnataka'
+      })
+    }));
+    const promotionDiscount = promotionDiscounts[0] + promotionDiscounts[1];
+    const taxes = lines.reduce((sum, line) => sum + line.tax.total, 0);
+
+    return new Order({
+      customer: id(),
+      items: lines,
+      fulfillments: [{ farmer, subtotal: 170, status: 'accepted' }],
+      discounts,
+      subtotal: 170,
+      promotionDiscount,
+      deliveryCharges: 30,
+      taxes,
+      total: 170 - promotionDiscount + 30 + taxes,
+      paymentMethod: 'cod',
+      ...overrides
+    });
+  };
+
+  const pack = (order, quantity, item = order.items[0]) =>
+    recordPackedWeights(order, order.fulfillments[0], [{ itemId: item._id.toString(), quantity }]);
+
+  it('re-prices a line at its packed weight and keeps what was ordered', () => {
+    const order = buildOrder();
+    const originalTotal = order.total;
+
+    const change = pack(order, 2.1);
+
+    const [line] = order.items;
+    assert.equal(line.subtotal, 84);
+    assert.equal(line.orderedSubtotal, 80);
+    assert.equal(line.tax.total, 4.2);
+    assert.equal(order.subtotal, 174);
+    assert.equal(order.fulfillments[0].subtotal, 174);
+    assert.equal(change, 4.2);
+    assert.equal(order.total, originalTotal + 4.2);
+    assert.equal(order.weightAdjustment.originalTotal, originalTotal);
+    assert.equal(order.weightAdjustment.settlements.length, 0);
+  });
+
+  it('refuses weights beyond the tolerance, lines not sold by weight and other farmers\' lines', () => {
+    const order = buildOrder();
+
+    assert.throws(() => pack(order, 2.5), { code: 'WEIGHT_OUT_OF_TOLERANCE' });
+    assert.throws(() => pack(order, 1, order.items[1]), { code: 'NOT_VARIABLE_WEIGHT' });
+    assert.throws(
+      () => recordPackedWeights(order, { farmer: id() }, [{ itemId: order.items[0]._id.toString(), quantity: 2 }]),
+      { code: 'ITEM_NOT_FOUND' }
+    );
+  });
+
+  it('lowers the promotions that gave a line more than it is now worth', () => {
+    const order = buildOrder({
+      promotionDiscounts: [78, 10],
+      discounts: [
+        { promotion: sale, amount: 49, items: [{ product: tomatoes, amount: 39 }, { product: eggs, amount: 10 }] },
+        { promotion: coupon, code: 'TOMATO', amount: 39, items: [{ product: tomatoes, amount: 39 }] }
+      ]
+    });
+
+    pack(order, 1.9);
+
+    assert.equal(order.items[0].promotionDiscount, 76);
+    assert.equal(order.promotionDiscount, 86);
+    assert.deepEqual(order.discounts.map(discount => [discount.amount, discount.items.map(share => share.amount)]), [
+      [48, [38, 10]],
+      [38, [38]]
+    ]);
+    assert.equal(order.items[0].tax.total, 0);
+  });
+
+  it('leaves promotions alone while the line is still worth more than its discount', () => {
+    const order = buildOrder({
+      promotionDiscounts: [20, 0],
+      discounts: [{ promotion: sale, amount: 20, items: [{ product: tomatoes, amount: 20 }] }]
+    });
+
+    pack(order, 1.9);
+
+    assert.equal(order.items[0].promotionDiscount, 20);
+    assert.equal(order.discounts[0].amount, 20);
+  });
+
+  it('records a settlement for orders already paid online', () => {
+    const order = buildOrder({ paymentMethod: 'card', paymentStatus: 'paid' });
+
+    const change = pack(order, 1.8);
+
+    assert.deepEqual(order.weightAdjustment.settlements.map(s => [s.amount, s.status]), [[change, 'pending']]);
+    assert.ok(change < 0);
+  });
+});
+
+describe('weight adjustments', { skip: skipDatabase }, () => {
+  let customer;
+  let farmer;
+
+  const packOrder = (order, quantity) => transitionOrder(order._id, 'processing', {
+    actor: { id: farmer._id.toString(), role: 'farmer' },
+    farmer: farmer._id.toString(),
+    packedWeights: [{ itemId: order.items[0]._id.toString(), quantity }]
+  });
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createPincode();
+    customer = await createCustomer();
+    farmer = await createFarmer();
+    await fillCart(customer, [{ product: await createProduct(farmer, { stock: 10 }), quantity: 2 }]);
+  });
+
+  it('refunds a lighter pack to the card the order was paid with', async () => {
+    const { order } = await checkout(customer, { paymentMethod: 'card' });
+    const { payment } = await createPaymentForOrder(order);
+    await confirmPayment(order, payment.intentId, getProvider('mock').signConfirmation(payment.intentId));
+    await transitionOrder(order._id, 'accepted', { actor: { id: farmer._id.toString(), role: 'farmer' }, farmer: farmer._id.toString() });
+
+    await packOrder(order, 1.8);
+
+    const updated = await Order.findById(order._id);
+    assert.equal(updated.weightAdjustment.amount, -8);
+    assert.equal(updated.weightAdjustment.settlements[0].status, 'completed');
+    assert.equal((await Payment.findById(payment._id)).refundedAmount, 8);
+  });
+
+  it('takes the extra for a heavier pack from the wallet', async () => {
+    await creditWallet({ customerId: customer._id, type: 'cashback', amount: 500, description: 'Cashback' });
+    const { order } = await checkout(customer, { paymentMethod: 'wallet' });
+    await transitionOrder(order._id, 'accepted', { actor: { id: farmer._id.toString(), role: 'farmer' }, farmer: farmer._id.toString() });
+
+    await packOrder(order, 2.2);
+
+    const updated = await Order.findById(order._id);
+    assert.equal(updated.total, order.total + 8);
+    assert.equal(updated.walletAmount, updated.total);
+    assert.equal((await getWalletBalance(customer._id)).balance, 500 - updated.total);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Error carrying an API error code and HTTP status.
+ * Thrown from services and turned into the standard error envelope
+ * ({ success: false, error: { code, message } }) by controllers.
+ */
+class AppError extends Error {
+  /**
+   * @param {String} code - Machine-readable error code, e.g. 'INSUFFICIENT_STOCK'
+   * @param {String} message - Human-readable message
+   * @param {Number} status - HTTP status code
+   * @param {Object} details - Optional extra details for the client
+   */
+  constructor(code, message, status = 400, details) {
+    super(message);
+    this.name = 'AppError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  /**
+   * Send this error as the standard error response
+   * @param {Object} res - Express response
+   */
+  send(res) {
+    const error = { code: this.code, message: this.message };
+    if (this.details) {
+      error.details = this.details;
+    }
+    return res.status(this.status).json({ success: false, error });
+  }
+}
+
+export default AppError;
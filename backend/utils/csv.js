@@ -0,0 +1,125 @@
+// Minimal CSV reading and writing (RFC 4180: comma separated, fields with
+// commas, quotes or line breaks quoted, quotes doubled inside quotes)
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {String} text - CSV text
+ * @returns {String[][]} Rows, without blank lines
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Drop a byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into records keyed by column name.
+ * Column names are trimmed; values are trimmed and blanks become undefined.
+ * @param {String} text - CSV text
+ * @returns {Object} { columns, records: [{ line, values }] }; line counts non-blank rows from 1, header included
+ */
+const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map(name => name.trim());
+
+  const records = rows.map((fields, index) => ({
+    line: index + 2,
+    values: Object.fromEntries(columns.map((column, position) => {
+      const value = (fields[position] || '').trim();
+      return [column, value === '' ? undefined : value];
+    }))
+  }));
+
+  return { columns, records };
+};
+
+// Accepted spellings of true and false in cells
+const CSV_BOOLEANS = {
+  true: true, yes: true, y: true, 1: true,
+  false: false, no: false, n: false, 0: false
+};
+
+/**
+ * Read a cell as a boolean; unrecognised text is returned as is, so
+ * validation can reject it
+ * @param {String} value - Cell text
+ * @returns {Boolean|String|undefined}
+ */
+const parseCsvBoolean = (value) =>
+  value === undefined ? undefined : CSV_BOOLEANS[value.toLowerCase()] ?? value;
+
+/**
+ * Read a cell as a number; text that is not a number is returned as is
+ * @param {String} value - Cell text
+ * @returns {Number|String|undefined}
+ */
+const parseCsvNumber = (value) =>
+  value === undefined || Number.isNaN(Number(value)) ? value : Number(value);
+
+const quoteField = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write records as CSV with a header row
+ * @param {String[]} columns - Column names, in order
+ * @param {Object[]} records - Records keyed by column name
+ * @returns {String} CSV text
+ */
+const toCsv = (columns, records) =>
+  [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(fields => fields.map(quoteField).join(','))
+    .join('\r\n') + '\r\n';
+
+export {
+  parseCsvRows,
+  parseCsv,
+  parseCsvBoolean,
+  parseCsvNumber,
+  toCsv
+};
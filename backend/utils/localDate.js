@@ -0,0 +1,56 @@
+import { TIMEZONE_OFFSET } from '../config/timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const offsetMs = (() => {
+  const [, sign, hours, minutes] = TIMEZONE_OFFSET.match(/^([+-])(\d{2}):(\d{2})$/);
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60 * 1000;
+})();
+
+/**
+ * Local calendar date of an instant
+ * @param {Date} now - Instant
+ * @returns {String} YYYY-MM-DD
+ */
+const toLocalDate = (now = new Date()) => new Date(now.getTime() + offsetMs).toISOString().slice(0, 10);
+
+/**
+ * Move a calendar date by whole days
+ * @param {String} date - YYYY-MM-DD
+ * @param {Number} days - Days to add (negative to go back)
+ * @returns {String} YYYY-MM-DD
+ */
+const addDays = (date, days) =>
+  new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Whole days from one calendar date to another
+ * @param {String} from - YYYY-MM-DD
+ * @param {String} to - YYYY-MM-DD
+ * @returns {Number} Days (negative when to is earlier)
+ */
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * Day of the week of a calendar date
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Number} 0 (Sunday) to 6 (Saturday)
+ */
+const dayOfWeekOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Instant a local date and time of day occur
+ * @param {String} date - YYYY-MM-DD
+ * @param {String} time - HH:mm
+ * @returns {Date} Instant
+ */
+const localDateTime = (date, time = '00:00') => new Date(`${date}T${time}:00${TIMEZONE_OFFSET}`);
+
+export {
+  toLocalDate,
+  addDays,
+  daysBetween,
+  dayOfWeekOf,
+  localDateTime
+};
@@ -0,0 +1,124 @@
+import ExcelJS from 'exceljs';
+import { parseCsv, toCsv } from './csv.js';
+
+// Reading and writing tabular files as CSV or XLSX, as records keyed by
+// column name (see parseCsv)
+
+// XLSX files are zip archives, which start with these bytes
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Whether file contents are an XLSX workbook rather than CSV text
+ * @param {Buffer} buffer - File contents
+ * @returns {Boolean}
+ */
+const isXlsx = (buffer) => buffer.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE);
+
+/**
+ * Text of an XLSX cell value: numbers and booleans as written, dates as
+ * ISO strings, rich text and links as their text, formulas as their result
+ * @param {*} value - ExcelJS cell value
+ * @returns {String|undefined}
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value !== 'object') {
+    return String(value);
+  }
+  if (value.richText) {
+    return value.richText.map(part => part.text).join('');
+  }
+  if (value.text !== undefined) {
+    return cellText(value.text);
+  }
+  if (value.result !== undefined) {
+    return cellText(value.result);
+  }
+  return value.error;
+};
+
+/**
+ * Read the first worksheet of an XLSX workbook. The first non-empty row is
+ * the header; line is the worksheet row number.
+ * @param {Buffer} buffer - XLSX contents
+ * @returns {Promise<Object>} { columns, records: [{ line, values }] }
+ */
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const rows = [];
+  const sheet = workbook.worksheets[0];
+  if (sheet) {
+    sheet.eachRow({ includeEmpty: false }, (row, line) => {
+      const fields = [];
+      row.eachCell({ includeEmpty: false }, (cell, position) => {
+        fields[position - 1] = (cellText(cell.value) || '').trim();
+      });
+      if (fields.some(value => value)) {
+        rows.push({ line, fields });
+      }
+    });
+  }
+
+  const [header = { fields: [] }, ...body] = rows;
+  const columns = Array.from(header.fields, name => name || '');
+
+  return {
+    columns,
+    records: body.map(({ line, fields }) => ({
+      line,
+      values: Object.fromEntries(columns.map((column, position) => [column, fields[position] || undefined]))
+    }))
+  };
+};
+
+/**
+ * Read a CSV or XLSX file, telling them apart by their contents
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} { format, columns, records: [{ line, values }] }
+ */
+const readSpreadsheet = async (buffer) => {
+  if (isXlsx(buffer)) {
+    return { format: 'xlsx', ...(await parseXlsx(buffer)) };
+  }
+  return { format: 'csv', ...parseCsv(buffer.toString('utf8')) };
+};
+
+/**
+ * Write records as a CSV or single-sheet XLSX file with a header row
+ * @param {String} format - 'csv' or 'xlsx'
+ * @param {String[]} columns - Column names, in order
+ * @param {Object[]} records - Records keyed by column name
+ * @param {String} sheetName - XLSX worksheet name
+ * @returns {Promise<Object>} { body, contentType, extension }
+ */
+const writeSpreadsheet = async (format, columns, records, sheetName = 'Sheet1') => {
+  if (format !== 'xlsx') {
+    return { body: toCsv(columns, records), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  records.forEach(record => sheet.addRow(record));
+
+  return {
+    body: Buffer.from(await workbook.xlsx.writeBuffer()),
+    contentType: XLSX_CONTENT_TYPE,
+    extension: 'xlsx'
+  };
+};
+
+export {
+  readSpreadsheet,
+  writeSpreadsheet
+};
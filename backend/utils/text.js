@@ -0,0 +1,98 @@
+// Helpers for turning user-typed text into safe queries and highlights
+
+const REGEX_SPECIAL = /[.*+?^${}()|[\]\\]/g;
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text so it matches literally inside a RegExp
+ * @param {String} text - User input
+ * @returns {String}
+ */
+const escapeRegex = (text) => text.replace(REGEX_SPECIAL, '\\$&');
+
+/**
+ * Escape text for inclusion in HTML
+ * @param {String} text - Text
+ * @returns {String}
+ */
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+/**
+ * Split text into lower-case words of letters and digits
+ * @param {String} text - Text
+ * @returns {String[]}
+ */
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+/**
+ * Reduce an English word to a rough stem, so "tomatoes" and "tomato" or
+ * "sliced" and "slice" compare equal. Close enough for highlighting; the
+ * text index does its own stemming.
+ * @param {String} word - Lower-case word
+ * @returns {String}
+ */
+const stem = (word) => {
+  if (word.length <= 3) {
+    return word;
+  }
+  if (word.endsWith('ies')) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (/(s|x|z|ch|sh|o)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (word.endsWith('s') && !word.endsWith('ss')) {
+    return word.slice(0, -1);
+  }
+  if (word.endsWith('ing') && word.length > 5) {
+    return word.slice(0, -3);
+  }
+  if (word.endsWith('ed') && word.length > 4) {
+    return word.slice(0, -2);
+  }
+  return word;
+};
+
+/**
+ * Edit distance between two words, counting an insertion, deletion,
+ * substitution or swap of neighbouring letters as one edit
+ * @param {String} a - Word
+ * @param {String} b - Word
+ * @returns {Number}
+ */
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+export {
+  escapeRegex,
+  escapeHtml,
+  tokenize,
+  stem,
+  editDistance
+};
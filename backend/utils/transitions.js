@@ -0,0 +1,61 @@
+import AppError from './AppError.js';
+
+// Helpers for role-aware state machines. A transition table maps
+// current status → next status → roles allowed to make that move.
+
+/**
+ * Get the statuses a role may move to from the current status
+ * @param {Object} table - Transition table
+ * @param {String} from - Current status
+ * @param {String} role - Actor role
+ * @returns {String[]} Allowed next statuses
+ */
+const getAllowedTransitions = (table, from, role) => {
+  const next = table[from] || {};
+  return Object.keys(next).filter(status => next[status].includes(role));
+};
+
+/**
+ * Throw unless the transition is legal and the role may perform it
+ * @param {Object} table - Transition table
+ * @param {String} from - Current status
+ * @param {String} to - Requested status
+ * @param {String} role - Actor role
+ * @param {String} subject - What is moving, used in messages (e.g. 'order')
+ */
+const assertTransition = (table, from, to, role, subject) => {
+  const next = table[from] || {};
+
+  if (!next[to]) {
+    throw new AppError(
+      'INVALID_TRANSITION',
+      `This ${subject} cannot move from ${from} to ${to}`,
+      409,
+      { from, to, allowed: Object.keys(next) }
+    );
+  }
+
+  if (!next[to].includes(role)) {
+    throw new AppError(
+      'TRANSITION_FORBIDDEN',
+      `A ${role} cannot move this ${subject} from ${from} to ${to}`,
+      403,
+      { from, to, allowed: getAllowedTransitions(table, from, role) }
+    );
+  }
+};
+
+/**
+ * Get the statuses with no outgoing transitions
+ * @param {Object} table - Transition table
+ * @returns {String[]} Terminal statuses
+ */
+const getTerminalStatuses = (table) => {
+  return Object.keys(table).filter(status => Object.keys(table[status]).length === 0);
+};
+
+export {
+  getAllowedTransitions,
+  assertTransition,
+  getTerminalStatuses
+};
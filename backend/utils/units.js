@@ -0,0 +1,118 @@
+// Units of measure products are sold in, grouped by dimension.
+// `factor` converts one unit into the dimension's base unit
+// (kg for mass, liter for volume, piece for count). Bunches vary in size,
+// so they are their own dimension and convert to nothing but bunches.
+const UNITS = {
+  kg: { dimension: 'mass', factor: 1 },
+  gram: { dimension: 'mass', factor: 0.001 },
+  quintal: { dimension: 'mass', factor: 100 },
+  ton: { dimension: 'mass', factor: 1000 },
+  lb: { dimension: 'mass', factor: 0.45359237 },
+  piece: { dimension: 'count', factor: 1 },
+  bunch: { dimension: 'bunch', factor: 1 },
+  dozen: { dimension: 'count', factor: 12 },
+  liter: { dimension: 'volume', factor: 1 },
+  ml: { dimension: 'volume', factor: 0.001 }
+};
+
+const BASE_UNITS = {
+  mass: 'kg',
+  volume: 'liter',
+  count: 'piece',
+  bunch: 'bunch'
+};
+
+const UNIT_NAMES = Object.keys(UNITS);
+
+const requireUnit = (unit) => {
+  const definition = UNITS[unit];
+  if (!definition) {
+    throw new Error(`Unknown unit ${unit}`);
+  }
+  return definition;
+};
+
+/**
+ * Base unit of a unit's dimension (kg, liter, piece or bunch)
+ * @param {String} unit - Unit
+ * @returns {String} Base unit
+ */
+const getBaseUnit = (unit) => BASE_UNITS[requireUnit(unit).dimension];
+
+/**
+ * Whether two units measure the same thing and can be converted
+ * @param {String} from - Unit
+ * @param {String} to - Unit
+ * @returns {Boolean}
+ */
+const areConvertible = (from, to) => requireUnit(from).dimension === requireUnit(to).dimension;
+
+/**
+ * Convert a quantity between units of the same dimension
+ * @param {Number} quantity - Quantity in `from`
+ * @param {String} from - Unit converted from
+ * @param {String} to - Unit converted to
+ * @returns {Number} Quantity in `to`
+ */
+const convertQuantity = (quantity, from, to) => {
+  if (!areConvertible(from, to)) {
+    throw new Error(`Cannot convert ${from} to ${to}`);
+  }
+  return quantity * UNITS[from].factor / UNITS[to].factor;
+};
+
+/**
+ * Express a quantity in its dimension's base unit
+ * @param {Number} quantity - Quantity
+ * @param {String} unit - Unit
+ * @returns {Object} { quantity, unit }
+ */
+const toBaseQuantity = (quantity, unit) => ({
+  quantity: quantity * requireUnit(unit).factor,
+  unit: getBaseUnit(unit)
+});
+
+/**
+ * Price per base unit (per kg, liter, piece or bunch), so packs of different
+ * sizes and units can be compared and sorted
+ * @param {Number} price - Price of the pack
+ * @param {Number} packSize - Quantity in the pack
+ * @param {String} unit - Unit of packSize
+ * @returns {Number} Price per base unit, rounded to paise
+ */
+const getUnitPrice = (price, packSize, unit) => {
+  const { quantity } = toBaseQuantity(packSize, unit);
+  return quantity > 0 ? Math.round(price / quantity * 100) / 100 : price;
+};
+
+/**
+ * Quantity of a product's unit in one of its packs, so stock kept in packs
+ * can be counted in the product's unit. Packs in a unit that does not
+ * convert (saved before bunches stopped counting as pieces) count as one.
+ * @param {Object} variant - { packSize, packUnit }
+ * @param {String} unit - Product unit
+ * @returns {Number}
+ */
+const getPackQuantity = (variant, unit) => (
+  areConvertible(variant.packUnit, unit) ? convertQuantity(variant.packSize, variant.packUnit, unit) : 1
+);
+
+/**
+ * Human-readable pack size, e.g. "250 gram" or "2 lb"
+ * @param {Number} packSize - Quantity in the pack
+ * @param {String} unit - Unit
+ * @returns {String}
+ */
+const formatQuantity = (packSize, unit) => `${packSize} ${unit}`;
+
+export {
+  UNITS,
+  BASE_UNITS,
+  UNIT_NAMES,
+  getBaseUnit,
+  areConvertible,
+  convertQuantity,
+  getPackQuantity,
+  getUnitPrice,
+  formatQuantity
+};
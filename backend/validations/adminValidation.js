@@ -0,0 +1,169 @@
+import { z } from 'zod';
+import { PRODUCT_CATEGORIES } from './productValidation.js';
+import { ORDER_STATUSES } from './orderValidation.js';
+import { isDeclaredPermission } from '../config/permissions.js';
+
+// User roles enum
+const USER_ROLES = ['customer', 'farmer', 'admin'];
+
+// Pagination fields (reusable)
+const paginationQuery = {
+  page: z
+    .string()
+    .regex(/^\d+$/, 'Page must be a positive integer')
+    .transform(val => parseInt(val))
+    .optional()
+    .default(1),
+
+  limit: z
+    .string()
+    .regex(/^\d+$/, 'Limit must be a positive integer')
+    .transform(val => parseInt(val))
+    .refine(val => val >= 1 && val <= 100, 'Limit must be between 1 and 100')
+    .optional()
+    .default(20)
+};
+
+// ID param (reusable)
+const idParams = (label) => z.object({
+  id: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label} ID format`)
+});
+
+// Get all users query validation
+const getUsersQuerySchema = z.object({
+  query: z.object({
+    role: z
+      .enum(USER_ROLES, {
+        errorMap: () => ({ message: `Role must be one of: ${USER_ROLES.join(', ')}` })
+      })
+      .optional(),
+
+    ...paginationQuery
+  })
+});
+
+// Get all farmers query validation
+const getFarmersQuerySchema = z.object({
+  query: z.object({
+    verified: z
+      .enum(['true', 'false'])
+      .optional(),
+
+    ...paginationQuery
+  })
+});
+
+// Approve/Reject farmer validation
+const approveFarmerSchema = z.object({
+  body: z.object({
+    approved: z.boolean({
+      required_error: 'Approved flag is required',
+      invalid_type_error: 'Approved must be a boolean'
+    })
+  }),
+
+  params: idParams('farmer')
+});
+
+// Ban/Unban user validation
+const banUserSchema = z.object({
+  body: z.object({
+    banned: z.boolean({
+      required_error: 'Banned flag is required',
+      invalid_type_error: 'Banned must be a boolean'
+    })
+  }),
+
+  params: idParams('user')
+});
+
+// Get all products (admin view) query validation
+const getAdminProductsQuerySchema = z.object({
+  query: z.object({
+    approved: z
+      .enum(['true', 'false'])
+      .optional(),
+
+    category: z
+      .enum(PRODUCT_CATEGORIES)
+      .optional(),
+
+    ...paginationQuery
+  })
+});
+
+// Approve/Reject product validation
+const approveProductSchema = z.object({
+  body: z.object({
+    approved: z.boolean({
+      required_error: 'Approved flag is required',
+      invalid_type_error: 'Approved must be a boolean'
+    })
+  }),
+
+  params: idParams('product')
+});
+
+// Delete product validation
+const deleteProductSchema = z.object({
+  params: idParams('product')
+});
+
+// Get all orders (admin view) query validation
+const getAdminOrdersQuerySchema = z.object({
+  query: z.object({
+    status: z
+      .enum(ORDER_STATUSES)
+      .optional(),
+
+    ...paginationQuery
+  })
+});
+
+// Update role permissions validation
+const updateRolePermissionsSchema = z.object({
+  body: z.object({
+    permissions: z
+      .array(z
+        .string()
+        .refine(
+          (permission) => permission === '*' || isDeclaredPermission(permission),
+          (permission) => ({ message: `Unknown permission: ${permission}` })
+        ))
+      .max(100, 'Maximum 100 permissions allowed')
+  }),
+
+  params: z.object({
+    role: z
+      .enum(USER_ROLES, {
+        errorMap: () => ({ message: `Role must be one of: ${USER_ROLES.join(', ')}` })
+      })
+  })
+}).superRefine((data, ctx) => {
+  if (data.params.role === 'admin') return;
+
+  data.body.permissions.forEach((permission, index) => {
+    if (permission === '*') {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Only the admin role can be granted every permission',
+        path: ['body', 'permissions', index]
+      });
+    }
+  });
+});
+
+export {
+  getUsersQuerySchema,
+  getFarmersQuerySchema,
+  approveFarmerSchema,
+  banUserSchema,
+  getAdminProductsQuerySchema,
+  approveProductSchema,
+  deleteProductSchema,
+  getAdminOrdersQuerySchema,
+  updateRolePermissionsSchema,
+  USER_ROLES
+};
@@ -21,9 +21,10 @@ const registerSchema = z.object({
       .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, 
         'Password must contain at least one uppercase letter, one lowercase letter, and one number'),
     
+    // Admins are created with npm run admin:create, never by signing up
     role: z
-      .enum(['customer', 'farmer','admin'], {
-        errorMap: () => ({ message: 'Role must be either customer or farmer OR admin' })
+      .enum(['customer', 'farmer'], {
+        errorMap: () => ({ message: 'Role must be either customer or farmer' })
       })
       .default('customer'),
     
@@ -44,6 +45,12 @@ const registerSchema = z.object({
     farmerDetails: z.object({
       farmSize: z.number().positive('Farm size must be positive').optional(),
       farmLocation: z.string().min(5, 'Farm location must be at least 5 characters').optional(),
+      farmCoordinates: z.array(z.number()).length(2, 'Farm coordinates must be [longitude, latitude]')
+        .refine(([lng, lat]) => Math.abs(lng) <= 180 && Math.abs(lat) <= 90, 'Farm coordinates must be [longitude, latitude]')
+        .optional(),
+      farmPincode: z.string().regex(/^\d{6}$/, 'Farm pincode must be exactly 6 digits').optional(),
+      state: z.string().min(2, 'State must be at least 2 characters').optional(),
+      gstin: z.string().regex(/^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/, 'Invalid GSTIN format').optional(),
       cropTypes: z.array(z.string()).min(1, 'At least one crop type is required').optional(),
       experienceYears: z.number().min(0, 'Experience cannot be negative').optional(),
       bankDetails: z.object({
@@ -101,6 +108,12 @@ const updateProfileSchema = z.object({
     farmerDetails: z.object({
       farmSize: z.number().positive('Farm size must be positive').optional(),
       farmLocation: z.string().min(5, 'Farm location must be at least 5 characters').optional(),
+      farmCoordinates: z.array(z.number()).length(2, 'Farm coordinates must be [longitude, latitude]')
+        .refine(([lng, lat]) => Math.abs(lng) <= 180 && Math.abs(lat) <= 90, 'Farm coordinates must be [longitude, latitude]')
+        .optional(),
+      farmPincode: z.string().regex(/^\d{6}$/, 'Farm pincode must be exactly 6 digits').optional(),
+      state: z.string().min(2, 'State must be at least 2 characters').optional(),
+      gstin: z.string().regex(/^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/, 'Invalid GSTIN format').optional(),
       cropTypes: z.array(z.string()).min(1, 'At least one crop type is required').optional(),
       experienceYears: z.number().min(0, 'Experience cannot be negative').optional(),
       bankDetails: z.object({
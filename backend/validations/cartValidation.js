@@ -7,6 +7,12 @@ const addToCartSchema = z.object({
       .string()
       .regex(/^[0-9a-fA-F]{24}$/, 'Invalid product ID format'),
     
+    // Required for products sold in pack-size variants
+    variantId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid variant ID format')
+      .optional(),
+    
     quantity: z
       .number()
       .int('Quantity must be an integer')
@@ -41,8 +47,19 @@ const removeCartItemSchema = z.object({
   })
 });
 
+// Apply coupon validation
+const applyCouponSchema = z.object({
+  body: z.object({
+    code: z
+      .string()
+      .trim()
+      .regex(/^[A-Za-z0-9-]{3,20}$/, 'Coupon codes are 3 to 20 letters, digits or hyphens')
+  })
+});
+
 export  {
   addToCartSchema,
   updateCartItemSchema,
-  removeCartItemSchema
+  removeCartItemSchema,
+  applyCouponSchema
 }; 
\ No newline at end of file
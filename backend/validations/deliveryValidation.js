@@ -0,0 +1,61 @@
+import { z } from 'zod';
+import { deliveryAddressSchema } from './orderValidation.js';
+
+// Delivery quote validation (only the parts of the address that affect pricing)
+const deliveryQuoteSchema = z.object({
+  body: z.object({
+    deliveryAddress: deliveryAddressSchema.pick({
+      pincode: true,
+      coordinates: true
+    })
+  })
+});
+
+const moneyAmount = (label) => z
+  .number()
+  .min(0, `${label} cannot be negative`);
+
+// Create or replace a delivery rate card
+const updateRateCardSchema = z.object({
+  body: z.object({
+    name: z
+      .string()
+      .min(2, 'Name must be at least 2 characters')
+      .max(100, 'Name must be less than 100 characters')
+      .trim()
+      .optional(),
+
+    pincodePrefixes: z
+      .array(z
+        .string()
+        .regex(/^\d{1,6}$/, 'Pincode prefix must be 1 to 6 digits'))
+      .max(500, 'Maximum 500 pincode prefixes allowed')
+      .default([]),
+
+    baseCharge: moneyAmount('Base charge'),
+    perKmCharge: moneyAmount('Per km charge').default(0),
+    includedKm: z.number().min(0, 'Included distance cannot be negative').default(0),
+    perKgCharge: moneyAmount('Per kg charge').default(0),
+    includedKg: z.number().min(0, 'Included weight cannot be negative').default(0),
+    fallbackDistanceKm: z.number().min(0, 'Fallback distance cannot be negative').default(0),
+
+    freeDeliveryThreshold: moneyAmount('Free delivery threshold')
+      .nullable()
+      .default(null),
+
+    isActive: z
+      .boolean()
+      .default(true)
+  }),
+
+  params: z.object({
+    zone: z
+      .string()
+      .regex(/^[a-z0-9-]{2,30}$/, 'Zone must be 2-30 lowercase letters, digits or hyphens')
+  })
+});
+
+export {
+  deliveryQuoteSchema,
+  updateRateCardSchema
+};
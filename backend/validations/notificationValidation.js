@@ -0,0 +1,39 @@
+import { z } from 'zod';
+
+// Get notifications query validation
+const getNotificationsQuerySchema = z.object({
+  query: z.object({
+    unread: z
+      .enum(['true', 'false'])
+      .optional(),
+
+    page: z
+      .string()
+      .regex(/^\d+$/, 'Page must be a positive integer')
+      .transform(val => parseInt(val))
+      .optional()
+      .default(1),
+
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a positive integer')
+      .transform(val => parseInt(val))
+      .refine(val => val >= 1 && val <= 100, 'Limit must be between 1 and 100')
+      .optional()
+      .default(20)
+  })
+});
+
+// Mark one notification read
+const markNotificationReadSchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid notification ID format')
+  })
+});
+
+export {
+  getNotificationsQuerySchema,
+  markNotificationReadSchema
+};
@@ -64,6 +64,14 @@ const placeOrderSchema = z.object({
       })
       .default('cod'),
     
+    // Pay this much from the wallet and the rest by paymentMethod;
+    // `wallet` orders pay everything from it
+    walletAmount: z
+      .number()
+      .positive('Wallet amount must be greater than 0')
+      .max(1000000, 'Wallet amount is too large')
+      .optional(),
+    
     instructions: z
       .string()
       .max(500, 'Instructions must be less than 500 characters')
@@ -74,6 +82,12 @@ const placeOrderSchema = z.object({
       .datetime('Invalid expected delivery date format')
       .optional(),
     
+    // Delivery slot held via POST /api/customers/delivery-slots/:id/reserve
+    slotReservationId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid slot reservation ID format')
+      .optional(),
+    
     // For specific payment methods
     paymentDetails: z.object({
       cardToken: z.string().optional(), // For card payments
@@ -109,8 +123,28 @@ const updateOrderStatusSchema = z.object({
     expectedDeliveryDate: z
       .string()
       .datetime('Invalid expected delivery date format')
+      .optional(),
+
+    // Actual packed weight of variable-weight lines, when moving to processing
+    packedWeights: z
+      .array(z.object({
+        itemId: z
+          .string()
+          .regex(/^[0-9a-fA-F]{24}$/, 'Invalid item ID format'),
+
+        quantity: z
+          .number()
+          .positive('Packed weight must be greater than 0')
+      }))
+      .max(100, 'Maximum 100 packed weights allowed')
       .optional()
-  }),
+  }).refine(
+    (data) => !data.packedWeights || data.status === 'processing',
+    {
+      message: 'Packed weights can only be recorded when moving to processing',
+      path: ['packedWeights']
+    }
+  ),
   
   params: z.object({
     id: z
@@ -230,6 +264,12 @@ const returnOrderSchema = z.object({
           .string()
           .regex(/^[0-9a-fA-F]{24}$/, 'Invalid product ID format'),
         
+        // Pack-size variant, for products bought by variant
+        variantId: z
+          .string()
+          .regex(/^[0-9a-fA-F]{24}$/, 'Invalid variant ID format')
+          .optional(),
+        
         quantity: z
           .number()
           .int('Quantity must be an integer')
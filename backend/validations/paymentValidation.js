@@ -0,0 +1,53 @@
+import { z } from 'zod';
+
+// Order ID param (reusable)
+const orderParams = z.object({
+  id: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid order ID format')
+});
+
+// Create payment intent validation
+const createPaymentSchema = z.object({
+  body: z.object({
+    paymentDetails: z.object({
+      cardToken: z.string().optional(), // For card payments
+      upiId: z.string().email('Invalid UPI ID format').optional(), // For UPI payments
+      walletId: z.string().optional() // For wallet payments
+    }).optional()
+  }),
+
+  params: orderParams
+});
+
+// Confirm payment validation
+const confirmPaymentSchema = z.object({
+  body: z.object({
+    intentId: z
+      .string()
+      .min(1, 'Payment intent ID is required')
+      .max(100, 'Payment intent ID must be less than 100 characters'),
+
+    signature: z
+      .string()
+      .min(1, 'Payment signature is required')
+      .max(256, 'Payment signature must be less than 256 characters')
+  }),
+
+  params: orderParams
+});
+
+// Payment webhook validation
+const paymentWebhookSchema = z.object({
+  params: z.object({
+    provider: z
+      .string()
+      .regex(/^[a-z0-9-]+$/, 'Invalid payment provider')
+  })
+});
+
+export {
+  createPaymentSchema,
+  confirmPaymentSchema,
+  paymentWebhookSchema
+};
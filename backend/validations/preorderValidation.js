@@ -0,0 +1,130 @@
+import { z } from 'zod';
+import { deliveryAddressSchema, PAYMENT_METHODS } from './orderValidation.js';
+
+const PREORDER_STATUSES = ['reserved', 'converted', 'cancelled', 'failed'];
+
+const objectId = (label) => z
+  .string()
+  .regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label} ID format`);
+
+const paginationQuery = {
+  page: z
+    .string()
+    .regex(/^\d+$/, 'Page must be a positive integer')
+    .optional(),
+
+  limit: z
+    .string()
+    .regex(/^\d+$/, 'Limit must be a positive integer')
+    .refine(val => parseInt(val) >= 1 && parseInt(val) <= 100, 'Limit must be between 1 and 100')
+    .optional(),
+
+  status: z
+    .enum(PREORDER_STATUSES, {
+      errorMap: () => ({ message: `Status must be one of: ${PREORDER_STATUSES.join(', ')}` })
+    })
+    .optional()
+};
+
+// Farmer's pre-order settings on a product
+const preorderSettingsSchema = z.object({
+  isEnabled: z
+    .boolean()
+    .optional(),
+
+  quota: z
+    .number()
+    .min(0, 'Pre-order quota cannot be negative')
+    .max(1000000, 'Pre-order quota is too large')
+    .optional(),
+
+  // Share of the pre-order value collected up front
+  depositPercentage: z
+    .number()
+    .min(0, 'Deposit cannot be negative')
+    .max(100, 'Deposit cannot exceed 100%')
+    .optional()
+});
+
+// Place a pre-order
+const createPreOrderSchema = z.object({
+  body: z.object({
+    product: objectId('product'),
+
+    quantity: z
+      .number()
+      .int('Quantity must be an integer')
+      .min(1, 'Quantity must be at least 1')
+      .max(1000, 'Quantity cannot exceed 1000'),
+
+    deliveryAddress: deliveryAddressSchema,
+
+    paymentMethod: z
+      .enum(PAYMENT_METHODS, {
+        errorMap: () => ({ message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` })
+      })
+      .default('cod'),
+
+    instructions: z
+      .string()
+      .max(500, 'Instructions must be less than 500 characters')
+      .optional(),
+
+    paymentDetails: z.object({
+      cardToken: z.string().optional(),
+      upiId: z.string().email('Invalid UPI ID format').optional(),
+      walletId: z.string().optional()
+    }).optional()
+  })
+});
+
+// Cancel a pre-order
+const cancelPreOrderSchema = z.object({
+  body: z.object({
+    reason: z
+      .string()
+      .max(500, 'Cancellation reason must be less than 500 characters')
+      .trim()
+      .optional()
+  }),
+
+  params: z.object({
+    id: objectId('pre-order')
+  })
+});
+
+// Customer pre-order listing
+const getPreOrdersQuerySchema = z.object({
+  query: z.object(paginationQuery)
+});
+
+// Farmer pre-order listing
+const getFarmerPreOrdersQuerySchema = z.object({
+  query: z.object({
+    ...paginationQuery,
+    product: objectId('product').optional()
+  })
+});
+
+// Mark a product's harvest done
+const harvestProductSchema = z.object({
+  body: z.object({
+    quantity: z
+      .number()
+      .min(0, 'Harvested quantity cannot be negative')
+      .max(1000000, 'Harvested quantity is too large')
+  }),
+
+  params: z.object({
+    id: objectId('product')
+  })
+});
+
+export {
+  preorderSettingsSchema,
+  createPreOrderSchema,
+  cancelPreOrderSchema,
+  getPreOrdersQuerySchema,
+  getFarmerPreOrdersQuerySchema,
+  harvestProductSchema
+};
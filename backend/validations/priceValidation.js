@@ -0,0 +1,90 @@
+import { z } from 'zod';
+
+const objectId = (label) => z
+  .string()
+  .regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label} ID format`);
+
+const paginationQuery = {
+  page: z
+    .string()
+    .regex(/^\d+$/, 'Page must be a positive integer')
+    .optional(),
+
+  limit: z
+    .string()
+    .regex(/^\d+$/, 'Limit must be a positive integer')
+    .refine(val => parseInt(val) >= 1 && parseInt(val) <= 100, 'Limit must be between 1 and 100')
+    .optional()
+};
+
+// A product's price history, newest first; variantId narrows to one pack size
+const getPriceHistorySchema = z.object({
+  params: z.object({
+    id: objectId('product')
+  }),
+  query: z.object({
+    ...paginationQuery,
+    variantId: objectId('variant').optional()
+  })
+});
+
+// A product's scheduled price changes
+const getPriceSchedulesSchema = z.object({
+  params: z.object({
+    id: objectId('product')
+  }),
+  query: z.object(paginationQuery)
+});
+
+// Schedule a price change, e.g. a weekend sale; without endsAt the new
+// price stays
+const createPriceScheduleSchema = z.object({
+  params: z.object({
+    id: objectId('product')
+  }),
+  body: z.object({
+    // Required for products sold in pack sizes
+    variantId: objectId('variant').optional(),
+
+    price: z
+      .number()
+      .positive('Price must be greater than 0')
+      .max(100000, 'Price cannot exceed ₹1,00,000'),
+
+    startsAt: z
+      .string()
+      .datetime({ offset: true, message: 'Invalid start time format' }),
+
+    endsAt: z
+      .string()
+      .datetime({ offset: true, message: 'Invalid end time format' })
+      .optional(),
+
+    label: z
+      .string()
+      .max(60, 'Label must be less than 60 characters')
+      .trim()
+      .optional()
+  }).refine(
+    (data) => !data.endsAt || new Date(data.endsAt) > new Date(data.startsAt),
+    {
+      message: 'The price change must end after it starts',
+      path: ['endsAt']
+    }
+  )
+});
+
+// Cancel a scheduled price change
+const cancelPriceScheduleSchema = z.object({
+  params: z.object({
+    id: objectId('product'),
+    scheduleId: objectId('price schedule')
+  })
+});
+
+export {
+  getPriceHistorySchema,
+  getPriceSchedulesSchema,
+  createPriceScheduleSchema,
+  cancelPriceScheduleSchema
+};
@@ -1,4 +1,6 @@
 import { z } from 'zod';
+import { preorderSettingsSchema } from './preorderValidation.js';
+import { UNIT_NAMES } from '../utils/units.js';
 
 // Product categories (you can expand this list)
 const PRODUCT_CATEGORIES = [
@@ -7,9 +9,56 @@ const PRODUCT_CATEGORIES = [
 ];
 
 // Product units
-const PRODUCT_UNITS = [
-  'kg', 'gram', 'quintal', 'ton', 'piece', 'dozen', 'liter', 'ml'
-];
+const PRODUCT_UNITS = UNIT_NAMES;
+
+// Pack-size variant: its own SKU, size, price and stock
+const productVariantSchema = z.object({
+  // Present when updating an existing variant
+  _id: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid variant ID format')
+    .optional(),
+
+  sku: z
+    .string()
+    .regex(/^[A-Za-z0-9-]{3,40}$/, 'SKU must be 3-40 letters, digits or hyphens')
+    .optional(),
+
+  label: z
+    .string()
+    .max(50, 'Variant label must be less than 50 characters')
+    .trim()
+    .optional(),
+
+  packSize: z
+    .number()
+    .positive('Pack size must be greater than 0')
+    .max(100000, 'Pack size is too large'),
+
+  packUnit: z
+    .enum(PRODUCT_UNITS, {
+      errorMap: () => ({ message: `Pack unit must be one of: ${PRODUCT_UNITS.join(', ')}` })
+    }),
+
+  price: z
+    .number()
+    .positive('Price must be greater than 0')
+    .max(100000, 'Price cannot exceed ₹1,00,000'),
+
+  stock: z
+    .number()
+    .int('Variant stock must be a whole number of packs')
+    .min(0, 'Stock cannot be negative')
+    .max(100000, 'Stock cannot exceed 1,00,000 units'),
+
+  isAvailable: z
+    .boolean()
+    .optional()
+});
+
+const variantsSchema = z
+  .array(productVariantSchema)
+  .max(20, 'Maximum 20 pack sizes allowed');
 
 // Create product validation
 const createProductSchema = z.object({
@@ -26,10 +75,12 @@ const createProductSchema = z.object({
       .max(1000, 'Description must be less than 1000 characters')
       .trim(),
     
+    // Products sold in pack sizes take price and stock from their variants
     price: z
       .number()
       .positive('Price must be greater than 0')
-      .max(100000, 'Price cannot exceed ₹1,00,000'),
+      .max(100000, 'Price cannot exceed ₹1,00,000')
+      .optional(),
     
     category: z
       .enum(PRODUCT_CATEGORIES, {
@@ -44,11 +95,14 @@ const createProductSchema = z.object({
     stock: z
       .number()
       .min(0, 'Stock cannot be negative')
-      .max(100000, 'Stock cannot exceed 1,00,000 units'),
+      .max(100000, 'Stock cannot exceed 1,00,000 units')
+      .optional(),
+
+    variants: variantsSchema.optional(),
     
+    // Linked images; files can be uploaded once the product exists
     images: z
       .array(z.string().url('Each image must be a valid URL'))
-      .min(1, 'At least one image is required')
       .max(5, 'Maximum 5 images allowed')
       .optional()
       .default([]),
@@ -58,6 +112,11 @@ const createProductSchema = z.object({
       .optional()
       .default(false),
     
+    hsnCode: z
+      .string()
+      .regex(/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits')
+      .optional(),
+    
     tags: z
       .array(z.string().min(2, 'Each tag must be at least 2 characters'))
       .max(10, 'Maximum 10 tags allowed')
@@ -99,6 +158,15 @@ const createProductSchema = z.object({
       .min(1, 'Minimum order quantity must be at least 1')
       .optional()
       .default(1),
+
+    // Quantities must be multiples of this (packs for products with pack sizes)
+    quantityStep: z
+      .number()
+      .int('Quantity step must be a whole number')
+      .min(1, 'Quantity step must be at least 1')
+      .max(1000, 'Quantity step cannot exceed 1000')
+      .optional()
+      .default(1),
     
     discountPercentage: z
       .number()
@@ -116,8 +184,17 @@ const createProductSchema = z.object({
     // Seasonal availability
     seasonalAvailability: z
       .array(z.enum(['spring', 'summer', 'monsoon', 'autumn', 'winter']))
-      .optional()
+      .optional(),
+
+    // Pre-orders against the upcoming harvest
+    preorder: preorderSettingsSchema.optional()
   }).refine(
+    (data) => (data.variants && data.variants.length > 0) || (data.price !== undefined && data.stock !== undefined),
+    {
+      message: 'Price and stock are required unless the product has pack sizes',
+      path: ['price']
+    }
+  ).refine(
     (data) => {
       // If expiry date is provided, it should be after harvest date
       if (data.harvestDate && data.expiryDate) {
@@ -172,6 +249,9 @@ const updateProductSchema = z.object({
       .min(0, 'Stock cannot be negative')
       .max(100000, 'Stock cannot exceed 1,00,000 units')
       .optional(),
+
+    // Replaces the product's pack sizes; send an empty list to remove them
+    variants: variantsSchema.optional(),
     
     images: z
       .array(z.string().url('Each image must be a valid URL'))
@@ -183,6 +263,11 @@ const updateProductSchema = z.object({
       .boolean()
       .optional(),
     
+    hsnCode: z
+      .string()
+      .regex(/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits')
+      .optional(),
+    
     tags: z
       .array(z.string().min(2, 'Each tag must be at least 2 characters'))
       .max(10, 'Maximum 10 tags allowed')
@@ -222,6 +307,13 @@ const updateProductSchema = z.object({
       .number()
       .min(1, 'Minimum order quantity must be at least 1')
       .optional(),
+
+    quantityStep: z
+      .number()
+      .int('Quantity step must be a whole number')
+      .min(1, 'Quantity step must be at least 1')
+      .max(1000, 'Quantity step cannot exceed 1000')
+      .optional(),
     
     discountPercentage: z
       .number()
@@ -236,7 +328,10 @@ const updateProductSchema = z.object({
     
     seasonalAvailability: z
       .array(z.enum(['spring', 'summer', 'monsoon', 'autumn', 'winter']))
-      .optional()
+      .optional(),
+
+    // Pre-orders against the upcoming harvest
+    preorder: preorderSettingsSchema.optional()
   }),
   
   params: z.object({
@@ -246,6 +341,35 @@ const updateProductSchema = z.object({
   })
 });
 
+// Customer location for browsing: coordinates, or a pincode
+const locationQuery = {
+  lat: z
+    .string()
+    .regex(/^-?\d+(\.\d+)?$/, 'Invalid latitude format')
+    .transform(val => parseFloat(val))
+    .refine(val => val >= -90 && val <= 90, 'Latitude must be between -90 and 90')
+    .optional(),
+
+  lng: z
+    .string()
+    .regex(/^-?\d+(\.\d+)?$/, 'Invalid longitude format')
+    .transform(val => parseFloat(val))
+    .refine(val => val >= -180 && val <= 180, 'Longitude must be between -180 and 180')
+    .optional(),
+
+  pincode: z
+    .string()
+    .regex(/^\d{6}$/, 'Pincode must be 6 digits')
+    .optional()
+};
+
+const hasCoordinatePair = (data) => (data.lat === undefined) === (data.lng === undefined);
+
+const coordinatePairError = {
+  message: 'Latitude and longitude must be sent together',
+  path: ['lat']
+};
+
 // Get products query validation
 const getProductsQuerySchema = z.object({
   query: z.object({
@@ -277,21 +401,21 @@ const getProductsQuerySchema = z.object({
       .optional(),
     
     sort_by: z
-      .enum(['price', 'createdAt', 'name', 'rating', 'distance'])
-      .optional()
-      .default('createdAt'),
+      .enum(['relevance', 'price', 'unitPrice', 'createdAt', 'name', 'rating', 'distance'])
+      .optional(),
     
     order: z
       .enum(['asc', 'desc'])
-      .optional()
-      .default('desc'),
+      .optional(),
+
+    ...locationQuery,
     
     page: z
       .string()
       .regex(/^\d+$/, 'Page must be a positive integer')
       .transform(val => parseInt(val))
       .optional()
-      .default(1),
+      .default('1'),
     
     limit: z
       .string()
@@ -299,7 +423,7 @@ const getProductsQuerySchema = z.object({
       .transform(val => parseInt(val))
       .refine(val => val >= 1 && val <= 100, 'Limit must be between 1 and 100')
       .optional()
-      .default(20),
+      .default('20'),
     
     isOrganic: z
       .enum(['true', 'false'])
@@ -309,6 +433,17 @@ const getProductsQuerySchema = z.object({
     inStock: z
       .enum(['true', 'false'])
       .transform(val => val === 'true')
+      .optional(),
+
+    qualityGrade: z
+      .enum(['A', 'B', 'C'], {
+        errorMap: () => ({ message: 'Quality grade must be A, B, or C' })
+      })
+      .optional(),
+
+    farmer: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid farmer ID format')
       .optional()
   }).refine(
     (data) => {
@@ -322,6 +457,40 @@ const getProductsQuerySchema = z.object({
       message: "Minimum price must be less than or equal to maximum price",
       path: ["price_min"]
     }
+  ).refine(hasCoordinatePair, coordinatePairError).refine(
+    (data) => data.sort_by !== 'distance' || ((data.lat !== undefined || data.pincode) && !data.search),
+    {
+      message: 'Sorting by distance needs lat and lng or a pincode, and cannot be combined with search',
+      path: ['sort_by']
+    }
+  )
+});
+
+// Farmers near me validation
+const getNearbyFarmersSchema = z.object({
+  query: z.object({
+    ...locationQuery,
+
+    radius: z
+      .string()
+      .regex(/^\d+(\.\d+)?$/, 'Invalid radius format')
+      .transform(val => parseFloat(val))
+      .refine(val => val > 0 && val <= 500, 'Radius must be between 0 and 500 km')
+      .optional(),
+
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a positive integer')
+      .transform(val => parseInt(val))
+      .refine(val => val >= 1 && val <= 50, 'Limit must be between 1 and 50')
+      .optional()
+      .default('20')
+  }).refine(hasCoordinatePair, coordinatePairError).refine(
+    (data) => data.lat !== undefined || data.pincode,
+    {
+      message: 'Send lat and lng or a pincode',
+      path: ['pincode']
+    }
   )
 });
 
@@ -334,6 +503,67 @@ const getProductByIdSchema = z.object({
   })
 });
 
+// Remove an uploaded product image
+const deleteProductImageSchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid product ID format'),
+    imageId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid image ID format')
+  })
+});
+
+// Bulk import or update from a spreadsheet; dryRun only reports
+const bulkProductsQuerySchema = z.object({
+  query: z.object({
+    dryRun: z
+      .enum(['true', 'false'])
+      .transform(val => val === 'true')
+      .optional()
+      .default('false')
+  })
+});
+
+// One row of a bulk price and stock update, keyed by SKU, or by product
+// ID for products without pack sizes
+const bulkUpdateRowSchema = z.object({
+  price: z
+    .number({ invalid_type_error: 'Price must be a number' })
+    .positive('Price must be greater than 0')
+    .max(100000, 'Price cannot exceed ₹1,00,000')
+    .optional(),
+
+  stock: z
+    .number({ invalid_type_error: 'Stock must be a number' })
+    .min(0, 'Stock cannot be negative')
+    .max(100000, 'Stock cannot exceed 1,00,000 units')
+    .optional(),
+
+  isAvailable: z
+    .boolean({ invalid_type_error: 'isAvailable must be true or false' })
+    .optional()
+}).refine(
+  (data) => data.price !== undefined || data.stock !== undefined || data.isAvailable !== undefined,
+  {
+    message: 'Give a price, stock or isAvailable to update',
+    path: ['price']
+  }
+);
+
+// Catalog export
+const exportProductsQuerySchema = z.object({
+  query: z.object({
+    format: z
+      .enum(['csv', 'xlsx'], {
+        errorMap: () => ({ message: 'Format must be csv or xlsx' })
+      })
+      .optional()
+      .default('csv')
+  })
+});
+
 // Search products validation
 const searchProductsSchema = z.object({
   query: z.object({
@@ -348,7 +578,7 @@ const searchProductsSchema = z.object({
       .transform(val => parseInt(val))
       .refine(val => val >= 1 && val <= 50, 'Limit must be between 1 and 50')
       .optional()
-      .default(10)
+      .default('10')
   })
 });
 
@@ -357,7 +587,12 @@ export {
   updateProductSchema,
   getProductsQuerySchema,
   getProductByIdSchema,
+  deleteProductImageSchema,
+  bulkProductsQuerySchema,
+  bulkUpdateRowSchema,
+  exportProductsQuerySchema,
   searchProductsSchema,
+  getNearbyFarmersSchema,
   PRODUCT_CATEGORIES,
   PRODUCT_UNITS
 }; 
\ No newline at end of file
@@ -0,0 +1,173 @@
+import { z } from 'zod';
+import { PRODUCT_CATEGORIES } from './productValidation.js';
+
+const PROMOTION_KINDS = ['coupon', 'automatic'];
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const objectId = (label) => z
+  .string()
+  .regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label} ID format`);
+
+const paginationQuery = {
+  page: z
+    .string()
+    .regex(/^\d+$/, 'Page must be a positive integer')
+    .optional(),
+
+  limit: z
+    .string()
+    .regex(/^\d+$/, 'Limit must be a positive integer')
+    .refine(val => parseInt(val) >= 1 && parseInt(val) <= 100, 'Limit must be between 1 and 100')
+    .optional()
+};
+
+// Fields of a promotion. Optional limits can be cleared with null on update.
+const promotionFields = {
+  name: z
+    .string()
+    .min(2, 'Name must be at least 2 characters')
+    .max(100, 'Name must be less than 100 characters')
+    .trim(),
+
+  description: z
+    .string()
+    .max(500, 'Description must be less than 500 characters')
+    .trim()
+    .optional(),
+
+  kind: z
+    .enum(PROMOTION_KINDS, {
+      errorMap: () => ({ message: `Kind must be one of: ${PROMOTION_KINDS.join(', ')}` })
+    }),
+
+  // Coupons only; stored in upper case
+  code: z
+    .string()
+    .trim()
+    .regex(/^[A-Za-z0-9-]{3,20}$/, 'Coupon codes are 3 to 20 letters, digits or hyphens')
+    .transform(val => val.toUpperCase())
+    .optional(),
+
+  discountType: z
+    .enum(DISCOUNT_TYPES, {
+      errorMap: () => ({ message: `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}` })
+    }),
+
+  // Percent off, or rupees off the eligible items
+  discountValue: z
+    .number()
+    .positive('Discount must be greater than 0')
+    .max(100000, 'Discount cannot exceed ₹1,00,000'),
+
+  // Cap on a percentage discount
+  maxDiscount: z
+    .number()
+    .positive('Maximum discount must be greater than 0')
+    .nullable()
+    .optional(),
+
+  // Value of eligible items the cart must reach
+  minCartValue: z
+    .number()
+    .min(0, 'Minimum cart value cannot be negative')
+    .optional(),
+
+  // Limit to products in these categories; every category when empty
+  categories: z
+    .array(z.enum(PRODUCT_CATEGORIES, {
+      errorMap: () => ({ message: `Category must be one of: ${PRODUCT_CATEGORIES.join(', ')}` })
+    }))
+    .max(20, 'Maximum 20 categories allowed')
+    .optional(),
+
+  // Admins only: limit to one farmer's products
+  farmer: objectId('farmer')
+    .nullable()
+    .optional(),
+
+  firstOrderOnly: z
+    .boolean()
+    .optional(),
+
+  perUserLimit: z
+    .number()
+    .int('Per-customer limit must be an integer')
+    .min(1, 'Per-customer limit must be at least 1')
+    .nullable()
+    .optional(),
+
+  usageLimit: z
+    .number()
+    .int('Usage limit must be an integer')
+    .min(1, 'Usage limit must be at least 1')
+    .nullable()
+    .optional(),
+
+  startsAt: z
+    .string()
+    .datetime({ offset: true, message: 'Invalid start time format' }),
+
+  endsAt: z
+    .string()
+    .datetime({ offset: true, message: 'Invalid end time format' })
+    .nullable()
+    .optional(),
+
+  // Whether it combines with other stackable promotions
+  stackable: z
+    .boolean()
+    .optional(),
+
+  isActive: z
+    .boolean()
+    .optional()
+};
+
+// Create a coupon or automatic promotion
+const createPromotionSchema = z.object({
+  body: z.object(promotionFields)
+});
+
+// Update a promotion; its kind cannot change
+const updatePromotionSchema = z.object({
+  params: z.object({
+    id: objectId('promotion')
+  }),
+  body: z.object(promotionFields)
+    .omit({ kind: true })
+    .partial()
+    .refine(data => Object.keys(data).length > 0, 'At least one field must be provided')
+});
+
+// List promotions
+const getPromotionsQuerySchema = z.object({
+  query: z.object({
+    ...paginationQuery,
+
+    kind: z
+      .enum(PROMOTION_KINDS, {
+        errorMap: () => ({ message: `Kind must be one of: ${PROMOTION_KINDS.join(', ')}` })
+      })
+      .optional(),
+
+    active: z
+      .enum(['true', 'false'], {
+        errorMap: () => ({ message: 'Active must be true or false' })
+      })
+      .optional()
+  })
+});
+
+// A single promotion
+const promotionIdSchema = z.object({
+  params: z.object({
+    id: objectId('promotion')
+  })
+});
+
+export {
+  createPromotionSchema,
+  updatePromotionSchema,
+  getPromotionsQuerySchema,
+  promotionIdSchema
+};
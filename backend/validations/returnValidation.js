@@ -0,0 +1,55 @@
+import { z } from 'zod';
+
+// Return status enum
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'picked-up', 'refunded'];
+
+// Update return status validation (for farmers and admin)
+const updateReturnStatusSchema = z.object({
+  body: z.object({
+    status: z
+      .enum(RETURN_STATUSES, {
+        errorMap: () => ({ message: `Status must be one of: ${RETURN_STATUSES.join(', ')}` })
+      }),
+
+    note: z
+      .string()
+      .max(500, 'Note must be less than 500 characters')
+      .optional()
+  }),
+
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid return ID format')
+  })
+});
+
+// Get returns query validation
+const getReturnsQuerySchema = z.object({
+  query: z.object({
+    status: z
+      .enum(RETURN_STATUSES)
+      .optional(),
+
+    page: z
+      .string()
+      .regex(/^\d+$/, 'Page must be a positive integer')
+      .transform(val => parseInt(val))
+      .optional()
+      .default(1),
+
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a positive integer')
+      .transform(val => parseInt(val))
+      .refine(val => val >= 1 && val <= 100, 'Limit must be between 1 and 100')
+      .optional()
+      .default(20)
+  })
+});
+
+export {
+  updateReturnStatusSchema,
+  getReturnsQuerySchema,
+  RETURN_STATUSES
+};
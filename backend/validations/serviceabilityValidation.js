@@ -0,0 +1,122 @@
+import { z } from 'zod';
+
+const pincodeParams = z.object({
+  pincode: z
+    .string()
+    .regex(/^\d{6}$/, 'Pincode must be 6 digits')
+});
+
+// One serviceability entry, from the admin API or a CSV row
+const serviceabilityEntrySchema = z.object({
+  area: z
+    .string()
+    .max(100, 'Area must be less than 100 characters')
+    .trim()
+    .optional(),
+
+  city: z
+    .string()
+    .max(100, 'City must be less than 100 characters')
+    .trim()
+    .optional(),
+
+  state: z
+    .string()
+    .max(100, 'State must be less than 100 characters')
+    .trim()
+    .optional(),
+
+  isServiceable: z
+    .boolean({ invalid_type_error: 'isServiceable must be true or false' })
+    .default(true),
+
+  zone: z
+    .string()
+    .regex(/^[a-z0-9-]{2,30}$/, 'Zone must be 2-30 lowercase letters, digits or hyphens')
+    .optional(),
+
+  hub: z
+    .string()
+    .min(2, 'Hub must be at least 2 characters')
+    .max(50, 'Hub must be less than 50 characters')
+    .trim()
+    .optional(),
+
+  cutoffTime: z
+    .string()
+    .regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Cutoff time must be HH:mm')
+    .optional(),
+
+  isCodAvailable: z
+    .boolean({ invalid_type_error: 'isCodAvailable must be true or false' })
+    .default(true),
+
+  // Centre of the area, [longitude, latitude]
+  coordinates: z
+    .array(z.number({
+      required_error: 'Coordinates need both latitude and longitude',
+      invalid_type_error: 'Coordinates must be numbers'
+    }))
+    .length(2, 'Coordinates must be [longitude, latitude]')
+    .refine(([lng, lat]) => Math.abs(lng) <= 180 && Math.abs(lat) <= 90, 'Coordinates must be [longitude, latitude]')
+    .optional()
+});
+
+// Create or replace a pincode's entry
+const updateServiceabilitySchema = z.object({
+  body: serviceabilityEntrySchema,
+  params: pincodeParams
+});
+
+// Look up or remove one pincode
+const pincodeSchema = z.object({
+  params: pincodeParams
+});
+
+// Bulk import: CSV text with a header row
+const importServiceabilitySchema = z.object({
+  body: z
+    .string({ invalid_type_error: 'Send the CSV file with Content-Type: text/csv' })
+    .min(1, 'CSV file is empty')
+});
+
+// Admin listing
+const getServiceabilityQuerySchema = z.object({
+  query: z.object({
+    zone: z
+      .string()
+      .optional(),
+
+    hub: z
+      .string()
+      .optional(),
+
+    isServiceable: z
+      .enum(['true', 'false'])
+      .transform(val => val === 'true')
+      .optional(),
+
+    page: z
+      .string()
+      .regex(/^\d+$/, 'Page must be a positive integer')
+      .transform(val => parseInt(val))
+      .optional()
+      .default('1'),
+
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a positive integer')
+      .transform(val => parseInt(val))
+      .refine(val => val >= 1 && val <= 500, 'Limit must be between 1 and 500')
+      .optional()
+      .default('100')
+  })
+});
+
+export {
+  serviceabilityEntrySchema,
+  updateServiceabilitySchema,
+  pincodeSchema,
+  importServiceabilitySchema,
+  getServiceabilityQuerySchema
+};
@@ -0,0 +1,147 @@
+import { z } from 'zod';
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const slotIdParams = z.object({
+  id: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid slot ID format')
+});
+
+const pincode = z
+  .string()
+  .regex(/^\d{6}$/, 'Pincode must be exactly 6 digits');
+
+// Fields shared by farmer and hub slots
+const slotFields = {
+  label: z
+    .string()
+    .max(50, 'Label must be less than 50 characters')
+    .trim()
+    .optional(),
+
+  dayOfWeek: z
+    .number()
+    .int('Day of week must be an integer')
+    .min(0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)')
+    .max(6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+
+  startTime: z
+    .string()
+    .regex(TIME_REGEX, 'Start time must be HH:mm'),
+
+  endTime: z
+    .string()
+    .regex(TIME_REGEX, 'End time must be HH:mm'),
+
+  capacity: z
+    .number()
+    .int('Capacity must be an integer')
+    .min(1, 'Capacity must be at least 1')
+    .max(10000, 'Capacity cannot exceed 10000'),
+
+  cutoffHours: z
+    .number()
+    .min(0, 'Cutoff cannot be negative')
+    .max(168, 'Cutoff cannot exceed 168 hours')
+    .optional(),
+
+  pincodePrefixes: z
+    .array(z
+      .string()
+      .regex(/^\d{1,6}$/, 'Pincode prefix must be 1 to 6 digits'))
+    .max(500, 'Maximum 500 pincode prefixes allowed')
+    .optional(),
+
+  isActive: z
+    .boolean()
+    .optional()
+};
+
+const hub = z
+  .string()
+  .min(2, 'Hub name must be at least 2 characters')
+  .max(100, 'Hub name must be less than 100 characters')
+  .trim();
+
+const endsAfterStart = (body) => !body.startTime || !body.endTime || body.startTime < body.endTime;
+const endsAfterStartMessage = {
+  message: 'End time must be after start time',
+  path: ['endTime']
+};
+
+// Create a farmer's slot
+const createSlotSchema = z.object({
+  body: z.object(slotFields).refine(endsAfterStart, endsAfterStartMessage)
+});
+
+// Create a hub slot (admin)
+const createHubSlotSchema = z.object({
+  body: z.object({ ...slotFields, hub }).refine(endsAfterStart, endsAfterStartMessage)
+});
+
+// Update a slot
+const updateSlotSchema = z.object({
+  body: z.object({ ...slotFields, hub: hub.optional() })
+    .partial()
+    .refine(endsAfterStart, endsAfterStartMessage),
+
+  params: slotIdParams
+});
+
+// Deactivate a slot
+const deleteSlotSchema = z.object({
+  params: slotIdParams
+});
+
+// Available slots for the cart
+const getDeliverySlotsQuerySchema = z.object({
+  query: z.object({
+    pincode,
+
+    days: z
+      .string()
+      .regex(/^\d+$/, 'Days must be a positive integer')
+      .transform(val => parseInt(val))
+      .refine(val => val >= 1 && val <= 14, 'Days must be between 1 and 14')
+      .optional()
+  })
+});
+
+// Admin slot listing filters
+const getSlotsQuerySchema = z.object({
+  query: z.object({
+    farmer: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid farmer ID format')
+      .optional(),
+
+    hub: z
+      .string()
+      .max(100, 'Hub name must be less than 100 characters')
+      .optional()
+  })
+});
+
+// Hold a slot during checkout
+const reserveSlotSchema = z.object({
+  body: z.object({
+    date: z
+      .string()
+      .regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD'),
+
+    pincode
+  }),
+
+  params: slotIdParams
+});
+
+export {
+  createSlotSchema,
+  createHubSlotSchema,
+  updateSlotSchema,
+  deleteSlotSchema,
+  getDeliverySlotsQuerySchema,
+  getSlotsQuerySchema,
+  reserveSlotSchema
+};
@@ -0,0 +1,123 @@
+import { z } from 'zod';
+import { deliveryAddressSchema, PAYMENT_METHODS } from './orderValidation.js';
+import { SUBSCRIPTION_FREQUENCIES } from '../config/subscriptions.js';
+
+const FREQUENCIES = Object.keys(SUBSCRIPTION_FREQUENCIES);
+
+const objectId = (label) => z
+  .string()
+  .regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label} ID format`);
+
+const dateString = (label) => z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, `${label} must be YYYY-MM-DD`);
+
+const subscriptionIdParams = z.object({
+  id: objectId('subscription')
+});
+
+const subscriptionItemSchema = z.object({
+  product: objectId('product'),
+
+  // Pack-size variant; the first one in stock is used when omitted
+  variant: objectId('variant').optional(),
+
+  quantity: z
+    .number()
+    .int('Quantity must be an integer')
+    .min(1, 'Quantity must be at least 1')
+    .max(1000, 'Quantity cannot exceed 1000'),
+
+  // Tried in order when the product is unavailable
+  substitutes: z
+    .array(objectId('substitute product'))
+    .max(5, 'Maximum 5 substitutes per item')
+    .default([]),
+
+  ifUnavailable: z
+    .enum(['skip-item', 'skip-delivery'], {
+      errorMap: () => ({ message: 'ifUnavailable must be skip-item or skip-delivery' })
+    })
+    .default('skip-item')
+});
+
+const subscriptionFields = {
+  name: z
+    .string()
+    .min(2, 'Name must be at least 2 characters')
+    .max(50, 'Name must be less than 50 characters')
+    .trim(),
+
+  items: z
+    .array(subscriptionItemSchema)
+    .min(1, 'At least one item is required')
+    .max(50, 'Maximum 50 items allowed'),
+
+  frequency: z
+    .enum(FREQUENCIES, {
+      errorMap: () => ({ message: `Frequency must be one of: ${FREQUENCIES.join(', ')}` })
+    }),
+
+  deliveryDay: z
+    .number()
+    .int('Delivery day must be an integer')
+    .min(0, 'Delivery day must be between 0 (Sunday) and 6 (Saturday)')
+    .max(6, 'Delivery day must be between 0 (Sunday) and 6 (Saturday)'),
+
+  deliveryAddress: deliveryAddressSchema,
+
+  paymentMethod: z
+    .enum(PAYMENT_METHODS, {
+      errorMap: () => ({ message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` })
+    }),
+
+  instructions: z
+    .string()
+    .max(500, 'Instructions must be less than 500 characters')
+    .optional()
+};
+
+// Create subscription validation
+const createSubscriptionSchema = z.object({
+  body: z.object({
+    ...subscriptionFields,
+    name: subscriptionFields.name.optional(),
+    frequency: subscriptionFields.frequency.default('weekly'),
+    paymentMethod: subscriptionFields.paymentMethod.default('cod')
+  })
+});
+
+// Update subscription validation
+const updateSubscriptionSchema = z.object({
+  body: z.object(subscriptionFields).partial(),
+  params: subscriptionIdParams
+});
+
+// Pause subscription validation
+const pauseSubscriptionSchema = z.object({
+  body: z.object({
+    until: dateString('Resume date').optional() // Open-ended when omitted
+  }),
+  params: subscriptionIdParams
+});
+
+// Skip one delivery validation
+const skipDeliverySchema = z.object({
+  body: z.object({
+    date: dateString('Delivery date').optional() // Next delivery when omitted
+  }),
+  params: subscriptionIdParams
+});
+
+// Resume/cancel/get subscription validation
+const subscriptionIdSchema = z.object({
+  params: subscriptionIdParams
+});
+
+export {
+  createSubscriptionSchema,
+  updateSubscriptionSchema,
+  pauseSubscriptionSchema,
+  skipDeliverySchema,
+  subscriptionIdSchema
+};
@@ -0,0 +1,85 @@
+import { z } from 'zod';
+
+const objectId = (label) => z
+  .string()
+  .regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label} ID format`);
+
+// Page through a statement, optionally for a period
+const statementQuery = z.object({
+  page: z
+    .string()
+    .regex(/^\d+$/, 'Page must be a positive integer')
+    .optional(),
+
+  limit: z
+    .string()
+    .regex(/^\d+$/, 'Limit must be a positive integer')
+    .refine(val => parseInt(val) >= 1 && parseInt(val) <= 100, 'Limit must be between 1 and 100')
+    .optional(),
+
+  from: z
+    .string()
+    .datetime({ offset: true, message: 'Invalid from date format' })
+    .optional(),
+
+  to: z
+    .string()
+    .datetime({ offset: true, message: 'Invalid to date format' })
+    .optional()
+}).refine(
+  (data) => !data.from || !data.to || new Date(data.to) >= new Date(data.from),
+  {
+    message: 'The statement must end after it starts',
+    path: ['to']
+  }
+);
+
+// My wallet statement
+const getWalletStatementSchema = z.object({
+  query: statementQuery
+});
+
+// A customer's wallet and statement
+const getCustomerWalletSchema = z.object({
+  params: z.object({
+    customerId: objectId('customer')
+  }),
+  query: statementQuery
+});
+
+// Credit cashback to a customer's wallet, or adjust it either way
+const createWalletTransactionSchema = z.object({
+  params: z.object({
+    customerId: objectId('customer')
+  }),
+  body: z.object({
+    type: z
+      .enum(['cashback', 'adjustment'], {
+        errorMap: () => ({ message: 'Type must be one of: cashback, adjustment' })
+      }),
+
+    // Negative adjustments take credit away
+    amount: z
+      .number()
+      .refine(val => val !== 0, 'Amount must not be zero')
+      .refine(val => Math.abs(val) <= 100000, 'Amount cannot exceed ₹1,00,000'),
+
+    description: z
+      .string()
+      .min(3, 'Description must be at least 3 characters')
+      .max(200, 'Description must be less than 200 characters')
+      .trim()
+  }).refine(
+    (data) => data.type !== 'cashback' || data.amount > 0,
+    {
+      message: 'Cashback must be a positive amount',
+      path: ['amount']
+    }
+  )
+});
+
+export {
+  getWalletStatementSchema,
+  getCustomerWalletSchema,
+  createWalletTransactionSchema
+};
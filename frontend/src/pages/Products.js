@@ -47,7 +47,7 @@ const Products = () => {
           {products.map((product) => (
             <div key={product._id} className="card product-card">
               <div className="product-image">
-                {product.image ? <img src={product.image} alt={product.name} style={{ width: "100%", height: "100%", objectFit: "cover" }} /> : <span>No Image</span>}
+                {product.images?.[0] ? <img src={product.images[0]} alt={product.name} style={{ width: "100%", height: "100%", objectFit: "cover" }} /> : <span>No Image</span>}
               </div>
               <div className="card-body">
                 <h3 className="product-title">{product.name}</h3>